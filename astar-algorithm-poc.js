@@ -15,23 +15,18 @@
  * 
  * Usage:
  *   node astar-algorithm-poc.js DOGE BTC 10000 --max-hops=3 --top-k=10 --beam=64 --verbose
+ *   node astar-algorithm-poc.js DOGE BTC 10000 --snapshot=snapshots/pools.json
  */
 
-require('dotenv').config();
-const { Client } = require('pg');
+const { getSnapshotOptions } = require('./pool-snapshot.js');
+const { loadPools } = require('./pool-source.js');
+const { getTokenRegistryOptions, buildTokenRegistry } = require('./token-registry.js');
+const { quoteOut } = require('./pool-models.js');
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5433,
-  database: process.env.DB_NAME || 'tapp',
-  user: process.env.DB_USER || 'tapp',
-  password: process.env.DB_PASSWORD || 'tapp',
-};
-
 // Command-line arguments
 const args = process.argv.slice(2);
 const tokenFrom = args[0] || 'APT';
@@ -42,90 +37,16 @@ const topK = parseInt(args.find(a => a.startsWith('--top-k='))?.split('=')[1] ||
 const beamWidth = parseInt(args.find(a => a.startsWith('--beam='))?.split('=')[1] || '64');
 const gasPerHopUSD = parseFloat(args.find(a => a.startsWith('--gas-per-hop='))?.split('=')[1] || '0.01');
 const verbose = args.includes('--verbose');
+const snapshotOptions = getSnapshotOptions(args);
+const tokenRegistryOptions = getTokenRegistryOptions(args);
 
 // ============================================================================
-// Data Structures
-// ============================================================================
-
-class PoolWrapper {
-  constructor(data) {
-    this.addr = data.pool_addr;
-    this.type = data.pool_type;
-    this.fee = parseFloat(data.fee_tier);
-    this.liquidity = data.liquidity;
-    this.tokens = data.tokens || [];
-  }
-  
-  hasToken(tokenAddr) {
-    return this.tokens.some(t => t.addr === tokenAddr);
-  }
-  
-  getOtherToken(tokenAddr) {
-    return this.tokens.find(t => t.addr !== tokenAddr);
-  }
-  
-  getSpotPrice(tokenInAddr, tokenOutAddr) {
-    const tokenIn = this.tokens.find(t => t.addr === tokenInAddr);
-    const tokenOut = this.tokens.find(t => t.addr === tokenOutAddr);
-    
-    if (!tokenIn || !tokenOut) return 0;
-    
-    const reserveIn = parseFloat(tokenIn.reserve);
-    const reserveOut = parseFloat(tokenOut.reserve);
-    
-    if (reserveIn === 0 || reserveOut === 0) return 0;
-    
-    return (reserveOut / reserveIn) * (1 - this.fee);
-  }
-}
-
-// ============================================================================
-// Database Queries
+// Token Map
 // ============================================================================
 
-async function fetchPoolsFromDB(client) {
-  if (verbose) console.log('📊 Fetching pools from database...');
-  
-  const query = `
-    SELECT 
-      p.addr as pool_addr,
-      p.pool_type,
-      p.fee_tier,
-      p.liquidity,
-      p.sqrt_price,
-      json_agg(
-        json_build_object(
-          'addr', t.addr,
-          'symbol', t.ticker,
-          'decimals', t.decimals,
-          'reserve', ptm.reserve,
-          'token_idx', ptm.token_idx
-        ) ORDER BY ptm.token_idx
-      ) as tokens
-    FROM pools p
-    JOIN pool_token_mps ptm ON p.addr = ptm.pool_id
-    JOIN tokens t ON ptm.token_addr = t.addr
-    WHERE p.status = 'ACTIVE'
-      AND p.liquidity > 0
-    GROUP BY p.addr, p.pool_type, p.fee_tier, p.liquidity, p.sqrt_price
-    ORDER BY p.liquidity DESC
-  `;
-  
-  const result = await client.query(query);
-  if (verbose) console.log(`✅ Fetched ${result.rows.length} active pools\n`);
-  
-  return result.rows.map(row => new PoolWrapper(row));
-}
-
-async function getTokenMap(client) {
-  const query = `
-    SELECT addr, ticker as symbol, decimals
-    FROM tokens
-  `;
-  const result = await client.query(query);
-  
+function getTokenMap(tokenRows) {
   const tokenMap = new Map();
-  for (const row of result.rows) {
+  for (const row of tokenRows) {
     tokenMap.set(row.addr, row);
   }
   
@@ -336,8 +257,8 @@ function buildAdjacencyMap(pools, tokenMap) {
       const otherToken = pool.getOtherToken(token.addr);
       if (!otherToken) continue;
       
-      const reserveIn = parseFloat(token.reserve);
-      const reserveOut = parseFloat(otherToken.reserve);
+      const reserveIn = token.reserveNum;
+      const reserveOut = otherToken.reserveNum;
       
       if (reserveIn === 0 || reserveOut === 0) continue;
       if (reserveIn < 1 || reserveOut < 1) continue;
@@ -617,20 +538,8 @@ function findTopKRoutesAStar(adjId, heuristicId, tokenToId, idToAddr, tokenInAdd
 // ============================================================================
 
 function simulateSwap(pool, tokenInAddr, tokenOutAddr, amountIn) {
-  const tokenIn = pool.tokens.find(t => t.addr === tokenInAddr);
-  const tokenOut = pool.tokens.find(t => t.addr === tokenOutAddr);
-  
-  if (!tokenIn || !tokenOut) return 0;
-  
-  const reserveIn = parseFloat(tokenIn.reserve);
-  const reserveOut = parseFloat(tokenOut.reserve);
-  
-  if (reserveIn === 0 || reserveOut === 0) return 0;
-  
-  const amountInAfterFee = amountIn * (1 - pool.fee);
-  const amountOut = (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
-  
-  return amountOut;
+  // Pool math resolved by pool_type (see pool-models.js)
+  return quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn);
 }
 
 function simulateRoute(route, amount) {
@@ -726,23 +635,19 @@ async function main() {
   console.log('='.repeat(80));
   console.log();
   
-  const client = new Client(dbConfig);
-  
   try {
-    if (verbose) console.log('📡 Connecting to database...');
-    await client.connect();
-    if (verbose) console.log('✅ Connected\n');
-    
-    const pools = await fetchPoolsFromDB(client);
-    const tokenMap = await getTokenMap(client);
+    const poolData = await loadPools({ ...snapshotOptions, verbose });
+    const pools = poolData.pools;
+    const tokenMap = getTokenMap(poolData.tokens);
     
     if (pools.length === 0) {
       if (verbose) console.log('❌ No pools found!\n');
       return;
     }
     
-    const sourceToken = Array.from(tokenMap.values()).find(t => t.symbol === tokenFrom);
-    const targetToken = Array.from(tokenMap.values()).find(t => t.symbol === tokenTo);
+    const tokenRegistry = buildTokenRegistry({ tokens: poolData.tokens, pools, ...tokenRegistryOptions });
+    const sourceToken = tokenMap.get(tokenRegistry.resolve(tokenFrom).addr);
+    const targetToken = tokenMap.get(tokenRegistry.resolve(tokenTo).addr);
     
     if (!sourceToken || !targetToken) {
       if (verbose) console.log('❌ Token not found!\n');
@@ -779,8 +684,6 @@ async function main() {
     console.error('❌ Error:', error.message);
     if (verbose) console.error(error);
     process.exit(1);
-  } finally {
-    await client.end();
   }
 }
 
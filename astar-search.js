@@ -0,0 +1,1176 @@
+/**
+ * A* Search - Route search core of the router (no CLI, no module-level config)
+ *
+ * Heuristics, graph preprocessing, top-K A* search, route simulation and
+ * best-route selection. Everything a search depends on is passed in: verbose
+ * output and its destination come from `options.verbose` / `options.logger`
+ * (a console-like object, `console` by default) and the reverse-Dijkstra
+ * heuristic cache from `options.heuristicCache` (a module-wide cache by
+ * default). Importing this module reads neither `process.argv` nor the
+ * environment; phase1-astar-mike.js is the command-line front end and
+ * router.js the embeddable one.
+ */
+
+const { quoteOut, quoteIn, quoteOutInt, quoteInInt } = require('./pool-models.js');
+const { mulDivRoundingUp } = require('./raw-math.js');
+const { HeuristicCache, adjacencyWeightHash } = require('./heuristic-cache.js');
+const { buildPoolEdges, compressEdges, toNumericEdge } = require('./routing-graph.js');
+const { selectDiverseRoutes } = require('./route-diversity.js');
+const { hopPriceImpact } = require('./price-impact.js');
+
+const DEFAULT_HEURISTIC_CACHE_SIZE = 16;
+
+// ============================================================================
+// Min-Heap for K-Best Tracking
+// ============================================================================
+
+class MinHeap {
+  constructor(compareFn = (a, b) => a.score - b.score) {
+    this.heap = [];
+    this.compareFn = compareFn;
+  }
+  
+  size() {
+    return this.heap.length;
+  }
+  
+  peek() {
+    return this.heap[0];
+  }
+  
+  push(item) {
+    this.heap.push(item);
+    this.bubbleUp(this.heap.length - 1);
+  }
+  
+  pop() {
+    if (this.heap.length === 0) return null;
+    if (this.heap.length === 1) return this.heap.pop();
+    
+    const min = this.heap[0];
+    this.heap[0] = this.heap.pop();
+    this.bubbleDown(0);
+    return min;
+  }
+  
+  bubbleUp(idx) {
+    while (idx > 0) {
+      const parentIdx = Math.floor((idx - 1) / 2);
+      if (this.compareFn(this.heap[idx], this.heap[parentIdx]) >= 0) break;
+      
+      [this.heap[idx], this.heap[parentIdx]] = [this.heap[parentIdx], this.heap[idx]];
+      idx = parentIdx;
+    }
+  }
+  
+  bubbleDown(idx) {
+    while (true) {
+      const leftIdx = 2 * idx + 1;
+      const rightIdx = 2 * idx + 2;
+      let minIdx = idx;
+      
+      if (leftIdx < this.heap.length && this.compareFn(this.heap[leftIdx], this.heap[minIdx]) < 0) {
+        minIdx = leftIdx;
+      }
+      if (rightIdx < this.heap.length && this.compareFn(this.heap[rightIdx], this.heap[minIdx]) < 0) {
+        minIdx = rightIdx;
+      }
+      
+      if (minIdx === idx) break;
+      
+      [this.heap[idx], this.heap[minIdx]] = [this.heap[minIdx], this.heap[idx]];
+      idx = minIdx;
+    }
+  }
+  
+  toSortedArray() {
+    return [...this.heap].sort((a, b) => -this.compareFn(a, b));
+  }
+}
+
+// ============================================================================
+// Max-Heap for Frontier (Best-First Search)
+// ============================================================================
+
+class MaxHeap extends MinHeap {
+  constructor(compareFn = (a, b) => a.score - b.score) {
+    super((a, b) => -compareFn(a, b));
+  }
+}
+
+// ============================================================================
+// Bitset Utilities for Visited Tracking
+// ============================================================================
+
+function bitsetHas(bitset, idx) {
+  return ((bitset >> BigInt(idx)) & 1n) !== 0n;
+}
+
+function bitsetAdd(bitset, idx) {
+  return bitset | (1n << BigInt(idx));
+}
+
+// ============================================================================
+// Search Budgets (anytime search)
+// ============================================================================
+
+// Defaults when the caller does not supply a budget
+const ASTAR_MAX_ITERATIONS = 50000;
+const ASTAR_TIME_BUDGET_MS = 5000;
+const DIVERSITY_OVERFETCH = 4;
+
+/**
+ * Cutoff checker for anytime search. Options (all optional):
+ *   signal         AbortSignal; aborting stops the search at the next check
+ *   deadline       absolute Date.now() timestamp
+ *   timeBudgetMs   budget relative to the start of this search
+ *   maxIterations  outer loop iterations (A* batches, Dijkstra pops)
+ *   maxExpansions  frontier nodes expanded
+ * `cutoff()` returns null or the reason: 'aborted' | 'deadline' | 'maxIterations' | 'maxExpansions'.
+ */
+function createSearchBudget(options = {}, defaults = {}) {
+  const { signal = null, deadline = null } = options;
+  const maxIterations = options.maxIterations ?? defaults.maxIterations ?? Infinity;
+  const maxExpansions = options.maxExpansions ?? defaults.maxExpansions ?? Infinity;
+  const timeBudgetMs = options.timeBudgetMs ?? defaults.timeBudgetMs ?? Infinity;
+  const start = Date.now();
+  const stopAt = Math.min(deadline ?? Infinity, start + timeBudgetMs);
+  
+  return {
+    maxIterations,
+    maxExpansions,
+    stopAt,
+    cutoff({ iterations = 0, expansions = 0 } = {}) {
+      if (signal && signal.aborted) return 'aborted';
+      if (iterations >= maxIterations) return 'maxIterations';
+      if (expansions >= maxExpansions) return 'maxExpansions';
+      if (stopAt !== Infinity && Date.now() >= stopAt) return 'deadline';
+      return null;
+    },
+    elapsedMs() {
+      return Date.now() - start;
+    },
+  };
+}
+
+// ============================================================================
+// A* Heuristic: Reverse Dijkstra from Target
+// ============================================================================
+
+const MAX_NODES = 50000; // Limit number of nodes explored in reverse Dijkstra
+const MAX_ITERATIONS = 50000; // Limit iterations to prevent infinite loops
+
+// Past this share of stale tokens a full reverse Dijkstra beats patching
+const PARTIAL_RECOMPUTE_MAX_SHARE = 0.25;
+
+// Shared by searches that do not bring their own `heuristicCache`
+const defaultHeuristicCache = new HeuristicCache({ maxEntries: DEFAULT_HEURISTIC_CACHE_SIZE });
+
+function heuristicCacheKey(targetAddr, gasPerHopPenalty, graphId = null) {
+  return `${graphId ?? 'adj'}:${targetAddr}:${gasPerHopPenalty.toFixed(6)}`;
+}
+
+function heuristicWeight(edge, gasPerHopPenalty) {
+  const raw = -edge.logSpotPrice + gasPerHopPenalty;
+  return Math.max(0, raw);  // non-negative, Dijkstra-safe
+}
+
+function toHeuristicResult(dist, tokenToId) {
+  if (!tokenToId) return dist;
+  const heuristicArr = new Float64Array(tokenToId.size);
+  heuristicArr.fill(0);
+  for (const [addr, v] of dist.entries()) {
+    const id = tokenToId.get(addr);
+    if (id !== undefined) {
+      heuristicArr[id] = Number.isFinite(v) ? v : 0;
+    }
+  }
+  return { dist, heuristicArr };
+}
+
+/**
+ * Reverse-Dijkstra heuristic (cost-to-target per token), cached per target and
+ * penalty. Pass `{ graph }` (a RoutingGraph whose `adj` this is) to validate
+ * entries by graph version and patch only the stale tokens after pool events;
+ * plain adjacency maps are validated by a hash of their edge weights.
+ * `signal` / `deadline` / `timeBudgetMs` / `maxNodes` bound the Dijkstra (see
+ * createSearchBudget); a cut-off heuristic keeps only settled tokens.
+ * `heuristicCache` replaces the module-wide cache (one per router instance).
+ */
+function computeReverseHeuristic(adj, targetAddr, gasPerHopPenalty = 0, sourceTokenAddr = null, tokenToId = null, options = {}) {
+  const { graph = null, signal = null, deadline = null, timeBudgetMs, maxNodes, verbose = false, logger = console } = options;
+  const heuristicCache = options.heuristicCache || defaultHeuristicCache;
+  const cacheKey = heuristicCacheKey(targetAddr, gasPerHopPenalty, graph ? graph.id : null);
+  const state = graph ? { graphId: graph.id, version: graph.version } : { graphId: null, version: adjacencyWeightHash(adj) };
+  const { status, entry } = heuristicCache.lookup(cacheKey, state);
+  
+  if (status === 'hit') {
+    if (verbose) logger.log('🎯 Using cached heuristic');
+    if (tokenToId && (!entry.result.heuristicArr || entry.result.heuristicArr.length !== tokenToId.size)) {
+      entry.result = toHeuristicResult(entry.dist, tokenToId);
+    }
+    return tokenToId ? entry.result : entry.dist;
+  }
+  
+  if (status === 'stale' && graph && entry.graphId === graph.id && entry.complete) {
+    const changed = graph.changedTokensSince(entry.version);
+    if (changed) {
+      const patched = patchReverseHeuristic(adj, entry, changed, targetAddr, gasPerHopPenalty, graph.tokenToId.size * PARTIAL_RECOMPUTE_MAX_SHARE);
+      if (patched) {
+        heuristicCache.recordRecompute('partial', patched.resetCount);
+        if (verbose) logger.log(`🎯 Patched cached heuristic (${changed.size} changed, ${patched.resetCount} reset since version ${entry.version})`);
+        const result = toHeuristicResult(patched.dist, tokenToId);
+        heuristicCache.set(cacheKey, { ...state, dist: patched.dist, next: patched.next, result, complete: true });
+        return result;
+      }
+    }
+  }
+  
+  heuristicCache.recordRecompute('full');
+  
+  const reverseAdj = new Map();
+  
+  // Build reverse adjacency map
+  for (const [from, edges] of adj) {
+    for (const edge of edges) {
+      const arr = reverseAdj.get(edge.to) || [];
+      arr.push({
+        to: from,
+        weight: heuristicWeight(edge, gasPerHopPenalty),
+      });
+      reverseAdj.set(edge.to, arr);
+    }
+  }
+  
+  const dist = new Map();
+  const next = new Map(); // token → its successor on the shortest path to target
+  const pq = new MinHeap((a, b) => a.dist - b.dist);
+  
+  dist.set(targetAddr, 0);
+  pq.push({ node: targetAddr, dist: 0 });
+  
+  let iterations = 0;
+  let nodesExplored = 0;
+  let cutoffReason = null;
+  const settled = new Set();
+  const budget = createSearchBudget(
+    { signal, deadline, timeBudgetMs, maxExpansions: maxNodes },
+    { maxIterations: MAX_ITERATIONS, maxExpansions: MAX_NODES }
+  );
+  
+  while (pq.size() > 0) {
+    cutoffReason = budget.cutoff({ iterations, expansions: nodesExplored });
+    if (cutoffReason) break;
+    
+    const { node, dist: d } = pq.pop();
+    
+    if (d > dist.get(node)) continue;
+    
+    nodesExplored++;
+    iterations++;
+    settled.add(node);
+    
+    const edges = reverseAdj.get(node) || [];
+    for (const edge of edges) {
+      const newDist = d + edge.weight;
+      const currentDist = dist.get(edge.to) ?? Infinity;
+      
+      if (newDist < currentDist) {
+        dist.set(edge.to, newDist);
+        next.set(edge.to, node);
+        pq.push({ node: edge.to, dist: newDist });
+      }
+    }
+  }
+  
+  // A cut-off Dijkstra leaves tentative (over-estimated) costs on unsettled
+  // tokens; drop them so the heuristic stays admissible (unknown → 0)
+  if (cutoffReason) {
+    if (verbose) logger.log(`⏱️  Heuristic cut off (${cutoffReason}) after ${nodesExplored} nodes`);
+    for (const addr of [...dist.keys()]) {
+      if (!settled.has(addr)) {
+        dist.delete(addr);
+        next.delete(addr);
+      }
+    }
+  }
+  
+  if (verbose) {
+    logger.log(`✅ Computed heuristic for ${dist.size} nodes (${nodesExplored} nodes explored, ${iterations} iterations)`);
+    if (sourceTokenAddr) {
+      const sourceH = dist.get(sourceTokenAddr) ?? Infinity;
+      logger.log(`Source addr: ${sourceTokenAddr}, Heuristic: ${sourceH === Infinity ? 'Infinity' : sourceH.toFixed(4)}`);
+    }
+    const targetH = dist.get(targetAddr) ?? Infinity;
+    logger.log(`Target addr: ${targetAddr}, Heuristic: ${targetH === Infinity ? 'Infinity' : targetH.toFixed(4)}`);
+  }
+  
+  // Check if source has valid heuristic
+  if (sourceTokenAddr && !dist.has(sourceTokenAddr)) {
+    logger.log(`⚠️  Warning: Heuristic is Infinity. Falling back to uniform heuristic (0).`);
+  }
+  
+  if (verbose) {
+    logger.log(`Heuristic map size: ${dist.size} nodes`);
+  }
+  
+  // Cache both Map and array if tokenToId provided (B6). Time/abort cutoffs
+  // are not reproducible, so those partial results are not cached.
+  const result = toHeuristicResult(dist, tokenToId);
+  if (cutoffReason !== 'aborted' && cutoffReason !== 'deadline') {
+    heuristicCache.set(cacheKey, { ...state, dist, next, result, complete: cutoffReason === null });
+  }
+  return result;
+}
+
+/**
+ * Repair a cached heuristic after the outgoing edges of `changedTokens` moved
+ * (dynamic shortest paths, Ramalingam-Reps style):
+ *
+ * 1. Reset the changed tokens and every token whose shortest path runs
+ *    through one of them (their subtree in the cached `next` tree); all other
+ *    distances are still achievable, so they are valid upper bounds.
+ * 2. Seed reset tokens from their edges into the kept region, then run
+ *    Dijkstra from the seeds, relaxing any token that improves through them
+ *    (kept tokens upstream of an edge that got cheaper).
+ *
+ * Returns null when more than `maxReset` tokens would be reset; a full
+ * recompute is cheaper then.
+ */
+function patchReverseHeuristic(adj, cached, changedTokens, targetAddr, gasPerHopPenalty, maxReset = Infinity) {
+  const children = new Map();
+  for (const [node, succ] of cached.next) {
+    const arr = children.get(succ) || [];
+    arr.push(node);
+    children.set(succ, arr);
+  }
+  
+  const reset = new Set();
+  const queue = [...changedTokens].filter(addr => addr !== targetAddr);
+  while (queue.length > 0) {
+    const node = queue.pop();
+    if (reset.has(node)) continue;
+    reset.add(node);
+    if (reset.size > maxReset) return null;
+    for (const child of children.get(node) || []) queue.push(child);
+  }
+  
+  const dist = new Map(cached.dist);
+  const next = new Map(cached.next);
+  for (const addr of reset) {
+    dist.delete(addr);
+    next.delete(addr);
+  }
+  
+  const reverseAdj = new Map();
+  for (const [from, edges] of adj) {
+    for (const edge of edges) {
+      const arr = reverseAdj.get(edge.to) || [];
+      arr.push({ to: from, weight: heuristicWeight(edge, gasPerHopPenalty) });
+      reverseAdj.set(edge.to, arr);
+    }
+  }
+  
+  const pq = new MinHeap((a, b) => a.dist - b.dist);
+  const relax = (node, succ, newDist) => {
+    if (newDist < (dist.get(node) ?? Infinity)) {
+      dist.set(node, newDist);
+      next.set(node, succ);
+      pq.push({ node, dist: newDist });
+    }
+  };
+  
+  for (const from of reset) {
+    for (const edge of adj.get(from) || []) {
+      const d = reset.has(edge.to) ? undefined : dist.get(edge.to);
+      if (d !== undefined) relax(from, edge.to, d + heuristicWeight(edge, gasPerHopPenalty));
+    }
+  }
+  
+  while (pq.size() > 0) {
+    const { node, dist: d } = pq.pop();
+    if (d > dist.get(node)) continue;
+    
+    for (const edge of reverseAdj.get(node) || []) {
+      relax(edge.to, node, d + edge.weight);
+    }
+  }
+  
+  return { dist, next, resetCount: reset.size };
+}
+
+/**
+ * Size-aware heuristic for amount-aware search: a reverse Dijkstra whose edge
+ * weights are the effective rate at the trade size instead of the spot price.
+ * The amount entering each token is estimated as the full trade converted at
+ * the best spot rates from the source (hop-limited Bellman-Ford, so arbitrage
+ * cycles cannot blow it up). Shallow pools then look as expensive as they
+ * really are for this trade. Because the estimate can exceed what a given path
+ * delivers, the bound is not strictly admissible; it is amount-specific and
+ * not cached.
+ */
+function computeSizeAwareHeuristic(adj, sourceAddr, targetAddr, amountInRaw, gasPerHopPenalty = 0, maxHops = 3, tokenToId = null, options = {}) {
+  const { verbose = false, logger = console } = options;
+  let amountAt = new Map([[sourceAddr, amountInRaw]]);
+  for (let hop = 0; hop < maxHops; hop++) {
+    const nextAmountAt = new Map(amountAt);
+    for (const [from, amount] of amountAt) {
+      for (const edge of adj.get(from) || []) {
+        const converted = amount * edge.spotPrice;
+        if (converted > (nextAmountAt.get(edge.to) ?? 0)) nextAmountAt.set(edge.to, converted);
+      }
+    }
+    amountAt = nextAmountAt;
+  }
+  
+  const reverseAdj = new Map();
+  for (const [from, edges] of adj) {
+    const amount = amountAt.get(from);
+    for (const edge of edges) {
+      const rate = amount > 0 ? quoteOut(edge.pool, from, edge.to, amount) / amount : edge.spotPrice;
+      if (!(rate > 0)) continue;
+      const arr = reverseAdj.get(edge.to) || [];
+      arr.push({ to: from, weight: Math.max(0, -Math.log(rate) + gasPerHopPenalty) });
+      reverseAdj.set(edge.to, arr);
+    }
+  }
+  
+  const dist = new Map([[targetAddr, 0]]);
+  const pq = new MinHeap((a, b) => a.dist - b.dist);
+  pq.push({ node: targetAddr, dist: 0 });
+  
+  while (pq.size() > 0) {
+    const { node, dist: d } = pq.pop();
+    if (d > dist.get(node)) continue;
+    
+    for (const edge of reverseAdj.get(node) || []) {
+      const newDist = d + edge.weight;
+      if (newDist < (dist.get(edge.to) ?? Infinity)) {
+        dist.set(edge.to, newDist);
+        pq.push({ node: edge.to, dist: newDist });
+      }
+    }
+  }
+  
+  if (verbose) logger.log(`✅ Computed size-aware heuristic for ${dist.size} nodes (${amountAt.size} tokens reachable within ${maxHops} hops)`);
+  
+  return toHeuristicResult(dist, tokenToId);
+}
+
+function getHeuristicCacheStats(heuristicCache = defaultHeuristicCache) {
+  return heuristicCache.stats();
+}
+
+function mapHeuristicToIds(heuristicAddrMap, tokenToId) {
+  const hId = new Map();
+  for (const [addr, val] of heuristicAddrMap) {
+    const id = tokenToId.get(addr);
+    if (id !== undefined) hId.set(id, val);
+  }
+  return hId;
+}
+
+// ============================================================================
+// Graph Preprocessing
+// ============================================================================
+
+function buildAdjacencyMap(pools, tokenMap, options = {}) {
+  const { verbose = false, logger = console } = options;
+  if (verbose) logger.log('🔧 Building adjacency map...');
+  
+  const adj = new Map();
+  const tokenToId = new Map();
+  const poolToId = new Map();
+  let nextTokenId = 0;
+  let nextPoolId = 0;
+  
+  for (const [addr] of tokenMap) {
+    tokenToId.set(addr, nextTokenId++);
+    adj.set(addr, []);
+  }
+  
+  for (const pool of pools) {
+    poolToId.set(pool.addr, nextPoolId++);
+    
+    // Multi-token (stable) pools get one edge per token pair
+    for (const edge of buildPoolEdges(pool, poolToId.get(pool.addr))) {
+      const edges = adj.get(edge.from) || [];
+      edges.push(edge);
+      adj.set(edge.from, edges);
+    }
+  }
+  
+  for (const [tokenAddr, edges] of adj) {
+    edges.sort((a, b) => b.score - a.score);
+  }
+  
+  if (verbose) logger.log(`✅ Built adjacency map with ${adj.size} tokens\n`);
+  
+  return { adj, tokenToId, poolToId };
+}
+
+function compressParallelEdges(adj, options = {}) {
+  const { verbose = false, logger = console } = options;
+  if (verbose) logger.log('🔧 Compressing parallel edges...');
+  
+  let originalCount = 0;
+  let compressedCount = 0;
+  
+  for (const [tokenAddr, edges] of adj) {
+    originalCount += edges.length;
+    
+    const compressed = compressEdges(edges);
+    adj.set(tokenAddr, compressed);
+    compressedCount += compressed.length;
+  }
+  
+  if (verbose) logger.log(`✅ Compressed ${originalCount} edges → ${compressedCount} edges (${((1 - compressedCount/originalCount) * 100).toFixed(1)}% reduction)\n`);
+  
+  return adj;
+}
+
+function buildNumericAdjacency(adj, tokenToId, options = {}) {
+  const { verbose = false, logger = console } = options;
+  if (verbose) logger.log('🔧 Building numeric adjacency (adjId)...');
+  
+  const adjId = new Map();
+  const idToAddr = new Map();
+  
+  for (const [addr, id] of tokenToId) {
+    idToAddr.set(id, addr);
+  }
+  
+  for (const [fromAddr, edges] of adj) {
+    const fromId = tokenToId.get(fromAddr);
+    const numericEdges = edges.map(edge => toNumericEdge(edge, tokenToId));
+    adjId.set(fromId, numericEdges);
+  }
+  
+  if (verbose) logger.log(`✅ Built numeric adjacency with ${adjId.size} token IDs\n`);
+  
+  return { adjId, idToAddr };
+}
+
+// ============================================================================
+// Phase 1 A* Search Algorithm with Target-Aware Heuristic
+// ============================================================================
+
+/**
+ * options.exactOutRaw: exact-output mode. Routes that cannot deliver this much
+ * output are dropped (counted in `routes.search.undeliverable`); the rest carry
+ * `route.requiredInRaw`.
+ * options.amountInRaw: amount-aware mode. Edges are scored by the simulated
+ * output at the amount reaching them, so top-K reflects the trade size; routes
+ * carry `route.expectedOutRaw`. Pair with computeSizeAwareHeuristic.
+ * options.maxHopImpact: amount-aware mode only; edges whose price impact at the
+ * arriving amount exceeds it are not expanded.
+ * options.diversity: route-diversity.js constraints. The search discovers
+ * DIVERSITY_OVERFETCH × topK routes and keeps a diverse topK of them.
+ * options.verbose / options.logger: progress output and where it goes.
+ */
+function findTopKRoutesAStar(adjId, heuristicId, tokenToId, idToAddr, tokenInAddr, tokenOutAddr, maxHops, topK = 40, beamWidth = 32, gasPerHopPenalty = 0, precomputedHeuristicArr = null, options = {}) {
+  const { exactOutRaw = null, amountInRaw = null, maxHopImpact = Infinity, diversity = null, verbose = false, logger = console } = options;
+  if (diversity) {
+    const candidates = findTopKRoutesAStar(adjId, heuristicId, tokenToId, idToAddr, tokenInAddr, tokenOutAddr, maxHops, topK * DIVERSITY_OVERFETCH, beamWidth, gasPerHopPenalty, precomputedHeuristicArr, { ...options, diversity: null });
+    const routes = selectDiverseRoutes(candidates.map(route => ({ route, value: Math.exp(route.score) })), topK, diversity).map(c => c.route);
+    if (verbose) logger.log(`🔀 Diversity: kept ${routes.length} of ${candidates.length} candidate routes`);
+    return withSearchInfo(routes, { ...candidates.search, candidates: candidates.length });
+  }
+  // Amount-aware mode: partial paths carry the simulated amount and edges score
+  // by the real output at that amount; spot mode scores by logSpotPrice
+  const amountAware = amountInRaw !== null;
+  if (amountAware && exactOutRaw !== null) {
+    throw new Error('Amount-aware search is exact-input only');
+  }
+  const budget = createSearchBudget(options, { maxIterations: ASTAR_MAX_ITERATIONS, timeBudgetMs: ASTAR_TIME_BUDGET_MS });
+  
+  if (verbose) logger.log(`A* search starting (max ${budget.maxIterations} iterations, ${budget.maxExpansions} expansions, ${budget.stopAt === Infinity ? 'no' : `${budget.stopAt - Date.now()}ms`} time budget)...`);
+  
+  if (tokenInAddr === tokenOutAddr) {
+    if (verbose) logger.log('⚠️  Source and target are the same token\n');
+    return withSearchInfo([], { mode: amountAware ? 'amount' : 'spot', complete: true, reason: null, boundGap: 0, iterations: 0, expansions: 0, pruned: 0, elapsedMs: 0 });
+  }
+  
+  // Convert to arrays for hot path access (B6 - use pre-computed if available)
+  const heuristicArr = precomputedHeuristicArr || (() => {
+    const arr = new Float64Array(tokenToId.size);
+    arr.fill(0);
+    for (const [id, v] of heuristicId.entries()) {
+      arr[id] = Number.isFinite(v) ? v : 0;
+    }
+    return arr;
+  })();
+  
+  const adjArr = Array.from({length: tokenToId.size}, () => []);
+  for (const [fromId, edges] of adjId.entries()) {
+    adjArr[fromId] = edges;
+  }
+  
+  const candidatesHeap = new MinHeap();
+  let kthScore = -Infinity;
+  const seenRoutes = new Set();
+  
+  const sourceId = tokenToId.get(tokenInAddr);
+  const targetId = tokenToId.get(tokenOutAddr);
+  
+  const frontierHeap = new MaxHeap((a, b) => a.prio - b.prio);
+  
+  const sourceH = heuristicArr[sourceId];
+  const sourcePrio = 0 - sourceH - gasPerHopPenalty * maxHops;
+  
+  frontierHeap.push({
+    nodeId: sourceId,
+    parent: null,
+    edge: null,
+    visitedBits: bitsetAdd(0n, sourceId),
+    score: 0,
+    prio: sourcePrio,
+    hops: 0,
+    prevNodeId: null,
+    amount: amountInRaw,
+  });
+  
+  let nodesExplored = 0;
+  let nodesPruned = 0;
+  let frontierMinPrio = Infinity;
+  let frontierMaxPrio = -Infinity;
+  let iterationCount = 0;
+  let cutoffReason = null;
+  
+  const nodePool = [];
+  const maxPoolSize = 1000;
+  
+  function allocateNode() {
+    return nodePool.length > 0 ? nodePool.pop() : {};
+  }
+  
+  function releaseNode(node) {
+    if (nodePool.length < maxPoolSize) {
+      nodePool.push(node);
+    }
+  }
+  
+  // Helper to reconstruct path from parent pointers
+  function reconstructPath(state) {
+    const path = [];
+    let current = state;
+    let steps = 0;
+    const maxSteps = 100;
+    
+    while (current.parent !== null) {
+      steps++;
+      if (steps > maxSteps) {
+        logger.error(`❌ reconstructPath infinite loop detected! steps=${steps}`);
+        logger.error(`   current.nodeId=${current.nodeId}, current.hops=${current.hops}`);
+        logger.error(`   current.parent=${current.parent ? 'exists' : 'null'}`);
+        throw new Error('reconstructPath infinite loop');
+      }
+      
+      path.unshift(current.edge);
+      current = current.parent;
+    }
+    return path;
+  }
+  
+  // Dominance pruning: track best score at each (node, depth)
+  const bestAtDepth = Array.from(
+    {length: tokenToId.size}, 
+    () => new Float64Array(maxHops + 1).fill(-Infinity)
+  );
+  
+  // Seed: check for direct source→target edge
+  const directEdges = adjArr[sourceId];
+  for (const edge of directEdges) {
+    if (edge.toId === targetId) {
+      const directOut = amountAware ? quoteOut(edge.pool, tokenInAddr, tokenOutAddr, amountInRaw) : null;
+      if (amountAware && !(directOut > 0)) continue;
+      if (amountAware && hopPriceImpact(edge.pool, tokenInAddr, tokenOutAddr, amountInRaw, directOut) > maxHopImpact) continue;
+      const directScore = (amountAware ? Math.log(directOut / amountInRaw) : edge.logSpotPrice) - gasPerHopPenalty;
+      const directRoute = [{
+        pool: edge.pool,
+        poolId: edge.poolId,
+        fromId: sourceId,
+        toId: targetId,
+        fromAddr: tokenInAddr,
+        toAddr: tokenOutAddr,
+      }];
+      if (amountAware) directRoute.expectedOutRaw = directOut;
+      const routeKey = `${sourceId}:${edge.poolId}:${targetId}`;
+      if (!seenRoutes.has(routeKey)) {
+        seenRoutes.add(routeKey);
+        candidatesHeap.push({ route: directRoute, score: directScore });
+        if (candidatesHeap.size() === topK) {
+          kthScore = candidatesHeap.peek().score;
+        }
+        if (verbose) logger.log(`   🎯 Seeded with direct edge, score: ${directScore.toFixed(4)}`);
+      }
+      break;
+    }
+  }
+  
+  while (frontierHeap.size() > 0) {
+    // Budget check (abort signal, deadline, iteration/expansion caps)
+    cutoffReason = budget.cutoff({ iterations: iterationCount, expansions: nodesExplored });
+    if (cutoffReason) break;
+    
+    iterationCount++;
+    
+    // Periodic progress logging
+    if (verbose && iterationCount % 2000 === 0) {
+      logger.log(`   Progress: iter=${iterationCount}, frontier=${frontierHeap.size()}, routes=${candidatesHeap.size()}, explored=${nodesExplored}`);
+    }
+    
+    const topFrontier = frontierHeap.peek();
+    if (candidatesHeap.size() >= topK && topFrontier.prio <= kthScore) {
+      if (verbose) logger.log(`🚀 Early termination: frontier best prio (${topFrontier.prio.toFixed(4)}) ≤ kthScore (${kthScore.toFixed(4)})`);
+      break;
+    }
+    
+    if (verbose && iterationCount <= 5) {
+      logger.log(`   Iteration ${iterationCount}: frontier=${frontierHeap.size()}, expanding min(${frontierHeap.size()}, ${beamWidth}), routes=${candidatesHeap.size()}, kthScore=${kthScore === -Infinity ? '-Inf' : kthScore.toFixed(4)}`);
+    }
+    
+    
+    const expansionLimit = Math.min(frontierHeap.size(), beamWidth);
+    
+    for (let i = 0; i < expansionLimit && frontierHeap.size() > 0; i++) {
+      // Checked before popping, so the frontier still bounds what was not expanded
+      if (i > 0 && (cutoffReason = budget.cutoff({ expansions: nodesExplored }))) break;
+      
+      const partial = frontierHeap.pop();
+      nodesExplored++;
+      
+      if (verbose && iterationCount === 2 && i < 5) {
+        logger.log(`     Expansion ${i}: nodeId=${partial.nodeId}, hops=${partial.hops}`);
+      }
+      
+      if (partial.hops >= maxHops) {
+        continue;
+      }
+      
+      const h = heuristicArr[partial.nodeId];
+      
+      const remainingHops = maxHops - partial.hops;
+      const upperBound = partial.score - h - (gasPerHopPenalty * remainingHops);
+      
+      if (candidatesHeap.size() >= topK && upperBound <= kthScore) {
+        nodesPruned++;
+        continue;
+      }
+      
+      const edges = adjArr[partial.nodeId];
+      const edgeLimit = Math.min(edges.length, Math.max(8, Math.floor(beamWidth / 2)));
+      
+      if (verbose && iterationCount === 2 && i < 5) {
+        logger.log(`       edges=${edges.length}, edgeLimit=${edgeLimit}`);
+      }
+      
+      for (let ei = 0; ei < edgeLimit; ei++) {
+        const edge = edges[ei];
+        const nextNodeId = edge.toId;
+        
+        if (bitsetHas(partial.visitedBits, nextNodeId)) {
+          continue;
+        }
+        
+        if (partial.prevNodeId !== null && nextNodeId === partial.prevNodeId) {
+          continue;
+        }
+        
+        let newScore;
+        let amountOut = null;
+        if (amountAware) {
+          amountOut = quoteOut(edge.pool, idToAddr.get(partial.nodeId), edge.toAddr, partial.amount);
+          if (!(amountOut > 0)) continue;
+          if (hopPriceImpact(edge.pool, idToAddr.get(partial.nodeId), edge.toAddr, partial.amount, amountOut) > maxHopImpact) continue;
+          newScore = partial.score + Math.log(amountOut / partial.amount) - gasPerHopPenalty;
+        } else {
+          newScore = partial.score + edge.logSpotPrice - gasPerHopPenalty;
+        }
+        const newHops = partial.hops + 1;
+        const rem = maxHops - newHops;
+        const hRem = heuristicArr[nextNodeId];
+        const prio = newScore - hRem - (gasPerHopPenalty * rem);
+        
+        if (nextNodeId !== targetId && candidatesHeap.size() >= topK && prio <= kthScore) {
+          continue;
+        }
+        
+        const newEdge = {
+          pool: edge.pool,
+          poolId: edge.poolId,
+          fromId: partial.nodeId,
+          toId: nextNodeId,
+          fromAddr: idToAddr.get(partial.nodeId),
+          toAddr: edge.toAddr,
+          dxCapRaw: edge.dxCapRaw,
+          reserveIn: edge.reserveIn,
+        };
+        
+        if (nextNodeId === targetId) {
+          const newState = {
+            parent: partial,
+            edge: newEdge,
+          };
+          
+          const route = reconstructPath(newState);
+          if (amountAware) route.expectedOutRaw = amountOut;
+          const routeKey = route.map(e => `${e.fromId}:${e.poolId}:${e.toId}`).join('|');
+          
+          if (seenRoutes.has(routeKey)) {
+            continue;
+          }
+          seenRoutes.add(routeKey);
+          
+          if (verbose) {
+            logger.log(`   ✅ Found route #${candidatesHeap.size() + 1}, score: ${newScore.toFixed(4)}, hops: ${route.length}`);
+          }
+          
+          if (candidatesHeap.size() < topK) {
+            candidatesHeap.push({ route, score: newScore });
+            if (candidatesHeap.size() === topK) {
+              kthScore = candidatesHeap.peek().score;
+            }
+          } else if (newScore > kthScore) {
+            candidatesHeap.pop();
+            candidatesHeap.push({ route, score: newScore });
+            kthScore = candidatesHeap.peek().score;
+          }
+          continue;
+        }
+        
+        if (newHops < maxHops) {
+          // Dominance pruning
+          if (newScore <= bestAtDepth[nextNodeId][newHops]) {
+            continue;
+          }
+          bestAtDepth[nextNodeId][newHops] = newScore;
+          
+          const newVisitedBits = bitsetAdd(partial.visitedBits, nextNodeId);
+          
+          if (prio < frontierMinPrio) frontierMinPrio = prio;
+          if (prio > frontierMaxPrio) frontierMaxPrio = prio;
+          
+          const newNode = allocateNode();
+          newNode.nodeId = nextNodeId;
+          newNode.parent = partial;
+          newNode.edge = newEdge;
+          newNode.visitedBits = newVisitedBits;
+          newNode.score = newScore;
+          newNode.prio = prio;
+          newNode.hops = newHops;
+          newNode.prevNodeId = partial.nodeId;
+          newNode.amount = amountOut;
+          
+          frontierHeap.push(newNode);
+        }
+      }
+    }
+    
+    if (cutoffReason) break;
+    
+    // Cap frontier size to prevent memory explosion
+    const FRONTIER_CAP = Math.max(beamWidth * 32, topK * 128);
+    while (frontierHeap.size() > FRONTIER_CAP) {
+      const removed = frontierHeap.pop();  // pop worst prio (MaxHeap)
+      releaseNode(removed);
+    }
+    
+    if (verbose && iterationCount <= 5) {
+      logger.log(`   After iter ${iterationCount}: frontier=${frontierHeap.size()}, routes=${candidatesHeap.size()}`);
+    }
+  }
+  
+  // Anytime result: on a cutoff the unexpanded frontier bounds how much better
+  // (in log-score) a route we did not find could be than the current k-th best
+  const frontierBestPrio = frontierHeap.size() > 0 ? frontierHeap.peek().prio : -Infinity;
+  let boundGap = 0;
+  if (cutoffReason && frontierBestPrio !== -Infinity) {
+    boundGap = candidatesHeap.size() < topK ? Infinity : Math.max(0, frontierBestPrio - kthScore);
+  }
+  const searchInfo = {
+    mode: amountAware ? 'amount' : 'spot',
+    complete: cutoffReason === null,
+    reason: cutoffReason,
+    boundGap,
+    frontierBestPrio,
+    kthScore,
+    iterations: iterationCount,
+    expansions: nodesExplored,
+    pruned: nodesPruned,
+    elapsedMs: budget.elapsedMs(),
+  };
+  
+  if (verbose && cutoffReason) {
+    logger.log(`⏱️  Search cut off (${cutoffReason}) after ${iterationCount} iterations, returning best ${candidatesHeap.size()} routes found (bound gap ${boundGap === Infinity ? 'Infinity' : boundGap.toFixed(6)})`);
+  }
+  
+  if (verbose) {
+    logger.log(`\n✅ Found ${candidatesHeap.size()} routes`);
+    logger.log(`📊 A* Search Statistics:`);
+    logger.log(`  Frontier priority range: [${frontierMinPrio.toFixed(4)}, ${frontierMaxPrio.toFixed(4)}]`);
+    logger.log(`  K-th best score: ${kthScore.toFixed(4)}`);
+    logger.log(`  Pruning effectiveness: ${(nodesPruned / Math.max(1, nodesExplored + nodesPruned) * 100).toFixed(1)}%`);
+  }
+  
+  const routes = candidatesHeap.toSortedArray().map(c => {
+    c.route.score = c.score;
+    return c.route;
+  });
+  
+  if (verbose) logger.log(`\n🔧 Computing route capacities for ${routes.length} routes...`);
+  
+  for (let r = 0; r < routes.length; r++) {
+    const route = routes[r];
+    let routeCapRaw = Infinity;
+    for (let h = 0; h < route.length; h++) {
+      const hop = route[h];
+      if (hop.dxCapRaw !== undefined) {
+        routeCapRaw = Math.min(routeCapRaw, hop.dxCapRaw);
+      } else if (verbose && r === 0) {
+        logger.log(`   ⚠️  Route ${r + 1}, Hop ${h + 1}: no dxCapRaw. Keys: ${Object.keys(hop).join(', ')}`);
+      }
+    }
+    route.capRaw = routeCapRaw === Infinity ? 1e18 : routeCapRaw;
+    if (verbose && r < 3) {
+      logger.log(`   Route ${r + 1} (${route.length} hops): capRaw = ${route.capRaw.toExponential(2)}`);
+    }
+  }
+  
+  if (verbose) logger.log(`✅ Route capacities computed\n`);
+  
+  if (exactOutRaw !== null) {
+    const deliverable = routes.filter(route => {
+      route.requiredInRaw = simulateRouteExactOut(route, exactOutRaw, { verbose, logger });
+      return Number.isFinite(route.requiredInRaw);
+    });
+    if (verbose) logger.log(`🎯 Exact-out: ${deliverable.length}/${routes.length} routes can deliver ${exactOutRaw.toExponential(4)} raw\n`);
+    return withSearchInfo(deliverable, { ...searchInfo, undeliverable: routes.length - deliverable.length });
+  }
+  
+  return withSearchInfo(routes, searchInfo);
+}
+
+// Search metadata rides on the returned array (like `route.capRaw`), so callers
+// that only want routes keep working:
+// { mode, complete, reason, boundGap, frontierBestPrio, kthScore, iterations, expansions, pruned, elapsedMs }
+// plus `undeliverable` in exact-output mode
+function withSearchInfo(routes, searchInfo) {
+  routes.search = searchInfo;
+  return routes;
+}
+
+// ============================================================================
+// Swap Simulation (Same as Phase 2)
+// ============================================================================
+
+function simulateSwap(pool, tokenInAddr, tokenOutAddr, amountIn, options = {}) {
+  const { verbose = false, logger = console } = options;
+  const tokenIn = pool.tokens.find(t => t.addr === tokenInAddr);
+  const tokenOut = pool.tokens.find(t => t.addr === tokenOutAddr);
+  
+  if (!tokenIn || !tokenOut) return 0;
+  
+  const reserveIn = tokenIn.reserveNum;
+  const reserveOut = tokenOut.reserveNum;
+  
+  // Check if swap amount is unreasonably large compared to pool reserves
+  const swapRatio = amountIn / reserveIn;
+  if (swapRatio > 0.1 && verbose) {
+    logger.log(`    ⚠️  WARNING: Swapping ${(swapRatio * 100).toFixed(1)}% of pool reserves! Pool may have insufficient liquidity.`);
+  }
+  
+  // Pool math resolved by pool_type (constant-product, CLMM, stable, ...)
+  const amountOut = quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn);
+  
+  if (verbose) {
+    logger.log(`\n    🔄 Swap in pool ${pool.addr.slice(0, 10)}... (${pool.type || 'AMM'})`);
+    logger.log(`       ${tokenIn.symbol} → ${tokenOut.symbol}`);
+    logger.log(`       Reserve IN: ${reserveIn.toExponential(2)} raw (${(reserveIn / Math.pow(10, tokenIn.decimals)).toFixed(4)} ${tokenIn.symbol})`);
+    logger.log(`       Reserve OUT: ${reserveOut.toExponential(2)} raw (${(reserveOut / Math.pow(10, tokenOut.decimals)).toFixed(4)} ${tokenOut.symbol})`);
+    logger.log(`       Amount IN: ${amountIn.toExponential(4)} raw (${(amountIn / Math.pow(10, tokenIn.decimals)).toFixed(4)} ${tokenIn.symbol})`);
+    logger.log(`       Fee: ${(pool.fee * 100).toFixed(4)}%`);
+    logger.log(`       Amount OUT: ${amountOut.toExponential(4)} raw (${(amountOut / Math.pow(10, tokenOut.decimals)).toFixed(4)} ${tokenOut.symbol})`);
+  }
+  
+  return amountOut;
+}
+
+function simulateRoute(route, amount, options = {}) {
+  const { verbose = false, logger = console } = options;
+  if (verbose) {
+    logger.log(`\n  📍 Simulating route with ${route.length} hops, starting amount: ${amount}`);
+  }
+  
+  let currentAmount = amount;
+  
+  for (const hop of route) {
+    currentAmount = simulateSwap(hop.pool, hop.fromAddr, hop.toAddr, currentAmount, options);
+    if (currentAmount === 0) break;
+  }
+  
+  if (verbose) {
+    logger.log(`  ✅ Final output: ${currentAmount.toExponential(6)}`);
+  }
+  
+  return currentAmount;
+}
+
+// Exact-output: input required at the first hop to receive `amountOut` at the last.
+// Walks the route backwards through each pool model's quoteIn.
+function simulateRouteExactOut(route, amountOut, options = {}) {
+  const { verbose = false, logger = console } = options;
+  let currentAmount = amountOut;
+  
+  for (let h = route.length - 1; h >= 0; h--) {
+    const hop = route[h];
+    currentAmount = quoteIn(hop.pool, hop.fromAddr, hop.toAddr, currentAmount);
+    if (!Number.isFinite(currentAmount)) return Infinity;
+  }
+  
+  if (verbose) {
+    logger.log(`  ⬅️  Exact-out: ${amountOut.toExponential(6)} out requires ${currentAmount.toExponential(6)} in (${route.length} hops)`);
+  }
+  
+  return currentAmount;
+}
+
+// Exact-integer counterparts (BigInt raw units, on-chain rounding). The float
+// versions above stay the estimator for search and scoring.
+function simulateRouteInt(route, amountIn) {
+  let currentAmount = amountIn;
+  
+  for (const hop of route) {
+    currentAmount = quoteOutInt(hop.pool, hop.fromAddr, hop.toAddr, currentAmount);
+    if (currentAmount === 0n) return 0n;
+  }
+  
+  return currentAmount;
+}
+
+// Input required to receive `amountOut`, or null when the route cannot deliver it
+function simulateRouteExactOutInt(route, amountOut) {
+  let currentAmount = amountOut;
+  
+  for (let h = route.length - 1; h >= 0; h--) {
+    const hop = route[h];
+    currentAmount = quoteInInt(hop.pool, hop.fromAddr, hop.toAddr, currentAmount);
+    if (currentAmount === null) return null;
+  }
+  
+  return currentAmount;
+}
+
+// Upper bound on input a swap may spend given a slippage tolerance (basis points).
+// BigInt amounts stay exact (rounded up to the next raw unit).
+function maxInputBound(requiredInRaw, slippageBps) {
+  if (typeof requiredInRaw === 'bigint') {
+    const denominator = 1000000n;
+    return mulDivRoundingUp(requiredInRaw, denominator + BigInt(Math.round(slippageBps * 100)), denominator);
+  }
+  return Math.ceil(requiredInRaw * (1 + slippageBps / 10000));
+}
+
+// ============================================================================
+// Phase 1: Select Best Route (from ALL routes)
+// ============================================================================
+
+function routeFixedGas(hops, gasPerHopInOutputTokens) {
+  return hops * gasPerHopInOutputTokens;
+}
+
+function selectBestRoute(routes, amount, gasPerHopInOutputTokens, options = {}) {
+  if (options.mode === 'exactOut') {
+    return selectBestRouteExactOut(routes, amount, gasPerHopInOutputTokens, options);
+  }
+  const { verbose = false, logger = console } = options;
+  
+  if (verbose) logger.log(`🎯 Evaluating ${routes.length} routes to find best...`);
+  const evalStart = performance.now();
+  
+  let bestRoute = null;
+  let bestNetOutput = 0;
+  const results = [];
+  
+  for (const route of routes) {
+    const output = simulateRoute(route, amount, { verbose, logger });
+    const gasCost = routeFixedGas(route.length, gasPerHopInOutputTokens);
+    const netOutput = output - gasCost;
+    
+    results.push({ route, output, gasCost, netOutput, hops: route.length });
+    
+    if (netOutput > bestNetOutput) {
+      bestNetOutput = netOutput;
+      bestRoute = route;
+    }
+  }
+  
+  if (verbose) {
+    logger.log(`EVAL_TIME: ${(performance.now() - evalStart).toFixed(3)}ms`);
+    logger.log(`\n🏆 Top 5 Routes by net output:`);
+    const top5 = results
+      .sort((a, b) => b.netOutput - a.netOutput)
+      .slice(0, 5)
+      .map((r, i) => ({
+        rank: i + 1,
+        hops: r.hops,
+        output: r.output.toExponential(4),
+        gas: r.gasCost.toFixed(2),
+        net: r.netOutput.toExponential(4)
+      }));
+    logger.table(top5);
+    logger.log(`✅ Best route net output: ${bestNetOutput.toExponential(6)}\n`);
+  }
+  
+  return { route: bestRoute, output: bestNetOutput };
+}
+
+// Exact-output: `amountOut` is fixed, pick the route needing the least input.
+// Gas is paid from the output, so each route must deliver amountOut + gas.
+function selectBestRouteExactOut(routes, amountOut, gasPerHopInOutputTokens, options = {}) {
+  const { verbose = false, logger = console } = options;
+  if (verbose) logger.log(`🎯 Evaluating ${routes.length} routes for exact output...`);
+  
+  let bestRoute = null;
+  let bestInput = Infinity;
+  
+  for (const route of routes) {
+    const gasCost = routeFixedGas(route.length, gasPerHopInOutputTokens);
+    const requiredIn = simulateRouteExactOut(route, amountOut + gasCost, { verbose, logger });
+    
+    if (requiredIn < bestInput) {
+      bestInput = requiredIn;
+      bestRoute = route;
+    }
+  }
+  
+  if (verbose) {
+    logger.log(`✅ Best route required input: ${bestInput.toExponential(6)}\n`);
+  }
+  
+  return { route: bestRoute, input: bestInput, output: amountOut, mode: 'exactOut' };
+}
+
+
+module.exports = {
+  DEFAULT_HEURISTIC_CACHE_SIZE,
+  MinHeap,
+  MaxHeap,
+  findTopKRoutesAStar,
+  createSearchBudget,
+  selectBestRoute,
+  routeFixedGas,
+  simulateRoute,
+  simulateRouteExactOut,
+  simulateRouteInt,
+  simulateRouteExactOutInt,
+  maxInputBound,
+  buildAdjacencyMap,
+  compressParallelEdges,
+  computeReverseHeuristic,
+  computeSizeAwareHeuristic,
+  patchReverseHeuristic,
+  getHeuristicCacheStats,
+  mapHeuristicToIds,
+  buildNumericAdjacency,
+};
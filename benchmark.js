@@ -12,10 +12,13 @@
  * Usage:
  *   node benchmark.js APT USDC 10000
  *   node benchmark.js APT USDT 10000 --max-hops=3 --top-k=40 --beam=32 --gas-per-hop=0.01
+ *   node benchmark.js APT USDT 10000 --snapshot=snapshots/pools.json
  */
 
-require('dotenv').config();
-const { Client } = require('pg');
+const { getSnapshotOptions } = require('./pool-snapshot.js');
+const { loadPools } = require('./pool-source.js');
+const { getTokenRegistryOptions, buildTokenRegistry } = require('./token-registry.js');
+const { buildPriceOracle, gasInToken, getPriceOracleOptions } = require('./price-oracle.js');
 const phase1 = require('./phase1-dfs-poc');
 const phase1AStar = require('./phase1-astar-mike');
 const phase2Module = require('./yens-algorithm-poc');
@@ -24,14 +27,6 @@ const phase2Module = require('./yens-algorithm-poc');
 // Configuration
 // ============================================================================
 
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME || 'tapp',
-  user: process.env.DB_USER || 'tapp',
-  password: process.env.DB_PASSWORD || 'tapp',
-};
-
 // Command-line arguments
 const args = process.argv.slice(2);
 const tokenFrom = args[0] || 'APT';
@@ -46,6 +41,9 @@ const topK = parseInt(args.find(a => a.startsWith('--top-k='))?.split('=')[1] ||
 const beamWidth = parseInt(args.find(a => a.startsWith('--beam='))?.split('=')[1] || '32');
 const gasPerHop = parseFloat(args.find(a => a.startsWith('--gas-per-hop='))?.split('=')[1] || '0.01');
 const skipAStar = args.includes('--skip-astar');
+const snapshotOptions = getSnapshotOptions(args);
+const tokenRegistryOptions = getTokenRegistryOptions(args);
+const priceOracleOptions = getPriceOracleOptions(args);
 
 // ============================================================================
 // Benchmark Runner
@@ -68,58 +66,32 @@ async function runBenchmark() {
   console.log('='.repeat(80));
   console.log();
   
-  const client = new Client(dbConfig);
-  
   try {
-    await client.connect();
-    
     // Fetch data once (shared between both tests)
     console.log('📡 Fetching pool data...');
-    const poolsQuery = `
-      SELECT 
-        p.addr as pool_addr,
-        p.pool_type,
-        p.fee_tier,
-        p.liquidity,
-        p.sqrt_price,
-        json_agg(
-          json_build_object(
-            'addr', t.addr,
-            'symbol', t.ticker,
-            'decimals', t.decimals,
-            'reserve', ptm.reserve,
-            'token_idx', ptm.token_idx
-          ) ORDER BY ptm.token_idx
-        ) as tokens
-      FROM pools p
-      JOIN pool_token_mps ptm ON p.addr = ptm.pool_id
-      JOIN tokens t ON ptm.token_addr = t.addr
-      WHERE p.status = 'ACTIVE'
-        AND p.liquidity > 0
-      GROUP BY p.addr, p.pool_type, p.fee_tier, p.liquidity, p.sqrt_price
-      ORDER BY p.liquidity DESC
-    `;
-    
-    const poolsResult = await client.query(poolsQuery);
-    const pools = poolsResult.rows;
-    
-    const tokensQuery = `SELECT addr, ticker as symbol, decimals FROM tokens`;
-    const tokensResult = await client.query(tokensQuery);
+    const poolData = await loadPools(snapshotOptions);
+    const pools = poolData.pools;
+    
     const tokenMap = new Map();
-    for (const row of tokensResult.rows) {
+    for (const row of poolData.tokens) {
       tokenMap.set(row.addr, row);
     }
     
     console.log(`✅ Loaded ${pools.length} pools, ${tokenMap.size} tokens\n`);
     
-    const sourceToken = Array.from(tokenMap.values()).find(t => t.symbol === tokenFrom);
-    const targetToken = Array.from(tokenMap.values()).find(t => t.symbol === tokenTo);
+    const tokenRegistry = buildTokenRegistry({ tokens: poolData.tokens, pools, ...tokenRegistryOptions });
+    const sourceToken = tokenMap.get(tokenRegistry.resolve(tokenFrom).addr);
+    const targetToken = tokenMap.get(tokenRegistry.resolve(tokenTo).addr);
     
     if (!sourceToken || !targetToken) {
       console.log('❌ Token not found!\n');
       return;
     }
     
+    const priceOracle = buildPriceOracle({ pools, registry: tokenRegistry, anchors: priceOracleOptions.anchors });
+    const targetGas = gasInToken(priceOracle, gasPerHop, targetToken, priceOracleOptions.minConfidence);
+    console.log(`💵 ${targetToken.symbol}: $${targetGas.usdPrice.toPrecision(6)}${targetGas.priced ? ` (confidence ${targetGas.confidence.toFixed(2)})` : ' (unpriced, assumed)'}\n`);
+    
     console.log('='.repeat(80));
     console.log();
     
@@ -135,7 +107,7 @@ async function runBenchmark() {
     
     // DFS to find ALL routes
     const allRoutes = phase1.findAllRoutesDFS(
-      pools.map(p => new PoolWrapper(p)),
+      pools,
       sourceToken.addr,
       targetToken.addr,
       maxHopsPhase1
@@ -205,7 +177,7 @@ async function runBenchmark() {
     // Build adjacency and run A* search
     console.log('Building adjacency map...');
     const astarGraphStart = Date.now();
-    const { adj, tokenToId, poolToId } = phase1AStar.buildAdjacencyMap(pools.map(p => new PoolWrapper(p)), tokenMap);
+    const { adj, tokenToId, poolToId } = phase1AStar.buildAdjacencyMap(pools, tokenMap);
     console.log(`Adjacency map built: ${adj.size} tokens`);
     phase1AStar.compressParallelEdges(adj);
     const { adjId, idToAddr } = phase1AStar.buildNumericAdjacency(adj, tokenToId);
@@ -215,12 +187,7 @@ async function runBenchmark() {
     // Compute heuristic
     console.log('Computing reverse Dijkstra heuristic...');
     const heuristicStart = Date.now();
-    let targetTokenUSDPrice = 1.0;
-    const stablecoins = ['USDC', 'USDT', 'DAI', 'BUSD', 'UST'];
-    if (stablecoins.includes(targetToken.symbol)) {
-      targetTokenUSDPrice = 1.0;
-    }
-    const gasPerHopInOutputTokens = gasPerHop / targetTokenUSDPrice;
+    const gasPerHopInOutputTokens = targetGas.amount;
     const gasPerHopPenalty = gasPerHop > 0 ? Math.log(1 + gasPerHopInOutputTokens / swapAmount) : 0;
     const heuristic = phase1AStar.computeReverseHeuristic(adj, targetToken.addr, gasPerHopPenalty);
     const heuristicId = phase1AStar.mapHeuristicToIds(heuristic, tokenToId);
@@ -237,11 +204,8 @@ async function runBenchmark() {
     try {
       const astarSearchStart = Date.now();
       
-      // Set timeout for A* search (5 seconds)
-      const timeout = setTimeout(() => {
-        console.log(`⚠️  A* search timeout after 5 seconds, using empty results`);
-      }, 5000);
-      
+      // The search is synchronous, so the 5 second budget is enforced inside it
+      // (anytime search: best routes found so far on cutoff)
       aStarRoutes = phase1AStar.findTopKRoutesAStar(
         adjId, 
         heuristicId, 
@@ -252,11 +216,15 @@ async function runBenchmark() {
         maxHopsAStar, 
         topK, 
         beamWidth, 
-        gasPerHopPenalty
+        gasPerHopPenalty,
+        null,
+        { timeBudgetMs: 5000 }
       );
       
-      clearTimeout(timeout);
       astarSearchTime = Date.now() - astarSearchStart;
+      if (!aStarRoutes.search.complete) {
+        console.log(`⚠️  A* search cut off (${aStarRoutes.search.reason}), using the ${aStarRoutes.length} routes found so far`);
+      }
       console.log(`A* search found ${aStarRoutes.length} routes in ${astarSearchTime}ms\n`);
       
       // Select best route
@@ -286,6 +254,38 @@ async function runBenchmark() {
     console.log(`  Total time: ${phase1AStarTotalTime}ms`);
     console.log(`  Memory used: ${phase1AStarMemUsed.toFixed(2)} MB`);
     console.log();
+
+    // Spot-price vs amount-aware search at the actual trade size (raw units)
+    console.log(`Search mode comparison (${swapAmount} ${sourceToken.symbol}):`);
+    const swapAmountRaw = swapAmount * Math.pow(10, sourceToken.decimals);
+    let spotModeOutput = null;
+    for (const mode of ['spot', 'amount']) {
+      try {
+        const modeStart = Date.now();
+        const modeHeuristic = mode === 'amount'
+          ? phase1AStar.computeSizeAwareHeuristic(adj, sourceToken.addr, targetToken.addr, swapAmountRaw, gasPerHopPenalty, maxHopsAStar, tokenToId)
+          : phase1AStar.computeReverseHeuristic(adj, targetToken.addr, gasPerHopPenalty, sourceToken.addr, tokenToId);
+        const modeRoutes = phase1AStar.findTopKRoutesAStar(
+          adjId, phase1AStar.mapHeuristicToIds(modeHeuristic.dist, tokenToId), tokenToId, idToAddr,
+          sourceToken.addr, targetToken.addr, maxHopsAStar, topK, beamWidth, gasPerHopPenalty, modeHeuristic.heuristicArr,
+          { timeBudgetMs: 5000, amountInRaw: mode === 'amount' ? swapAmountRaw : null }
+        );
+        const modeBest = modeRoutes.length > 0
+          ? phase1AStar.selectBestRoute(modeRoutes, swapAmountRaw, gasPerHopInOutputTokens)
+          : { route: null, output: 0 };
+        const modeTime = Date.now() - modeStart;
+        const modeOutput = modeBest.output / Math.pow(10, targetToken.decimals);
+        if (mode === 'spot') spotModeOutput = modeOutput;
+        const delta = mode === 'spot' || !spotModeOutput ? '' : ` (${((modeOutput / spotModeOutput - 1) * 100).toFixed(4)}% vs spot)`;
+        const path = modeBest.route
+          ? [sourceToken.symbol, ...modeBest.route.map(hop => tokenMap.get(hop.toAddr)?.symbol || hop.toAddr.slice(0, 8))].join(' → ')
+          : 'none';
+        console.log(`  ${mode.padEnd(6)} ${String(modeRoutes.length).padStart(3)} routes, best ${modeOutput.toFixed(2)}${delta}, ${modeTime}ms, ${path}`);
+      } catch (error) {
+        console.log(`  ${mode.padEnd(6)} failed: ${error.message}`);
+      }
+    }
+    console.log();
     console.log('='.repeat(80));
     console.log();
     } // End else for skipAStar
@@ -322,27 +322,7 @@ async function runBenchmark() {
     
     if (kRoutes.length > 0) {
       for (const route of kRoutes) {
-        let currentAmount = swapAmount;
-        for (const edge of route.path) {
-          const { pool } = edge;
-          const { tokenA, tokenB, fee } = pool;
-          
-          const reserveA = parseFloat(tokenA.reserve);
-          const reserveB = parseFloat(tokenB.reserve);
-          
-          if (reserveA === 0 || reserveB === 0) {
-            currentAmount = 0;
-            break;
-          }
-          
-          const isReversed = pool.reversed;
-          const [reserveIn, reserveOut] = isReversed
-            ? [reserveB, reserveA]
-            : [reserveA, reserveB];
-          
-          const amountInAfterFee = currentAmount * (1 - fee);
-          currentAmount = (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
-        }
+        const currentAmount = phase2Module.simulateRoute(graph, route, swapAmount).amountOut;
         
         if (currentAmount > phase2BestOutput) {
           phase2BestOutput = currentAmount;
@@ -526,41 +506,6 @@ async function runBenchmark() {
     console.error('❌ Error:', error.message);
     console.error(error);
     process.exit(1);
-  } finally {
-    await client.end();
-  }
-}
-
-// Fix module reference
-class PoolWrapper {
-  constructor(data) {
-    this.addr = data.pool_addr;
-    this.type = data.pool_type;
-    this.fee = parseFloat(data.fee_tier);
-    this.liquidity = data.liquidity;
-    this.tokens = data.tokens || [];
-  }
-  
-  hasToken(tokenAddr) {
-    return this.tokens.some(t => t.addr === tokenAddr);
-  }
-  
-  getOtherToken(tokenAddr) {
-    return this.tokens.find(t => t.addr !== tokenAddr);
-  }
-  
-  getSpotPrice(tokenInAddr, tokenOutAddr) {
-    const tokenIn = this.tokens.find(t => t.addr === tokenInAddr);
-    const tokenOut = this.tokens.find(t => t.addr === tokenOutAddr);
-    
-    if (!tokenIn || !tokenOut) return 0;
-    
-    const reserveIn = parseFloat(tokenIn.reserve);
-    const reserveOut = parseFloat(tokenOut.reserve);
-    
-    if (reserveIn === 0 || reserveOut === 0) return 0;
-    
-    return (reserveOut / reserveIn) * (1 - this.fee);
   }
 }
 
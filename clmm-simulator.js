@@ -0,0 +1,514 @@
+/**
+ * CLMM Swap Simulator - Concentrated liquidity (tick-based) pools
+ *
+ * Constant-product on the reported reserves badly misquotes concentrated pools:
+ * only the liquidity of the active range trades, and it changes every time the
+ * price crosses an initialized tick. This module walks ticks from the current
+ * sqrt price the same way the on-chain swap loop does:
+ *
+ *   1. Take the next initialized tick in the swap direction (price target)
+ *   2. Apply the fee to the remaining input and swap within [sqrtP, sqrtTarget]
+ *      using the active liquidity L
+ *   3. If the target is reached, cross the tick: L += liquidityNet (upwards)
+ *      or L -= liquidityNet (downwards), then continue
+ *
+ * Conventions (TAPP CLMM, Uniswap v3 style on Aptos):
+ * - `sqrt_price` is Q64.64 fixed point: sqrt(reserve1 / reserve0) * 2^64, raw units
+ * - token0/token1 are the pool tokens with token_idx 0/1
+ * - `liquidity` is the active liquidity L of the current range
+ * - ticks are `{ tick, liquidityNet }`, price(tick) = 1.0001^tick
+ *
+ * Pools without tick data are simulated as a single range spanning
+ * [MIN_TICK, MAX_TICK] with the current active liquidity.
+ *
+ * All amounts are raw (smallest units) floats, matching `simulateSwap`. The
+ * `*Int` variants run the same walk in BigInt with the on-chain Q64.64 math
+ * (SwapMath step, inputs and fees rounded up, outputs rounded down).
+ */
+
+const {
+  FEE_DENOMINATOR,
+  toRawInt,
+  tryToRawInt,
+  mulDiv,
+  mulDivRoundingUp,
+  divRoundingUp,
+} = require('./raw-math.js');
+
+const SQRT_PRICE_SCALE = 2 ** 64;
+const MIN_TICK = -443636;
+const MAX_TICK = 443636;
+
+// ============================================================================
+// Tick Math
+// ============================================================================
+
+function tickToSqrtPrice(tick) {
+  return Math.pow(1.0001, tick / 2);
+}
+
+function sqrtPriceToTick(sqrtPrice) {
+  return Math.floor(Math.log(sqrtPrice * sqrtPrice) / Math.log(1.0001));
+}
+
+function parseSqrtPrice(sqrtPriceX64) {
+  if (sqrtPriceX64 === null || sqrtPriceX64 === undefined) return null;
+  const value = parseFloat(sqrtPriceX64) / SQRT_PRICE_SCALE;
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Normalize tick rows (`{ tick, liquidity_net }` or `{ tick, liquidityNet }`)
+ * into numeric entries sorted by tick index.
+ */
+function normalizeTicks(rows) {
+  return (rows || [])
+    .map(row => ({
+      tick: parseInt(row.tick, 10),
+      liquidityNet: parseFloat(row.liquidityNet ?? row.liquidity_net),
+      liquidityNetRaw: tryToRawInt(row.liquidityNet ?? row.liquidity_net) ?? 0n,
+    }))
+    .filter(t => Number.isFinite(t.tick) && Number.isFinite(t.liquidityNet) && t.liquidityNet !== 0)
+    .sort((a, b) => a.tick - b.tick);
+}
+
+// ============================================================================
+// Pool State
+// ============================================================================
+
+function getClmmState(pool) {
+  const sqrtPrice = parseSqrtPrice(pool.sqrtPrice);
+  const liquidity = parseFloat(pool.liquidity);
+  if (!sqrtPrice || !Number.isFinite(liquidity) || liquidity <= 0) return null;
+
+  const sorted = [...pool.tokens].sort((a, b) => (a.token_idx ?? 0) - (b.token_idx ?? 0));
+  return {
+    sqrtPrice,
+    liquidity,
+    token0: sorted[0],
+    token1: sorted[1],
+    ticks: pool.ticks || [],
+  };
+}
+
+// Spot price of tokenOut per tokenIn (raw units, after fee)
+function clmmSpotPrice(pool, tokenInAddr, tokenOutAddr) {
+  const state = getClmmState(pool);
+  if (!state) return 0;
+
+  const price = state.sqrtPrice * state.sqrtPrice;
+  if (state.token0.addr === tokenInAddr && state.token1.addr === tokenOutAddr) {
+    return price * (1 - pool.fee);
+  }
+  if (state.token1.addr === tokenInAddr && state.token0.addr === tokenOutAddr) {
+    return (1 / price) * (1 - pool.fee);
+  }
+  return 0;
+}
+
+// ============================================================================
+// Swap Simulation
+// ============================================================================
+
+// Pool state plus the initialized ticks in swap direction, nearest first
+function getSwapPath(pool, tokenInAddr, tokenOutAddr) {
+  const state = getClmmState(pool);
+  if (!state) return null;
+
+  const zeroForOne = state.token0.addr === tokenInAddr;
+  if (!zeroForOne && state.token1.addr !== tokenInAddr) return null;
+  if ((zeroForOne ? state.token1 : state.token0).addr !== tokenOutAddr) return null;
+
+  const currentTick = sqrtPriceToTick(state.sqrtPrice);
+  const ticks = zeroForOne
+    ? state.ticks.filter(t => t.tick <= currentTick).reverse()
+    : state.ticks.filter(t => t.tick > currentTick);
+
+  return { state, zeroForOne, ticks };
+}
+
+/**
+ * Simulate an exact-input swap through a CLMM pool.
+ *
+ * @returns {{ amountOut, amountInUsed, sqrtPriceAfter, liquidityAfter, ticksCrossed, exhausted }}
+ *          or null when the pool has no usable CLMM state (missing sqrt_price / liquidity)
+ */
+function simulateClmmSwap(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const path = getSwapPath(pool, tokenInAddr, tokenOutAddr);
+  if (!path || !(amountIn > 0)) return null;
+
+  const { state, zeroForOne, ticks } = path;
+  const feeFactor = 1 - pool.fee;
+
+  let sqrtP = state.sqrtPrice;
+  let L = state.liquidity;
+  let remaining = amountIn;
+  let amountOut = 0;
+  let ticksCrossed = 0;
+  let tickCursor = 0;
+
+  while (remaining > 0) {
+    const next = ticks[tickCursor];
+    const sqrtTarget = tickToSqrtPrice(next ? next.tick : (zeroForOne ? MIN_TICK : MAX_TICK));
+
+    if (L > 0) {
+      // Input (after fee) needed to move price to the range boundary
+      const maxInAfterFee = zeroForOne
+        ? L * (1 / sqrtTarget - 1 / sqrtP)
+        : L * (sqrtTarget - sqrtP);
+      const remainingAfterFee = remaining * feeFactor;
+
+      if (remainingAfterFee < maxInAfterFee) {
+        const sqrtNext = zeroForOne
+          ? (L * sqrtP) / (L + remainingAfterFee * sqrtP)
+          : sqrtP + remainingAfterFee / L;
+        // Algebraically equal to L·|ΔsqrtP| / L·|Δ(1/sqrtP)|, but stays exact
+        // for dust amounts where sqrtNext rounds to sqrtP
+        amountOut += zeroForOne
+          ? remainingAfterFee * sqrtP * sqrtNext
+          : remainingAfterFee / (sqrtP * sqrtNext);
+        sqrtP = sqrtNext;
+        remaining = 0;
+        break;
+      }
+
+      amountOut += zeroForOne
+        ? L * (sqrtP - sqrtTarget)
+        : L * (1 / sqrtP - 1 / sqrtTarget);
+      remaining -= maxInAfterFee / feeFactor;
+    }
+
+    sqrtP = sqrtTarget;
+    if (!next) break; // Ran out of price range
+
+    // Cross tick: liquidityNet is added when moving up, subtracted moving down
+    L += zeroForOne ? -next.liquidityNet : next.liquidityNet;
+    if (L < 0) L = 0;
+    ticksCrossed++;
+    tickCursor++;
+  }
+
+  return {
+    amountOut,
+    amountInUsed: amountIn - remaining,
+    sqrtPriceAfter: sqrtP,
+    liquidityAfter: L,
+    ticksCrossed,
+    exhausted: remaining > 0,
+  };
+}
+
+/**
+ * Simulate an exact-output swap: input needed to receive `amountOut`.
+ * Walks the same ticks as `simulateClmmSwap`, solving each range for input.
+ *
+ * @returns {{ amountIn, amountOutFilled, sqrtPriceAfter, liquidityAfter, ticksCrossed, exhausted }}
+ *          or null when the pool has no usable CLMM state
+ */
+function simulateClmmSwapExactOut(pool, tokenInAddr, tokenOutAddr, amountOut) {
+  const path = getSwapPath(pool, tokenInAddr, tokenOutAddr);
+  if (!path || !(amountOut > 0)) return null;
+
+  const { state, zeroForOne, ticks } = path;
+  const feeFactor = 1 - pool.fee;
+
+  let sqrtP = state.sqrtPrice;
+  let L = state.liquidity;
+  let remaining = amountOut;
+  let amountInAfterFee = 0;
+  let ticksCrossed = 0;
+  let tickCursor = 0;
+
+  while (remaining > 0) {
+    const next = ticks[tickCursor];
+    const sqrtTarget = tickToSqrtPrice(next ? next.tick : (zeroForOne ? MIN_TICK : MAX_TICK));
+
+    if (L > 0) {
+      // Output available before the price reaches the range boundary
+      const maxOut = zeroForOne
+        ? L * (sqrtP - sqrtTarget)
+        : L * (1 / sqrtP - 1 / sqrtTarget);
+
+      if (remaining < maxOut) {
+        const sqrtNext = zeroForOne
+          ? sqrtP - remaining / L
+          : 1 / (1 / sqrtP - remaining / L);
+        amountInAfterFee += zeroForOne
+          ? remaining / (sqrtP * sqrtNext)
+          : remaining * sqrtP * sqrtNext;
+        sqrtP = sqrtNext;
+        remaining = 0;
+        break;
+      }
+
+      amountInAfterFee += zeroForOne
+        ? L * (1 / sqrtTarget - 1 / sqrtP)
+        : L * (sqrtTarget - sqrtP);
+      remaining -= maxOut;
+    }
+
+    sqrtP = sqrtTarget;
+    if (!next) break;
+
+    L += zeroForOne ? -next.liquidityNet : next.liquidityNet;
+    if (L < 0) L = 0;
+    ticksCrossed++;
+    tickCursor++;
+  }
+
+  return {
+    amountIn: amountInAfterFee / feeFactor,
+    amountOutFilled: amountOut - remaining,
+    sqrtPriceAfter: sqrtP,
+    liquidityAfter: L,
+    ticksCrossed,
+    exhausted: remaining > 0,
+  };
+}
+
+// Marginal output per unit input after swapping `amountIn` (raw units, after fee)
+function clmmMarginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn = 0) {
+  if (!(amountIn > 0)) return clmmSpotPrice(pool, tokenInAddr, tokenOutAddr);
+
+  const result = simulateClmmSwap(pool, tokenInAddr, tokenOutAddr, amountIn);
+  if (!result || result.exhausted || result.liquidityAfter === 0) return 0;
+
+  const price = result.sqrtPriceAfter * result.sqrtPriceAfter;
+  const zeroForOne = getClmmState(pool).token0.addr === tokenInAddr;
+  return (zeroForOne ? price : 1 / price) * (1 - pool.fee);
+}
+
+// ============================================================================
+// Exact Integer Path (BigInt, Q64.64)
+// ============================================================================
+
+const Q64 = 1n << 64n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// getSqrtRatioAtTick magic numbers: 2^128 / sqrt(1.0001)^(2^k), Q128.128
+const TICK_RATIO_CONSTANTS = [
+  0xfffcb933bd6fad37aa2d162d1a594001n,
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+];
+
+// Exact Q64.64 sqrt price at a tick (rounded up, as on-chain)
+function tickToSqrtPriceX64(tick) {
+  const absTick = BigInt(Math.abs(tick));
+  if (absTick > BigInt(MAX_TICK)) throw new Error(`Tick out of range: ${tick}`);
+
+  let ratio = (absTick & 1n) !== 0n ? TICK_RATIO_CONSTANTS[0] : 1n << 128n;
+  for (let bit = 1; bit < TICK_RATIO_CONSTANTS.length; bit++) {
+    if ((absTick & (1n << BigInt(bit))) !== 0n) {
+      ratio = (ratio * TICK_RATIO_CONSTANTS[bit]) >> 128n;
+    }
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  return divRoundingUp(ratio, Q64);
+}
+
+function getAmount0Delta(sqrtA, sqrtB, L, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  const numerator1 = L << 64n;
+  const numerator2 = sqrtB - sqrtA;
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+    : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, L, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  return roundUp
+    ? mulDivRoundingUp(L, sqrtB - sqrtA, Q64)
+    : mulDiv(L, sqrtB - sqrtA, Q64);
+}
+
+// Token0 moves the price along 1/sqrtP; round up so the price moves no further than paid for
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtP, L, amount, add) {
+  if (amount === 0n) return sqrtP;
+  const numerator1 = L << 64n;
+  const denominator = add ? numerator1 + amount * sqrtP : numerator1 - amount * sqrtP;
+  if (denominator <= 0n) return null;
+  return mulDivRoundingUp(numerator1, sqrtP, denominator);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtP, L, amount, add) {
+  if (add) return sqrtP + (amount << 64n) / L;
+  const next = sqrtP - divRoundingUp(amount << 64n, L);
+  return next > 0n ? next : null;
+}
+
+/**
+ * One swap step inside a single liquidity range (SwapMath.computeSwapStep).
+ * amountRemaining > 0 is exact input, < 0 is exact output.
+ */
+function computeSwapStepInt(sqrtP, sqrtTarget, L, amountRemaining, feePips) {
+  const zeroForOne = sqrtP >= sqrtTarget;
+  const exactIn = amountRemaining >= 0n;
+  let sqrtNext;
+  let amountIn = 0n;
+  let amountOut = 0n;
+
+  if (exactIn) {
+    const remainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - feePips, FEE_DENOMINATOR);
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtTarget, sqrtP, L, true)
+      : getAmount1Delta(sqrtP, sqrtTarget, L, true);
+    sqrtNext = remainingLessFee >= amountIn
+      ? sqrtTarget
+      : zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtP, L, remainingLessFee, true)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtP, L, remainingLessFee, true);
+  } else {
+    amountOut = zeroForOne
+      ? getAmount1Delta(sqrtTarget, sqrtP, L, false)
+      : getAmount0Delta(sqrtP, sqrtTarget, L, false);
+    sqrtNext = -amountRemaining >= amountOut
+      ? sqrtTarget
+      : zeroForOne
+        ? getNextSqrtPriceFromAmount1RoundingDown(sqrtP, L, -amountRemaining, false)
+        : getNextSqrtPriceFromAmount0RoundingUp(sqrtP, L, -amountRemaining, false);
+  }
+
+  const max = sqrtNext === sqrtTarget;
+  if (zeroForOne) {
+    if (!(max && exactIn)) amountIn = getAmount0Delta(sqrtNext, sqrtP, L, true);
+    if (!(max && !exactIn)) amountOut = getAmount1Delta(sqrtNext, sqrtP, L, false);
+  } else {
+    if (!(max && exactIn)) amountIn = getAmount1Delta(sqrtP, sqrtNext, L, true);
+    if (!(max && !exactIn)) amountOut = getAmount0Delta(sqrtP, sqrtNext, L, false);
+  }
+
+  if (!exactIn && amountOut > -amountRemaining) amountOut = -amountRemaining;
+
+  // A partial exact-input step keeps whatever input is left over as fee
+  const feeAmount = exactIn && !max
+    ? amountRemaining - amountIn
+    : mulDivRoundingUp(amountIn, feePips, FEE_DENOMINATOR - feePips);
+
+  return { sqrtNext, amountIn, amountOut, feeAmount };
+}
+
+function getClmmStateInt(pool) {
+  const sqrtPrice = tryToRawInt(pool.sqrtPrice);
+  const liquidity = tryToRawInt(pool.liquidity);
+  if (!sqrtPrice || sqrtPrice <= 0n || liquidity === null || liquidity <= 0n) return null;
+
+  return { sqrtPrice, liquidity };
+}
+
+// Shared BigInt tick walk: exactIn spends `amount` of input, otherwise buys `amount` of output
+function swapInt(pool, tokenInAddr, tokenOutAddr, amount, exactIn) {
+  const path = getSwapPath(pool, tokenInAddr, tokenOutAddr);
+  const stateInt = getClmmStateInt(pool);
+  if (!path || !stateInt || amount <= 0n) return null;
+
+  const { zeroForOne, ticks } = path;
+  const feePips = pool.feePips ?? toRawInt(Math.round(pool.fee * 1e6));
+  const sqrtLimit = tickToSqrtPriceX64(zeroForOne ? MIN_TICK : MAX_TICK);
+
+  let sqrtP = stateInt.sqrtPrice;
+  let L = stateInt.liquidity;
+  let remaining = exactIn ? amount : -amount;
+  let amountIn = 0n;
+  let amountOut = 0n;
+  let ticksCrossed = 0;
+  let tickCursor = 0;
+
+  while (remaining !== 0n) {
+    const next = ticks[tickCursor];
+    const sqrtTarget = next ? tickToSqrtPriceX64(next.tick) : sqrtLimit;
+
+    if (L > 0n) {
+      const step = computeSwapStepInt(sqrtP, sqrtTarget, L, remaining, feePips);
+      amountIn += step.amountIn + step.feeAmount;
+      amountOut += step.amountOut;
+      remaining = exactIn
+        ? remaining - (step.amountIn + step.feeAmount)
+        : remaining + step.amountOut;
+      sqrtP = step.sqrtNext;
+      if (sqrtP !== sqrtTarget) break;
+    } else {
+      sqrtP = sqrtTarget;
+    }
+
+    if (!next) break;
+
+    const liquidityNet = next.liquidityNetRaw ?? toRawInt(Math.round(next.liquidityNet));
+    L += zeroForOne ? -liquidityNet : liquidityNet;
+    if (L < 0n) L = 0n;
+    ticksCrossed++;
+    tickCursor++;
+  }
+
+  return {
+    amountIn,
+    amountOut,
+    sqrtPriceAfterX64: sqrtP,
+    liquidityAfter: L,
+    ticksCrossed,
+    exhausted: remaining !== 0n,
+  };
+}
+
+/**
+ * Exact-input swap in BigInt raw units.
+ *
+ * @returns {{ amountOut, amountInUsed, sqrtPriceAfterX64, liquidityAfter, ticksCrossed, exhausted }}
+ *          or null when the pool has no usable CLMM state
+ */
+function simulateClmmSwapInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const result = swapInt(pool, tokenInAddr, tokenOutAddr, amountIn, true);
+  if (!result) return null;
+
+  const { amountIn: amountInUsed, ...rest } = result;
+  return { ...rest, amountInUsed };
+}
+
+/**
+ * Exact-output swap in BigInt raw units.
+ *
+ * @returns {{ amountIn, amountOutFilled, sqrtPriceAfterX64, liquidityAfter, ticksCrossed, exhausted }}
+ *          or null when the pool has no usable CLMM state
+ */
+function simulateClmmSwapExactOutInt(pool, tokenInAddr, tokenOutAddr, amountOut) {
+  const result = swapInt(pool, tokenInAddr, tokenOutAddr, amountOut, false);
+  if (!result) return null;
+
+  const { amountOut: amountOutFilled, ...rest } = result;
+  return { ...rest, amountOutFilled };
+}
+
+module.exports = {
+  SQRT_PRICE_SCALE,
+  MIN_TICK,
+  MAX_TICK,
+  tickToSqrtPrice,
+  sqrtPriceToTick,
+  parseSqrtPrice,
+  normalizeTicks,
+  clmmSpotPrice,
+  clmmMarginalPrice,
+  simulateClmmSwap,
+  simulateClmmSwapExactOut,
+  tickToSqrtPriceX64,
+  simulateClmmSwapInt,
+  simulateClmmSwapExactOutInt,
+};
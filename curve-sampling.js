@@ -0,0 +1,178 @@
+/**
+ * Curve Sampling - Adaptive, error-bounded response-curve samples for Phase 2
+ *
+ * The fixed 18-percentage grid (`generateSamplePoints`) ignores route depth:
+ * a shallow route saturates between two samples and its interpolated
+ * marginals are badly off there. Here sampling starts from a coarse doubling
+ * grid (powers of two in raw units, from total/1024 up to the total) and
+ * bisects every interval whose two halves disagree on the marginal rate by
+ * more than `tolerance` × the route's best rate, worst interval first, until
+ * the error is under tolerance or `maxSamples` is spent. A kink (a CLMM
+ * range running out) never converges; intervals below total/65536 are left.
+ *
+ * Grid and midpoint inputs are dyadic rather than fractions of the trade, so
+ * curves for different amounts on the same route land on the same inputs
+ * where their ranges overlap. Samples are cached per route and pool state
+ * (`CurveSampleCache`), and those inputs are never simulated twice; water-fill
+ * and hill-climb on the same routes share all of them. Any change to a pool on
+ * the route (reserves, price, liquidity, ticks) is a different state and
+ * starts from scratch.
+ */
+
+const DEFAULT_TOLERANCE = 0.005;
+const DEFAULT_MAX_SAMPLES = 96;
+const DEFAULT_MAX_ROUTES = 256;
+const LATTICE_SPAN = 1024; // smallest grid sample ≈ total / 1024
+const MIN_INTERVAL_SPAN = 65536; // intervals narrower than total / 65536 are not split (kinks never converge)
+
+// Identity of arrays replaced on every state update (tokens, ticks)
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+function objectId(obj) {
+  if (!obj || typeof obj !== 'object') return 0;
+  if (!objectIds.has(obj)) objectIds.set(obj, nextObjectId++);
+  return objectIds.get(obj);
+}
+
+function poolStateKey(pool) {
+  const reserves = (pool.tokens || []).map(t => t.reserveNum).join(',');
+  return `${pool.addr}:${reserves}:${pool.sqrtPrice ?? ''}:${pool.liquidity ?? ''}:${objectId(pool.ticks)}`;
+}
+
+function routeStateKey(route) {
+  return route.map(hop => `${hop.fromAddr}>${hop.toAddr}@${poolStateKey(hop.pool)}`).join('|');
+}
+
+class CurveSampleCache {
+  constructor({ maxRoutes = DEFAULT_MAX_ROUTES } = {}) {
+    this.maxRoutes = Math.max(1, maxRoutes);
+    this.entries = new Map(); // insertion order = recency (oldest first)
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.counters = { simulations: 0, reused: 0, hits: 0, misses: 0, evictions: 0 };
+  }
+
+  // Sample map (input → gross output) for this route in its current state
+  samplesFor(route) {
+    const key = routeStateKey(route);
+    let samples = this.entries.get(key);
+    if (samples) {
+      this.counters.hits++;
+      this.entries.delete(key);
+    } else {
+      this.counters.misses++;
+      samples = new Map();
+    }
+    this.entries.set(key, samples);
+
+    while (this.entries.size > this.maxRoutes) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+    return samples;
+  }
+
+  stats() {
+    return { ...this.counters, routes: this.entries.size };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const defaultCurveCache = new CurveSampleCache();
+
+/**
+ * Sample `simulate(route, input)` (gross output, raw units) over (0, total].
+ * `cache`: a CurveSampleCache, or null to sample without reuse. Returns
+ * { samples: [{ inputRaw, outputRaw }] ascending, simulations, reused }.
+ */
+function sampleRouteAdaptive(route, totalInputRaw, simulate, options = {}) {
+  const {
+    tolerance = DEFAULT_TOLERANCE,
+    maxSamples = DEFAULT_MAX_SAMPLES,
+    cache = defaultCurveCache,
+  } = options;
+
+  if (!(totalInputRaw > 0)) return { samples: [], simulations: 0, reused: 0 };
+
+  const stored = cache ? cache.samplesFor(route) : new Map();
+  const used = new Map();
+  let simulations = 0;
+  let reused = 0;
+  const evaluate = input => {
+    if (used.has(input)) return used.get(input);
+    let output = stored.get(input);
+    if (output === undefined) {
+      output = simulate(route, input);
+      if (!Number.isFinite(output) || output < 0) output = 0;
+      stored.set(input, output);
+      simulations++;
+    } else {
+      reused++;
+    }
+    used.set(input, output);
+    return output;
+  };
+
+  // Coarse doubling grid, then the total itself
+  const points = [];
+  for (let input = Math.pow(2, Math.floor(Math.log2(totalInputRaw / LATTICE_SPAN))); input < totalInputRaw; input *= 2) {
+    points.push(input);
+  }
+  points.push(totalInputRaw);
+  points.forEach(evaluate);
+
+  const bestRate = used.get(points[0]) / points[0];
+  const intervalError = (a, b) => {
+    const m = (a + b) / 2;
+    const left = (evaluate(m) - used.get(a)) / (m - a);
+    const right = (used.get(b) - used.get(m)) / (b - m);
+    return bestRate > 0 ? Math.abs(left - right) / bestRate : 0;
+  };
+
+  let intervals = [];
+  for (let i = 1; i < points.length; i++) {
+    intervals.push({ a: points[i - 1], b: points[i], error: intervalError(points[i - 1], points[i]) });
+  }
+
+  // Split the worst interval at its (already sampled) midpoint until all are within tolerance
+  while (used.size + 2 <= maxSamples) {
+    let worst = null;
+    for (const interval of intervals) {
+      if (interval.error > tolerance && (!worst || interval.error > worst.error)) worst = interval;
+    }
+    if (!worst) break;
+
+    const m = (worst.a + worst.b) / 2;
+    if (worst.b - worst.a < totalInputRaw / MIN_INTERVAL_SPAN || !(m > worst.a && m < worst.b)) {
+      worst.error = 0;
+      continue;
+    }
+    intervals = intervals.filter(interval => interval !== worst);
+    intervals.push({ a: worst.a, b: m, error: intervalError(worst.a, m) });
+    intervals.push({ a: m, b: worst.b, error: intervalError(m, worst.b) });
+  }
+
+  const samples = [...used.entries()]
+    .map(([inputRaw, outputRaw]) => ({ inputRaw, outputRaw }))
+    .sort((x, y) => x.inputRaw - y.inputRaw);
+
+  if (cache) {
+    cache.counters.simulations += simulations;
+    cache.counters.reused += reused;
+  }
+  return { samples, simulations, reused };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  DEFAULT_MAX_SAMPLES,
+  CurveSampleCache,
+  defaultCurveCache,
+  routeStateKey,
+  sampleRouteAdaptive,
+};
@@ -0,0 +1,377 @@
+/**
+ * est-route-split - Water-fill split requests over a message bus
+ *
+ * The request/response contract of the backend's `sc.est-route-split` topic
+ * (docs/poc-v3/implementation-plan.md, Task 4.2; formats in docs/POC-V3.md):
+ * the caller sends the `routeMatrix` it got with the orderbook plus
+ * `amountIn`, and gets back exact water-fill splits for that amount.
+ *
+ *   request  { key: 'get.request', headers: { correlationId, replyTo? },
+ *              value: { routeMatrix: [[{ poolId, fromIdx, toIdx }, ...], ...],
+ *                       amountIn: '10000', coverPercentage?: 0.4 } }
+ *   reply    { key: 'get.response', headers: { correlationId },
+ *              value: { status: 'ok', result: { splits: [{ routeIdx, amountIn,
+ *                       amountOut, amountInRaw, amountOutRaw, isExceed }],
+ *                       totalInput, totalOutput, totalOutputRaw, improvement,
+ *                       isExceed, algorithm: 'waterfill', elapsedMs } } }
+ *         or { status: 'error', error: { code, message, details } }
+ *
+ * `poolId` is the pool address; `fromIdx` / `toIdx` are token indices in the
+ * pool. The versioned route-matrix.js format (`{ format: 'tapp-route-matrix',
+ * version, tokens, pools, routes }`) is accepted too and decoded strictly.
+ * Amounts are decimal strings in human units of the route's input and
+ * output tokens (`*Raw`: raw integer units). `coverPercentage` bounds each
+ * route at that share of its capacity (`capRaw`, the input that drains 95% of
+ * its tightest hop) while water-filling. The bounds are soft, as for the
+ * router's capacities: input they cannot take is spread back over the legs
+ * pro rata. Legs at or over their bound have `isExceed`, and so does the
+ * reply when any leg does or input is left unfilled (price-impact caps).
+ * `improvement` is the split's output over the best single route for the
+ * full amount.
+ *
+ * Replies echo the request's correlation ID and go to its `replyTo` topic
+ * (default: the request topic, with the response key). Every request gets a
+ * reply; malformed ones get a structured error instead of being dropped.
+ */
+
+const { createConsumer, createProducer, topicName, REQUEST_KEY, RESPONSE_KEY } = require('./message-bus.js');
+const { buildPoolEdges } = require('./routing-graph.js');
+const {
+  ROUTE_MATRIX_ERRORS,
+  RouteMatrixError,
+  tokenAtIndex,
+  poolLookup,
+  isRouteMatrix,
+  decodeRouteMatrix: decodeVersionedMatrix,
+} = require('./route-matrix.js');
+const { parseUnits, formatUnits } = require('./raw-math.js');
+const { simulateRouteInt } = require('./astar-search.js');
+const { optimizeRouteSplittingWaterfill } = require('./phase2-waterfill.js');
+const { silentLogger } = require('./router.js');
+
+const EST_ROUTE_SPLIT_TOPIC = 'sc.est-route-split';
+const MAX_ROUTES = 32;
+const MAX_ROUTE_HOPS = 5;
+const DECIMAL_AMOUNT = /^\d+(\.\d+)?$/;
+
+const ERROR_CODES = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // envelope: no correlation ID or no payload
+  INVALID_REQUEST: 'INVALID_REQUEST', // payload does not match the contract
+  UNKNOWN_POOL: 'UNKNOWN_POOL',       // routeMatrix names a pool we do not hold
+  INVALID_ROUTE: 'INVALID_ROUTE',     // hops do not chain, or routes disagree on endpoints
+  NO_SPLIT: 'NO_SPLIT',               // no route can be simulated at this amount
+  INTERNAL: 'INTERNAL',
+};
+
+class RouteSplitError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Contract check of a request payload. Returns every problem found as
+ * { path, message } (empty when valid).
+ */
+function validateRouteSplitRequest(value) {
+  const problems = [];
+  const problem = (path, message) => problems.push({ path, message });
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    problem('', 'payload must be an object');
+    return problems;
+  }
+
+  const { routeMatrix, amountIn, coverPercentage } = value;
+  if (isRouteMatrix(routeMatrix)) {
+    // Versioned format: shape checked when it is decoded (route-matrix.js)
+    if (Array.isArray(routeMatrix.routes) && routeMatrix.routes.length > MAX_ROUTES) problem('routeMatrix.routes', `at most ${MAX_ROUTES} routes`);
+  } else if (!Array.isArray(routeMatrix) || routeMatrix.length === 0) {
+    problem('routeMatrix', 'must be a non-empty array of routes');
+  } else if (routeMatrix.length > MAX_ROUTES) {
+    problem('routeMatrix', `at most ${MAX_ROUTES} routes`);
+  } else {
+    routeMatrix.forEach((route, r) => {
+      if (!Array.isArray(route) || route.length === 0 || route.length > MAX_ROUTE_HOPS) {
+        problem(`routeMatrix[${r}]`, `must be an array of 1 to ${MAX_ROUTE_HOPS} hops`);
+        return;
+      }
+      route.forEach((hop, h) => {
+        const path = `routeMatrix[${r}][${h}]`;
+        if (!hop || typeof hop !== 'object') return problem(path, 'must be an object');
+        if (typeof hop.poolId !== 'string' || hop.poolId === '') problem(`${path}.poolId`, 'must be a pool address');
+        for (const field of ['fromIdx', 'toIdx']) {
+          if (!Number.isInteger(hop[field]) || hop[field] < 0) problem(`${path}.${field}`, 'must be a non-negative integer');
+        }
+        if (hop.fromIdx === hop.toIdx) problem(path, 'fromIdx and toIdx must differ');
+      });
+    });
+  }
+
+  const amount = typeof amountIn === 'number' && Number.isFinite(amountIn) ? String(amountIn) : amountIn;
+  if (typeof amount !== 'string' || !DECIMAL_AMOUNT.test(amount) || Number(amount) <= 0) {
+    problem('amountIn', 'must be a positive decimal string');
+  }
+  if (coverPercentage !== undefined && coverPercentage !== null
+    && (typeof coverPercentage !== 'number' || !(coverPercentage > 0 && coverPercentage <= 1))) {
+    problem('coverPercentage', 'must be a number in (0, 1]');
+  }
+
+  return problems;
+}
+
+// ============================================================================
+// Route Matrix
+// ============================================================================
+
+// route-matrix.js failures in this contract's error codes, one entry per ROUTE_MATRIX_ERRORS code
+const MATRIX_ERROR_CODES = {
+  [ROUTE_MATRIX_ERRORS.MALFORMED]: ERROR_CODES.INVALID_REQUEST,
+  [ROUTE_MATRIX_ERRORS.UNSUPPORTED_VERSION]: ERROR_CODES.INVALID_REQUEST,
+  [ROUTE_MATRIX_ERRORS.POOL_MISSING]: ERROR_CODES.UNKNOWN_POOL,
+  [ROUTE_MATRIX_ERRORS.TOKEN_MISSING]: ERROR_CODES.INVALID_ROUTE,
+  [ROUTE_MATRIX_ERRORS.DIRECTION_CHANGED]: ERROR_CODES.INVALID_ROUTE,
+  [ROUTE_MATRIX_ERRORS.NOT_ROUTABLE]: ERROR_CODES.INVALID_ROUTE,
+  [ROUTE_MATRIX_ERRORS.POOL_REUSED]: ERROR_CODES.INVALID_ROUTE,
+};
+
+/**
+ * Route matrix → routes in the A* shape ({ pool, poolId, fromAddr, toAddr,
+ * dxCapRaw, reserveIn } hops, `capRaw` per route). Takes the versioned
+ * route-matrix.js format or the plain `[[{ poolId, fromIdx, toIdx }]]` form.
+ * Throws RouteSplitError when a pool is unknown, a token index is not in its
+ * pool, hops do not chain, or routes do not share one source and target token.
+ */
+function decodeRouteMatrix(routeMatrix, getPool) {
+  if (isRouteMatrix(routeMatrix)) {
+    try {
+      return decodeVersionedMatrix(routeMatrix, getPool);
+    } catch (err) {
+      if (!(err instanceof RouteMatrixError)) throw err;
+      throw new RouteSplitError(MATRIX_ERROR_CODES[err.code] ?? ERROR_CODES.INTERNAL, err.message, { reason: err.code, ...err.details });
+    }
+  }
+
+  const routes = routeMatrix.map((hops, r) => {
+    const seenPools = new Set();
+    const route = hops.map((hop, h) => {
+      const where = { routeIdx: r, hopIdx: h, poolId: hop.poolId };
+      const pool = getPool(hop.poolId);
+      if (!pool) throw new RouteSplitError(ERROR_CODES.UNKNOWN_POOL, `Pool ${hop.poolId} is not known`, where);
+      if (seenPools.has(pool.addr)) throw new RouteSplitError(ERROR_CODES.INVALID_ROUTE, `Route ${r} uses pool ${hop.poolId} twice`, where);
+      seenPools.add(pool.addr);
+
+      const from = tokenAtIndex(pool, hop.fromIdx);
+      const to = tokenAtIndex(pool, hop.toIdx);
+      if (!from || !to) {
+        throw new RouteSplitError(ERROR_CODES.INVALID_ROUTE, `Pool ${hop.poolId} has no token at index ${from ? hop.toIdx : hop.fromIdx}`, where);
+      }
+      const edge = buildPoolEdges(pool, pool.addr).find(e => e.from === from.addr && e.to === to.addr);
+      if (!edge) throw new RouteSplitError(ERROR_CODES.INVALID_ROUTE, `Pool ${hop.poolId} cannot swap ${from.symbol} → ${to.symbol}`, where);
+
+      return { pool, poolId: pool.addr, fromAddr: from.addr, toAddr: to.addr, dxCapRaw: edge.dxCapRaw, reserveIn: edge.reserveIn };
+    });
+
+    for (let h = 1; h < route.length; h++) {
+      if (route[h].fromAddr !== route[h - 1].toAddr) {
+        throw new RouteSplitError(ERROR_CODES.INVALID_ROUTE, `Route ${r} hop ${h} does not start where hop ${h - 1} ends`, { routeIdx: r, hopIdx: h });
+      }
+    }
+    route.capRaw = Math.min(...route.map(hop => hop.dxCapRaw));
+    return route;
+  });
+
+  const sourceAddr = routes[0][0].fromAddr;
+  const targetAddr = routes[0][routes[0].length - 1].toAddr;
+  routes.forEach((route, r) => {
+    if (route[0].fromAddr !== sourceAddr || route[route.length - 1].toAddr !== targetAddr) {
+      throw new RouteSplitError(ERROR_CODES.INVALID_ROUTE, `Route ${r} does not go from the same source to the same target as route 0`, { routeIdx: r });
+    }
+  });
+
+  const tokenOf = addr => routes[0].flatMap(hop => hop.pool.tokens).find(t => t.addr === addr);
+  return { routes, sourceToken: tokenOf(sourceAddr), targetToken: tokenOf(targetAddr) };
+}
+
+// ============================================================================
+// Handler
+// ============================================================================
+
+/**
+ * Water-fill split of a validated request. Options: graph or pools (pool
+ * lookup), gasPerHopUSD and targetTokenUSDPrice (default: no gas),
+ * impactLimits, curveSampling, curveTolerance, verbose, logger.
+ */
+function estRouteSplit(request, options = {}) {
+  const {
+    gasPerHopUSD = 0,
+    targetTokenUSDPrice = 1,
+    impactLimits = null,
+    curveSampling = 'adaptive',
+    curveTolerance = 0.005,
+    verbose = false,
+    logger = console,
+  } = options;
+  const started = performance.now();
+  const getPool = options.getPool || poolLookup(options.graph || options.pools || []);
+
+  const problems = validateRouteSplitRequest(request);
+  if (problems.length > 0) {
+    throw new RouteSplitError(ERROR_CODES.INVALID_REQUEST, `Invalid est-route-split request: ${problems.map(p => `${p.path || 'payload'} ${p.message}`).join('; ')}`, { problems });
+  }
+
+  const { routes, sourceToken, targetToken } = decodeRouteMatrix(request.routeMatrix, getPool);
+  const amountInRawInt = parseUnits(String(request.amountIn), sourceToken.decimals);
+  if (amountInRawInt <= 0n) {
+    throw new RouteSplitError(ERROR_CODES.INVALID_REQUEST, `amountIn ${request.amountIn} is below one raw unit of ${sourceToken.symbol}`, { problems: [{ path: 'amountIn', message: 'below one raw unit' }] });
+  }
+  const amountInHuman = Number(amountInRawInt) / Math.pow(10, sourceToken.decimals);
+  const cover = request.coverPercentage ?? null;
+  const coverCaps = routes.map(route => (cover !== null ? route.capRaw * cover : route.capRaw));
+
+  const result = optimizeRouteSplittingWaterfill(routes, amountInHuman, sourceToken, targetToken, {
+    steps: 18,
+    chunkCoarse: 0.05,
+    chunkFine: 0.001,
+    maxIterations: 5000,
+    tol: 1e-10,
+    minPct: 0.001,
+    maxHops: Math.max(...routes.map(route => route.length)),
+    gasPerHopUSD,
+    targetTokenUSDPrice,
+    routeCapacities: coverCaps,
+    enableCapacityConstraints: cover !== null,
+    minMarginalRatioFilter: 0.50,
+    curveSampling,
+    curveTolerance,
+    impactLimits,
+    totalInputRawInt: amountInRawInt,
+    verbose,
+    logger: verbose ? logger : silentLogger,
+  });
+  if (!result || result.routes.length === 0) {
+    throw new RouteSplitError(ERROR_CODES.NO_SPLIT, `No route in the matrix can swap ${request.amountIn} ${sourceToken.symbol}`);
+  }
+
+  // Best single route for the whole amount, net of the same per-hop gas
+  const gasPerHopRaw = (gasPerHopUSD / targetTokenUSDPrice) * Math.pow(10, targetToken.decimals);
+  const singleRouteOutputs = routes.map(route => {
+    const out = simulateRouteInt(route, amountInRawInt) ?? 0n;
+    const gas = BigInt(Math.ceil(route.length * gasPerHopRaw));
+    return out > gas ? out - gas : 0n;
+  });
+  const bestSingleRawInt = singleRouteOutputs.reduce((best, out) => (out > best ? out : best), 0n);
+  const improvement = bestSingleRawInt > 0n
+    ? `${((Number(result.totalOutputRawInt) / Number(bestSingleRawInt) - 1) * 100).toFixed(2)}%`
+    : null;
+
+  // Legs never spend more than the caller authorised, and all of it unless input was left unfilled
+  const legsRawInt = result.routes.reduce((sum, leg) => sum + leg.inputRawInt, 0n);
+  if (legsRawInt !== result.totalInputRawInt || legsRawInt > amountInRawInt || (!(result.priceImpact?.unfilledRaw > 0) && legsRawInt !== amountInRawInt)) {
+    throw new RouteSplitError(ERROR_CODES.INTERNAL, `Split legs spend ${legsRawInt} raw units of ${sourceToken.symbol}, requested ${amountInRawInt}`);
+  }
+
+  const splits = result.routes.map(leg => {
+    const routeIdx = routes.indexOf(leg.route);
+    return {
+      routeIdx,
+      amountIn: formatUnits(leg.inputRawInt, sourceToken.decimals),
+      amountOut: formatUnits(leg.outputRawInt, targetToken.decimals),
+      amountInRaw: leg.inputRawInt.toString(),
+      amountOutRaw: leg.outputRawInt.toString(),
+      isExceed: cover !== null && leg.inputRaw >= coverCaps[routeIdx] * (1 - 1e-9),
+    };
+  }).sort((a, b) => a.routeIdx - b.routeIdx);
+
+  return {
+    splits,
+    totalInput: formatUnits(result.totalInputRawInt, sourceToken.decimals),
+    totalOutput: formatUnits(result.totalOutputRawInt, targetToken.decimals),
+    totalOutputRaw: result.totalOutputRawInt.toString(),
+    improvement,
+    isExceed: splits.some(split => split.isExceed) || result.totalInputRawInt < amountInRawInt,
+    algorithm: 'waterfill',
+    elapsedMs: performance.now() - started,
+  };
+}
+
+function errorReply(err) {
+  const known = err instanceof RouteSplitError;
+  return {
+    status: 'error',
+    error: {
+      code: known ? err.code : ERROR_CODES.INTERNAL,
+      message: known ? err.message : `Route split failed: ${err.message}`,
+      details: known ? err.details : null,
+    },
+  };
+}
+
+/**
+ * One request message → its reply message ({ key, headers, value }). Never
+ * throws: failures become error replies, with `correlationId` null when the
+ * request had none.
+ */
+function handleEstRouteSplitMessage(message, options = {}) {
+  const { logger = console } = options;
+  const correlationId = message?.headers?.correlationId ?? null;
+  const reply = value => ({ key: RESPONSE_KEY, headers: { correlationId }, value });
+
+  if (typeof correlationId !== 'string' || correlationId === '') {
+    return reply(errorReply(new RouteSplitError(ERROR_CODES.INVALID_MESSAGE, 'Request has no correlationId header')));
+  }
+  if (message.value === undefined || message.value === null) {
+    return reply(errorReply(new RouteSplitError(ERROR_CODES.INVALID_MESSAGE, 'Request has no payload')));
+  }
+
+  try {
+    return reply({ status: 'ok', result: estRouteSplit(message.value, options) });
+  } catch (err) {
+    if (!(err instanceof RouteSplitError)) logger.error(`❌ est-route-split ${correlationId}: ${err.stack || err.message}`);
+    return reply(errorReply(err));
+  }
+}
+
+/**
+ * Serve est-route-split requests from `broker`. Consumes `get.request`
+ * messages on `{env}.sc.est-route-split` (or `options.topic`) and publishes
+ * each reply to the request's `replyTo` header or back to the same topic.
+ * Options as estRouteSplit, plus env / topic. Returns { topic, stop }.
+ */
+function startEstRouteSplitConsumer(broker, options = {}) {
+  const { env = null, logger = console } = options;
+  const topic = options.topic || topicName(EST_ROUTE_SPLIT_TOPIC, env);
+  const replies = new Map(); // reply topic → producer
+
+  const consumer = createConsumer(broker, topic, async message => {
+    const reply = handleEstRouteSplitMessage(message, options);
+    const replyTopic = message.headers?.replyTo || topic;
+    if (!replies.has(replyTopic)) replies.set(replyTopic, createProducer(broker, replyTopic));
+    await replies.get(replyTopic).send(reply);
+    const { status, result, error } = reply.value;
+    logger.log(status === 'ok'
+      ? `🔀 est-route-split ${reply.headers.correlationId}: ${result.splits.length} legs, ${result.totalOutput} out (${result.improvement ?? 'n/a'} vs best route) in ${result.elapsedMs.toFixed(1)}ms`
+      : `⚠️  est-route-split ${reply.headers.correlationId}: ${error.code} ${error.message}`);
+  }, { key: REQUEST_KEY });
+
+  return { topic, stop: consumer.stop };
+}
+
+module.exports = {
+  EST_ROUTE_SPLIT_TOPIC,
+  MAX_ROUTES,
+  MAX_ROUTE_HOPS,
+  ERROR_CODES,
+  RouteSplitError,
+  validateRouteSplitRequest,
+  decodeRouteMatrix,
+  estRouteSplit,
+  handleEstRouteSplitMessage,
+  startEstRouteSplitConsumer,
+};
@@ -0,0 +1,133 @@
+/**
+ * Heuristic Cache - Versioned LRU cache for A* reverse-Dijkstra heuristics
+ *
+ * Entries are keyed by graph, target and gas penalty, and validated against
+ * the graph state they were computed on, never by node/edge counts (a reserve
+ * change moves edge weights without changing the topology):
+ *
+ * - RoutingGraph (routing-graph.js): `graphId` + monotonically increasing
+ *   `version`. An entry from an older version of the same graph can be patched
+ *   using `graph.changedTokensSince(version)` instead of recomputed.
+ * - Plain adjacency maps: a hash over every edge's heuristic weight input
+ *   (`adjacencyWeightHash`); any mismatch means a full recompute.
+ *
+ * Least recently used entries are evicted past `maxEntries`, so a long-running
+ * process can serve many targets with bounded memory.
+ */
+
+const DEFAULT_MAX_ENTRIES = 16;
+
+/**
+ * FNV-1a hash over (from, to, pool, logSpotPrice) of every edge: the only
+ * inputs of the reverse-Dijkstra weights.
+ */
+function adjacencyWeightHash(adj) {
+  let hash = 0x811c9dc5;
+  const mix = str => {
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  };
+
+  for (const [from, edges] of adj) {
+    mix(from);
+    for (const edge of edges) {
+      mix(`>${edge.to}:${edge.poolId}:${edge.logSpotPrice}`);
+    }
+    mix(';');
+  }
+  return `h${hash.toString(16)}`;
+}
+
+class HeuristicCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = Math.max(1, maxEntries);
+    this.entries = new Map(); // insertion order = recency (oldest first)
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.counters = {
+      lookups: 0,
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      partialRecomputes: 0,
+      fullRecomputes: 0,
+      patchedTokens: 0,
+      evictions: 0,
+    };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Look up `key` for graph state `{ graphId, version }`.
+   * Returns { status: 'hit' | 'stale' | 'miss', entry }; a stale entry belongs
+   * to another version (or hash) and must be patched or recomputed.
+   */
+  lookup(key, { graphId = null, version }) {
+    this.counters.lookups++;
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.counters.misses++;
+      return { status: 'miss', entry: null };
+    }
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (entry.graphId === graphId && entry.version === version) {
+      this.counters.hits++;
+      return { status: 'hit', entry };
+    }
+
+    this.counters.staleHits++;
+    return { status: 'stale', entry };
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+    return entry;
+  }
+
+  recordRecompute(kind, patchedTokens = 0) {
+    if (kind === 'partial') {
+      this.counters.partialRecomputes++;
+      this.counters.patchedTokens += patchedTokens;
+    } else {
+      this.counters.fullRecomputes++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    const { lookups, hits, staleHits } = this.counters;
+    return {
+      ...this.counters,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups > 0 ? hits / lookups : 0,
+      staleRate: lookups > 0 ? staleHits / lookups : 0,
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_ENTRIES,
+  HeuristicCache,
+  adjacencyWeightHash,
+};
@@ -0,0 +1,200 @@
+/**
+ * Joint Simulation - Split legs simulated against shared, mutable pool state
+ *
+ * Simulating each leg of a split on its own quotes every leg against the same
+ * starting reserves. When two legs pass through the same pool, the second one
+ * is quoted as if the first had not moved the price, and the total is
+ * overstated. Here the legs execute one after another, in route order, against
+ * copies of the pools they touch: each trade moves its pool (`applySwap` in
+ * pool-models.js) before the next leg is quoted. Legs that share no pool get
+ * exactly their standalone output, so the joint total only differs where the
+ * split overlaps.
+ *
+ * Both splitters optimize against `jointNetOutput`; results flag the pools
+ * used by more than one leg (`findSharedPools`).
+ */
+
+const { applySwap, applySwapInt, quoteInInt } = require('./pool-models.js');
+
+// Shallow copy; trades replace `tokens` (and CLMM price/liquidity) instead of mutating them
+function clonePool(pool) {
+  return Object.assign(Object.create(Object.getPrototypeOf(pool)), pool);
+}
+
+function createPoolState() {
+  const pools = new Map();
+  return pool => {
+    let copy = pools.get(pool.addr);
+    if (!copy) {
+      copy = clonePool(pool);
+      pools.set(pool.addr, copy);
+    }
+    return copy;
+  };
+}
+
+const isActive = amount => (typeof amount === 'bigint' ? amount > 0n : amount > 0);
+
+/**
+ * Pools used by more than one leg with a non-zero allocation (all legs when
+ * `allocations` is omitted): [{ poolAddr, routeIdxs, directions, opposing }].
+ * `opposing` marks legs trading the pool in both directions.
+ */
+function findSharedPools(routes, allocations = null) {
+  const usage = new Map();
+  routes.forEach((route, routeIdx) => {
+    if (allocations && !isActive(allocations[routeIdx])) return;
+    for (const hop of route) {
+      const entry = usage.get(hop.pool.addr) || { poolAddr: hop.pool.addr, routeIdxs: [], directions: new Set() };
+      if (!entry.routeIdxs.includes(routeIdx)) entry.routeIdxs.push(routeIdx);
+      entry.directions.add(`${hop.fromAddr}>${hop.toAddr}`);
+      usage.set(hop.pool.addr, entry);
+    }
+  });
+
+  return [...usage.values()]
+    .filter(entry => entry.routeIdxs.length > 1)
+    .map(entry => ({
+      poolAddr: entry.poolAddr,
+      routeIdxs: entry.routeIdxs,
+      directions: [...entry.directions],
+      opposing: entry.directions.size > 1,
+    }));
+}
+
+// Per-leg outputs (float raw units), legs applied in route order
+function simulateRoutesJoint(routes, allocations) {
+  const poolFor = createPoolState();
+  return routes.map((route, i) => {
+    let amount = allocations[i];
+    if (!(amount > 0)) return 0;
+    for (const hop of route) {
+      amount = applySwap(poolFor(hop.pool), hop.fromAddr, hop.toAddr, amount);
+      if (!(amount > 0)) return 0;
+    }
+    return amount;
+  });
+}
+
+// Per-leg outputs on the exact-integer path (BigInt raw units)
+function simulateRoutesJointInt(routes, allocationsInt) {
+  const poolFor = createPoolState();
+  return routes.map((route, i) => {
+    let amount = allocationsInt[i];
+    if (amount <= 0n) return 0n;
+    for (const hop of route) {
+      amount = applySwapInt(poolFor(hop.pool), hop.fromAddr, hop.toAddr, amount);
+      if (amount === 0n) return 0n;
+    }
+    return amount;
+  });
+}
+
+// Per-leg hop trace [{ amountIn, amountOut }] in route order; BigInt allocations take the integer path
+function simulateRoutesJointHops(routes, allocations) {
+  const poolFor = createPoolState();
+  return routes.map((route, i) => {
+    const hops = [];
+    let amount = allocations[i];
+    if (!isActive(amount)) return hops;
+    for (const hop of route) {
+      const swap = typeof amount === 'bigint' ? applySwapInt : applySwap;
+      const amountOut = swap(poolFor(hop.pool), hop.fromAddr, hop.toAddr, amount);
+      hops.push({ amountIn: amount, amountOut });
+      if (!isActive(amountOut)) break;
+      amount = amountOut;
+    }
+    return hops;
+  });
+}
+
+/**
+ * Exact-output legs in route order: each leg's input is solved backwards on
+ * the state left by the legs before it, then the leg is applied forwards.
+ * Returns per-leg inputs (BigInt), null for a leg that cannot deliver.
+ */
+function simulateRoutesJointExactOutInt(routes, outputsInt) {
+  const poolFor = createPoolState();
+  return routes.map((route, i) => {
+    if (outputsInt[i] <= 0n) return 0n;
+
+    let amountIn = outputsInt[i];
+    for (let h = route.length - 1; h >= 0; h--) {
+      const hop = route[h];
+      amountIn = quoteInInt(poolFor(hop.pool), hop.fromAddr, hop.toAddr, amountIn);
+      if (amountIn === null) return null;
+    }
+
+    let amount = amountIn;
+    for (const hop of route) {
+      amount = applySwapInt(poolFor(hop.pool), hop.fromAddr, hop.toAddr, amount);
+    }
+    return amountIn;
+  });
+}
+
+// Total output net of per-route gas: the splitters' objective
+function jointNetOutput(routes, allocations, gasPerHopRaw) {
+  const outputs = simulateRoutesJoint(routes, allocations);
+  let total = 0;
+  for (let i = 0; i < routes.length; i++) {
+    if (!(allocations[i] > 0)) continue;
+    total += Math.max(0, outputs[i] - routes[i].length * gasPerHopRaw);
+  }
+  return total;
+}
+
+/**
+ * Local search on the joint objective: move `deltaPct` of the input between
+ * pairs of legs while the total improves, halving the step down to
+ * `minDeltaPct`. Used after curve-based allocation, whose per-route response
+ * curves cannot see pools shared between legs.
+ */
+function refineAllocationJoint(routes, allocations, gasPerHopRaw, options = {}) {
+  const { deltaPct = 0.01, minDeltaPct = 0.0005, maxIterations = 200 } = options;
+  const current = allocations.slice();
+  const totalInput = current.reduce((sum, amt) => sum + amt, 0);
+  const startOutput = jointNetOutput(routes, current, gasPerHopRaw);
+  let output = startOutput;
+  let delta = totalInput * deltaPct;
+  let iterations = 0;
+
+  while (iterations < maxIterations && delta >= totalInput * minDeltaPct) {
+    iterations++;
+    let best = null;
+    for (let from = 0; from < routes.length; from++) {
+      const step = Math.min(delta, current[from]);
+      if (!(step > 0)) continue;
+      for (let to = 0; to < routes.length; to++) {
+        if (to === from) continue;
+        current[from] -= step;
+        current[to] += step;
+        const candidate = jointNetOutput(routes, current, gasPerHopRaw);
+        if (candidate > (best ? best.output : output)) best = { from, to, step, output: candidate };
+        current[to] -= step;
+        current[from] += step;
+      }
+    }
+
+    if (best) {
+      current[best.from] -= best.step;
+      current[best.to] += best.step;
+      output = best.output;
+    } else {
+      delta /= 2;
+    }
+  }
+
+  return { allocations: current, outputRaw: output, gainRaw: output - startOutput, iterations };
+}
+
+module.exports = {
+  clonePool,
+  findSharedPools,
+  simulateRoutesJoint,
+  simulateRoutesJointInt,
+  simulateRoutesJointHops,
+  simulateRoutesJointExactOutInt,
+  jointNetOutput,
+  refineAllocationJoint,
+};
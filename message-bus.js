@@ -0,0 +1,190 @@
+/**
+ * Message Bus - Broker-agnostic producer/consumer interface
+ *
+ * Backend request handlers (est-route-split.js) talk to a `MessageBroker`
+ * instead of a Kafka client, so the same handler runs against Kafka in the
+ * backend and against `InMemoryBroker` here. A message is
+ * `{ key, headers, value }`, as in the backend topics: `key` tells requests
+ * (`get.request`) from replies (`get.response`) on a shared topic, `headers`
+ * carries `correlationId`, and `value` is the JSON payload.
+ *
+ * Adapters implement publish(topic, message), subscribe(topic, handler) →
+ * unsubscribe, and close(). `createProducer` / `createConsumer` bind a topic;
+ * `createRequester` is the caller's side (the Display Engine in the backend
+ * flow): it publishes with a fresh correlation ID and resolves with the reply
+ * that echoes it.
+ */
+
+const { randomUUID } = require('crypto');
+
+const REQUEST_KEY = 'get.request';
+const RESPONSE_KEY = 'get.response';
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+
+// Topic names carry the deployment environment as a prefix ({env}.sc.est-swap2)
+function topicName(base, env = null) {
+  return env ? `${env}.${base}` : base;
+}
+
+// ============================================================================
+// Brokers
+// ============================================================================
+
+class MessageBroker {
+  async publish(topic, message) {
+    throw new Error(`${this.constructor.name} must implement publish()`);
+  }
+
+  // handler(message, topic) may be async; returns an unsubscribe function
+  subscribe(topic, handler) {
+    throw new Error(`${this.constructor.name} must implement subscribe()`);
+  }
+
+  async close() {}
+}
+
+/**
+ * In-process broker for tests and local prototyping. Delivery is
+ * asynchronous and in publish order per subscriber (one message at a time,
+ * like a consumer on a single partition). Every published message is kept in
+ * `published(topic)`. A handler that throws is reported to `onError` and
+ * does not stop delivery.
+ */
+class InMemoryBroker extends MessageBroker {
+  constructor({ onError = (err, topic) => console.error(`❌ Handler on ${topic} failed: ${err.message}`) } = {}) {
+    super();
+    this.subscribers = new Map(); // topic → Set of { handler, queue: Promise }
+    this.log = new Map();         // topic → published messages
+    this.onError = onError;
+    this.closed = false;
+  }
+
+  async publish(topic, message) {
+    if (this.closed) throw new Error('Broker is closed');
+    const copy = JSON.parse(JSON.stringify({ key: null, headers: {}, ...message }));
+    if (!this.log.has(topic)) this.log.set(topic, []);
+    this.log.get(topic).push(copy);
+
+    for (const subscriber of this.subscribers.get(topic) || []) {
+      subscriber.queue = subscriber.queue
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => (subscriber.active ? subscriber.handler(copy, topic) : undefined))
+        .catch(err => this.onError(err, topic));
+    }
+  }
+
+  subscribe(topic, handler) {
+    if (!this.subscribers.has(topic)) this.subscribers.set(topic, new Set());
+    const subscriber = { handler, queue: Promise.resolve(), active: true };
+    this.subscribers.get(topic).add(subscriber);
+    return () => {
+      subscriber.active = false;
+      this.subscribers.get(topic).delete(subscriber);
+    };
+  }
+
+  published(topic) {
+    return this.log.get(topic) || [];
+  }
+
+  // Resolves once every message has been handled, including replies published while draining
+  async drain() {
+    const queues = () => [...this.subscribers.values()].flatMap(set => [...set].map(s => s.queue));
+    let pending = queues();
+    for (;;) {
+      await Promise.all(pending);
+      const next = queues();
+      if (next.every((queue, i) => queue === pending[i]) && next.length === pending.length) return;
+      pending = next;
+    }
+  }
+
+  async close() {
+    await this.drain();
+    this.closed = true;
+    this.subscribers.clear();
+  }
+}
+
+// ============================================================================
+// Producer / Consumer
+// ============================================================================
+
+function createProducer(broker, topic) {
+  return {
+    topic,
+    send: message => broker.publish(topic, message),
+  };
+}
+
+// Only messages with `key` (when given) reach the handler
+function createConsumer(broker, topic, handler, { key = null } = {}) {
+  const unsubscribe = broker.subscribe(topic, (message, from) => (key === null || message.key === key ? handler(message, from) : undefined));
+  return {
+    topic,
+    stop: unsubscribe,
+  };
+}
+
+/**
+ * Request/reply over a broker: `request(value)` publishes `{ key: requestKey,
+ * headers: { correlationId }, value }` to `topic` and resolves with the first
+ * `responseKey` message on `replyTopic` (default: `topic`) that echoes the
+ * correlation ID. Rejects after `timeoutMs`.
+ */
+function createRequester(broker, topic, options = {}) {
+  const {
+    replyTopic = topic,
+    requestKey = REQUEST_KEY,
+    responseKey = RESPONSE_KEY,
+    timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+    newCorrelationId = randomUUID,
+  } = options;
+  const pending = new Map(); // correlationId → { resolve, reject, timer }
+
+  const consumer = createConsumer(broker, replyTopic, message => {
+    const waiter = pending.get(message.headers?.correlationId);
+    if (!waiter) return;
+    clearTimeout(waiter.timer);
+    pending.delete(message.headers.correlationId);
+    waiter.resolve(message);
+  }, { key: responseKey });
+
+  function request(value, { correlationId = newCorrelationId(), headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(correlationId);
+        reject(new Error(`No reply to ${correlationId} on ${replyTopic} within ${timeoutMs}ms`));
+      }, timeoutMs);
+      pending.set(correlationId, { resolve, reject, timer });
+      broker.publish(topic, { key: requestKey, headers: { ...headers, correlationId }, value }).catch(err => {
+        clearTimeout(timer);
+        pending.delete(correlationId);
+        reject(err);
+      });
+    });
+  }
+
+  function stop() {
+    consumer.stop();
+    for (const [correlationId, { reject, timer }] of pending) {
+      clearTimeout(timer);
+      reject(new Error(`Requester stopped before the reply to ${correlationId}`));
+    }
+    pending.clear();
+  }
+
+  return { request, stop, pending: () => pending.size };
+}
+
+module.exports = {
+  REQUEST_KEY,
+  RESPONSE_KEY,
+  DEFAULT_REQUEST_TIMEOUT_MS,
+  topicName,
+  MessageBroker,
+  InMemoryBroker,
+  createProducer,
+  createConsumer,
+  createRequester,
+};
@@ -0,0 +1,344 @@
+/**
+ * Orderbook - Ladders by sampling and interpolation
+ *
+ * docs/POC-V3.md (Task 1.2) replaces chunked orderbook generation, which only
+ * handled 2-hop routes, with sampling + interpolation. Each route's response
+ * curve is sampled once up to the ladder depth (`buildResponseCurve`,
+ * adaptive by default: curve-sampling.js), and every level is read off the
+ * curves by interpolation. An entry takes the best single route at its size;
+ * splitting one amount over routes is the separate est-route-split request.
+ *
+ * Grids (`priceLevelGrid` / `amountLevelGrid`):
+ *   { priceLevelsBps }   marginal price levels, in bps below the best spot
+ *                        rate; an entry is the cumulative input at which the
+ *                        marginal price falls to its level
+ *   { amounts }          cumulative inputs (human units of the input token)
+ *
+ * Entries are { level, amountIn, amountOut, avgPrice, marginalPrice, routeIdx,
+ * isExceed } in human units, prices in output per input token. `isExceed`
+ * marks entries past their route's capacity (`capRaw`). Depth is the largest
+ * cumulative input the ladder covers; precision is the curve sampling
+ * (`tolerance`, `maxSamples`, or `curveSampling: 'fixed'`). `ladderAccuracy`
+ * replays every entry with direct simulation.
+ *
+ * Spot, average and marginal prices are all net of fees and gas, like the
+ * curves. The spot price is the best net average rate, reached at
+ * `minAmountIn`; below that size gas still outweighs price impact, so the
+ * average rate rises with size and no ladder level fits there. From
+ * `minAmountIn` on, prices fall with size and the marginal price stays at or
+ * below the average. Without gas, `minAmountIn` is a tiny fraction of depth.
+ */
+
+const { performance } = require('perf_hooks');
+const { simulateRoute } = require('./astar-search.js');
+const { buildResponseCurve } = require('./phase2-waterfill.js');
+const { DEFAULT_TOLERANCE, DEFAULT_MAX_SAMPLES } = require('./curve-sampling.js');
+
+const DEFAULT_LEVELS = 20;      // order_book_sample_rate in the backend config
+const DEFAULT_STEP_BPS = 10;
+const SPOT_FRACTION = 1e-6;     // spot rate: simulated at depth × SPOT_FRACTION
+const BISECTION_STEPS = 48;
+
+// ============================================================================
+// Grids
+// ============================================================================
+
+// `levels` marginal price levels, `stepBps` apart, below the spot rate
+function priceLevelGrid({ levels = DEFAULT_LEVELS, stepBps = DEFAULT_STEP_BPS } = {}) {
+  if (!(levels >= 1) || !(stepBps > 0) || levels * stepBps >= 10000) {
+    throw new Error(`Invalid price grid: ${levels} levels of ${stepBps} bps`);
+  }
+  return { priceLevelsBps: Array.from({ length: levels }, (_, i) => (i + 1) * stepBps) };
+}
+
+// `levels` cumulative inputs up to `depth`: evenly spaced, or geometric from depth / 1024
+function amountLevelGrid(depth, { levels = DEFAULT_LEVELS, spacing = 'linear' } = {}) {
+  if (!(depth > 0) || !(levels >= 1)) throw new Error(`Invalid amount grid: ${levels} levels to depth ${depth}`);
+  if (spacing === 'linear') return { amounts: Array.from({ length: levels }, (_, i) => (depth * (i + 1)) / levels) };
+  if (spacing === 'geometric') {
+    const ratio = levels > 1 ? Math.pow(1024, 1 / (levels - 1)) : 1;
+    return { amounts: Array.from({ length: levels }, (_, i) => depth / Math.pow(ratio, levels - 1 - i)) };
+  }
+  throw new Error(`Unknown grid spacing "${spacing}" (expected linear or geometric)`);
+}
+
+// ============================================================================
+// Curve interpolation
+// ============================================================================
+
+// Net output at `inputRaw`: linear between samples, from the origin below the first, flat past the last
+function outputAt(curve, inputRaw) {
+  if (curve.length === 0 || inputRaw <= 0) return 0;
+  if (inputRaw <= curve[0].inputRaw) return curve[0].outputRaw * (inputRaw / curve[0].inputRaw);
+  let lo = 0;
+  let hi = curve.length - 1;
+  if (inputRaw >= curve[hi].inputRaw) return curve[hi].outputRaw;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (curve[mid].inputRaw <= inputRaw) lo = mid;
+    else hi = mid;
+  }
+  const p0 = curve[lo];
+  const p1 = curve[hi];
+  return p0.outputRaw + (p1.outputRaw - p0.outputRaw) * ((inputRaw - p0.inputRaw) / (p1.inputRaw - p0.inputRaw));
+}
+
+/**
+ * Marginal rate at `inputRaw`. A segment's slope is the marginal at its
+ * midpoint, so rates are interpolated between segment midpoints; zero past
+ * a curve that stopped at its capacity.
+ */
+function marginalAt(curve, inputRaw) {
+  if (curve.length === 0) return 0;
+  const last = curve[curve.length - 1];
+  if (inputRaw > last.inputRaw && curve.saturated) return 0;
+
+  let prevMid = null;
+  let prevSlope = null;
+  let prevIn = 0;
+  let prevOut = 0;
+  for (const point of curve) {
+    const slope = point.inputRaw > prevIn ? (point.outputRaw - prevOut) / (point.inputRaw - prevIn) : 0;
+    const mid = (prevIn + point.inputRaw) / 2;
+    if (inputRaw <= mid) {
+      if (prevMid === null) return slope;
+      return prevSlope + (slope - prevSlope) * ((inputRaw - prevMid) / (mid - prevMid));
+    }
+    prevMid = mid;
+    prevSlope = slope;
+    prevIn = point.inputRaw;
+    prevOut = point.outputRaw;
+  }
+  return prevSlope;
+}
+
+// Best route at `inputRaw` over all curves → { routeIdx, outputRaw, marginalRaw }
+function envelopeAt(curves, inputRaw) {
+  let best = { routeIdx: -1, outputRaw: 0, marginalRaw: 0 };
+  curves.forEach((curve, routeIdx) => {
+    const outputRaw = outputAt(curve, inputRaw);
+    if (best.routeIdx < 0 || outputRaw > best.outputRaw) best = { routeIdx, outputRaw, marginalRaw: 0 };
+  });
+  if (best.routeIdx >= 0) best.marginalRaw = marginalAt(curves[best.routeIdx], inputRaw);
+  return best;
+}
+
+// ============================================================================
+// Ladder
+// ============================================================================
+
+/**
+ * Ladder for `routes` (A* routes from sourceToken to targetToken) over
+ * `grid`. Options: depth (human units of input; default: the largest grid
+ * amount, required for a price grid), curveSampling ('adaptive' | 'fixed'),
+ * tolerance, maxSamples, cache (CurveSampleCache, null for none),
+ * gasPerHopInOutputTokensRaw. Returns { grid ('price' | 'amount'), entries,
+ * depth, spotPrice, minAmountIn, belowMinimum (grid amounts under
+ * minAmountIn, left out), truncated (price levels not reached within depth),
+ * sampling, elapsedMs }.
+ */
+function buildOrderbookLadder(routes, sourceToken, targetToken, grid, options = {}) {
+  const start = performance.now();
+  const {
+    curveSampling = 'adaptive',
+    tolerance = DEFAULT_TOLERANCE,
+    maxSamples = DEFAULT_MAX_SAMPLES,
+    gasPerHopInOutputTokensRaw = 0,
+  } = options;
+  const isPriceGrid = Array.isArray(grid?.priceLevelsBps);
+  if (!isPriceGrid && !Array.isArray(grid?.amounts)) throw new Error('Orderbook grid needs priceLevelsBps or amounts');
+  if (routes.length === 0) throw new Error('Orderbook ladder needs at least one route');
+
+  const depth = options.depth ?? (isPriceGrid ? undefined : Math.max(...grid.amounts));
+  if (!(depth > 0)) throw new Error(`Orderbook depth must be a positive amount (got ${depth})`);
+  const inScale = Math.pow(10, sourceToken.decimals);
+  const outScale = Math.pow(10, targetToken.decimals);
+  const depthRaw = depth * inScale;
+  const toPrice = rateRaw => (rateRaw * inScale) / outScale;
+
+  // One curve per route over (0, depth]; `saturated` when it stopped at the route's capacity
+  const sampling = { mode: curveSampling, tolerance, maxSamples };
+  if (options.cache !== undefined) sampling.cache = options.cache;
+  const curves = routes.map(route => {
+    const curve = buildResponseCurve(route, depth, sourceToken, targetToken, gasPerHopInOutputTokensRaw, 18, sampling);
+    curve.saturated = curve.length > 0 && curve[curve.length - 1].inputRaw < depthRaw;
+    return curve;
+  });
+
+  // Spot rate on the curves' net basis: the best net output per input, at the
+  // size where gas stops outweighing impact (a tiny size when there is no gas)
+  const spotInputRaw = depthRaw * SPOT_FRACTION;
+  let spotRateRaw = 0;
+  let minInputRaw = spotInputRaw;
+  routes.forEach((route, i) => {
+    const spotOutputRaw = Math.max(0, simulateRoute(route, spotInputRaw) - route.length * gasPerHopInOutputTokensRaw);
+    const candidates = [{ inputRaw: spotInputRaw, outputRaw: spotOutputRaw }, ...curves[i]];
+    for (const { inputRaw, outputRaw } of candidates) {
+      if (outputRaw / inputRaw > spotRateRaw) {
+        spotRateRaw = outputRaw / inputRaw;
+        minInputRaw = inputRaw;
+      }
+    }
+  });
+
+  // Best route at `inputRaw`; its marginal rate never above its average rate
+  const pointAt = inputRaw => {
+    const best = envelopeAt(curves, inputRaw);
+    return { ...best, marginalRaw: Math.min(best.marginalRaw, best.outputRaw / inputRaw) };
+  };
+
+  const entry = (level, inputRaw) => {
+    const { routeIdx, outputRaw, marginalRaw } = pointAt(inputRaw);
+    const capRaw = routes[routeIdx].capRaw;
+    return {
+      level,
+      amountIn: inputRaw / inScale,
+      amountOut: outputRaw / outScale,
+      avgPrice: inputRaw > 0 ? toPrice(outputRaw / inputRaw) : 0,
+      marginalPrice: toPrice(marginalRaw),
+      routeIdx,
+      isExceed: Number.isFinite(capRaw) && inputRaw > capRaw,
+    };
+  };
+
+  const entries = [];
+  let truncated = false;
+  let belowMinimum = 0;
+  if (isPriceGrid) {
+    // Breakpoints: every sampled input; the level is crossed between two of them
+    const breakpoints = [...new Set(curves.flatMap(curve => curve.map(p => p.inputRaw)).concat(depthRaw))]
+      .filter(x => x >= minInputRaw && x <= depthRaw)
+      .sort((a, b) => a - b);
+    const marginals = breakpoints.map(x => pointAt(x).marginalRaw);
+    let floor = minInputRaw;
+    for (const bps of [...grid.priceLevelsBps].sort((a, b) => a - b)) {
+      const target = spotRateRaw * (1 - bps / 10000);
+      const j = breakpoints.findIndex((x, i) => x > floor && marginals[i] <= target);
+      if (j < 0) {
+        truncated = true;
+        break;
+      }
+      let lo = Math.max(floor, j > 0 ? breakpoints[j - 1] : 0);
+      let hi = breakpoints[j];
+      for (let step = 0; step < BISECTION_STEPS && hi - lo > 1; step++) {
+        const mid = (lo + hi) / 2;
+        if (pointAt(mid).marginalRaw <= target) hi = mid;
+        else lo = mid;
+      }
+      floor = hi;
+      entries.push(entry(bps, hi));
+    }
+  } else {
+    for (const amount of [...grid.amounts].sort((a, b) => a - b)) {
+      if (amount > depth) {
+        truncated = true;
+        break;
+      }
+      if (amount * inScale < minInputRaw) {
+        belowMinimum++;
+        continue;
+      }
+      entries.push(entry(amount, amount * inScale));
+    }
+  }
+
+  return {
+    grid: isPriceGrid ? 'price' : 'amount',
+    entries,
+    depth,
+    spotPrice: toPrice(spotRateRaw),
+    minAmountIn: minInputRaw / inScale,
+    belowMinimum,
+    truncated,
+    sampling: {
+      mode: curveSampling,
+      simulations: curves.reduce((sum, curve) => sum + curve.sampling.simulations, 0) + routes.length,
+      reused: curves.reduce((sum, curve) => sum + curve.sampling.reused, 0),
+      points: curves.reduce((sum, curve) => sum + curve.length, 0),
+    },
+    elapsedMs: performance.now() - start,
+  };
+}
+
+/**
+ * Ladder entries against direct simulation: each entry's input simulated on
+ * every route (best net output, gas as in the ladder), and the marginal
+ * price by a finite difference on that route. Returns { entries: [{ level,
+ * amountIn, amountOut, simulatedOut, outputError, marginalPrice,
+ * simulatedMarginalPrice, marginalError, sameRoute }], maxOutputError,
+ * meanOutputError, maxMarginalError, simulations, elapsedMs }; errors are relative.
+ */
+function ladderAccuracy(ladder, routes, sourceToken, targetToken, { gasPerHopInOutputTokensRaw = 0 } = {}) {
+  const start = performance.now();
+  const inScale = Math.pow(10, sourceToken.decimals);
+  const outScale = Math.pow(10, targetToken.decimals);
+  const net = (route, inputRaw) => Math.max(0, simulateRoute(route, inputRaw) - route.length * gasPerHopInOutputTokensRaw);
+  const relError = (value, reference) => (reference > 0 ? Math.abs(value - reference) / reference : (value === 0 ? 0 : Infinity));
+  let simulations = 0;
+
+  const entries = ladder.entries.map(e => {
+    const inputRaw = e.amountIn * inScale;
+    let bestIdx = 0;
+    let bestOut = -Infinity;
+    routes.forEach((route, i) => {
+      const out = net(route, inputRaw);
+      if (out > bestOut) {
+        bestOut = out;
+        bestIdx = i;
+      }
+    });
+    const delta = inputRaw * 1e-6;
+    const marginalRaw = (net(routes[bestIdx], inputRaw + delta) - bestOut) / delta;
+    simulations += routes.length + 1;
+
+    const simulatedOut = bestOut / outScale;
+    const simulatedMarginalPrice = (marginalRaw * inScale) / outScale;
+    return {
+      level: e.level,
+      amountIn: e.amountIn,
+      amountOut: e.amountOut,
+      simulatedOut,
+      outputError: relError(e.amountOut, simulatedOut),
+      marginalPrice: e.marginalPrice,
+      simulatedMarginalPrice,
+      marginalError: relError(e.marginalPrice, simulatedMarginalPrice),
+      sameRoute: e.routeIdx === bestIdx,
+    };
+  });
+
+  const outputErrors = entries.map(e => e.outputError);
+  return {
+    entries,
+    maxOutputError: Math.max(0, ...outputErrors),
+    meanOutputError: outputErrors.length > 0 ? outputErrors.reduce((a, b) => a + b, 0) / outputErrors.length : 0,
+    maxMarginalError: Math.max(0, ...entries.map(e => e.marginalError)),
+    simulations,
+    elapsedMs: performance.now() - start,
+  };
+}
+
+function getOrderbookOptions(args) {
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const depth = flag('orderbook-depth');
+  return {
+    enabled: args.includes('--orderbook'),
+    grid: flag('orderbook-grid') || 'price',
+    levels: parseInt(flag('orderbook-levels') || String(DEFAULT_LEVELS)),
+    stepBps: parseFloat(flag('orderbook-step-bps') || String(DEFAULT_STEP_BPS)),
+    depth: depth !== undefined ? parseFloat(depth) : null,
+    tolerance: flag('orderbook-tol') !== undefined ? parseFloat(flag('orderbook-tol')) : null,
+    maxSamples: parseInt(flag('orderbook-max-samples') || String(DEFAULT_MAX_SAMPLES)),
+  };
+}
+
+module.exports = {
+  DEFAULT_LEVELS,
+  DEFAULT_STEP_BPS,
+  priceLevelGrid,
+  amountLevelGrid,
+  outputAt,
+  marginalAt,
+  buildOrderbookLadder,
+  ladderAccuracy,
+  getOrderbookOptions,
+};
@@ -13,23 +13,18 @@
  * 
  * Usage:
  *   node phase1-dfs-poc.js APT USDC 10000
+ *   node phase1-dfs-poc.js APT USDC 10000 --snapshot=snapshots/pools.json
  */
 
-require('dotenv').config();
-const { Client } = require('pg');
+const { getSnapshotOptions } = require('./pool-snapshot.js');
+const { loadPools } = require('./pool-source.js');
+const { getTokenRegistryOptions, buildTokenRegistry } = require('./token-registry.js');
+const { quoteOut } = require('./pool-models.js');
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME || 'tapp',
-  user: process.env.DB_USER || 'tapp',
-  password: process.env.DB_PASSWORD || 'tapp',
-};
-
 // Command-line arguments
 const args = process.argv.slice(2);
 const tokenFrom = args[0] || 'APT';
@@ -37,76 +32,16 @@ const tokenTo = args[1] || 'USDC';
 const swapAmount = parseFloat(args[2] || '10000');
 const maxHops = parseInt(args.find(a => a.startsWith('--max-hops='))?.split('=')[1] || '2'); // Phase 1 default: 2
 const verbose = args.includes('--verbose');
+const snapshotOptions = getSnapshotOptions(args);
+const tokenRegistryOptions = getTokenRegistryOptions(args);
 
 // ============================================================================
-// Data Structures
+// Token Map
 // ============================================================================
 
-class PoolWrapper {
-  constructor(data) {
-    this.addr = data.pool_addr;
-    this.type = data.pool_type;
-    this.fee = parseFloat(data.fee_tier);
-    this.liquidity = data.liquidity;
-    this.tokens = data.tokens || [];
-  }
-  
-  hasToken(tokenAddr) {
-    return this.tokens.some(t => t.addr === tokenAddr);
-  }
-  
-  getOtherToken(tokenAddr) {
-    return this.tokens.find(t => t.addr !== tokenAddr);
-  }
-}
-
-// ============================================================================
-// Database Queries (Same as Phase 2)
-// ============================================================================
-
-async function fetchPoolsFromDB(client) {
-  console.log('📊 Fetching pools from database...');
-  
-  const query = `
-    SELECT 
-      p.addr as pool_addr,
-      p.pool_type,
-      p.fee_tier,
-      p.liquidity,
-      p.sqrt_price,
-      json_agg(
-        json_build_object(
-          'addr', t.addr,
-          'symbol', t.ticker,
-          'decimals', t.decimals,
-          'reserve', ptm.reserve,
-          'token_idx', ptm.token_idx
-        ) ORDER BY ptm.token_idx
-      ) as tokens
-    FROM pools p
-    JOIN pool_token_mps ptm ON p.addr = ptm.pool_id
-    JOIN tokens t ON ptm.token_addr = t.addr
-    WHERE p.status = 'ACTIVE'
-      AND p.liquidity > 0
-    GROUP BY p.addr, p.pool_type, p.fee_tier, p.liquidity, p.sqrt_price
-    ORDER BY p.liquidity DESC
-  `;
-  
-  const result = await client.query(query);
-  console.log(`✅ Fetched ${result.rows.length} active pools\n`);
-  
-  return result.rows.map(row => new PoolWrapper(row));
-}
-
-async function getTokenMap(client) {
-  const query = `
-    SELECT addr, ticker as symbol, decimals
-    FROM tokens
-  `;
-  const result = await client.query(query);
-  
+function getTokenMap(tokenRows) {
   const tokenMap = new Map();
-  for (const row of result.rows) {
+  for (const row of tokenRows) {
     tokenMap.set(row.addr, row);
   }
   
@@ -179,21 +114,8 @@ function findAllRoutesDFS(pools, tokenInAddr, tokenOutAddr, maxHops) {
 // ============================================================================
 
 function simulateSwap(pool, tokenInAddr, tokenOutAddr, amountIn) {
-  const tokenIn = pool.tokens.find(t => t.addr === tokenInAddr);
-  const tokenOut = pool.tokens.find(t => t.addr === tokenOutAddr);
-  
-  if (!tokenIn || !tokenOut) return 0;
-  
-  const reserveIn = parseFloat(tokenIn.reserve);
-  const reserveOut = parseFloat(tokenOut.reserve);
-  
-  if (reserveIn === 0 || reserveOut === 0) return 0;
-  
-  // AMM constant product formula
-  const amountInAfterFee = amountIn * (1 - pool.fee);
-  const amountOut = (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
-  
-  return amountOut;
+  // Pool math resolved by pool_type (see pool-models.js)
+  return quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn);
 }
 
 function simulateRoute(route, amount) {
@@ -298,26 +220,21 @@ async function main() {
   console.log('='.repeat(80));
   console.log();
   
-  const client = new Client(dbConfig);
-  
   try {
-    // Connect to database
-    console.log('📡 Connecting to database...');
-    await client.connect();
-    console.log('✅ Connected\n');
-    
-    // Fetch pools and tokens
-    const pools = await fetchPoolsFromDB(client);
-    const tokenMap = await getTokenMap(client);
+    // Fetch normalized pools and tokens (live database or --snapshot file)
+    const poolData = await loadPools({ ...snapshotOptions, verbose: true });
+    const pools = poolData.pools;
+    const tokenMap = getTokenMap(poolData.tokens);
     
     if (pools.length === 0) {
       console.log('❌ No pools found in database!\n');
       return;
     }
     
-    // Find token addresses
-    const sourceToken = Array.from(tokenMap.values()).find(t => t.symbol === tokenFrom);
-    const targetToken = Array.from(tokenMap.values()).find(t => t.symbol === tokenTo);
+    // Resolve token arguments by address, symbol@address-prefix or unambiguous symbol
+    const tokenRegistry = buildTokenRegistry({ tokens: poolData.tokens, pools, ...tokenRegistryOptions });
+    const sourceToken = tokenMap.get(tokenRegistry.resolve(tokenFrom).addr);
+    const targetToken = tokenMap.get(tokenRegistry.resolve(tokenTo).addr);
     
     if (!sourceToken || !targetToken) {
       console.log(`❌ Token not found!\n`);
@@ -357,8 +274,6 @@ async function main() {
       console.error(error);
     }
     process.exit(1);
-  } finally {
-    await client.end();
   }
 }
 
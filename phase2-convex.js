@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+const { performance } = require('perf_hooks');
+const { quoteOut, marginalPrice } = require('./pool-models.js');
+const { validateRoute, toWholeUnitAllocations, simulateAllocation } = require('./phase2-waterfill.js');
+const { parseUnits } = require('./raw-math.js');
+const { findSharedPools, refineAllocationJoint } = require('./joint-simulation.js');
+const { maxInputWithinImpact, enforceImpactLimits, filledInputRawInt, attachPriceImpact } = require('./price-impact.js');
+
+/**
+ * Phase 2 exact convex splitting with an optimality certificate
+ *
+ * For constant-product, stable and CLMM pools a route's output f_i(x) is
+ * concave in its input, so the best split equalizes the analytic marginal
+ * rates f_i'(x_i) (chain rule over each hop's `marginalPrice`) at a common
+ * level λ. The solver bisects on λ; for each λ every route's input is found
+ * by bisecting f_i'(y) = λ within its capacity. Routes whose output at the
+ * level does not pay for their gas are dropped and the level re-solved.
+ *
+ * Certificate: for any λ ≥ 0,
+ *   UB(λ) = λ·X + Σ_i max(0, max_{0 ≤ y ≤ cap_i} f_i(y) − λ·y − gas_i)
+ * bounds the best net output of any split of X over the candidate routes
+ * (Lagrangian relaxation of Σ x_i = X, gas included). UB is minimized over λ;
+ * `dualityGapRaw` = UB − achieved output, and any other splitter's output on
+ * the same routes can be measured against the same bound (`splitterGap`).
+ * `kktResidual` is the largest relative deviation from the stationarity
+ * conditions of the solver's own split.
+ *
+ * Routes are priced independently. Legs sharing a pool in the same direction
+ * only lose output when simulated jointly, so the bound still holds; legs
+ * trading a pool in opposite directions can net against each other, and no
+ * bound is claimed (`certificate.boundHolds = false`).
+ */
+
+const BISECTION_STEPS = 60;
+
+// ============================================================================
+// Route Response
+// ============================================================================
+
+// Output and d(output)/d(input) of a route at `amount` (chain rule over hops)
+function routeResponse(route, amount) {
+  let current = amount;
+  let marginal = 1;
+  for (const hop of route) {
+    marginal *= marginalPrice(hop.pool, hop.fromAddr, hop.toAddr, current);
+    current = quoteOut(hop.pool, hop.fromAddr, hop.toAddr, current);
+    if (amount > 0 && !(current > 0)) return { output: 0, marginal: 0 };
+  }
+  return { output: current, marginal };
+}
+
+// argmax over 0 ≤ y ≤ limit of f(y) − λ·y: the input where the marginal rate falls to λ
+function routeInputAtLevel(route, lambda, limit, marginalAtZero) {
+  if (!(marginalAtZero > lambda) || !(limit > 0)) return 0;
+  if (routeResponse(route, limit).marginal >= lambda) return limit;
+
+  let lo = 0;
+  let hi = limit;
+  for (let step = 0; step < BISECTION_STEPS; step++) {
+    const mid = (lo + hi) / 2;
+    if (routeResponse(route, mid).marginal > lambda) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ============================================================================
+// Solver
+// ============================================================================
+
+/**
+ * Split `totalInputRaw` over the `active` routes so their marginal rates are
+ * equal (or capacity-bound). Returns { lambda, allocations, unallocatedRaw };
+ * unallocated input only remains when every active route is at capacity.
+ */
+function solveActiveSet(model, active, totalInputRaw) {
+  const { routes, limits, marginalsAtZero } = model;
+  const inputsAt = lambda => routes.map((route, i) =>
+    (active[i] ? routeInputAtLevel(route, lambda, limits[i], marginalsAtZero[i]) : 0));
+  const sum = values => values.reduce((a, b) => a + b, 0);
+
+  const atCapacity = inputsAt(0);
+  if (sum(atCapacity) <= totalInputRaw) {
+    return { lambda: 0, allocations: atCapacity, unallocatedRaw: totalInputRaw - sum(atCapacity) };
+  }
+
+  // Σ inputs(λ) falls as λ rises: bisect for Σ = X
+  let lo = 0;
+  let hi = Math.max(0, ...marginalsAtZero.filter((_, i) => active[i]));
+  let loInputs = atCapacity;
+  let hiInputs = routes.map(() => 0);
+  for (let step = 0; step < BISECTION_STEPS; step++) {
+    const mid = (lo + hi) / 2;
+    const inputs = inputsAt(mid);
+    if (sum(inputs) > totalInputRaw) {
+      lo = mid;
+      loInputs = inputs;
+    } else {
+      hi = mid;
+      hiInputs = inputs;
+    }
+  }
+
+  // Hand the last sliver to the routes still moving between the two bracket levels
+  const remainder = totalInputRaw - sum(hiInputs);
+  const slack = loInputs.map((amt, i) => amt - hiInputs[i]);
+  const slackSum = sum(slack);
+  const allocations = hiInputs.map((amt, i) => amt + (slackSum > 0 ? remainder * slack[i] / slackSum : 0));
+  return { lambda: (lo + hi) / 2, allocations, unallocatedRaw: 0 };
+}
+
+function netOutput(model, allocations) {
+  let total = 0;
+  for (let i = 0; i < model.routes.length; i++) {
+    if (allocations[i] > 0) total += routeResponse(model.routes[i], allocations[i]).output - model.gasCostsRaw[i];
+  }
+  return total;
+}
+
+/**
+ * Lagrangian upper bound at `lambda` and its slope in λ (X minus the input the
+ * relaxation would place); UB is convex in λ, so its minimum is bracketed by
+ * the slope's sign change.
+ */
+function dualBound(model, totalInputRaw, lambda) {
+  let value = lambda * totalInputRaw;
+  let slope = totalInputRaw;
+  for (let i = 0; i < model.routes.length; i++) {
+    const y = routeInputAtLevel(model.routes[i], lambda, model.limits[i], model.marginalsAtZero[i]);
+    const surplus = routeResponse(model.routes[i], y).output - lambda * y - model.gasCostsRaw[i];
+    if (surplus > 0) {
+      value += surplus;
+      slope -= y;
+    }
+  }
+  return { value, slope };
+}
+
+function minimizeDualBound(model, totalInputRaw, startLambda) {
+  let best = { lambda: startLambda, ...dualBound(model, totalInputRaw, startLambda) };
+  let lo = 0;
+  let hi = Math.max(0, ...model.marginalsAtZero);
+  for (let step = 0; step < BISECTION_STEPS; step++) {
+    const mid = (lo + hi) / 2;
+    const bound = dualBound(model, totalInputRaw, mid);
+    if (bound.value < best.value) best = { lambda: mid, ...bound };
+    if (bound.slope < 0) lo = mid;
+    else hi = mid;
+  }
+  return best;
+}
+
+// Largest relative violation of stationarity on the routes the split may use:
+// f'(x+) ≤ λ ≤ f'(x−), one-sided since a CLMM range running out is a kink
+function kktResidual(model, active, allocations, lambda) {
+  if (!(lambda > 0)) return 0;
+  let residual = 0;
+  for (let i = 0; i < model.routes.length; i++) {
+    if (!active[i]) continue;
+    const x = allocations[i];
+    const limit = model.limits[i];
+    const delta = Math.max(1, x * 1e-9);
+    const right = x + delta <= limit ? routeResponse(model.routes[i], x + delta).marginal : 0;
+    const left = x > 0 ? routeResponse(model.routes[i], Math.max(0, x - delta)).marginal : Infinity;
+    residual = Math.max(residual, Math.max(0, right - lambda, lambda - left) / lambda);
+  }
+  return residual;
+}
+
+/**
+ * Exact split of `totalInputRaw` (float raw units) over `routes` with per-route
+ * gas `gasCostsRaw` and optional input `capacities`. Returns { allocations,
+ * netOutputRaw, lambda, solves, certificate: { upperBoundRaw, boundLambda,
+ * kktResidual, unallocatedRaw } }.
+ */
+function solveConvexSplit(routes, totalInputRaw, gasCostsRaw, capacities = null) {
+  const model = {
+    routes,
+    gasCostsRaw,
+    limits: routes.map((_, i) => Math.min(totalInputRaw, capacities?.[i] ?? Infinity)),
+    marginalsAtZero: routes.map(route => routeResponse(route, 0).marginal),
+  };
+
+  // Drop the route that pays least for its gas at the current level, re-solve,
+  // keep the best split seen
+  const active = routes.map((_, i) => model.marginalsAtZero[i] > 0 && model.limits[i] > 0);
+  let best = null;
+  let solves = 0;
+  while (active.some(Boolean)) {
+    const solution = solveActiveSet(model, active, totalInputRaw);
+    solves++;
+    const net = netOutput(model, solution.allocations);
+    if (!best || net > best.netOutputRaw) best = { ...solution, netOutputRaw: net, active: active.slice() };
+
+    let worst = -1;
+    let worstSurplus = 0;
+    for (let i = 0; i < routes.length; i++) {
+      if (!active[i]) continue;
+      const x = solution.allocations[i];
+      if (!(x > 0)) {
+        active[i] = false;
+        continue;
+      }
+      const surplus = routeResponse(routes[i], x).output - solution.lambda * x - gasCostsRaw[i];
+      if (surplus < worstSurplus) {
+        worst = i;
+        worstSurplus = surplus;
+      }
+    }
+    if (worst < 0 || active.filter(Boolean).length <= 1) break;
+    active[worst] = false;
+  }
+
+  if (!best) {
+    return {
+      allocations: routes.map(() => 0),
+      netOutputRaw: 0,
+      lambda: 0,
+      solves,
+      certificate: { upperBoundRaw: 0, boundLambda: 0, kktResidual: 0, unallocatedRaw: totalInputRaw },
+    };
+  }
+
+  // A feasible split never beats the bound; anything below it is float rounding
+  const bound = minimizeDualBound(model, totalInputRaw, best.lambda);
+  return {
+    allocations: best.allocations,
+    netOutputRaw: best.netOutputRaw,
+    lambda: best.lambda,
+    solves,
+    certificate: {
+      upperBoundRaw: Math.max(bound.value, best.netOutputRaw),
+      boundLambda: bound.lambda,
+      kktResidual: kktResidual(model, best.active, best.allocations, best.lambda),
+      unallocatedRaw: best.unallocatedRaw,
+    },
+  };
+}
+
+// How far a splitter's result is below the certificate's upper bound
+function splitterGap(result, certificate) {
+  const gapRaw = Math.max(0, certificate.upperBoundRaw - result.totalOutputRaw);
+  return {
+    gapRaw,
+    relativeGap: certificate.upperBoundRaw > 0 ? gapRaw / certificate.upperBoundRaw : 0,
+  };
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+function getRouteSignature(route) {
+  return route.map(hop => hop.pool.addr).join('-');
+}
+
+/**
+ * Same interface as the other route splitters. The result is the usual
+ * simulateAllocation result plus `certificate` ({ upperBoundRaw, boundLambda,
+ * lambda, dualityGapRaw, relativeGap, kktResidual, unallocatedRaw,
+ * boundHolds }).
+ */
+function optimizeRouteSplittingConvex(routes, totalInputHuman, sourceToken, targetToken, options = {}) {
+  const {
+    maxHops = 3,
+    gasPerHopUSD = 0.01,
+    targetTokenUSDPrice = 1.0,
+    routeCapacities = null,
+    impactLimits = null,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const tStart = performance.now();
+
+  logger.log('='.repeat(80));
+  logger.log('📐 PHASE 2: EXACT CONVEX ROUTE SPLITTING');
+  logger.log('='.repeat(80));
+  logger.log();
+
+  // Identical routes would each be priced against the full pool
+  const seen = new Set();
+  const candidates = [];
+  const capacities = [];
+  routes.forEach((route, i) => {
+    if (!validateRoute(route, sourceToken, targetToken, maxHops)) return;
+    const sig = getRouteSignature(route);
+    if (seen.has(sig)) return;
+    seen.add(sig);
+    candidates.push(route);
+    capacities.push(routeCapacities ? routeCapacities[i] : Infinity);
+  });
+
+  if (candidates.length === 0) {
+    logger.log('❌ No valid routes found!\n');
+    return null;
+  }
+
+  const totalInputRaw = totalInputHuman * Math.pow(10, sourceToken.decimals);
+  const gasPerHopRaw = (gasPerHopUSD / targetTokenUSDPrice) * Math.pow(10, targetToken.decimals);
+  const gasCostsRaw = candidates.map(route => route.length * gasPerHopRaw);
+  // Price-impact caps are route capacities; the certificate then bounds the capped problem
+  const impactCaps = impactLimits
+    ? candidates.map(route => maxInputWithinImpact(route, impactLimits, totalInputRaw))
+    : null;
+  if (impactCaps) impactCaps.forEach((cap, i) => { capacities[i] = Math.min(capacities[i], cap); });
+  const tAfterPrep = performance.now();
+
+  const solution = solveConvexSplit(candidates, totalInputRaw, gasCostsRaw, capacities);
+  const tAfterSolve = performance.now();
+
+  // The solver prices each route alone; legs sharing a pool are refined on the joint simulation
+  let allocations = solution.allocations;
+  const sharedPools = findSharedPools(candidates, allocations);
+  if (sharedPools.length > 0) {
+    const refined = refineAllocationJoint(candidates, allocations, gasPerHopRaw);
+    allocations = refined.allocations;
+    logger.log(`🔗 ${sharedPools.length} pool(s) shared between legs: refined split on joint simulation (${refined.iterations} iterations, +${(refined.gainRaw / Math.pow(10, targetToken.decimals)).toFixed(6)} ${targetToken.symbol || 'OUTPUT'})\n`);
+  }
+
+  let unfilledRaw = 0;
+  if (impactCaps) {
+    const limited = enforceImpactLimits(candidates, allocations, impactLimits, impactCaps);
+    allocations = limited.allocations;
+    unfilledRaw = solution.certificate.unallocatedRaw + limited.unfilledRaw;
+    if (unfilledRaw > 0) {
+      logger.log(`🚧 Price-impact cap: ${(unfilledRaw / totalInputRaw * 100).toFixed(2)}% of the input left unfilled\n`);
+    }
+  }
+
+  const result = simulateAllocation(
+    candidates,
+    toWholeUnitAllocations(allocations, filledInputRawInt(parseUnits(totalInputHuman, sourceToken.decimals), unfilledRaw)),
+    sourceToken,
+    targetToken,
+    gasPerHopRaw,
+    'per-route',
+    verbose,
+    null,
+    null,
+    logger
+  );
+  const tEnd = performance.now();
+
+  const { gapRaw, relativeGap } = splitterGap(result, solution.certificate);
+  result.algorithm = 'Convex';
+  result.iterations = solution.solves;
+  result.certificate = {
+    ...solution.certificate,
+    lambda: solution.lambda,
+    dualityGapRaw: gapRaw,
+    relativeGap,
+    boundHolds: !findSharedPools(candidates).some(shared => shared.opposing),
+  };
+  attachPriceImpact(result, { limits: impactLimits, unfilledRaw });
+  result.timings = {
+    prep: tAfterPrep - tStart,
+    solve: tAfterSolve - tAfterPrep,
+    simulation: tEnd - tAfterSolve,
+    total: tEnd - tStart,
+  };
+
+  if (!verbose) {
+    logger.log(`⏱️  Phase 2 Timing (Convex):`);
+    logger.log(`  Prep: ${result.timings.prep.toFixed(3)}ms`);
+    logger.log(`  Solve: ${result.timings.solve.toFixed(3)}ms`);
+    logger.log(`  Simulation: ${result.timings.simulation.toFixed(3)}ms`);
+    logger.log(`  Total: ${result.timings.total.toFixed(3)}ms\n`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  routeResponse,
+  solveConvexSplit,
+  splitterGap,
+  optimizeRouteSplittingConvex,
+};
@@ -4,15 +4,19 @@ const {
   validateRoute,
   buildResponseCurves,
   normalizeAllocations,
+  toWholeUnitAllocations,
   simulateAllocation,
 } = require('./phase2-waterfill.js');
-const { simulateRoute } = require('./phase1-astar-mike.js');
+const { parseUnits } = require('./raw-math.js');
+const { jointNetOutput, findSharedPools } = require('./joint-simulation.js');
+const { DEFAULT_TOLERANCE, DEFAULT_MAX_SAMPLES } = require('./curve-sampling.js');
+const { maxInputWithinImpact, enforceImpactLimits, filledInputRawInt, attachPriceImpact } = require('./price-impact.js');
 
 function getRouteSignature(route) {
   return route.map(hop => hop.poolId).join('-');
 }
 
-function deduplicateRoutes(routes, routeCapacities = null, verbose = false) {
+function deduplicateRoutes(routes, routeCapacities = null, verbose = false, logger = console) {
   const seen = new Map();
   const dedupedRoutes = [];
   const dedupedCapacities = [];
@@ -27,12 +31,12 @@ function deduplicateRoutes(routes, routeCapacities = null, verbose = false) {
         dedupedCapacities.push(routeCapacities[i]);
       }
     } else if (verbose) {
-      console.log(`   ⚠️  Skipping duplicate route: ${sig.substring(0, 50)}...`);
+      logger.log(`   ⚠️  Skipping duplicate route: ${sig.substring(0, 50)}...`);
     }
   }
 
   if (verbose && dedupedRoutes.length < routes.length) {
-    console.log(`✅ Deduplicated ${routes.length} → ${dedupedRoutes.length} routes\n`);
+    logger.log(`✅ Deduplicated ${routes.length} → ${dedupedRoutes.length} routes\n`);
   }
 
   return { routes: dedupedRoutes, capacities: routeCapacities ? dedupedCapacities : null };
@@ -123,16 +127,10 @@ function resolveEndpointMetadata(routes, sourceHint, targetHint) {
   };
 }
 
+// Legs sharing a pool are simulated jointly, so moves onto an already-used
+// pool see its depleted reserves
 function computeTotalOutputRaw(routes, allocationsRaw, gasPerHopRaw) {
-  let total = 0;
-  for (let i = 0; i < routes.length; i++) {
-    const amount = allocationsRaw[i];
-    if (!amount || amount <= 0) continue;
-    let output = simulateRoute(routes[i], amount);
-    output = Math.max(0, output - routes[i].length * gasPerHopRaw);
-    total += output;
-  }
-  return total;
+  return jointNetOutput(routes, allocationsRaw, gasPerHopRaw);
 }
 
 function optimizeRouteSplittingHillClimb(
@@ -145,81 +143,89 @@ function optimizeRouteSplittingHillClimb(
   const {
     maxHops = 3,
     gasPerHopUSD = 0.01,
+    targetTokenUSDPrice = 1.0,
     routeCapacities = null,
     verbose = false,
+    logger = console,
     maxIterations = 200,
     deltaPct = 0.001,
     maxActiveRoutes = 10,
     steps = 18,
     minMarginalRatioFilter = 0.0,
     minInitialEffRatio = 0.0,
+    curveSampling = 'adaptive',
+    curveTolerance = DEFAULT_TOLERANCE,
+    curveMaxSamples = DEFAULT_MAX_SAMPLES,
+    curveCache = undefined,
+    impactLimits = null,
   } = options;
 
   const tStart = performance.now();
 
-  console.log('='.repeat(80));
-  console.log('🧗 PHASE 2: HILL-CLIMBING ROUTE SPLITTING');
-  console.log('='.repeat(80));
-  console.log();
+  logger.log('='.repeat(80));
+  logger.log('🧗 PHASE 2: HILL-CLIMBING ROUTE SPLITTING');
+  logger.log('='.repeat(80));
+  logger.log();
 
-  console.log(`📋 Validating ${routes.length} routes...`);
+  logger.log(`📋 Validating ${routes.length} routes...`);
   const validRoutes = routes.filter(route =>
     validateRoute(route, sourceToken, targetToken, maxHops)
   );
-  console.log(`✅ ${validRoutes.length} valid routes\n`);
+  logger.log(`✅ ${validRoutes.length} valid routes\n`);
 
   if (validRoutes.length === 0) {
-    console.log('❌ No valid routes found!\n');
+    logger.log('❌ No valid routes found!\n');
     return null;
   }
 
   const { routes: dedupedRoutes, capacities: dedupedCapacities } = deduplicateRoutes(
     validRoutes,
     routeCapacities,
-    verbose
+    verbose,
+    logger
   );
 
   let resolvedTokens;
   try {
     resolvedTokens = resolveEndpointMetadata(dedupedRoutes, sourceToken, targetToken);
   } catch (err) {
-    console.log(`❌ Error resolving token metadata: ${err.message}`);
+    logger.log(`❌ Error resolving token metadata: ${err.message}`);
     return null;
   }
 
   if (resolvedTokens.warnings.length > 0) {
-    resolvedTokens.warnings.forEach(msg => console.log(msg));
-    console.log();
+    resolvedTokens.warnings.forEach(msg => logger.log(msg));
+    logger.log();
   }
 
   if (resolvedTokens.sourceResolvedFromRoutes || resolvedTokens.targetResolvedFromRoutes) {
-    console.log(`🔍 Using route-derived metadata:`);
+    logger.log(`🔍 Using route-derived metadata:`);
     if (resolvedTokens.sourceResolvedFromRoutes) {
-      console.log(`  Source: ${resolvedTokens.sourceToken.symbol || 'UNKNOWN'} (${resolvedTokens.sourceToken.addr}), decimals=${resolvedTokens.sourceToken.decimals}`);
+      logger.log(`  Source: ${resolvedTokens.sourceToken.symbol || 'UNKNOWN'} (${resolvedTokens.sourceToken.addr}), decimals=${resolvedTokens.sourceToken.decimals}`);
     }
     if (resolvedTokens.targetResolvedFromRoutes) {
-      console.log(`  Target: ${resolvedTokens.targetToken.symbol || 'UNKNOWN'} (${resolvedTokens.targetToken.addr}), decimals=${resolvedTokens.targetToken.decimals}`);
+      logger.log(`  Target: ${resolvedTokens.targetToken.symbol || 'UNKNOWN'} (${resolvedTokens.targetToken.addr}), decimals=${resolvedTokens.targetToken.decimals}`);
     }
-    console.log();
+    logger.log();
   }
 
   const resolvedSourceToken = resolvedTokens.sourceToken;
   const resolvedTargetToken = resolvedTokens.targetToken;
 
-  const targetTokenUSDPrice = 1.0;
   const gasPerHopInOutputTokens = gasPerHopUSD / targetTokenUSDPrice;
   const gasPerHopInOutputTokensRaw = gasPerHopInOutputTokens * Math.pow(10, resolvedTargetToken.decimals);
 
-  console.log(`Gas Configuration:`);
-  console.log(`  Gas per hop: $${gasPerHopUSD} = ${gasPerHopInOutputTokens.toFixed(4)} ${resolvedTargetToken.symbol || targetToken.symbol || 'OUTPUT'}`);
-  console.log(`  Gas per hop (raw): ${gasPerHopInOutputTokensRaw.toExponential(4)}`);
-  console.log();
+  logger.log(`Gas Configuration:`);
+  logger.log(`  Gas per hop: $${gasPerHopUSD} = ${gasPerHopInOutputTokens.toFixed(4)} ${resolvedTargetToken.symbol || targetToken.symbol || 'OUTPUT'}`);
+  logger.log(`  Gas per hop (raw): ${gasPerHopInOutputTokensRaw.toExponential(4)}`);
+  logger.log();
 
   const tAfterPrep = performance.now();
 
   const {
     curves,
     initialEffs,
+    sampling: curveSamplingStats,
   } = buildResponseCurves(
     dedupedRoutes,
     totalInputHuman,
@@ -230,7 +236,9 @@ function optimizeRouteSplittingHillClimb(
     minMarginalRatioFilter,
     dedupedCapacities,
     verbose,
-    minInitialEffRatio
+    minInitialEffRatio,
+    { mode: curveSampling, tolerance: curveTolerance, maxSamples: curveMaxSamples, cache: curveCache },
+    logger
   );
 
   const tAfterCurves = performance.now();
@@ -240,7 +248,23 @@ function optimizeRouteSplittingHillClimb(
   const allocationsRaw = dedupedRoutes.map(() => 0);
   allocationsRaw[0] = totalInputRaw;
 
-  let allocationEntries = [{ routeIdx: 0, amountRaw: totalInputRaw }];
+  // Price-impact caps: start from the routes filled in order up to their caps
+  // and never move input past a cap; what no route can take stays unfilled
+  const impactCaps = impactLimits
+    ? dedupedRoutes.map(route => maxInputWithinImpact(route, impactLimits, totalInputRaw))
+    : null;
+  if (impactCaps) {
+    let remaining = totalInputRaw;
+    impactCaps.forEach((cap, i) => {
+      allocationsRaw[i] = Math.min(cap, remaining);
+      remaining -= allocationsRaw[i];
+    });
+  }
+
+  let allocationEntries = allocationsRaw
+    .map((amountRaw, routeIdx) => ({ routeIdx, amountRaw }))
+    .filter(entry => entry.amountRaw > 0)
+    .sort((a, b) => b.amountRaw - a.amountRaw);
   let iterations = 0;
   let improved = true;
 
@@ -258,6 +282,10 @@ function optimizeRouteSplittingHillClimb(
   const getCurrentOutput = () => computeTotalOutputRaw(dedupedRoutes, allocationsRaw, gasPerHopInOutputTokensRaw);
 
   let currentOutput = getCurrentOutput();
+  const sharedPools = findSharedPools(dedupedRoutes);
+  if (sharedPools.length > 0) {
+    logger.log(`🔗 ${sharedPools.length} pool(s) shared between candidate routes: climbing on joint simulation\n`);
+  }
 
   while (improved && iterations < maxIterations && allocationEntries.length <= maxActiveRoutes) {
     iterations++;
@@ -270,6 +298,7 @@ function optimizeRouteSplittingHillClimb(
       if (from.amountRaw < deltaRaw) continue;
       for (let toRouteIdx = 0; toRouteIdx < dedupedRoutes.length; toRouteIdx++) {
         if (toRouteIdx === from.routeIdx) continue;
+        if (impactCaps && allocationsRaw[toRouteIdx] + deltaRaw > impactCaps[toRouteIdx]) continue;
 
         allocationsRaw[from.routeIdx] -= deltaRaw;
         allocationsRaw[toRouteIdx] += deltaRaw;
@@ -294,7 +323,7 @@ function optimizeRouteSplittingHillClimb(
       improved = true;
 
       if (verbose) {
-        console.log(`   Iter ${iterations}: moved ${(bestMove.delta / totalInputRaw * 100).toFixed(4)}% from route ${bestMove.fromRouteIdx + 1} → ${bestMove.toRouteIdx + 1}, gain=${(bestGain / Math.pow(10, resolvedTargetToken.decimals)).toFixed(6)} ${resolvedTargetToken.symbol}`);
+        logger.log(`   Iter ${iterations}: moved ${(bestMove.delta / totalInputRaw * 100).toFixed(4)}% from route ${bestMove.fromRouteIdx + 1} → ${bestMove.toRouteIdx + 1}, gain=${(bestGain / Math.pow(10, resolvedTargetToken.decimals)).toFixed(6)} ${resolvedTargetToken.symbol}`);
       }
 
       recomputeEntries();
@@ -314,23 +343,39 @@ function optimizeRouteSplittingHillClimb(
 
   const tAfterAllocation = performance.now();
 
-  const normalizedAllocations = normalizeAllocations(allocationsRaw, totalInputRaw, 0.001, verbose);
+  let normalizedAllocations = normalizeAllocations(allocationsRaw, totalInputRaw, 0.001, verbose, logger);
+  let unfilledRaw = 0;
+  if (impactCaps) {
+    const limited = enforceImpactLimits(dedupedRoutes, normalizedAllocations, impactLimits, impactCaps);
+    normalizedAllocations = limited.allocations;
+    unfilledRaw = limited.unfilledRaw;
+    if (limited.trimmedRoutes > 0 || unfilledRaw > 0) {
+      logger.log(`🚧 Price-impact cap: ${limited.trimmedRoutes} route(s) trimmed, ${(unfilledRaw / totalInputRaw * 100).toFixed(2)}% of the input left unfilled\n`);
+    }
+  }
+  const wholeAllocations = toWholeUnitAllocations(
+    normalizedAllocations,
+    filledInputRawInt(parseUnits(totalInputHuman, resolvedSourceToken.decimals), unfilledRaw)
+  );
   const tAfterNormalization = performance.now();
 
   const result = simulateAllocation(
     dedupedRoutes,
-    normalizedAllocations,
+    wholeAllocations,
     resolvedSourceToken,
     resolvedTargetToken,
     gasPerHopInOutputTokensRaw,
     'per-route',
     verbose,
     initialEffs,
-    curves
+    curves,
+    logger
   );
 
   result.iterations = iterations;
   result.algorithm = 'Hill Climb';
+  result.curveSampling = curveSamplingStats;
+  attachPriceImpact(result, { limits: impactLimits, unfilledRaw });
 
   const tAfterSimulation = performance.now();
 
@@ -344,13 +389,13 @@ function optimizeRouteSplittingHillClimb(
   };
 
   if (!verbose) {
-    console.log(`⏱️  Phase 2 Timing (Hill Climb):`);
-    console.log(`  Prep & metadata: ${timingSummary.prep.toFixed(3)}ms`);
-    console.log(`  Response curves: ${timingSummary.curveBuild.toFixed(3)}ms`);
-    console.log(`  Allocation: ${timingSummary.allocation.toFixed(3)}ms`);
-    console.log(`  Normalization: ${timingSummary.normalization.toFixed(3)}ms`);
-    console.log(`  Simulation: ${timingSummary.simulation.toFixed(3)}ms`);
-    console.log(`  Total: ${timingSummary.total.toFixed(3)}ms\n`);
+    logger.log(`⏱️  Phase 2 Timing (Hill Climb):`);
+    logger.log(`  Prep & metadata: ${timingSummary.prep.toFixed(3)}ms`);
+    logger.log(`  Response curves: ${timingSummary.curveBuild.toFixed(3)}ms (${curveSamplingStats.simulations} simulations, ${curveSamplingStats.reused} reused)`);
+    logger.log(`  Allocation: ${timingSummary.allocation.toFixed(3)}ms`);
+    logger.log(`  Normalization: ${timingSummary.normalization.toFixed(3)}ms`);
+    logger.log(`  Simulation: ${timingSummary.simulation.toFixed(3)}ms`);
+    logger.log(`  Total: ${timingSummary.total.toFixed(3)}ms\n`);
   }
 
   result.timings = timingSummary;
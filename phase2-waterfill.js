@@ -1,6 +1,19 @@
 #!/usr/bin/env node
 const { performance } = require('perf_hooks');
-const { simulateRoute } = require('./phase1-astar-mike.js');
+const {
+  simulateRoute,
+  simulateRouteExactOut,
+  maxInputBound,
+} = require('./astar-search.js');
+const { parseUnits, splitRawAmount } = require('./raw-math.js');
+const {
+  findSharedPools,
+  simulateRoutesJointInt,
+  simulateRoutesJointExactOutInt,
+  refineAllocationJoint,
+} = require('./joint-simulation.js');
+const { DEFAULT_TOLERANCE, DEFAULT_MAX_SAMPLES, sampleRouteAdaptive } = require('./curve-sampling.js');
+const { maxInputWithinImpact, enforceImpactLimits, filledInputRawInt, attachPriceImpact } = require('./price-impact.js');
 function generateSamplePoints(totalInputRaw) {
   const percentages = [
     0.001, 0.0025, 0.005, 0.0075, 0.01, 0.015, 0.02, 0.03,
@@ -83,7 +96,7 @@ function validateRoute(route, sourceToken, targetToken, maxHops) {
 function getRouteSignature(route) {
   return route.map(hop => hop.poolId).join('-');
 }
-function deduplicateRoutes(routes, routeCapacities = null, verbose = false) {
+function deduplicateRoutes(routes, routeCapacities = null, verbose = false, logger = console) {
   const seen = new Map();
   const dedupedRoutes = [];
   const dedupedCapacities = [];
@@ -98,12 +111,12 @@ function deduplicateRoutes(routes, routeCapacities = null, verbose = false) {
         dedupedCapacities.push(routeCapacities[i]);
       }
     } else if (verbose) {
-      console.log(`   ⚠️  Skipping duplicate route: ${sig.substring(0, 50)}...`);
+      logger.log(`   ⚠️  Skipping duplicate route: ${sig.substring(0, 50)}...`);
     }
   }
   
   if (verbose && dedupedRoutes.length < routes.length) {
-    console.log(`✅ Deduplicated ${routes.length} → ${dedupedRoutes.length} routes\n`);
+    logger.log(`✅ Deduplicated ${routes.length} → ${dedupedRoutes.length} routes\n`);
   }
   
   return { routes: dedupedRoutes, capacities: routeCapacities ? dedupedCapacities : null };
@@ -190,19 +203,42 @@ function resolveEndpointMetadata(routes, sourceHint, targetHint) {
     targetResolvedFromRoutes: Boolean(targetFromRoutes),
   };
 }
-function buildResponseCurve(route, totalInputHuman, sourceToken, targetToken, gasPerHopInOutputTokensRaw, steps = 18) {
+/**
+ * sampling.mode: 'adaptive' (default, curve-sampling.js: refined until the
+ * interpolated marginal is within `sampling.tolerance`, samples reused across
+ * amounts through `sampling.cache`) or 'fixed' (the 18 percentages of
+ * generateSamplePoints). The curve carries `curve.sampling` =
+ * { mode, simulations, reused }.
+ */
+function buildResponseCurve(route, totalInputHuman, sourceToken, targetToken, gasPerHopInOutputTokensRaw, steps = 18, sampling = {}) {
   const totalInputRaw = totalInputHuman * Math.pow(10, sourceToken.decimals);
-  const sampleInputs = generateSamplePoints(totalInputRaw);
+  const mode = sampling.mode || 'adaptive';
+  
+  let sampled;
+  if (mode === 'fixed') {
+    const inputs = generateSamplePoints(totalInputRaw);
+    sampled = {
+      samples: inputs.map(inputRaw => ({ inputRaw, outputRaw: simulateRoute(route, inputRaw) })),
+      simulations: inputs.length,
+      reused: 0,
+    };
+  } else if (mode === 'adaptive') {
+    sampled = sampleRouteAdaptive(route, totalInputRaw, simulateRoute, sampling);
+  } else {
+    throw new Error(`Unknown curve sampling mode "${mode}" (expected adaptive or fixed)`);
+  }
   
   const curve = [];
+  curve.sampling = { mode, simulations: sampled.simulations, reused: sampled.reused };
   let prevOutputRaw = 0;
   
   let capacityReached = false;
   
-  for (const inputRaw of sampleInputs) {
+  for (const sample of sampled.samples) {
     if (capacityReached) break;
     
-    let outputRaw = simulateRoute(route, inputRaw);
+    const inputRaw = sample.inputRaw;
+    let outputRaw = sample.outputRaw;
     
     const gasCostRaw = route.length * gasPerHopInOutputTokensRaw;
     outputRaw = Math.max(0, outputRaw - gasCostRaw);
@@ -261,9 +297,11 @@ function buildResponseCurves(
   _minMarginalRatioFilter = 0.0,
   externalCapacities = null,
   verbose = false,
-  minInitialEffRatio = 0.0
+  minInitialEffRatio = 0.0,
+  sampling = {},
+  logger = console
 ) {
-  if (verbose) console.log(`📈 Building response curves for ${routes.length} routes...`);
+  if (verbose) logger.log(`📈 Building response curves for ${routes.length} routes...`);
   
   const totalInputRaw = totalInputHuman * Math.pow(10, sourceToken.decimals);
   const filteredRoutes = [];
@@ -271,11 +309,15 @@ function buildResponseCurves(
   const capacities = [];
   const filteredExternalCapacities = [];
   const initialEffs = [];
+  const samplingStats = { mode: sampling.mode || 'adaptive', simulations: 0, reused: 0, points: 0 };
   
   for (let idx = 0; idx < routes.length; idx++) {
     const route = routes[idx];
-    const curve = buildResponseCurve(route, totalInputHuman, sourceToken, targetToken, gasPerHopInOutputTokensRaw, steps);
+    const curve = buildResponseCurve(route, totalInputHuman, sourceToken, targetToken, gasPerHopInOutputTokensRaw, steps, sampling);
     const capacity = analyzeRouteCapacity(curve, totalInputRaw);
+    samplingStats.simulations += curve.sampling.simulations;
+    samplingStats.reused += curve.sampling.reused;
+    samplingStats.points += curve.length;
     
     let firstEff = 0;
     if (curve.length > 0) {
@@ -317,7 +359,7 @@ function buildResponseCurves(
           keepExternalCaps.push(filteredExternalCapacities[i]);
         }
       } else if (verbose) {
-        console.log(`   ⚠️  Filtering Route ${i + 1}: start eff ${initialEffs[i].toFixed(4)} < threshold ${effThreshold.toFixed(4)}`);
+        logger.log(`   ⚠️  Filtering Route ${i + 1}: start eff ${initialEffs[i].toFixed(4)} < threshold ${effThreshold.toFixed(4)}`);
       }
     }
     
@@ -335,15 +377,15 @@ function buildResponseCurves(
   }
   
   if (verbose) {
-    console.log(`✅ Built ${curves.length} curves (filtered from ${routes.length}, ${curves[0]?.length || 0} points each)`);
-    console.log(`📊 Route capacities (curve-based):`);
+    logger.log(`✅ Built ${curves.length} curves (filtered from ${routes.length}, ${samplingStats.points} points, ${samplingStats.simulations} simulations, ${samplingStats.reused} samples reused)`);
+    logger.log(`📊 Route capacities (curve-based):`);
     capacities.forEach((cap, i) => {
       const capPct = (cap / totalInputRaw * 100).toFixed(2);
       const marginal = curves[i][0]?.marginalRaw || 0;
       const eff = initialEffs[i] || 0;
-      console.log(`   Route ${i + 1}: capacity=${capPct}%, marginal=${marginal.toFixed(2)}, eff=${eff.toFixed(4)}`);
+      logger.log(`   Route ${i + 1}: capacity=${capPct}%, marginal=${marginal.toFixed(2)}, eff=${eff.toFixed(4)}`);
     });
-    console.log();
+    logger.log();
   }
   
   return { 
@@ -351,7 +393,8 @@ function buildResponseCurves(
     curves, 
     capacities,
     externalCapacities: externalCapacities ? filteredExternalCapacities : null,
-    initialEffs
+    initialEffs,
+    sampling: samplingStats,
   };
 }
 function interpolateMarginal(curve, allocatedSoFarRaw) {
@@ -419,7 +462,8 @@ function computeTotalsForLevel(
   curves,
   allocations,
   capacities,
-  tol
+  tol,
+  marginalTol = tol
 ) {
   let totalDelta = 0;
   const updates = [];
@@ -436,7 +480,7 @@ function computeTotalsForLevel(
       currentInput,
       levelMarginal,
       capacity,
-      tol
+      marginalTol
     );
     
     let nextInput = Math.min(targetInputRaw, capacity);
@@ -472,6 +516,7 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
     maxIter = 5000,
     tol = 1e-10,
     verbose = false,
+    logger = console,
   } = options;
   
   const numRoutes = curves.length;
@@ -479,7 +524,10 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
     return { allocations: [], totalAllocated: 0, iterations: 0, routesSaturated: 0 };
   }
   
+  // Amount tolerance (raw input units); marginals (output per input unit, often
+  // far below 1 in raw units) are compared against `tol` itself
   const effectiveTol = Math.max(tol, totalInputRaw * 1e-12, 1e-9);
+  const marginalTol = tol;
   
   const allocations = curves.map(() => 0);
   const effectiveCapacities = capacities && capacities.length === numRoutes
@@ -488,7 +536,7 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
   
   const currentMarginals = curves.map(curve => interpolateMarginal(curve, 0));
   const sortedIndices = Array.from({ length: numRoutes }, (_, i) => i)
-    .filter(i => effectiveCapacities[i] > effectiveTol && currentMarginals[i] > effectiveTol)
+    .filter(i => effectiveCapacities[i] > effectiveTol && currentMarginals[i] > marginalTol)
     .sort((a, b) => currentMarginals[b] - currentMarginals[a]);
   
   const active = new Set();
@@ -498,19 +546,19 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
   let remaining = totalInputRaw;
   
   if (verbose) {
-    console.log(`🌊 Starting marginal equilibrium allocation...`);
-    console.log(`   Total input: ${totalInputRaw.toExponential(4)} raw`);
-    console.log(`   Routes discovered: ${sortedIndices.length}`);
-    console.log();
+    logger.log(`🌊 Starting marginal equilibrium allocation...`);
+    logger.log(`   Total input: ${totalInputRaw.toExponential(4)} raw`);
+    logger.log(`   Routes discovered: ${sortedIndices.length}`);
+    logger.log();
   }
   
   const addNextRoute = () => {
     while (pointer < sortedIndices.length) {
       const idx = sortedIndices[pointer++];
-      if (effectiveCapacities[idx] <= effectiveTol || currentMarginals[idx] <= effectiveTol) continue;
+      if (effectiveCapacities[idx] <= effectiveTol || currentMarginals[idx] <= marginalTol) continue;
       active.add(idx);
       if (verbose) {
-        console.log(`   Activated route ${idx + 1} (initial marginal ${currentMarginals[idx].toFixed(6)})`);
+        logger.log(`   Activated route ${idx + 1} (initial marginal ${currentMarginals[idx].toFixed(6)})`);
       }
       return true;
     }
@@ -536,7 +584,8 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
       curves,
       allocations,
       effectiveCapacities,
-      effectiveTol
+      effectiveTol,
+      marginalTol
     );
     
     const applyUpdates = (updates, limit) => {
@@ -575,7 +624,7 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
         if (active.delete(idx)) {
           routesSaturated++;
           if (verbose) {
-            console.log(`      Route ${idx + 1} saturated at ${(allocations[idx] / totalInputRaw * 100).toFixed(4)}%`);
+            logger.log(`      Route ${idx + 1} saturated at ${(allocations[idx] / totalInputRaw * 100).toFixed(4)}%`);
           }
         }
       }
@@ -596,7 +645,8 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
           curves,
           allocations,
           effectiveCapacities,
-          effectiveTol
+          effectiveTol,
+          marginalTol
         );
         
         if (totals.totalDelta > remaining + effectiveTol) {
@@ -618,7 +668,7 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
         if (active.delete(idx)) {
           routesSaturated++;
           if (verbose) {
-            console.log(`      Route ${idx + 1} saturated at ${(allocations[idx] / totalInputRaw * 100).toFixed(4)}%`);
+            logger.log(`      Route ${idx + 1} saturated at ${(allocations[idx] / totalInputRaw * 100).toFixed(4)}%`);
           }
         }
       }
@@ -628,11 +678,11 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
     
     for (const idx of Array.from(active)) {
       const remainingCapacity = effectiveCapacities[idx] - allocations[idx];
-      if (remainingCapacity <= effectiveTol || currentMarginals[idx] <= effectiveTol) {
+      if (remainingCapacity <= effectiveTol || currentMarginals[idx] <= marginalTol) {
         active.delete(idx);
         routesSaturated++;
         if (verbose) {
-          console.log(`      Route ${idx + 1} saturated at ${(allocations[idx] / totalInputRaw * 100).toFixed(4)}%`);
+          logger.log(`      Route ${idx + 1} saturated at ${(allocations[idx] / totalInputRaw * 100).toFixed(4)}%`);
         }
       }
     }
@@ -641,9 +691,9 @@ function allocateWaterfillPQ(curves, totalInputRaw, capacities = null, options =
   const totalAllocated = totalInputRaw - remaining;
   
   if (verbose) {
-    console.log(`   Total iterations: ${iterations}`);
-    console.log(`   Routes saturated: ${routesSaturated}/${curves.length}`);
-    console.log(`   Allocated: ${(totalAllocated / totalInputRaw * 100).toFixed(4)}%\n`);
+    logger.log(`   Total iterations: ${iterations}`);
+    logger.log(`   Routes saturated: ${routesSaturated}/${curves.length}`);
+    logger.log(`   Allocated: ${(totalAllocated / totalInputRaw * 100).toFixed(4)}%\n`);
   }
   
   return { allocations, totalAllocated, iterations, routesSaturated };
@@ -656,13 +706,14 @@ function allocateWaterfill(curves, totalInputRaw, capacities = null, options = {
     tol = 1e-10,
     minPct = 0.001,
     verbose = false,
+    logger = console,
   } = options;
   
   if (verbose) {
-    console.log(`🌊 Starting water-filling allocation...`);
-    console.log(`   Total input: ${totalInputRaw.toExponential(4)} raw`);
-    console.log(`   Routes: ${curves.length}`);
-    console.log(`   Capacity constraints: ${capacities ? 'ENABLED' : 'DISABLED'}`);
+    logger.log(`🌊 Starting water-filling allocation...`);
+    logger.log(`   Total input: ${totalInputRaw.toExponential(4)} raw`);
+    logger.log(`   Routes: ${curves.length}`);
+    logger.log(`   Capacity constraints: ${capacities ? 'ENABLED' : 'DISABLED'}`);
   }
   
   const allocations = curves.map(() => 0);
@@ -675,7 +726,7 @@ function allocateWaterfill(curves, totalInputRaw, capacities = null, options = {
   ];
   
   for (const phase of phases) {
-    if (verbose) console.log(`   Phase: ${phase.name}, chunk size: ${(phase.chunk / totalInputRaw * 100).toFixed(2)}%`);
+    if (verbose) logger.log(`   Phase: ${phase.name}, chunk size: ${(phase.chunk / totalInputRaw * 100).toFixed(2)}%`);
     
     let phaseIterations = 0;
     
@@ -694,7 +745,7 @@ function allocateWaterfill(curves, totalInputRaw, capacities = null, options = {
         
         if (capacities && allocations[i] >= capacities[i]) {
           if (verbose && iterations <= 5) {
-            console.log(`   Route ${i + 1} hit capacity at ${allocations[i].toExponential(4)} (cap: ${capacities[i].toExponential(4)})`);
+            logger.log(`   Route ${i + 1} hit capacity at ${allocations[i].toExponential(4)} (cap: ${capacities[i].toExponential(4)})`);
           }
           continue;
         }
@@ -711,9 +762,9 @@ function allocateWaterfill(curves, totalInputRaw, capacities = null, options = {
         const allocationPct = (totalAllocated / totalInputRaw * 100).toFixed(2);
         
         if (allCapped && totalAllocated < totalInputRaw * 0.5) {
-          if (verbose) console.log(`   ❌ ERROR: All routes capacity-capped at ${allocationPct}% - capacities too restrictive!`);
+          if (verbose) logger.log(`   ❌ ERROR: All routes capacity-capped at ${allocationPct}% - capacities too restrictive!`);
         } else {
-          if (verbose) console.log(`   ✅ All routes naturally exhausted at iteration ${iterations} (${allocationPct}% allocated)`);
+          if (verbose) logger.log(`   ✅ All routes naturally exhausted at iteration ${iterations} (${allocationPct}% allocated)`);
         }
         break;
       }
@@ -734,8 +785,8 @@ function allocateWaterfill(curves, totalInputRaw, capacities = null, options = {
           .sort((a, b) => b.marginal - a.marginal)
           .slice(0, 3);
         
-        console.log(`   Iter ${iterations}: allocated ${(totalAllocated / totalInputRaw * 100).toFixed(2)}%`);
-        console.log(`      Top-3 marginals: ${top3Marginals.map(m => m.marginal.toFixed(6)).join(', ')}`);
+        logger.log(`   Iter ${iterations}: allocated ${(totalAllocated / totalInputRaw * 100).toFixed(2)}%`);
+        logger.log(`      Top-3 marginals: ${top3Marginals.map(m => m.marginal.toFixed(6)).join(', ')}`);
       }
       
       const marginals = curves.map((c, i) => interpolateMarginal(c, allocations[i]));
@@ -746,27 +797,27 @@ function allocateWaterfill(curves, totalInputRaw, capacities = null, options = {
         const secondMaxMarginal = sortedMarginals[1];
         
         if (maxMarginal - secondMaxMarginal <= tol) {
-          if (verbose) console.log(`   ✅ Converged at iteration ${iterations} (marginals within tolerance)`);
+          if (verbose) logger.log(`   ✅ Converged at iteration ${iterations} (marginals within tolerance)`);
           break;
         }
       }
       
       if (Math.abs(totalAllocated - totalInputRaw) < 1e-6) {
-        if (verbose) console.log(`   ✅ Fully allocated at iteration ${iterations}`);
+        if (verbose) logger.log(`   ✅ Fully allocated at iteration ${iterations}`);
         break;
       }
     }
   }
   
   if (verbose) {
-    console.log(`   Total iterations: ${iterations}`);
-    console.log(`   Allocated: ${totalAllocated.toExponential(4)} raw (${(totalAllocated / totalInputRaw * 100).toFixed(4)}%)\n`);
+    logger.log(`   Total iterations: ${iterations}`);
+    logger.log(`   Allocated: ${totalAllocated.toExponential(4)} raw (${(totalAllocated / totalInputRaw * 100).toFixed(4)}%)\n`);
   }
   
   return { allocations, totalAllocated, iterations };
 }
-function normalizeAllocations(allocations, totalInputRaw, minPct = 0.001, verbose = false) {
-  if (verbose) console.log(`🔧 Normalizing allocations...`);
+function normalizeAllocations(allocations, totalInputRaw, minPct = 0.001, verbose = false, logger = console) {
+  if (verbose) logger.log(`🔧 Normalizing allocations...`);
   
   const minAllocation = totalInputRaw * minPct;
   const sumBefore = allocations.reduce((sum, amt) => sum + amt, 0);
@@ -775,7 +826,7 @@ function normalizeAllocations(allocations, totalInputRaw, minPct = 0.001, verbos
   if (sumDiff <= toleranceRaw) {
     const satisfiesMin = allocations.every(amt => amt === 0 || amt >= minAllocation);
     if (satisfiesMin) {
-      if (verbose) console.log(`   Skipping normalization (already balanced within tolerance)`);
+      if (verbose) logger.log(`   Skipping normalization (already balanced within tolerance)`);
       return allocations.slice();
     }
   }
@@ -792,7 +843,7 @@ function normalizeAllocations(allocations, totalInputRaw, minPct = 0.001, verbos
   if (dustTotal > 0) {
     const bestIdx = cleanAllocations.indexOf(Math.max(...cleanAllocations));
     cleanAllocations[bestIdx] += dustTotal;
-    if (verbose) console.log(`   Redistributed ${dustTotal.toExponential(2)} raw dust to route ${bestIdx}`);
+    if (verbose) logger.log(`   Redistributed ${dustTotal.toExponential(2)} raw dust to route ${bestIdx}`);
   }
   
   const currentTotal = cleanAllocations.reduce((sum, amt) => sum + amt, 0);
@@ -802,10 +853,28 @@ function normalizeAllocations(allocations, totalInputRaw, minPct = 0.001, verbos
   const normalized = cleanAllocations.map(amt => amt * scale);
   
   const finalTotal = normalized.reduce((sum, amt) => sum + amt, 0);
-  if (verbose) console.log(`   Final total: ${finalTotal.toExponential(4)} raw (error: ${Math.abs(finalTotal - totalInputRaw).toExponential(2)})\n`);
+  if (verbose) logger.log(`   Final total: ${finalTotal.toExponential(4)} raw (error: ${Math.abs(finalTotal - totalInputRaw).toExponential(2)})\n`);
   
   return normalized;
 }
+/**
+ * Turn float allocations into whole raw units (BigInt) that sum exactly to
+ * `totalRawInt`. Allocation stays float (estimator); only the final split is
+ * integer.
+ */
+function toWholeUnitAllocations(allocations, totalRawInt) {
+  if (!allocations.some(amt => amt > 0)) return allocations.map(() => 0n);
+  return splitRawAmount(totalRawInt, allocations);
+}
+
+/**
+ * Final simulation of a split on the exact-integer path. `allocationsRaw` are
+ * whole raw units (BigInt, see toWholeUnitAllocations); float amounts are
+ * floored. Results keep float `*Raw` fields for display plus exact
+ * `*RawInt` BigInt fields. Legs are simulated jointly (joint-simulation.js),
+ * so legs sharing a pool see each other's price impact; `sharedPools` lists
+ * those pools.
+ */
 function simulateAllocation(
   routes,
   allocationsRaw,
@@ -815,28 +884,34 @@ function simulateAllocation(
   gasPolicy = 'per-route',
   verbose = false,
   initialEffRates = null,
-  curves = null
+  curves = null,
+  logger = console
 ) {
-  if (verbose) console.log(`🎯 Running final simulation...`);
+  if (verbose) logger.log(`🎯 Running final simulation...`);
   
   const results = [];
-  let totalOutputRaw = 0;
+  const allocationsRawInt = allocationsRaw.map(amt => (typeof amt === 'bigint' ? amt : BigInt(Math.floor(amt))));
+  const jointOutputsRawInt = simulateRoutesJointInt(routes, allocationsRawInt);
+  let totalOutputRawInt = 0n;
   
   for (let i = 0; i < routes.length; i++) {
     const route = routes[i];
-    const inputRaw = allocationsRaw[i];
+    const inputRawInt = allocationsRawInt[i];
     
-    if (inputRaw === 0) continue;
+    if (inputRawInt === 0n) continue;
     
-    let outputRaw = simulateRoute(route, inputRaw);
+    const inputRaw = Number(inputRawInt);
+    let outputRawInt = jointOutputsRawInt[i];
     
     const gasCostRaw = route.length * gasPerHopInOutputTokensRaw;
     
     if (gasPolicy === 'per-route') {
-      outputRaw = Math.max(0, outputRaw - gasCostRaw);
+      const gasCostRawInt = BigInt(Math.ceil(gasCostRaw));
+      outputRawInt = outputRawInt > gasCostRawInt ? outputRawInt - gasCostRawInt : 0n;
     }
     
-    totalOutputRaw += outputRaw;
+    totalOutputRawInt += outputRawInt;
+    const outputRaw = Number(outputRawInt);
     
     const inputHuman = inputRaw / Math.pow(10, sourceToken.decimals);
     const outputHuman = outputRaw / Math.pow(10, targetToken.decimals);
@@ -858,6 +933,8 @@ function simulateAllocation(
       route,
       inputRaw,
       outputRaw,
+      inputRawInt,
+      outputRawInt,
       inputHuman,
       outputHuman,
       hops: route.length,
@@ -869,27 +946,296 @@ function simulateAllocation(
   
   if (gasPolicy === 'global') {
     const totalGasCost = results.reduce((sum, r) => sum + r.route.length * gasPerHopInOutputTokensRaw, 0);
-    totalOutputRaw = Math.max(0, totalOutputRaw - totalGasCost);
+    const totalGasCostInt = BigInt(Math.ceil(totalGasCost));
+    totalOutputRawInt = totalOutputRawInt > totalGasCostInt ? totalOutputRawInt - totalGasCostInt : 0n;
   }
   
-  const totalInputRaw = allocationsRaw.reduce((sum, amt) => sum + amt, 0);
+  const totalInputRawInt = allocationsRawInt.reduce((sum, amt) => sum + amt, 0n);
+  const totalInputRaw = Number(totalInputRawInt);
+  const totalOutputRaw = Number(totalOutputRawInt);
   const totalInputHuman = totalInputRaw / Math.pow(10, sourceToken.decimals);
   const totalOutputHuman = totalOutputRaw / Math.pow(10, targetToken.decimals);
   
+  const sharedPools = findSharedPools(routes, allocationsRawInt);
+  
   if (verbose) {
-    console.log(`   Routes used: ${results.length}`);
-    console.log(`   Total output: ${totalOutputHuman.toFixed(4)} ${targetToken.symbol}\n`);
+    logger.log(`   Routes used: ${results.length}`);
+    if (sharedPools.length > 0) logger.log(`   Shared pools: ${sharedPools.length} (legs simulated jointly)`);
+    logger.log(`   Total output: ${totalOutputHuman.toFixed(4)} ${targetToken.symbol}\n`);
   }
   
   return {
     totalInputRaw,
     totalOutputRaw,
+    totalInputRawInt,
+    totalOutputRawInt,
     totalInputHuman,
     totalOutputHuman,
     routes: results,
     gasPolicy,
+    sharedPools,
   };
 }
+// ============================================================================
+// Exact-Output Water-Filling (minimize total input for a fixed output)
+// ============================================================================
+
+function routeInputForOutput(route, outputRaw, gasCostRaw) {
+  if (outputRaw <= 0) return 0;
+  return simulateRouteExactOut(route, outputRaw + gasCostRaw);
+}
+
+// Largest output (≤ target) the route can deliver
+function findRouteOutputCapacity(route, targetOutputRaw, gasCostRaw) {
+  if (Number.isFinite(routeInputForOutput(route, targetOutputRaw, gasCostRaw))) return targetOutputRaw;
+  
+  let low = 0;
+  let high = targetOutputRaw;
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = (low + high) / 2;
+    if (Number.isFinite(routeInputForOutput(route, mid, gasCostRaw))) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Split a fixed output across routes so the total input is minimal.
+ * Equalizes the marginal input cost (d input / d output) of all active routes
+ * by bisecting on the cost level; each route's share at a level is found by
+ * bisection on its own marginal cost. Costs come from exact reverse simulation.
+ */
+function allocateWaterfillExactOut(routes, targetOutputRaw, gasCostsRaw, options = {}) {
+  const {
+    levelIterations = 50,
+    allocationIterations = 40,
+    verbose = false,
+    logger = console,
+  } = options;
+  
+  const step = Math.max(targetOutputRaw * 1e-6, 1e-9);
+  const capacities = routes.map((route, i) => findRouteOutputCapacity(route, targetOutputRaw, gasCostsRaw[i]));
+  const totalCapacity = capacities.reduce((sum, cap) => sum + cap, 0);
+  
+  if (totalCapacity < targetOutputRaw * (1 - 1e-9)) {
+    if (verbose) logger.log(`⚠️  Routes can deliver at most ${totalCapacity.toExponential(4)} raw of ${targetOutputRaw.toExponential(4)}`);
+    return { allocations: capacities, capacities, feasible: false, iterations: 0 };
+  }
+  
+  const marginalCost = (i, outputRaw) => {
+    if (outputRaw + step > capacities[i]) return Infinity;
+    const base = simulateRouteExactOut(routes[i], outputRaw + gasCostsRaw[i]);
+    const next = simulateRouteExactOut(routes[i], outputRaw + step + gasCostsRaw[i]);
+    return (next - base) / step;
+  };
+  
+  const outputAtLevel = (i, level) => {
+    if (!(marginalCost(i, 0) <= level)) return 0;
+    if (marginalCost(i, capacities[i] - step) <= level) return capacities[i];
+    
+    let low = 0;
+    let high = capacities[i];
+    for (let iter = 0; iter < allocationIterations; iter++) {
+      const mid = (low + high) / 2;
+      if (marginalCost(i, mid) <= level) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+  
+  const totalAtLevel = level => routes.reduce((sum, _, i) => sum + outputAtLevel(i, level), 0);
+  
+  const startingCosts = routes.map((_, i) => marginalCost(i, 0)).filter(Number.isFinite);
+  let lowLevel = Math.min(...startingCosts);
+  let highLevel = lowLevel;
+  let iterations = 0;
+  
+  while (totalAtLevel(highLevel) < targetOutputRaw && iterations < 200) {
+    highLevel *= 2;
+    iterations++;
+  }
+  
+  for (let iter = 0; iter < levelIterations; iter++) {
+    iterations++;
+    const mid = (lowLevel + highLevel) / 2;
+    if (totalAtLevel(mid) >= targetOutputRaw) {
+      highLevel = mid;
+    } else {
+      lowLevel = mid;
+    }
+  }
+  
+  const allocations = routes.map((_, i) => outputAtLevel(i, highLevel));
+  
+  if (verbose) {
+    logger.log(`🌊 Exact-out equilibrium: marginal cost ${highLevel.toExponential(6)} input/output after ${iterations} iterations`);
+  }
+  
+  return { allocations, capacities, feasible: true, iterations, marginalCost: highLevel };
+}
+
+function simulateAllocationExactOut(
+  routes,
+  outputAllocationsRaw,
+  sourceToken,
+  targetToken,
+  gasCostsRaw,
+  slippageBps,
+  verbose = false,
+  logger = console
+) {
+  if (verbose) logger.log(`🎯 Running final reverse simulation...`);
+  
+  const results = [];
+  let totalInputRawInt = 0n;
+  let totalOutputRawInt = 0n;
+  const outputsRawInt = outputAllocationsRaw.map(amt => (typeof amt === 'bigint' ? amt : BigInt(Math.floor(amt))));
+  // Each leg must also cover its gas; legs sharing a pool are solved jointly
+  const jointInputsRawInt = simulateRoutesJointExactOutInt(
+    routes,
+    outputsRawInt.map((amt, i) => (amt === 0n ? 0n : amt + BigInt(Math.ceil(gasCostsRaw[i]))))
+  );
+  
+  for (let i = 0; i < routes.length; i++) {
+    const route = routes[i];
+    const outputRawInt = outputsRawInt[i];
+    
+    if (outputRawInt === 0n) continue;
+    
+    const inputRawInt = jointInputsRawInt[i];
+    // The float allocation can land a raw unit past what the route pays on-chain
+    if (inputRawInt === null) return null;
+    
+    totalInputRawInt += inputRawInt;
+    totalOutputRawInt += outputRawInt;
+    
+    const inputRaw = Number(inputRawInt);
+    const outputRaw = Number(outputRawInt);
+    
+    const inputHuman = inputRaw / Math.pow(10, sourceToken.decimals);
+    const outputHuman = outputRaw / Math.pow(10, targetToken.decimals);
+    
+    results.push({
+      routeIdx: i,
+      route,
+      inputRaw,
+      outputRaw,
+      inputRawInt,
+      outputRawInt,
+      inputHuman,
+      outputHuman,
+      hops: route.length,
+      effRate: inputHuman > 0 ? outputHuman / inputHuman : 0,
+      initialEffRate: null,
+      gasCostRaw: gasCostsRaw[i],
+      maxInputRaw: Number(maxInputBound(inputRawInt, slippageBps)),
+      maxInputRawInt: maxInputBound(inputRawInt, slippageBps),
+    });
+  }
+  
+  const maxInputRawInt = maxInputBound(totalInputRawInt, slippageBps);
+  const totalInputRaw = Number(totalInputRawInt);
+  const totalOutputRaw = Number(totalOutputRawInt);
+  const maxInputRaw = Number(maxInputRawInt);
+  
+  return {
+    mode: 'exactOut',
+    totalInputRaw,
+    totalOutputRaw,
+    totalInputRawInt,
+    totalOutputRawInt,
+    maxInputRawInt,
+    totalInputHuman: totalInputRaw / Math.pow(10, sourceToken.decimals),
+    totalOutputHuman: totalOutputRaw / Math.pow(10, targetToken.decimals),
+    maxInputRaw,
+    maxInputHuman: maxInputRaw / Math.pow(10, sourceToken.decimals),
+    slippageBps,
+    routes: results,
+    gasPolicy: 'per-route',
+    sharedPools: findSharedPools(routes, outputsRawInt),
+  };
+}
+
+function optimizeRouteSplittingExactOut(routes, totalOutputHuman, sourceToken, targetToken, gasPerHopInOutputTokensRaw, options = {}) {
+  const {
+    minPct = 0.001,
+    slippageBps = 50,
+    verbose = false,
+    logger = console,
+  } = options;
+  const tStart = performance.now();
+  
+  const targetOutputRaw = totalOutputHuman * Math.pow(10, targetToken.decimals);
+  const gasCostsRaw = routes.map(route => route.length * gasPerHopInOutputTokensRaw);
+  
+  const { allocations, feasible, iterations } = allocateWaterfillExactOut(routes, targetOutputRaw, gasCostsRaw, { verbose, logger });
+  const tAfterAllocation = performance.now();
+  
+  if (!feasible) {
+    const maxOutput = allocations.reduce((sum, amt) => sum + amt, 0) / Math.pow(10, targetToken.decimals);
+    logger.log(`❌ Routes cannot deliver ${totalOutputHuman} ${targetToken.symbol || 'OUTPUT'} (max ≈ ${maxOutput.toFixed(4)})\n`);
+    return null;
+  }
+  
+  const normalizedAllocations = normalizeAllocations(allocations, targetOutputRaw, minPct, verbose, logger);
+  const wholeAllocations = toWholeUnitAllocations(
+    normalizedAllocations,
+    parseUnits(totalOutputHuman, targetToken.decimals)
+  );
+  
+  const result = simulateAllocationExactOut(
+    routes,
+    wholeAllocations,
+    sourceToken,
+    targetToken,
+    gasCostsRaw,
+    slippageBps,
+    verbose,
+    logger
+  );
+  const tEnd = performance.now();
+  
+  if (!result) {
+    logger.log(`❌ Split of ${totalOutputHuman} ${targetToken.symbol || 'OUTPUT'} is not deliverable after integer rounding\n`);
+    return null;
+  }
+  
+  result.iterations = iterations;
+  result.timings = {
+    allocation: tAfterAllocation - tStart,
+    simulation: tEnd - tAfterAllocation,
+    total: tEnd - tStart,
+  };
+  
+  if (!verbose) {
+    logger.log(`⏱️  Phase 2 Timing (Exact Output):`);
+    logger.log(`  Allocation: ${result.timings.allocation.toFixed(3)}ms`);
+    logger.log(`  Simulation: ${result.timings.simulation.toFixed(3)}ms`);
+    logger.log(`  Total: ${result.timings.total.toFixed(3)}ms\n`);
+  }
+  
+  return result;
+}
+
+/**
+ * options.mode = 'exactOut': `totalInputHuman` is the desired output (target
+ * token units) and allocations minimize the total input instead.
+ * options.targetTokenUSDPrice converts `gasPerHopUSD` to target tokens (see
+ * price-oracle.js); it defaults to $1.
+ * options.impactLimits ({ maxRouteImpact, maxHopImpact }, see price-impact.js)
+ * caps every route's allocation; input no route can take is left unfilled.
+ * options.totalInputRawInt is the exact input in raw units (BigInt) when the
+ * caller has it; legs then add up to it exactly rather than to a re-parse of
+ * the float `totalInputHuman`.
+ * options.logger receives all output (any object with a console-style `log`;
+ * console by default); `verbose` adds the per-step detail.
+ */
 function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, targetToken, options = {}) {
   const {
     steps = 18,
@@ -900,7 +1246,9 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
     minPct = 0.001,
     maxHops = 3,
     gasPerHopUSD = 0.01,
+    targetTokenUSDPrice = 1.0,
     verbose = false,
+    logger = console,
     enableCapacityConstraints = true,
     capacityMarginalDropThreshold = 0.5,
     capacityMinMarginalRatio = 0.1,
@@ -908,6 +1256,14 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
     routeCapacities = null,
     legacyWaterfill = false,
     minInitialEffRatio = 0.0,
+    mode = 'exactIn',
+    slippageBps = 50,
+    curveSampling = 'adaptive',
+    curveTolerance = DEFAULT_TOLERANCE,
+    curveMaxSamples = DEFAULT_MAX_SAMPLES,
+    curveCache = undefined,
+    impactLimits = null,
+    totalInputRawInt = null,
   } = options;
   const tStart = performance.now();
   let tAfterPrep;
@@ -916,59 +1272,69 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
   let tAfterNormalization;
   let tAfterSimulation;
   
-  console.log('='.repeat(80));
-  console.log('🌊 PHASE 2: WATER-FILLING ROUTE SPLITTING');
-  console.log('='.repeat(80));
-  console.log();
+  logger.log('='.repeat(80));
+  logger.log('🌊 PHASE 2: WATER-FILLING ROUTE SPLITTING');
+  logger.log('='.repeat(80));
+  logger.log();
   
-  console.log(`📋 Validating ${routes.length} routes...`);
+  logger.log(`📋 Validating ${routes.length} routes...`);
   const validRoutes = routes.filter(route => 
     validateRoute(route, sourceToken, targetToken, maxHops)
   );
-  console.log(`✅ ${validRoutes.length} valid routes\n`);
+  logger.log(`✅ ${validRoutes.length} valid routes\n`);
   
   if (validRoutes.length === 0) {
-    console.log('❌ No valid routes found!\n');
+    logger.log('❌ No valid routes found!\n');
     return null;
   }
   
-  const { routes: dedupedRoutes, capacities: dedupedCapacities } = deduplicateRoutes(validRoutes, routeCapacities, verbose);
+  const { routes: dedupedRoutes, capacities: dedupedCapacities } = deduplicateRoutes(validRoutes, routeCapacities, verbose, logger);
   
   let resolvedTokens;
   try {
     resolvedTokens = resolveEndpointMetadata(dedupedRoutes, sourceToken, targetToken);
   } catch (metaError) {
-    console.log(`❌ Error resolving token metadata: ${metaError.message}`);
+    logger.log(`❌ Error resolving token metadata: ${metaError.message}`);
     return null;
   }
   
   if (resolvedTokens.warnings.length > 0) {
-    resolvedTokens.warnings.forEach(msg => console.log(msg));
-    console.log();
+    resolvedTokens.warnings.forEach(msg => logger.log(msg));
+    logger.log();
   }
   
   if (resolvedTokens.sourceResolvedFromRoutes || resolvedTokens.targetResolvedFromRoutes) {
-    console.log(`🔍 Using route-derived metadata:`);
+    logger.log(`🔍 Using route-derived metadata:`);
     if (resolvedTokens.sourceResolvedFromRoutes) {
-      console.log(`  Source: ${resolvedTokens.sourceToken.symbol || 'UNKNOWN'} (${resolvedTokens.sourceToken.addr}), decimals=${resolvedTokens.sourceToken.decimals}`);
+      logger.log(`  Source: ${resolvedTokens.sourceToken.symbol || 'UNKNOWN'} (${resolvedTokens.sourceToken.addr}), decimals=${resolvedTokens.sourceToken.decimals}`);
     }
     if (resolvedTokens.targetResolvedFromRoutes) {
-      console.log(`  Target: ${resolvedTokens.targetToken.symbol || 'UNKNOWN'} (${resolvedTokens.targetToken.addr}), decimals=${resolvedTokens.targetToken.decimals}`);
+      logger.log(`  Target: ${resolvedTokens.targetToken.symbol || 'UNKNOWN'} (${resolvedTokens.targetToken.addr}), decimals=${resolvedTokens.targetToken.decimals}`);
     }
-    console.log();
+    logger.log();
   }
   
   const resolvedSourceToken = resolvedTokens.sourceToken;
   const resolvedTargetToken = resolvedTokens.targetToken;
   
-  const targetTokenUSDPrice = 1.0;
   const gasPerHopInOutputTokens = gasPerHopUSD / targetTokenUSDPrice;
   const gasPerHopInOutputTokensRaw = gasPerHopInOutputTokens * Math.pow(10, resolvedTargetToken.decimals);
   
-  console.log(`Gas Configuration:`);
-  console.log(`  Gas per hop: $${gasPerHopUSD} = ${gasPerHopInOutputTokens.toFixed(4)} ${resolvedTargetToken.symbol || targetToken.symbol || 'OUTPUT'}`);
-  console.log(`  Gas per hop (raw): ${gasPerHopInOutputTokensRaw.toExponential(4)}`);
-  console.log();
+  logger.log(`Gas Configuration:`);
+  logger.log(`  Gas per hop: $${gasPerHopUSD} = ${gasPerHopInOutputTokens.toFixed(4)} ${resolvedTargetToken.symbol || targetToken.symbol || 'OUTPUT'}`);
+  logger.log(`  Gas per hop (raw): ${gasPerHopInOutputTokensRaw.toExponential(4)}`);
+  logger.log();
+  
+  if (mode === 'exactOut') {
+    return optimizeRouteSplittingExactOut(
+      dedupedRoutes,
+      totalInputHuman,
+      resolvedSourceToken,
+      resolvedTargetToken,
+      gasPerHopInOutputTokensRaw,
+      { minPct, slippageBps, verbose, logger }
+    );
+  }
   
   tAfterPrep = performance.now();
   
@@ -978,6 +1344,7 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
     capacities,
     externalCapacities,
     initialEffs,
+    sampling: curveSamplingStats,
   } = buildResponseCurves(
     dedupedRoutes,
     totalInputHuman,
@@ -988,7 +1355,9 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
     minMarginalRatioFilter,
     dedupedCapacities,
     verbose,
-    minInitialEffRatio
+    minInitialEffRatio,
+    { mode: curveSampling, tolerance: curveTolerance, maxSamples: curveMaxSamples, cache: curveCache },
+    logger
   );
   tAfterCurves = performance.now();
   
@@ -999,31 +1368,40 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
     // Use the minimum of external and curve-based capacities
     finalCapacities = externalCapacities.map((extCap, i) => Math.min(extCap, capacities[i]));
     if (verbose) {
-      console.log(`📊 Using combined route capacities (min of external and curve-based):`);
+      logger.log(`📊 Using combined route capacities (min of external and curve-based):`);
       finalCapacities.forEach((cap, i) => {
         const capPct = (cap / totalInputRaw * 100).toFixed(2);
         const extPct = (externalCapacities[i] / totalInputRaw * 100).toFixed(2);
         const curvePct = (capacities[i] / totalInputRaw * 100).toFixed(2);
-        console.log(`   Route ${i + 1}: capacity=${capPct}% (external=${extPct}%, curve=${curvePct}%)`);
+        logger.log(`   Route ${i + 1}: capacity=${capPct}% (external=${extPct}%, curve=${curvePct}%)`);
       });
-      console.log();
+      logger.log();
     }
   } else {
     finalCapacities = capacities;
     if (verbose && externalCapacities) {
-      console.log(`⚠️  External capacities length mismatch (${externalCapacities.length} vs ${filteredRoutes.length}), using curve-based capacities\n`);
+      logger.log(`⚠️  External capacities length mismatch (${externalCapacities.length} vs ${filteredRoutes.length}), using curve-based capacities\n`);
     }
   }
   
+  // Price-impact caps bound the allocation on top of (or instead of) the curve capacities
+  const impactCaps = impactLimits
+    ? filteredRoutes.map(route => maxInputWithinImpact(route, impactLimits, totalInputRaw))
+    : null;
+  let allocationCapacities = enableCapacityConstraints ? finalCapacities : null;
+  if (impactCaps) {
+    allocationCapacities = impactCaps.map((cap, i) => (allocationCapacities ? Math.min(cap, allocationCapacities[i]) : cap));
+  }
+  
   let allocations, totalAllocated, iterations, routesSaturated;
   let algorithmLabel;
   
   if (legacyWaterfill) {
-    if (verbose) console.log(`🔧 Using LEGACY water-filling algorithm\n`);
+    if (verbose) logger.log(`🔧 Using LEGACY water-filling algorithm\n`);
     const result = allocateWaterfill(
       curves, 
       totalInputRaw, 
-      enableCapacityConstraints ? finalCapacities : null,
+      allocationCapacities,
       {
         chunkCoarse,
         chunkFine,
@@ -1031,6 +1409,7 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
         tol,
         minPct,
         verbose,
+        logger,
       }
     );
     allocations = result.allocations;
@@ -1039,17 +1418,18 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
     routesSaturated = undefined;
     algorithmLabel = 'Legacy';
   } else {
-    if (verbose) console.log(`🚀 Using PRIORITY QUEUE water-filling algorithm\n`);
+    if (verbose) logger.log(`🚀 Using PRIORITY QUEUE water-filling algorithm\n`);
     const result = allocateWaterfillPQ(
       curves,
       totalInputRaw,
-      enableCapacityConstraints ? finalCapacities : null,
+      allocationCapacities,
       {
         chunkCoarse,
         chunkFine,
         maxIter: maxIterations,
         tol,
         verbose,
+        logger,
       }
     );
     allocations = result.allocations;
@@ -1063,35 +1443,62 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
   // Warn if we're about to normalize a very low allocation (likely a bug)
   const allocationPct = totalAllocated / totalInputRaw;
   if (allocationPct < 0.5 && verbose) {
-    console.log(`⚠️  WARNING: Only allocated ${(allocationPct * 100).toFixed(2)}% before normalization`);
-    console.log(`   This suggests capacity constraints are too restrictive or iteration limit too low`);
+    logger.log(`⚠️  WARNING: Only allocated ${(allocationPct * 100).toFixed(2)}% before normalization`);
+    logger.log(`   This suggests capacity constraints are too restrictive or iteration limit too low`);
   }
   
-  console.log(`📊 Allocation Summary:`);
-  console.log(`   Algorithm: ${algorithmLabel || 'Unknown'}`);
+  logger.log(`📊 Allocation Summary:`);
+  logger.log(`   Algorithm: ${algorithmLabel || 'Unknown'}`);
   if (routesSaturated !== undefined) {
-    console.log(`   Routes saturated: ${routesSaturated}/${filteredRoutes.length}`);
+    logger.log(`   Routes saturated: ${routesSaturated}/${filteredRoutes.length}`);
+  }
+  logger.log(`   Total allocated: ${(allocationPct * 100).toFixed(2)}%`);
+  logger.log(`   Iterations: ${iterations}\n`);
+  
+  let normalizedAllocations = normalizeAllocations(allocations, totalInputRaw, minPct, verbose, logger);
+  
+  // Response curves price each route alone; when legs share a pool, refine the
+  // split against the joint simulation so the shared pool is not counted twice
+  const sharedPools = findSharedPools(filteredRoutes, normalizedAllocations);
+  if (sharedPools.length > 0) {
+    const refined = refineAllocationJoint(filteredRoutes, normalizedAllocations, gasPerHopInOutputTokensRaw);
+    normalizedAllocations = normalizeAllocations(refined.allocations, totalInputRaw, minPct, verbose, logger);
+    logger.log(`🔗 ${sharedPools.length} pool(s) shared between legs: refined split on joint simulation (${refined.iterations} iterations, +${(refined.gainRaw / Math.pow(10, resolvedTargetToken.decimals)).toFixed(6)} ${resolvedTargetToken.symbol || 'OUTPUT'})\n`);
   }
-  console.log(`   Total allocated: ${(allocationPct * 100).toFixed(2)}%`);
-  console.log(`   Iterations: ${iterations}\n`);
   
-  const normalizedAllocations = normalizeAllocations(allocations, totalInputRaw, minPct, verbose);
+  let unfilledRaw = 0;
+  if (impactCaps) {
+    const limited = enforceImpactLimits(filteredRoutes, normalizedAllocations, impactLimits, impactCaps);
+    normalizedAllocations = limited.allocations;
+    unfilledRaw = limited.unfilledRaw;
+    if (limited.trimmedRoutes > 0 || unfilledRaw > 0) {
+      logger.log(`🚧 Price-impact cap: ${limited.trimmedRoutes} route(s) trimmed, ${(unfilledRaw / totalInputRaw * 100).toFixed(2)}% of the input left unfilled\n`);
+    }
+  }
+  
+  const wholeAllocations = toWholeUnitAllocations(
+    normalizedAllocations,
+    filledInputRawInt(totalInputRawInt ?? parseUnits(totalInputHuman, resolvedSourceToken.decimals), unfilledRaw)
+  );
   tAfterNormalization = performance.now();
   
   const result = simulateAllocation(
     filteredRoutes,
-    normalizedAllocations,
+    wholeAllocations,
     resolvedSourceToken,
     resolvedTargetToken,
     gasPerHopInOutputTokensRaw,
     'per-route',
     verbose,
     initialEffs,
-    curves
+    curves,
+    logger
   );
   tAfterSimulation = performance.now();
   
   result.iterations = iterations;
+  result.curveSampling = curveSamplingStats;
+  attachPriceImpact(result, { limits: impactLimits, unfilledRaw });
   
   const timingSummary = {
     prep: tAfterPrep - tStart,
@@ -1103,13 +1510,13 @@ function optimizeRouteSplittingWaterfill(routes, totalInputHuman, sourceToken, t
   };
   
   if (!verbose) {
-    console.log(`⏱️  Phase 2 Timing:`);
-    console.log(`  Prep & metadata: ${timingSummary.prep.toFixed(3)}ms`);
-    console.log(`  Response curves: ${timingSummary.curveBuild.toFixed(3)}ms`);
-    console.log(`  Allocation: ${timingSummary.allocation.toFixed(3)}ms`);
-    console.log(`  Normalization: ${timingSummary.normalization.toFixed(3)}ms`);
-    console.log(`  Simulation: ${timingSummary.simulation.toFixed(3)}ms`);
-    console.log(`  Total: ${timingSummary.total.toFixed(3)}ms\n`);
+    logger.log(`⏱️  Phase 2 Timing:`);
+    logger.log(`  Prep & metadata: ${timingSummary.prep.toFixed(3)}ms`);
+    logger.log(`  Response curves: ${timingSummary.curveBuild.toFixed(3)}ms (${curveSamplingStats.simulations} simulations, ${curveSamplingStats.reused} reused)`);
+    logger.log(`  Allocation: ${timingSummary.allocation.toFixed(3)}ms`);
+    logger.log(`  Normalization: ${timingSummary.normalization.toFixed(3)}ms`);
+    logger.log(`  Simulation: ${timingSummary.simulation.toFixed(3)}ms`);
+    logger.log(`  Total: ${timingSummary.total.toFixed(3)}ms\n`);
   }
   
   result.timings = timingSummary;
@@ -1125,6 +1532,9 @@ module.exports = {
   allocateWaterfill,
   allocateWaterfillPQ,
   normalizeAllocations,
+  toWholeUnitAllocations,
   simulateAllocation,
+  allocateWaterfillExactOut,
+  simulateAllocationExactOut,
   optimizeRouteSplittingWaterfill,
 };
@@ -0,0 +1,372 @@
+/**
+ * Pool Models - Simulator registry keyed by `pool_type`
+ *
+ * Every router (A*, Yen's, DFS), both splitters (water-fill, hill-climb) and
+ * the benchmark resolve swap math through this registry instead of carrying
+ * their own constant-product copy. Supporting a new AMM type means registering
+ * one model here:
+ *
+ *   registerPoolModel('WEIGHTED', {
+ *     quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn)  → amountOut
+ *     quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut)  → amountIn (Infinity if unreachable)
+ *     spotPrice(pool, tokenInAddr, tokenOutAddr)           → tokenOut per tokenIn, after fee
+ *     marginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn) → d(amountOut)/d(amountIn) at that size
+ *
+ *     // optional exact-integer path (BigInt raw units, on-chain rounding)
+ *     quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn)   → amountOut, rounded down
+ *     quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut)   → amountIn, rounded up (null if unreachable)
+ *
+ *     // optional post-trade state (joint simulation of split legs sharing a pool)
+ *     applySwap(pool, tokenInAddr, tokenOutAddr, amountIn)     → amountOut, and moves `pool` past the trade
+ *     applySwapInt(pool, tokenInAddr, tokenOutAddr, amountIn)  → same on the integer path
+ *   });
+ *
+ * Models read the normalized pool shape from pool-source.js (`type`, `fee`,
+ * `tokens[].reserveNum`, `sqrtPrice`, `liquidity`, `ticks`, `amp`; `feePips`
+ * and `tokens[].reserveRaw` for the integer path). Float amounts are raw
+ * (smallest units) and serve as the fast estimator for search and scoring;
+ * the `*Int` functions produce the quotes and allocations that go on-chain.
+ * Models without an integer path are estimated from their float quote.
+ * Models without `applySwap` move reserves by the quoted trade, which is exact
+ * for reserve-based pools (constant-product, StableSwap).
+ * Unknown or missing types fall back to constant-product.
+ */
+
+const {
+  SQRT_PRICE_SCALE,
+  parseSqrtPrice,
+  clmmSpotPrice,
+  clmmMarginalPrice,
+  simulateClmmSwap,
+  simulateClmmSwapExactOut,
+  simulateClmmSwapInt,
+  simulateClmmSwapExactOutInt,
+} = require('./clmm-simulator.js');
+const {
+  stableSpotPrice,
+  stableMarginalPrice,
+  simulateStableSwap,
+  simulateStableSwapExactOut,
+  simulateStableSwapInt,
+  simulateStableSwapExactOutInt,
+} = require('./stableswap-simulator.js');
+const {
+  FEE_DENOMINATOR,
+  toRawInt,
+  mulDivRoundingUp,
+  divRoundingUp,
+} = require('./raw-math.js');
+
+const MODEL_METHODS = ['quoteOut', 'quoteIn', 'spotPrice', 'marginalPrice'];
+
+function getReserves(pool, tokenInAddr, tokenOutAddr) {
+  const tokenIn = pool.tokens.find(t => t.addr === tokenInAddr);
+  const tokenOut = pool.tokens.find(t => t.addr === tokenOutAddr);
+  if (!tokenIn || !tokenOut) return null;
+
+  const reserveIn = tokenIn.reserveNum;
+  const reserveOut = tokenOut.reserveNum;
+  if (reserveIn === 0 || reserveOut === 0) return null;
+
+  return { reserveIn, reserveOut };
+}
+
+function getReservesInt(pool, tokenInAddr, tokenOutAddr) {
+  const tokenIn = pool.tokens.find(t => t.addr === tokenInAddr);
+  const tokenOut = pool.tokens.find(t => t.addr === tokenOutAddr);
+  if (!tokenIn || !tokenOut) return null;
+
+  const reserveIn = tokenIn.reserveRaw ?? toRawInt(tokenIn.reserve ?? tokenIn.reserveNum);
+  const reserveOut = tokenOut.reserveRaw ?? toRawInt(tokenOut.reserve ?? tokenOut.reserveNum);
+  if (reserveIn === 0n || reserveOut === 0n) return null;
+
+  return { reserveIn, reserveOut };
+}
+
+function getFeePips(pool) {
+  return pool.feePips ?? toRawInt(Math.round(pool.fee * 1e6));
+}
+
+// ============================================================================
+// Constant Product (x * y = k)
+// ============================================================================
+
+const constantProductModel = {
+  quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    const reserves = getReserves(pool, tokenInAddr, tokenOutAddr);
+    if (!reserves || !(amountIn > 0)) return 0;
+
+    const amountInAfterFee = amountIn * (1 - pool.fee);
+    return (reserves.reserveOut * amountInAfterFee) / (reserves.reserveIn + amountInAfterFee);
+  },
+
+  quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut) {
+    const reserves = getReserves(pool, tokenInAddr, tokenOutAddr);
+    if (!reserves) return Infinity;
+    if (!(amountOut > 0)) return 0;
+    if (amountOut >= reserves.reserveOut) return Infinity;
+
+    return (reserves.reserveIn * amountOut) / ((reserves.reserveOut - amountOut) * (1 - pool.fee));
+  },
+
+  spotPrice(pool, tokenInAddr, tokenOutAddr) {
+    const reserves = getReserves(pool, tokenInAddr, tokenOutAddr);
+    if (!reserves) return 0;
+
+    return (reserves.reserveOut / reserves.reserveIn) * (1 - pool.fee);
+  },
+
+  marginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn = 0) {
+    const reserves = getReserves(pool, tokenInAddr, tokenOutAddr);
+    if (!reserves) return 0;
+
+    const gamma = 1 - pool.fee;
+    const effectiveReserveIn = reserves.reserveIn + gamma * Math.max(0, amountIn);
+    return (gamma * reserves.reserveOut * reserves.reserveIn) / (effectiveReserveIn * effectiveReserveIn);
+  },
+
+  quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    const reserves = getReservesInt(pool, tokenInAddr, tokenOutAddr);
+    if (!reserves || amountIn <= 0n) return 0n;
+
+    const fee = mulDivRoundingUp(amountIn, getFeePips(pool), FEE_DENOMINATOR);
+    const amountInAfterFee = amountIn - fee;
+    return (reserves.reserveOut * amountInAfterFee) / (reserves.reserveIn + amountInAfterFee);
+  },
+
+  quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut) {
+    const reserves = getReservesInt(pool, tokenInAddr, tokenOutAddr);
+    if (!reserves) return null;
+    if (amountOut <= 0n) return 0n;
+    if (amountOut >= reserves.reserveOut) return null;
+
+    const amountInAfterFee = divRoundingUp(reserves.reserveIn * amountOut, reserves.reserveOut - amountOut);
+    return mulDivRoundingUp(amountInAfterFee, FEE_DENOMINATOR, FEE_DENOMINATOR - getFeePips(pool));
+  },
+};
+
+// ============================================================================
+// Concentrated Liquidity (tick walk, see clmm-simulator.js)
+// ============================================================================
+
+// Pools without a sqrt_price cannot be tick-walked; quote them on reserves
+function hasClmmState(pool) {
+  return parseSqrtPrice(pool.sqrtPrice) !== null;
+}
+
+const clmmModel = {
+  quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    if (!hasClmmState(pool)) return constantProductModel.quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn);
+
+    const result = simulateClmmSwap(pool, tokenInAddr, tokenOutAddr, amountIn);
+    return result ? result.amountOut : 0;
+  },
+
+  quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut) {
+    if (!hasClmmState(pool)) return constantProductModel.quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut);
+    if (!(amountOut > 0)) return 0;
+
+    const result = simulateClmmSwapExactOut(pool, tokenInAddr, tokenOutAddr, amountOut);
+    return result && !result.exhausted ? result.amountIn : Infinity;
+  },
+
+  spotPrice(pool, tokenInAddr, tokenOutAddr) {
+    if (!hasClmmState(pool)) return constantProductModel.spotPrice(pool, tokenInAddr, tokenOutAddr);
+    return clmmSpotPrice(pool, tokenInAddr, tokenOutAddr);
+  },
+
+  marginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn = 0) {
+    if (!hasClmmState(pool)) return constantProductModel.marginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn);
+    return clmmMarginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn);
+  },
+
+  quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    if (!hasClmmState(pool)) return constantProductModel.quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+
+    const result = simulateClmmSwapInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+    return result ? result.amountOut : 0n;
+  },
+
+  quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut) {
+    if (!hasClmmState(pool)) return constantProductModel.quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut);
+    if (amountOut <= 0n) return 0n;
+
+    const result = simulateClmmSwapExactOutInt(pool, tokenInAddr, tokenOutAddr, amountOut);
+    return result && !result.exhausted ? result.amountIn : null;
+  },
+
+  applySwap(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    if (!hasClmmState(pool)) return applySwapOnReserves(pool, tokenInAddr, tokenOutAddr, amountIn);
+
+    const result = simulateClmmSwap(pool, tokenInAddr, tokenOutAddr, amountIn);
+    if (!result) return 0;
+    pool.sqrtPrice = String(result.sqrtPriceAfter * SQRT_PRICE_SCALE);
+    pool.liquidity = String(result.liquidityAfter);
+    shiftReserves(pool, tokenInAddr, tokenOutAddr, result.amountInUsed, result.amountOut);
+    return result.amountOut;
+  },
+
+  applySwapInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    if (!hasClmmState(pool)) return applySwapOnReservesInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+
+    const result = simulateClmmSwapInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+    if (!result) return 0n;
+    pool.sqrtPrice = result.sqrtPriceAfterX64.toString();
+    pool.liquidity = result.liquidityAfter.toString();
+    shiftReservesInt(pool, tokenInAddr, tokenOutAddr, result.amountInUsed, result.amountOut);
+    return result.amountOut;
+  },
+};
+
+// ============================================================================
+// StableSwap (see stableswap-simulator.js)
+// ============================================================================
+
+const stableModel = {
+  quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    const result = simulateStableSwap(pool, tokenInAddr, tokenOutAddr, amountIn);
+    return result ? result.amountOut : 0;
+  },
+
+  quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut) {
+    if (!(amountOut > 0)) return 0;
+
+    const result = simulateStableSwapExactOut(pool, tokenInAddr, tokenOutAddr, amountOut);
+    return result ? result.amountIn : Infinity;
+  },
+
+  spotPrice: stableSpotPrice,
+  marginalPrice: stableMarginalPrice,
+
+  quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+    return simulateStableSwapInt(pool, tokenInAddr, tokenOutAddr, amountIn) ?? 0n;
+  },
+
+  quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut) {
+    if (amountOut <= 0n) return 0n;
+    return simulateStableSwapExactOutInt(pool, tokenInAddr, tokenOutAddr, amountOut);
+  },
+};
+
+// ============================================================================
+// Post-trade State
+// ============================================================================
+
+// The fee is paid into the pool, so the input reserve grows by the full input.
+// Float moves only touch `reserveNum`; integer moves keep both fields in sync.
+function shiftReserves(pool, tokenInAddr, tokenOutAddr, amountIn, amountOut) {
+  pool.tokens = pool.tokens.map(token => {
+    if (token.addr === tokenInAddr) return { ...token, reserveNum: token.reserveNum + amountIn };
+    if (token.addr === tokenOutAddr) return { ...token, reserveNum: Math.max(0, token.reserveNum - amountOut) };
+    return token;
+  });
+}
+
+function shiftReservesInt(pool, tokenInAddr, tokenOutAddr, amountIn, amountOut) {
+  pool.tokens = pool.tokens.map(token => {
+    if (token.addr !== tokenInAddr && token.addr !== tokenOutAddr) return token;
+    const reserve = token.reserveRaw ?? toRawInt(token.reserve ?? token.reserveNum);
+    const reserveRaw = token.addr === tokenInAddr
+      ? reserve + amountIn
+      : (reserve > amountOut ? reserve - amountOut : 0n);
+    return { ...token, reserveRaw, reserveNum: Number(reserveRaw) };
+  });
+}
+
+function applySwapOnReserves(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const amountOut = getPoolModel(pool).quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn);
+  if (amountOut > 0) shiftReserves(pool, tokenInAddr, tokenOutAddr, amountIn, amountOut);
+  return amountOut;
+}
+
+function applySwapOnReservesInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const amountOut = quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+  if (amountOut > 0n) shiftReservesInt(pool, tokenInAddr, tokenOutAddr, amountIn, amountOut);
+  return amountOut;
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const poolModels = new Map();
+const defaultModel = constantProductModel;
+
+function registerPoolModel(poolType, model) {
+  for (const method of MODEL_METHODS) {
+    if (typeof model[method] !== 'function') {
+      throw new Error(`Pool model "${poolType}" must implement ${method}()`);
+    }
+  }
+  poolModels.set(poolType, model);
+  return model;
+}
+
+function getPoolModel(pool) {
+  return poolModels.get(pool.type) || defaultModel;
+}
+
+function quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  return getPoolModel(pool).quoteOut(pool, tokenInAddr, tokenOutAddr, amountIn);
+}
+
+function quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut) {
+  return getPoolModel(pool).quoteIn(pool, tokenInAddr, tokenOutAddr, amountOut);
+}
+
+function spotPrice(pool, tokenInAddr, tokenOutAddr) {
+  return getPoolModel(pool).spotPrice(pool, tokenInAddr, tokenOutAddr);
+}
+
+function marginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn = 0) {
+  return getPoolModel(pool).marginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn);
+}
+
+function quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const model = getPoolModel(pool);
+  if (model.quoteOutInt) return model.quoteOutInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+
+  const estimate = model.quoteOut(pool, tokenInAddr, tokenOutAddr, Number(amountIn));
+  return estimate > 0 ? BigInt(Math.floor(estimate)) : 0n;
+}
+
+function quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut) {
+  const model = getPoolModel(pool);
+  if (model.quoteInInt) return model.quoteInInt(pool, tokenInAddr, tokenOutAddr, amountOut);
+
+  const estimate = model.quoteIn(pool, tokenInAddr, tokenOutAddr, Number(amountOut));
+  return Number.isFinite(estimate) ? BigInt(Math.ceil(estimate)) : null;
+}
+
+// Quote a trade and move `pool` (a copy, see joint-simulation.js) past it
+function applySwap(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const model = getPoolModel(pool);
+  if (model.applySwap) return model.applySwap(pool, tokenInAddr, tokenOutAddr, amountIn);
+  return applySwapOnReserves(pool, tokenInAddr, tokenOutAddr, amountIn);
+}
+
+function applySwapInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const model = getPoolModel(pool);
+  if (model.applySwapInt) return model.applySwapInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+  return applySwapOnReservesInt(pool, tokenInAddr, tokenOutAddr, amountIn);
+}
+
+registerPoolModel('AMM', constantProductModel);
+registerPoolModel('CLMM', clmmModel);
+registerPoolModel('STABLE', stableModel);
+
+module.exports = {
+  constantProductModel,
+  clmmModel,
+  stableModel,
+  registerPoolModel,
+  getPoolModel,
+  quoteOut,
+  quoteIn,
+  spotPrice,
+  marginalPrice,
+  quoteOutInt,
+  quoteInInt,
+  applySwap,
+  applySwapInt,
+};
@@ -0,0 +1,148 @@
+/**
+ * Pool Snapshot - Offline pool data format
+ *
+ * Versioned JSON file holding the exact rows returned by the pools query
+ * (`fetchPoolsFromDB`), the token metadata table and the capture timestamp.
+ * Lets every router script run without the docker-compose database and makes
+ * a routing result reproducible from a file attached to a bug report.
+ *
+ * Format (version 1):
+ *   {
+ *     "format": "tapp-pool-snapshot",
+ *     "version": 1,
+ *     "capturedAt": "2025-10-24T09:30:00.000Z",
+ *     "source": { "type": "postgres", "host": "localhost", "database": "tapp" },
+ *     "pools": [ { pool_addr, pool_type, fee_tier, liquidity, sqrt_price, tokens: [...] } ],
+ *     "tokens": [ { addr, symbol, decimals } ],
+ *     "ticks": { "<pool_addr>": [ { tick, liquidity_net } ] }   (optional, CLMM pools)
+ *   }
+ *
+ * CLI flags (shared by all router scripts, loaded through pool-source.js):
+ *   --snapshot=<file>        Load pools/tokens from a snapshot instead of Postgres
+ *   --dump-snapshot=<file>   Fetch from Postgres and write a snapshot before routing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FORMAT = 'tapp-pool-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// ============================================================================
+// CLI Options
+// ============================================================================
+
+function getSnapshotOptions(args) {
+  const snapshotPath = args.find(a => a.startsWith('--snapshot='))?.split('=')[1] || null;
+  const dumpSnapshotPath = args.find(a => a.startsWith('--dump-snapshot='))?.split('=')[1] || null;
+
+  if (snapshotPath && dumpSnapshotPath) {
+    throw new Error('--snapshot and --dump-snapshot cannot be combined (dumping requires a live database)');
+  }
+
+  return { snapshotPath, dumpSnapshotPath };
+}
+
+// ============================================================================
+// Snapshot Build / Validate
+// ============================================================================
+
+function createSnapshot(poolRows, tokenRows, source = {}, ticks = {}, capturedAt = new Date().toISOString()) {
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    capturedAt,
+    source,
+    pools: poolRows,
+    tokens: tokenRows.map(t => ({
+      addr: t.addr,
+      symbol: t.symbol,
+      decimals: t.decimals,
+      // Optional token registry metadata (see token-registry.js)
+      ...(t.verified !== undefined && { verified: t.verified }),
+      ...(t.canonical !== undefined && { canonical: t.canonical }),
+      ...(t.aliases !== undefined && { aliases: t.aliases }),
+    })),
+  };
+  if (Object.keys(ticks).length > 0) snapshot.ticks = ticks;
+  return snapshot;
+}
+
+function validateSnapshot(snapshot, label = 'snapshot') {
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error(`Invalid ${label}: expected a JSON object`);
+  }
+  if (snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Invalid ${label}: format "${snapshot.format}" (expected "${SNAPSHOT_FORMAT}")`);
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported ${label} version ${snapshot.version} (supported: ${SNAPSHOT_VERSION})`);
+  }
+  if (!Array.isArray(snapshot.pools)) {
+    throw new Error(`Invalid ${label}: "pools" must be an array`);
+  }
+  if (!Array.isArray(snapshot.tokens)) {
+    throw new Error(`Invalid ${label}: "tokens" must be an array`);
+  }
+
+  snapshot.pools.forEach((pool, i) => {
+    if (!pool.pool_addr) {
+      throw new Error(`Invalid ${label}: pools[${i}] is missing pool_addr`);
+    }
+    if (!Array.isArray(pool.tokens) || pool.tokens.length < 2) {
+      throw new Error(`Invalid ${label}: pool ${pool.pool_addr} must list at least 2 tokens`);
+    }
+    for (const token of pool.tokens) {
+      if (!token.addr || token.decimals === undefined || token.reserve === undefined) {
+        throw new Error(`Invalid ${label}: pool ${pool.pool_addr} has a token without addr/decimals/reserve`);
+      }
+    }
+  });
+
+  if (snapshot.ticks !== undefined) {
+    if (!snapshot.ticks || typeof snapshot.ticks !== 'object' || Array.isArray(snapshot.ticks)) {
+      throw new Error(`Invalid ${label}: "ticks" must be an object keyed by pool address`);
+    }
+    for (const [poolAddr, ticks] of Object.entries(snapshot.ticks)) {
+      if (!Array.isArray(ticks) || ticks.some(t => t.tick === undefined || t.liquidity_net === undefined)) {
+        throw new Error(`Invalid ${label}: ticks of pool ${poolAddr} must be [{ tick, liquidity_net }]`);
+      }
+    }
+  }
+
+  return snapshot;
+}
+
+// ============================================================================
+// File I/O
+// ============================================================================
+
+function readSnapshot(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Snapshot ${filePath} is not valid JSON: ${err.message}`);
+  }
+
+  return validateSnapshot(snapshot, `snapshot ${filePath}`);
+}
+
+function writeSnapshot(filePath, snapshot) {
+  validateSnapshot(snapshot);
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+  return filePath;
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  getSnapshotOptions,
+  createSnapshot,
+  validateSnapshot,
+  readSnapshot,
+  writeSnapshot,
+};
@@ -0,0 +1,387 @@
+/**
+ * Pool Source - Shared pool data access layer
+ *
+ * Single place that loads pools and normalizes them for every router
+ * (A*, Yen's, DFS, water-fill, hill-climb) and the benchmark.
+ *
+ * Backends (common interface: `load()` → { pools, rows, tokens, ticks, capturedAt, source }, `close()`):
+ * - PostgresPoolSource: live TAPP database (docker-compose)
+ * - JsonFilePoolSource: offline pool snapshot (see pool-snapshot.js)
+ * - FixturePoolSource:  in-memory rows for tests and experiments
+ *
+ * Normalization happens exactly once here: fee tier, decimals and reserves are
+ * parsed into numbers (`fee`, `decimals`, `reserveNum`) so simulation code never
+ * re-parses strings on the hot path. The exact-integer path gets the same
+ * values as BigInt (`feePips`, `reserveRaw`). CLMM pools also get their initialized
+ * ticks attached (`pool.ticks`) for the tick-walking simulator; stable pools
+ * carry their amplification parameter (`pool.amp`) when the row provides one.
+ */
+
+const { Client } = require('pg');
+const { createSnapshot, readSnapshot, writeSnapshot } = require('./pool-snapshot.js');
+const { normalizeTicks } = require('./clmm-simulator.js');
+const { spotPrice, marginalPrice } = require('./pool-models.js');
+const { feeToPips, tryToRawInt } = require('./raw-math.js');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// .env is read on first use of the database config rather than at import,
+// so modules that never touch the database leave process.env alone
+let dotenvLoaded = false;
+function loadDotenv() {
+  if (!dotenvLoaded) {
+    require('dotenv').config();
+    dotenvLoaded = true;
+  }
+  return process.env;
+}
+
+function getDbConfig(env = loadDotenv()) {
+  return {
+    host: env.DB_HOST || 'localhost',
+    port: parseInt(env.DB_PORT) || 5433,
+    database: env.DB_NAME || 'tapp',
+    user: env.DB_USER || 'tapp',
+    password: env.DB_PASSWORD || 'tapp',
+  };
+}
+
+const POOLS_QUERY = `
+  SELECT
+    p.addr as pool_addr,
+    p.pool_type,
+    p.fee_tier,
+    p.liquidity,
+    p.sqrt_price,
+    json_agg(
+      json_build_object(
+        'addr', t.addr,
+        'symbol', t.ticker,
+        'decimals', t.decimals,
+        'reserve', ptm.reserve,
+        'token_idx', ptm.token_idx
+      ) ORDER BY ptm.token_idx
+    ) as tokens
+  FROM pools p
+  JOIN pool_token_mps ptm ON p.addr = ptm.pool_id
+  JOIN tokens t ON ptm.token_addr = t.addr
+  WHERE p.status = 'ACTIVE'
+    AND p.liquidity > 0
+  GROUP BY p.addr, p.pool_type, p.fee_tier, p.liquidity, p.sqrt_price
+  ORDER BY p.liquidity DESC
+`;
+
+const TOKENS_QUERY = `SELECT addr, ticker as symbol, decimals FROM tokens`;
+
+// Initialized ticks of CLMM pools (liquidity_net = change in active liquidity
+// when the price crosses the tick upwards)
+const TICKS_QUERY = `
+  SELECT
+    pt.pool_id as pool_addr,
+    pt.tick_idx as tick,
+    pt.liquidity_net
+  FROM pool_ticks pt
+  WHERE pt.pool_id = ANY($1)
+    AND pt.liquidity_net <> 0
+  ORDER BY pt.pool_id, pt.tick_idx
+`;
+
+const CLMM_POOL_TYPE = 'CLMM';
+
+// ============================================================================
+// Normalized Pool
+// ============================================================================
+
+class PoolWrapper {
+  constructor(data, tickRows = null) {
+    this.addr = data.pool_addr;
+    this.type = data.pool_type;
+    this.fee = parseFloat(data.fee_tier);
+    this.feePips = tryFeeToPips(data.fee_tier);
+    this.liquidity = data.liquidity;
+    this.sqrtPrice = data.sqrt_price ?? null;
+    this.amp = data.amp !== undefined && data.amp !== null ? parseFloat(data.amp) : null;
+    this.tokens = (data.tokens || []).map(normalizePoolToken);
+    this.ticks = this.isClmm() ? normalizeTicks(tickRows) : null;
+  }
+
+  isClmm() {
+    return this.type === CLMM_POOL_TYPE;
+  }
+
+  hasToken(tokenAddr) {
+    return this.tokens.some(t => t.addr === tokenAddr);
+  }
+
+  getToken(tokenAddr) {
+    return this.tokens.find(t => t.addr === tokenAddr);
+  }
+
+  getOtherToken(tokenAddr) {
+    return this.tokens.find(t => t.addr !== tokenAddr);
+  }
+
+  // Swap math is resolved by pool type through the pool-models.js registry
+
+  getSpotPrice(tokenInAddr, tokenOutAddr) {
+    return spotPrice(this, tokenInAddr, tokenOutAddr);
+  }
+
+  getMarginalPrice(tokenInAddr, tokenOutAddr, amountIn = 0) {
+    return marginalPrice(this, tokenInAddr, tokenOutAddr, amountIn);
+  }
+
+  /**
+   * Replace mutable on-chain state in place (pool events, see routing-graph.js).
+   * `reserves` maps token address → new raw reserve; omitted fields are kept.
+   */
+  applyState({ reserves = null, sqrtPrice, liquidity, ticks } = {}) {
+    if (reserves) {
+      this.tokens = this.tokens.map(token => (
+        reserves[token.addr] === undefined ? token : normalizePoolToken({ ...token, reserve: String(reserves[token.addr]) })
+      ));
+    }
+    if (sqrtPrice !== undefined) this.sqrtPrice = sqrtPrice;
+    if (liquidity !== undefined) this.liquidity = liquidity;
+    if (ticks !== undefined && this.isClmm()) this.ticks = normalizeTicks(ticks);
+  }
+}
+
+function tryFeeToPips(feeTier) {
+  try {
+    return feeToPips(feeTier);
+  } catch {
+    return null;
+  }
+}
+
+function normalizePoolToken(token) {
+  const reserveNum = parseFloat(token.reserve);
+  return {
+    addr: token.addr,
+    symbol: token.symbol,
+    decimals: typeof token.decimals === 'number' ? token.decimals : parseInt(token.decimals, 10),
+    reserve: token.reserve,
+    reserveNum: Number.isFinite(reserveNum) ? reserveNum : 0,
+    reserveRaw: Number.isFinite(reserveNum) ? (tryToRawInt(token.reserve) ?? 0n) : 0n,
+    token_idx: token.token_idx,
+  };
+}
+
+function normalizePools(rows, ticksByPool = {}) {
+  return rows.map(row => new PoolWrapper(row, ticksByPool[row.pool_addr] || null));
+}
+
+function groupTicksByPool(tickRows) {
+  const ticksByPool = {};
+  for (const row of tickRows) {
+    (ticksByPool[row.pool_addr] ||= []).push({ tick: row.tick, liquidity_net: row.liquidity_net });
+  }
+  return ticksByPool;
+}
+
+// ============================================================================
+// Backends
+// ============================================================================
+
+class PoolSource {
+  constructor(kind) {
+    this.kind = kind;
+  }
+
+  // Backends return raw rows in the `fetchPoolsFromDB` shape plus
+  // tick rows keyed by pool address
+  async fetchRows() {
+    throw new Error(`${this.constructor.name} must implement fetchRows()`);
+  }
+
+  async load() {
+    const { pools: rows, tokens, ticks = {}, capturedAt } = await this.fetchRows();
+    return {
+      pools: normalizePools(rows, ticks),
+      rows,
+      tokens,
+      ticks,
+      capturedAt,
+      source: this.describe(),
+    };
+  }
+
+  describe() {
+    return { type: this.kind };
+  }
+
+  async close() {}
+}
+
+class PostgresPoolSource extends PoolSource {
+  constructor(dbConfig = getDbConfig(), { verbose = false } = {}) {
+    super('postgres');
+    this.dbConfig = dbConfig;
+    this.verbose = verbose;
+    this.client = null;
+  }
+
+  async fetchRows() {
+    if (!this.client) {
+      if (this.verbose) console.log('📡 Connecting to database...');
+      this.client = new Client(this.dbConfig);
+      await this.client.connect();
+      if (this.verbose) console.log('✅ Connected\n');
+    }
+
+    if (this.verbose) console.log('📊 Fetching pools from database...');
+    const poolsResult = await this.client.query(POOLS_QUERY);
+    const tokensResult = await this.client.query(TOKENS_QUERY);
+    if (this.verbose) console.log(`✅ Fetched ${poolsResult.rows.length} active pools\n`);
+
+    const clmmAddrs = poolsResult.rows
+      .filter(row => row.pool_type === CLMM_POOL_TYPE)
+      .map(row => row.pool_addr);
+
+    return {
+      pools: poolsResult.rows,
+      tokens: tokensResult.rows,
+      ticks: await this.fetchTicks(clmmAddrs),
+      capturedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Load initialized ticks for the given CLMM pools.
+   * Databases without a tick table fall back to single-range simulation.
+   */
+  async fetchTicks(poolAddrs) {
+    if (poolAddrs.length === 0) return {};
+
+    try {
+      const ticksResult = await this.client.query(TICKS_QUERY, [poolAddrs]);
+      if (this.verbose) console.log(`✅ Fetched ${ticksResult.rows.length} ticks for ${poolAddrs.length} CLMM pools\n`);
+      return groupTicksByPool(ticksResult.rows);
+    } catch (err) {
+      if (err.code !== '42P01') throw err; // undefined_table
+      console.log('⚠️  pool_ticks table not found - CLMM pools simulated with active liquidity only\n');
+      return {};
+    }
+  }
+
+  describe() {
+    return { type: this.kind, host: this.dbConfig.host, database: this.dbConfig.database };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+class JsonFilePoolSource extends PoolSource {
+  constructor(filePath) {
+    super('snapshot');
+    this.filePath = filePath;
+  }
+
+  async fetchRows() {
+    const snapshot = readSnapshot(this.filePath);
+    return {
+      pools: snapshot.pools,
+      tokens: snapshot.tokens,
+      ticks: snapshot.ticks || {},
+      capturedAt: snapshot.capturedAt,
+    };
+  }
+
+  describe() {
+    return { type: this.kind, path: this.filePath };
+  }
+}
+
+class FixturePoolSource extends PoolSource {
+  constructor({ pools = [], tokens = null, ticks = {}, capturedAt = null } = {}) {
+    super('fixture');
+    this.rows = pools;
+    this.tokens = tokens || deriveTokenRows(pools);
+    this.ticks = ticks;
+    this.capturedAt = capturedAt || new Date().toISOString();
+  }
+
+  async fetchRows() {
+    return {
+      pools: this.rows,
+      tokens: this.tokens,
+      ticks: this.ticks,
+      capturedAt: this.capturedAt,
+    };
+  }
+}
+
+function deriveTokenRows(rows) {
+  const tokens = new Map();
+  for (const row of rows) {
+    for (const t of row.tokens || []) {
+      if (!tokens.has(t.addr)) {
+        tokens.set(t.addr, { addr: t.addr, symbol: t.symbol, decimals: t.decimals });
+      }
+    }
+  }
+  return Array.from(tokens.values());
+}
+
+// ============================================================================
+// Entry Point Helpers
+// ============================================================================
+
+// The database config (and .env) is only read when the database is the source
+function createPoolSource(options = {}) {
+  const { snapshotPath = null, fixture = null, dbConfig = null, verbose = false } = options;
+
+  if (fixture) return new FixturePoolSource(fixture);
+  if (snapshotPath) return new JsonFilePoolSource(snapshotPath);
+  return new PostgresPoolSource(dbConfig || getDbConfig(), { verbose });
+}
+
+/**
+ * Load normalized pools for a CLI entry point and release the backend.
+ * Honours `--snapshot` (via snapshotPath) and `--dump-snapshot` (dumpSnapshotPath).
+ */
+async function loadPools(options = {}) {
+  const { dumpSnapshotPath = null } = options;
+  const source = options.source || createPoolSource(options);
+
+  try {
+    const data = await source.load();
+
+    if (source.kind === 'snapshot') {
+      console.log(`📦 Loaded snapshot ${source.filePath} (${data.pools.length} pools, ${data.tokens.length} tokens, captured ${data.capturedAt})\n`);
+    }
+
+    if (dumpSnapshotPath) {
+      // Re-dumping a snapshot keeps when its pool state was captured
+      writeSnapshot(dumpSnapshotPath, createSnapshot(data.rows, data.tokens, data.source, data.ticks, data.capturedAt));
+      console.log(`💾 Wrote snapshot ${dumpSnapshotPath} (${data.rows.length} pools, ${data.tokens.length} tokens)\n`);
+    }
+
+    return data;
+  } finally {
+    await source.close();
+  }
+}
+
+module.exports = {
+  POOLS_QUERY,
+  TOKENS_QUERY,
+  TICKS_QUERY,
+  getDbConfig,
+  PoolWrapper,
+  normalizePools,
+  PoolSource,
+  PostgresPoolSource,
+  JsonFilePoolSource,
+  FixturePoolSource,
+  createPoolSource,
+  loadPools,
+};
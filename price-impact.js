@@ -0,0 +1,264 @@
+/**
+ * Price Impact - Per-hop and per-route impact limits at the trade size
+ *
+ * The impact of a trade through a pool is how far its execution rate falls
+ * below the pool's spot rate: 1 − (amountOut / amountIn) / spotPrice. Spot
+ * prices are quoted after fee, so the fee is not counted as impact. A route
+ * compounds its hops, 1 − Π(1 − impact_i), which is at least its largest hop
+ * impact. Impact grows with the input for every pool model here
+ * (constant-product, StableSwap, CLMM), so the largest input within a limit is
+ * found by bisection. Caps are bisected on the whole-unit (`*Int`) swaps the
+ * final simulation uses, so a leg capped at a limit is reported within it.
+ *
+ * Limits are `{ maxRouteImpact, maxHopImpact }` (`--pi-max` / `--pi-max-hop`;
+ * the hop limit defaults to the route limit). They are enforced as follows:
+ * - Phase 1 quotes only routes within the limits at the full amount. When
+ *   none is, the router quotes a split or throws an ImpactCapError.
+ * - Amount-aware A* does not expand edges over the hop limit.
+ * - Route splitters cap each leg at `maxInputWithinImpact`. Input no leg can
+ *   take is left unfilled (`priceImpact.unfilledRaw`).
+ * - DAG flow caps each pool at the hop limit.
+ *
+ * Caps price each leg on its own. Legs sharing a pool are re-checked on the
+ * joint simulation, against the spot price before the trade, and the legs on
+ * an over-limit leg's pools are trimmed until they fit. Results report the realized
+ * impact of every hop (`attachPriceImpact`).
+ */
+
+const { quoteOut, quoteOutInt, spotPrice } = require('./pool-models.js');
+const { simulateRoutesJointHops } = require('./joint-simulation.js');
+
+const BISECTION_STEPS = 60;
+const TRIM_FACTOR = 0.95;   // shrink per pass for a jointly simulated leg over the limits
+const MAX_TRIM_PASSES = 60;
+const MAX_DOUBLINGS = 256;
+const REPORT_TOLERANCE = 1e-9; // whole-unit rounding of inputs capped exactly at the limit
+
+class ImpactCapError extends Error {
+  constructor(message, { limits, minRouteImpact = null }) {
+    super(message);
+    this.name = 'ImpactCapError';
+    this.code = 'EXCEEDS_IMPACT_CAP';
+    this.limits = limits;
+    this.minRouteImpact = minRouteImpact;
+  }
+}
+
+function normalizeImpactLimits(limits) {
+  if (!limits) return null;
+  const maxRouteImpact = limits.maxRouteImpact ?? Infinity;
+  return { maxRouteImpact, maxHopImpact: limits.maxHopImpact ?? maxRouteImpact };
+}
+
+// Impact of one hop against the pool's current spot price (1 when nothing comes out)
+function hopPriceImpact(pool, fromAddr, toAddr, amountIn, amountOut = quoteOut(pool, fromAddr, toAddr, amountIn)) {
+  if (!(amountIn > 0)) return 0;
+  const spot = spotPrice(pool, fromAddr, toAddr);
+  if (!(spot > 0) || !(amountOut > 0)) return 1;
+  return Math.max(0, 1 - amountOut / amountIn / spot);
+}
+
+// Route impact from a hop trace ([{ amountIn, amountOut }]; a short trace means the route ran dry)
+function impactFromTrace(route, trace) {
+  let kept = 1;
+  let maxHopImpact = 0;
+  const hops = trace.map((step, h) => {
+    const hop = route[h];
+    const inputRaw = Number(step.amountIn);
+    const outputRaw = Number(step.amountOut);
+    const impact = hopPriceImpact(hop.pool, hop.fromAddr, hop.toAddr, inputRaw, outputRaw);
+    kept *= 1 - impact;
+    maxHopImpact = Math.max(maxHopImpact, impact);
+    return { poolAddr: hop.pool.addr, fromAddr: hop.fromAddr, toAddr: hop.toAddr, inputRaw, outputRaw, impact };
+  });
+  if (trace.length > 0 && trace.length < route.length) kept = 0;
+  return { impact: trace.length > 0 ? 1 - kept : 0, maxHopImpact, hops };
+}
+
+/**
+ * Impact of `amountIn` through `route` on its own.
+ * Returns { impact, maxHopImpact, hops: [{ poolAddr, fromAddr, toAddr, inputRaw, outputRaw, impact }] }.
+ */
+function routePriceImpact(route, amountIn) {
+  const trace = [];
+  let amount = amountIn;
+  for (const hop of route) {
+    if (!(amount > 0)) break;
+    const amountOut = quoteOut(hop.pool, hop.fromAddr, hop.toAddr, amount);
+    trace.push({ amountIn: amount, amountOut });
+    amount = amountOut;
+  }
+  return impactFromTrace(route, trace);
+}
+
+function withinImpactLimits(report, limits, tolerance = 0) {
+  const normalized = normalizeImpactLimits(limits);
+  if (!normalized) return true;
+  return report.impact <= normalized.maxRouteImpact + tolerance
+    && report.maxHopImpact <= normalized.maxHopImpact + tolerance;
+}
+
+// "5.00% route, 5.00% hop" for messages
+function formatImpactLimits(limits) {
+  const normalized = normalizeImpactLimits(limits);
+  return `${(normalized.maxRouteImpact * 100).toFixed(2)}% route, ${(normalized.maxHopImpact * 100).toFixed(2)}% hop`;
+}
+
+// Result-level `priceImpact` for a single-route quote (see attachPriceImpact)
+function singleRouteImpact(report, limits) {
+  return {
+    limits: normalizeImpactLimits(limits),
+    maxRouteImpact: report.impact,
+    maxHopImpact: report.maxHopImpact,
+    withinLimits: withinImpactLimits(report, limits, REPORT_TOLERANCE),
+    unfilledRaw: 0,
+  };
+}
+
+// Realized hop impact against the hop limit, as reported on results
+function withinHopLimit(impact, limits) {
+  const normalized = normalizeImpactLimits(limits);
+  return !normalized || impact <= normalized.maxHopImpact + REPORT_TOLERANCE;
+}
+
+// Largest x in [0, upper] with within(x), for a property that only fails above some size
+function largestWithin(within, upper) {
+  if (within(upper)) return upper;
+  let lo = 0;
+  let hi = upper;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (within(mid)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Whole raw units actually spent for a float allocation (simulateAllocation floors)
+const wholeUnits = x => BigInt(Math.floor(x));
+
+// Largest input (≤ upperRaw) that keeps `route` within the limits on the whole-unit simulation
+function maxInputWithinImpact(route, limits, upperRaw) {
+  const within = x => withinImpactLimits(impactFromTrace(route, simulateRoutesJointHops([route], [wholeUnits(x)])[0]), limits);
+  return Math.floor(largestWithin(within, upperRaw));
+}
+
+/**
+ * Largest input (≤ upperRaw) for one pool under the hop limit. Without
+ * `upperRaw` the bound is found by doubling from one raw unit on the float
+ * model, where a few raw units do not round to a full impact (Infinity when
+ * the pool never reaches the limit).
+ */
+function maxHopInputWithinImpact(pool, fromAddr, toAddr, maxHopImpact, upperRaw = null) {
+  const within = x => {
+    const amountIn = wholeUnits(x);
+    return hopPriceImpact(pool, fromAddr, toAddr, Number(amountIn), Number(quoteOutInt(pool, fromAddr, toAddr, amountIn))) <= maxHopImpact;
+  };
+  if (upperRaw !== null) return Math.floor(largestWithin(within, upperRaw));
+  const withinFloat = x => hopPriceImpact(pool, fromAddr, toAddr, x) <= maxHopImpact;
+  let upper = 1;
+  for (let i = 0; i < MAX_DOUBLINGS && withinFloat(upper); i++) upper *= 2;
+  return withinFloat(upper) ? Infinity : Math.floor(largestWithin(within, upper));
+}
+
+/**
+ * Cap a split's float allocations at each leg's limit. Input over a cap moves
+ * to the other active legs' headroom; what does not fit is unfilled. Legs over
+ * the limits on the joint simulation (shared pools) are then shrunk.
+ * Returns { allocations, caps, unfilledRaw, trimmedRoutes }.
+ */
+function enforceImpactLimits(routes, allocations, limits, caps = null) {
+  const total = allocations.reduce((sum, x) => sum + x, 0);
+  const routeCaps = caps || routes.map(route => maxInputWithinImpact(route, limits, total));
+  const capped = allocations.map((x, i) => Math.min(x, routeCaps[i]));
+  let unfilledRaw = total - capped.reduce((sum, x) => sum + x, 0);
+
+  const headroom = capped.map((x, i) => (x > 0 ? routeCaps[i] - x : 0));
+  const totalHeadroom = headroom.reduce((sum, x) => sum + x, 0);
+  if (unfilledRaw > 0 && totalHeadroom > 0) {
+    const share = Math.min(1, unfilledRaw / totalHeadroom);
+    headroom.forEach((room, i) => { capped[i] += room * share; });
+    unfilledRaw -= totalHeadroom * share;
+  }
+
+  // A later leg through a shared pool trades at the price earlier legs left,
+  // so every active leg on the pools of an over-limit leg is shrunk
+  for (let pass = 0; pass < MAX_TRIM_PASSES; pass++) {
+    const traces = simulateRoutesJointHops(routes, capped.map(wholeUnits));
+    const over = routes.map((route, i) => i).filter(i => capped[i] > 0 && !withinImpactLimits(impactFromTrace(routes[i], traces[i]), limits));
+    if (over.length === 0) break;
+    const pools = new Set(over.flatMap(i => routes[i].map(hop => hop.pool.addr)));
+    routes.forEach((route, i) => {
+      if (!(capped[i] > 0) || !route.some(hop => pools.has(hop.pool.addr))) return;
+      unfilledRaw += capped[i] * (1 - TRIM_FACTOR);
+      capped[i] *= TRIM_FACTOR;
+    });
+  }
+
+  const trimmedRoutes = capped.filter((x, i) => x < allocations[i] * (1 - 1e-9)).length;
+  return { allocations: capped, caps: routeCaps, unfilledRaw: Math.max(0, unfilledRaw), trimmedRoutes };
+}
+
+// Whole-unit input actually spent when `unfilledRaw` of `totalRawInt` could not be placed
+function filledInputRawInt(totalRawInt, unfilledRaw) {
+  if (!(unfilledRaw > 0)) return totalRawInt;
+  const filled = totalRawInt - BigInt(Math.ceil(unfilledRaw));
+  return filled > 0n ? filled : 0n;
+}
+
+/**
+ * Realized impact of a simulated split (simulateAllocation result), legs
+ * simulated jointly in route order. Sets `priceImpact` on every leg and
+ * `result.priceImpact` = { limits, maxRouteImpact, maxHopImpact, withinLimits, unfilledRaw }.
+ */
+function attachPriceImpact(result, { limits = null, unfilledRaw = 0 } = {}) {
+  const routes = result.routes.map(r => r.route);
+  const traces = simulateRoutesJointHops(routes, result.routes.map(r => r.inputRawInt));
+  let maxRouteImpact = 0;
+  let maxHopImpact = 0;
+  let withinLimits = true;
+  result.routes.forEach((r, i) => {
+    r.priceImpact = impactFromTrace(r.route, traces[i]);
+    maxRouteImpact = Math.max(maxRouteImpact, r.priceImpact.impact);
+    maxHopImpact = Math.max(maxHopImpact, r.priceImpact.maxHopImpact);
+    if (!withinImpactLimits(r.priceImpact, limits, REPORT_TOLERANCE)) withinLimits = false;
+  });
+  result.priceImpact = { limits: normalizeImpactLimits(limits), maxRouteImpact, maxHopImpact, withinLimits, unfilledRaw };
+  return result;
+}
+
+// An impact cap is a fraction in (0, 1]; anything else would silently disable the comparisons
+function validateImpactLimit(value, name) {
+  const limit = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(limit) || limit <= 0 || limit > 1) {
+    throw new RangeError(`Invalid ${name} ${JSON.stringify(value)}: expected a number in (0, 1]`);
+  }
+  return limit;
+}
+
+function getPriceImpactOptions(args) {
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const maxRouteImpact = validateImpactLimit(flag('pi-max') ?? '0.05', '--pi-max');
+  return normalizeImpactLimits({
+    maxRouteImpact,
+    maxHopImpact: flag('pi-max-hop') !== undefined ? validateImpactLimit(flag('pi-max-hop'), '--pi-max-hop') : maxRouteImpact,
+  });
+}
+
+module.exports = {
+  ImpactCapError,
+  normalizeImpactLimits,
+  formatImpactLimits,
+  singleRouteImpact,
+  hopPriceImpact,
+  routePriceImpact,
+  withinImpactLimits,
+  withinHopLimit,
+  maxInputWithinImpact,
+  maxHopInputWithinImpact,
+  enforceImpactLimits,
+  validateImpactLimit,
+  filledInputRawInt,
+  attachPriceImpact,
+  getPriceImpactOptions,
+};
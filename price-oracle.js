@@ -0,0 +1,230 @@
+/**
+ * Price Oracle - USD prices derived from the pool graph
+ *
+ * Gas is configured in USD (`--gas-per-hop`) but charged in the output token,
+ * and `--min-pool-usd` compares pool value in USD, so both need a USD price
+ * per token. Prices come from the pools themselves: a configurable set of
+ * stable anchors (default USDC, USDT, DAI) is pegged at $1, and prices spread
+ * outward one hop per round, up to `maxHops` rounds. In each round, a token next
+ * to already-priced tokens gets the liquidity-weighted geometric mean of its
+ * mid prices against them. A token keeps the price from the round that first
+ * reaches it (shortest path to an anchor).
+ *
+ * Mid price of a pool pair is the geometric mean of its two spot prices
+ * (`spotPrice(a→b)` and `1 / spotPrice(b→a)`), which cancels a symmetric fee.
+ * A pool's weight is the USD value of its reserve on the priced side.
+ *
+ * Every price carries a confidence in [0, 1]:
+ *   confidence = parent confidence × depth × agreement
+ *   depth      = L / (L + depthUsd), L = USD liquidity of the contributing pools
+ *   agreement  = exp(−spread / SPREAD_SCALE), spread = weighted mean |log deviation|
+ *                of the candidate prices from the consensus
+ * Anchors have confidence 1. A token quoted only through a thin pool, or
+ * through pools that disagree, has low confidence, and callers treat it as
+ * unpriced below `minConfidence`.
+ */
+
+const { spotPrice } = require('./pool-models.js');
+
+const DEFAULT_ANCHORS = ['USDC', 'USDT', 'DAI'];
+const DEFAULT_MAX_HOPS = 3;
+const DEFAULT_DEPTH_USD = 10000; // liquidity at which depth confidence is 1/2
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const SPREAD_SCALE = 0.05; // 5% mean log deviation → agreement 1/e
+
+// ============================================================================
+// Oracle
+// ============================================================================
+
+// Human units of `to` per human unit of `from`, fee-free (null if the pool cannot quote it)
+function midPrice(pool, fromToken, toToken) {
+  const forward = spotPrice(pool, fromToken.addr, toToken.addr);
+  const backward = spotPrice(pool, toToken.addr, fromToken.addr);
+  if (!(forward > 0) || !(backward > 0)) return null;
+  const raw = Math.sqrt(forward / backward);
+  const price = raw * Math.pow(10, fromToken.decimals - toToken.decimals);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function humanReserve(token) {
+  return (token.reserveNum || 0) / Math.pow(10, token.decimals);
+}
+
+class PriceOracle {
+  /**
+   * @param {PoolWrapper[]} pools - Normalized pools (read, never mutated)
+   * @param {Object} [options] - { anchors: token addresses pegged at $1, maxHops, depthUsd }
+   */
+  constructor(pools, { anchors = [], maxHops = DEFAULT_MAX_HOPS, depthUsd = DEFAULT_DEPTH_USD } = {}) {
+    this.anchors = [...anchors];
+    this.depthUsd = depthUsd;
+    this.prices = new Map(); // addr → { usd, confidence, hops, liquidityUsd, sources }
+
+    for (const addr of this.anchors) {
+      this.prices.set(addr, { usd: 1, confidence: 1, hops: 0, liquidityUsd: Infinity, sources: 0 });
+    }
+    for (let hops = 1; hops <= maxHops; hops++) {
+      if (this.priceRound(pools, hops) === 0) break;
+    }
+  }
+
+  // Price every token adjacent to a priced one; returns how many were priced
+  priceRound(pools, hops) {
+    const candidates = new Map(); // addr → [{ usd, weight, confidence }]
+    for (const pool of pools) {
+      for (const known of pool.tokens) {
+        const parent = this.prices.get(known.addr);
+        if (!parent) continue;
+        const liquidityUsd = humanReserve(known) * parent.usd;
+        if (!(liquidityUsd > 0)) continue;
+
+        for (const token of pool.tokens) {
+          if (token.addr === known.addr || this.prices.has(token.addr)) continue;
+          const knownPerToken = midPrice(pool, token, known);
+          if (knownPerToken === null) continue;
+          const list = candidates.get(token.addr) || [];
+          list.push({ usd: knownPerToken * parent.usd, weight: liquidityUsd, confidence: parent.confidence });
+          candidates.set(token.addr, list);
+        }
+      }
+    }
+
+    for (const [addr, list] of candidates) {
+      const liquidityUsd = list.reduce((sum, c) => sum + c.weight, 0);
+      const logUsd = list.reduce((sum, c) => sum + c.weight * Math.log(c.usd), 0) / liquidityUsd;
+      const spread = list.reduce((sum, c) => sum + c.weight * Math.abs(Math.log(c.usd) - logUsd), 0) / liquidityUsd;
+      const parentConfidence = list.reduce((sum, c) => sum + c.weight * c.confidence, 0) / liquidityUsd;
+      const depth = liquidityUsd / (liquidityUsd + this.depthUsd);
+
+      this.prices.set(addr, {
+        usd: Math.exp(logUsd),
+        confidence: parentConfidence * depth * Math.exp(-spread / SPREAD_SCALE),
+        hops,
+        liquidityUsd,
+        sources: list.length,
+      });
+    }
+    return candidates.size;
+  }
+
+  price(addr) {
+    return this.prices.get(addr) || null;
+  }
+
+  // USD per human unit, or null when unpriced or below `minConfidence`
+  usdPrice(addr, minConfidence = 0) {
+    const entry = this.prices.get(addr);
+    return entry && entry.confidence >= minConfidence ? entry.usd : null;
+  }
+
+  /**
+   * Pool value in USD from the reserves of tokens priced with at least
+   * `minConfidence`; the other tokens are assumed to hold the same value each
+   * (balanced pool). Confidence is the lowest among the priced tokens.
+   * Returns { usd, confidence, pricedTokens } or null when no token is priced.
+   */
+  poolTvlUsd(pool, minConfidence = 0) {
+    let valueUsd = 0;
+    let confidence = 1;
+    let pricedTokens = 0;
+    for (const token of pool.tokens) {
+      const entry = this.prices.get(token.addr);
+      if (!entry || entry.confidence < minConfidence) continue;
+      valueUsd += humanReserve(token) * entry.usd;
+      confidence = Math.min(confidence, entry.confidence);
+      pricedTokens++;
+    }
+    if (pricedTokens === 0) return null;
+    return { usd: (valueUsd * pool.tokens.length) / pricedTokens, confidence, pricedTokens };
+  }
+}
+
+// ============================================================================
+// Construction and Consumers
+// ============================================================================
+
+/**
+ * Resolve anchor symbols / addresses through the token registry. Missing
+ * anchors are skipped; an ambiguous symbol keeps its canonical or verified
+ * variants, and is skipped when there are none (never peg an unknown token).
+ */
+function resolveAnchors(registry, queries = DEFAULT_ANCHORS) {
+  const addrs = [];
+  const skipped = [];
+  for (const query of queries) {
+    try {
+      addrs.push(registry.resolve(query).addr);
+    } catch (error) {
+      if (error.name !== 'TokenResolutionError') throw error;
+      const trusted = error.code === 'AMBIGUOUS' ? error.candidates.filter(t => t.canonical || t.verified) : [];
+      if (trusted.length > 0) addrs.push(...trusted.map(t => t.addr));
+      else skipped.push({ query, reason: error.code === 'AMBIGUOUS' ? 'ambiguous' : 'not found' });
+    }
+  }
+  return { addrs: [...new Set(addrs)], skipped };
+}
+
+/**
+ * Build an oracle over `pools` with anchors resolved through `registry`.
+ * The oracle carries `skippedAnchors` for reporting.
+ */
+function buildPriceOracle({ pools, registry, anchors = DEFAULT_ANCHORS, ...options }) {
+  const { addrs, skipped } = resolveAnchors(registry, anchors);
+  const oracle = new PriceOracle(pools, { ...options, anchors: addrs });
+  oracle.skippedAnchors = skipped;
+  return oracle;
+}
+
+/**
+ * Convert a per-hop gas cost in USD to `token` units. Without a confident
+ * price the token is assumed to be worth $1 (`priced: false`).
+ */
+function gasInToken(oracle, gasUSD, token, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const entry = oracle.price(token.addr);
+  const usdPrice = oracle.usdPrice(token.addr, minConfidence);
+  const priced = usdPrice !== null;
+  return {
+    amount: gasUSD / (priced ? usdPrice : 1.0),
+    usdPrice: priced ? usdPrice : 1.0,
+    confidence: entry ? entry.confidence : 0,
+    priced,
+  };
+}
+
+/**
+ * Drop pools whose USD value is below `minUsd`. Pools without a confident
+ * price for any token are kept (unknown value is not small value).
+ * Returns { kept, dropped, unpriced }.
+ */
+function filterPoolsByTvl(pools, oracle, minUsd, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const kept = [];
+  const dropped = [];
+  let unpriced = 0;
+  for (const pool of pools) {
+    const tvl = oracle.poolTvlUsd(pool, minConfidence);
+    if (!tvl) unpriced++;
+    if (tvl && tvl.usd < minUsd) dropped.push(pool);
+    else kept.push(pool);
+  }
+  return { kept, dropped, unpriced };
+}
+
+function getPriceOracleOptions(args) {
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  return {
+    anchors: flag('usd-anchors') !== undefined ? flag('usd-anchors').split(',').filter(Boolean) : DEFAULT_ANCHORS,
+    minConfidence: flag('min-price-confidence') !== undefined ? parseFloat(flag('min-price-confidence')) : DEFAULT_MIN_CONFIDENCE,
+  };
+}
+
+module.exports = {
+  DEFAULT_ANCHORS,
+  DEFAULT_MIN_CONFIDENCE,
+  PriceOracle,
+  midPrice,
+  resolveAnchors,
+  buildPriceOracle,
+  gasInToken,
+  filterPoolsByTvl,
+  getPriceOracleOptions,
+};
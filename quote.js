@@ -0,0 +1,285 @@
+/**
+ * Quote - Slippage-protected quote objects for execution
+ *
+ * Router results carry expected amounts only. A quote adds what a swap needs
+ * on chain: a `minAmountOut` for the whole swap, every split leg and every
+ * hop (expected output less `slippageBps`, rounded down), a `maxAmountIn` for
+ * exact-output quotes (rounded up, as `maxInputBound`), the fee-free mid price
+ * and the execution price, and a deadline.
+ *
+ * Amounts are BigInt raw units (`*RawInt`), with decimal strings alongside for
+ * the swap totals. Leg and hop amounts come from the joint integer simulation
+ * of the legs in order, so legs sharing a pool see each other's trades.
+ * Outputs are gross: gas is charged off-chain and reported as `gasCostRawInt`
+ * next to `netAmountOutRawInt`.
+ *
+ * Every quote lists the swaps to execute in `hops`, one shape for route and
+ * DAG quotes: { leg, hop, poolAddr, poolType, fromAddr, toAddr,
+ * amountInRawInt, amountOutRawInt, minAmountOutRawInt }. Route quotes also
+ * group them by `legs` (`leg` indexes it); DAG quotes have `legs: null`, and
+ * their hops have `leg: null` and the `share` of the token's flow they take.
+ *
+ * Prices are human units of `tokenOut` per `tokenIn`. The mid price of a split
+ * is the input-weighted mean of its legs' mid prices (product of each hop's
+ * fee-free mid, see price-oracle.js).
+ */
+
+const { maxInputBound } = require('./astar-search.js');
+const { formatUnits, mulDiv } = require('./raw-math.js');
+const { simulateRoutesJointHops } = require('./joint-simulation.js');
+const { midPrice } = require('./price-oracle.js');
+
+const DEFAULT_SLIPPAGE_BPS = 50;
+const DEFAULT_DEADLINE_SEC = 1200; // 20 minutes
+const BPS_DENOMINATOR = 10000n;
+
+// Slippage tolerance must be whole basis points from 0 to 10000 (100%); returns it
+function validateSlippageBps(slippageBps) {
+  if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > 10000) {
+    throw new RangeError(`Invalid slippage ${slippageBps} bps: expected an integer from 0 to 10000`);
+  }
+  return slippageBps;
+}
+
+// Deadline offset must be a whole number of seconds greater than 0; returns it
+function validateDeadlineSec(deadlineSec) {
+  if (!Number.isInteger(deadlineSec) || deadlineSec <= 0) {
+    throw new RangeError(`Invalid deadline ${deadlineSec} s: expected a positive integer number of seconds`);
+  }
+  return deadlineSec;
+}
+
+// Lower bound on output a swap may deliver given a slippage tolerance (basis points).
+// BigInt amounts stay exact (rounded down to the raw unit).
+function minOutputBound(expectedOutRaw, slippageBps) {
+  validateSlippageBps(slippageBps);
+  if (typeof expectedOutRaw === 'bigint') {
+    return mulDiv(expectedOutRaw, BPS_DENOMINATOR - BigInt(slippageBps), BPS_DENOMINATOR);
+  }
+  return Math.max(0, Math.floor(expectedOutRaw * (1 - slippageBps / 10000)));
+}
+
+function tokenInfo(token) {
+  return { addr: token.addr, symbol: token.symbol, decimals: token.decimals };
+}
+
+// Fee-free mid price of one hop in human units (null when the pool cannot quote it)
+function hopMidPrice(pool, fromAddr, toAddr) {
+  const from = pool.tokens.find(t => t.addr === fromAddr);
+  const to = pool.tokens.find(t => t.addr === toAddr);
+  return from && to ? midPrice(pool, from, to) : null;
+}
+
+function routeMidPrice(route) {
+  let price = 1;
+  for (const hop of route) {
+    const mid = hopMidPrice(hop.pool, hop.fromAddr, hop.toAddr);
+    if (mid === null) return null;
+    price *= mid;
+  }
+  return price;
+}
+
+function quoteHop({ pool, fromAddr, toAddr }, amountInRawInt, amountOutRawInt, minOut) {
+  return {
+    poolAddr: pool.addr,
+    poolType: pool.type,
+    fromAddr,
+    toAddr,
+    amountInRawInt,
+    amountOutRawInt,
+    minAmountOutRawInt: minOut(amountOutRawInt),
+  };
+}
+
+// Swap-level fields shared by route and DAG quotes
+function quoteTotals({ sourceToken, targetToken, mode, amountInRawInt, amountOutRawInt, exactOutRawInt, gasCostRawInt, midPriceHuman, slippageBps, deadlineSec, now }) {
+  const minAmountOutRawInt = mode === 'exactOut' ? (exactOutRawInt ?? amountOutRawInt) : minOutputBound(amountOutRawInt, slippageBps);
+  const maxAmountInRawInt = mode === 'exactOut' ? maxInputBound(amountInRawInt, slippageBps) : amountInRawInt;
+  const netAmountOutRawInt = amountOutRawInt > gasCostRawInt ? amountOutRawInt - gasCostRawInt : 0n;
+  const amountInHuman = Number(amountInRawInt) / Math.pow(10, sourceToken.decimals);
+  const amountOutHuman = Number(amountOutRawInt) / Math.pow(10, targetToken.decimals);
+  const quotedAt = Math.floor(now / 1000);
+
+  return {
+    mode,
+    tokenIn: tokenInfo(sourceToken),
+    tokenOut: tokenInfo(targetToken),
+    amountInRawInt,
+    amountOutRawInt,
+    minAmountOutRawInt,
+    maxAmountInRawInt,
+    gasCostRawInt,
+    netAmountOutRawInt,
+    amountIn: formatUnits(amountInRawInt, sourceToken.decimals),
+    amountOut: formatUnits(amountOutRawInt, targetToken.decimals),
+    minAmountOut: formatUnits(minAmountOutRawInt, targetToken.decimals),
+    maxAmountIn: formatUnits(maxAmountInRawInt, sourceToken.decimals),
+    midPrice: midPriceHuman,
+    executionPrice: amountInHuman > 0 ? amountOutHuman / amountInHuman : null,
+    slippageBps,
+    quotedAt,
+    deadline: quotedAt + deadlineSec,
+  };
+}
+
+/**
+ * Quote for route legs ([{ route, inputRawInt }]; one leg for a single route).
+ * options: { sourceToken, targetToken, mode: 'exactIn' | 'exactOut',
+ * slippageBps, deadlineSec, now (ms), gasCostRawInt, algorithm, priceImpact }.
+ * Exact-output quotes take `exactOutRawInt`, the amount requested, as their
+ * `minAmountOut` and legs and hops keep their expected outputs; slippage goes
+ * on the input (`maxAmountIn`).
+ */
+function buildQuote(legs, options) {
+  const {
+    sourceToken,
+    targetToken,
+    mode = 'exactIn',
+    exactOutRawInt = null,
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+    deadlineSec = DEFAULT_DEADLINE_SEC,
+    now = Date.now(),
+    gasCostRawInt = 0n,
+    algorithm = null,
+    priceImpact = null,
+  } = options;
+  validateSlippageBps(slippageBps);
+  validateDeadlineSec(deadlineSec);
+
+  const minOut = amount => (mode === 'exactOut' ? amount : minOutputBound(amount, slippageBps));
+  const active = legs.filter(leg => leg.inputRawInt > 0n);
+  const traces = simulateRoutesJointHops(active.map(leg => leg.route), active.map(leg => leg.inputRawInt));
+  const amountInRawInt = active.reduce((sum, leg) => sum + leg.inputRawInt, 0n);
+
+  let amountOutRawInt = 0n;
+  let midWeighted = 0;
+  let midKnown = true;
+  const quotedLegs = active.map((leg, i) => {
+    const trace = traces[i];
+    const complete = trace.length === leg.route.length;
+    const legOutRawInt = complete ? trace[trace.length - 1].amountOut : 0n;
+    const legMid = routeMidPrice(leg.route);
+    amountOutRawInt += legOutRawInt;
+    const share = Number(leg.inputRawInt) / Number(amountInRawInt);
+    if (legMid === null) midKnown = false;
+    else midWeighted += share * legMid;
+
+    return {
+      path: [leg.route[0].fromAddr, ...leg.route.map(hop => hop.toAddr)],
+      share,
+      amountInRawInt: leg.inputRawInt,
+      amountOutRawInt: legOutRawInt,
+      minAmountOutRawInt: minOut(legOutRawInt),
+      maxAmountInRawInt: mode === 'exactOut' ? maxInputBound(leg.inputRawInt, slippageBps) : leg.inputRawInt,
+      midPrice: legMid,
+      priceImpact: leg.priceImpact ?? null,
+      hops: trace.map((step, h) => quoteHop(leg.route[h], step.amountIn, step.amountOut, minOut)),
+    };
+  });
+
+  return {
+    algorithm,
+    ...quoteTotals({
+      sourceToken, targetToken, mode, amountInRawInt, amountOutRawInt, exactOutRawInt, gasCostRawInt,
+      midPriceHuman: midKnown && quotedLegs.length > 0 ? midWeighted : null,
+      slippageBps, deadlineSec, now,
+    }),
+    priceImpact,
+    legs: quotedLegs,
+    hops: quotedLegs.flatMap((leg, l) => leg.hops.map((hop, h) => ({ leg: l, hop: h, ...hop }))),
+  };
+}
+
+// Quote for a route splitter result (simulateAllocation); gas is what the result deducted
+function quoteFromSplit(result, options) {
+  const legs = result.routes.map(r => ({ route: r.route, inputRawInt: r.inputRawInt, priceImpact: r.priceImpact }));
+  const quote = buildQuote(legs, { algorithm: result.algorithm ?? null, priceImpact: result.priceImpact ?? null, ...options });
+  const netRawInt = result.totalOutputRawInt ?? 0n;
+  quote.gasCostRawInt = quote.amountOutRawInt > netRawInt ? quote.amountOutRawInt - netRawInt : 0n;
+  quote.netAmountOutRawInt = quote.amountOutRawInt - quote.gasCostRawInt;
+  return quote;
+}
+
+/**
+ * Quote for a DAG flow result: per-hop minimums over its `hops`, and the mid
+ * price propagated back through the allocation tree by each node's split shares.
+ */
+function quoteFromDag(result, options) {
+  const {
+    sourceToken,
+    targetToken,
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+    deadlineSec = DEFAULT_DEADLINE_SEC,
+    now = Date.now(),
+  } = options;
+  validateSlippageBps(slippageBps);
+  validateDeadlineSec(deadlineSec);
+
+  const nodeMid = new Map();
+  const valueOf = node => {
+    if (node.splits.length === 0) return 1;
+    if (nodeMid.has(node)) return nodeMid.get(node);
+    let value = 0;
+    for (const split of node.splits) {
+      const mid = hopMidPrice(split.pool, split.fromAddr, split.toAddr);
+      const downstream = valueOf(split.node);
+      if (mid === null || downstream === null) {
+        nodeMid.set(node, null);
+        return null;
+      }
+      value += split.share * mid * downstream;
+    }
+    nodeMid.set(node, value);
+    return value;
+  };
+
+  const amountOutRawInt = result.grossOutputRawInt;
+  return {
+    algorithm: result.algorithm,
+    ...quoteTotals({
+      sourceToken, targetToken, mode: 'exactIn',
+      amountInRawInt: result.totalInputRawInt,
+      amountOutRawInt,
+      gasCostRawInt: amountOutRawInt > result.totalOutputRawInt ? amountOutRawInt - result.totalOutputRawInt : 0n,
+      midPriceHuman: valueOf(result.allocationTree),
+      slippageBps, deadlineSec, now,
+    }),
+    priceImpact: result.priceImpact ?? null,
+    legs: null,
+    hops: result.hops.map(h => ({
+      leg: null,
+      hop: h.hop,
+      ...quoteHop({ pool: h.pool, fromAddr: h.fromAddr, toAddr: h.toAddr }, h.inputRawInt, h.outputRawInt, amount => minOutputBound(amount, slippageBps)),
+      share: h.share,
+    })),
+  };
+}
+
+// JSON-safe copy of a quote (BigInt amounts as decimal strings)
+function quoteToJSON(quote) {
+  return JSON.parse(JSON.stringify(quote, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+function getQuoteOptions(args) {
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  return {
+    slippageBps: flag('slippage-bps') !== undefined ? validateSlippageBps(Number(flag('slippage-bps'))) : DEFAULT_SLIPPAGE_BPS,
+    deadlineSec: flag('deadline-sec') !== undefined ? validateDeadlineSec(Number(flag('deadline-sec'))) : DEFAULT_DEADLINE_SEC,
+    json: args.includes('--quote-json'),
+  };
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_SEC,
+  validateSlippageBps,
+  validateDeadlineSec,
+  minOutputBound,
+  routeMidPrice,
+  buildQuote,
+  quoteFromSplit,
+  quoteFromDag,
+  quoteToJSON,
+  getQuoteOptions,
+};
@@ -0,0 +1,149 @@
+/**
+ * Raw Math - Exact integer (BigInt) arithmetic for raw token amounts
+ *
+ * The routers score and search with float raw amounts (fast, approximate).
+ * Quotes and split allocations that are handed to a transaction must be whole
+ * raw units computed the way the chain computes them, so the integer path
+ * (`quoteOutInt` / `quoteInInt` in pool-models.js) is built on these helpers:
+ *
+ * - `parseUnits` / `toRawInt`: exact decimal → BigInt (no `Math.pow(10, d)` float loss)
+ * - `mulDiv` / `mulDivRoundingUp` / `divRoundingUp`: explicit rounding direction
+ * - `feeToPips`: fee tiers as integers over FEE_DENOMINATOR (1e6)
+ * - `splitRawAmount`: whole-unit shares that sum exactly to a total
+ *
+ * Rounding convention (matches on-chain AMMs): fees and required inputs round
+ * up, outputs round down, so a quote never promises more than the pool pays.
+ */
+
+const FEE_DENOMINATOR = 1000000n;
+// Weights are quantized to this precision before integer apportionment
+const WEIGHT_SCALE = 1e15;
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// ============================================================================
+// Parsing & Formatting
+// ============================================================================
+
+/**
+ * floor(value × 10^decimals) as a BigInt, parsed exactly from the decimal
+ * representation. Accepts BigInt, integer/decimal/scientific strings and numbers.
+ */
+function parseUnits(value, decimals = 0) {
+  const scale = BigInt(decimals);
+  if (typeof value === 'bigint') return value * 10n ** scale;
+
+  const str = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const match = DECIMAL_PATTERN.exec(str);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  const [, sign, intPart, fracPart = '', expPart = '0'] = match;
+  const digits = BigInt((intPart + fracPart) || '0');
+  const exponent = BigInt(expPart) + scale - BigInt(fracPart.length);
+
+  let result;
+  if (exponent >= 0n) {
+    result = digits * 10n ** exponent;
+  } else {
+    const divisor = 10n ** -exponent;
+    result = digits / divisor;
+    // Floor towards -∞ for negative values with a dropped fraction
+    if (sign === '-' && digits % divisor !== 0n) result += 1n;
+  }
+
+  return sign === '-' ? -result : result;
+}
+
+// Raw amount (already in smallest units) → BigInt, dropping any fraction
+function toRawInt(value) {
+  return parseUnits(value, 0);
+}
+
+// Like toRawInt, but null instead of throwing for missing/invalid values
+function tryToRawInt(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' && !Number.isFinite(value)) return null;
+  try {
+    return toRawInt(value);
+  } catch {
+    return null;
+  }
+}
+
+function formatUnits(raw, decimals) {
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString().padStart(decimals + 1, '0');
+  const intPart = digits.slice(0, digits.length - decimals);
+  const fracPart = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${intPart}${fracPart ? `.${fracPart}` : ''}`;
+}
+
+// Fee tier (e.g. '0.003' or 0.003) → integer pips over FEE_DENOMINATOR
+function feeToPips(fee) {
+  return parseUnits(fee, 6);
+}
+
+// ============================================================================
+// Rounding
+// ============================================================================
+
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  const result = product / denominator;
+  return product % denominator === 0n ? result : result + 1n;
+}
+
+function divRoundingUp(a, b) {
+  return a % b === 0n ? a / b : a / b + 1n;
+}
+
+// ============================================================================
+// Apportionment
+// ============================================================================
+
+/**
+ * Split `totalRaw` into whole-unit shares proportional to `weights` (float
+ * allocations are fine). Uses largest-remainder rounding, so the shares sum
+ * exactly to `totalRaw` and zero weights stay zero.
+ */
+function splitRawAmount(totalRaw, weights) {
+  const weightSum = weights.reduce((sum, w) => sum + (w > 0 ? w : 0), 0);
+  if (!(weightSum > 0)) {
+    throw new Error('splitRawAmount needs at least one positive weight');
+  }
+
+  const scaled = weights.map(w => BigInt(Math.round(((w > 0 ? w : 0) / weightSum) * WEIGHT_SCALE)));
+  const scaledSum = scaled.reduce((sum, w) => sum + w, 0n);
+
+  const shares = scaled.map(w => (totalRaw * w) / scaledSum);
+  const remainders = scaled.map((w, i) => ({ i, rem: (totalRaw * w) % scaledSum }));
+
+  let leftover = totalRaw - shares.reduce((sum, s) => sum + s, 0n);
+  remainders.sort((a, b) => (b.rem > a.rem ? 1 : b.rem < a.rem ? -1 : a.i - b.i));
+  for (const { i } of remainders) {
+    if (leftover === 0n) break;
+    shares[i] += 1n;
+    leftover -= 1n;
+  }
+
+  return shares;
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  parseUnits,
+  toRawInt,
+  tryToRawInt,
+  formatUnits,
+  feeToPips,
+  mulDiv,
+  mulDivRoundingUp,
+  divRoundingUp,
+  splitRawAmount,
+};
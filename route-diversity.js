@@ -0,0 +1,121 @@
+/**
+ * Route Diversity - Pick a varied top-K out of a ranked candidate list
+ *
+ * The A* candidate heap only dedupes identical hop sequences, so its best routes
+ * tend to be near-copies that all run through the same saturated first pool.
+ * Splitting across those is pointless: the second route hits the same depleted
+ * reserves as the first. `selectDiverseRoutes` greedily picks routes by value,
+ * discounted by how much they share with routes already picked:
+ *
+ * - `maxRoutesPerPool`: hard cap on selected routes that use any one pool
+ * - `maxOverlap`: hard cap on `routeOverlap` with every selected route (0..1)
+ * - `poolDisjoint`: selected routes share no pool (cap 1, overlap 0)
+ * - `overlapPenalty`: soft trade-off, adjusted value = value × (1 − penalty × overlap)
+ *   against the most-overlapping selected route
+ *
+ * The best route is always selected. When the constraints reject candidates
+ * fewer than `limit` routes come back; nothing is backfilled.
+ */
+
+const DEFAULT_DIVERSITY = {
+  maxRoutesPerPool: Infinity,
+  maxOverlap: 1,
+  poolDisjoint: false,
+  overlapPenalty: 0,
+};
+
+function routePools(route) {
+  return new Set(route.map(hop => hop.pool.addr));
+}
+
+/**
+ * Shared pools over the pool count of the shorter route: 0 = disjoint,
+ * 1 = one route's pools are all used by the other.
+ */
+function routeOverlap(poolsA, poolsB) {
+  let shared = 0;
+  for (const pool of poolsA) {
+    if (poolsB.has(pool)) shared++;
+  }
+  return shared / Math.max(1, Math.min(poolsA.size, poolsB.size));
+}
+
+/**
+ * candidates: [{ route, value }] with value > 0, higher is better (net output,
+ * or exp(log-score)). Returns the selected candidates in selection order, each
+ * with `overlap` (max overlap with routes selected before it) and
+ * `adjustedValue`.
+ */
+function selectDiverseRoutes(candidates, limit, options = {}) {
+  const { maxRoutesPerPool, maxOverlap, poolDisjoint, overlapPenalty } = { ...DEFAULT_DIVERSITY, ...options };
+  const perPoolCap = poolDisjoint ? 1 : maxRoutesPerPool;
+  const overlapCap = poolDisjoint ? 0 : maxOverlap;
+
+  let remaining = candidates.map(candidate => ({ ...candidate, pools: routePools(candidate.route) }));
+  const selected = [];
+  const poolUse = new Map();
+
+  while (selected.length < limit && remaining.length > 0) {
+    let best = null;
+    let bestAdjusted = -Infinity;
+    let bestOverlap = 0;
+    const feasibleCandidates = [];
+
+    for (const candidate of remaining) {
+      let feasible = true;
+      for (const pool of candidate.pools) {
+        if ((poolUse.get(pool) || 0) >= perPoolCap) {
+          feasible = false;
+          break;
+        }
+      }
+
+      let overlap = 0;
+      for (let s = 0; feasible && s < selected.length; s++) {
+        overlap = Math.max(overlap, routeOverlap(candidate.pools, selected[s].pools));
+        if (overlap > overlapCap) feasible = false;
+      }
+
+      // Pool use and overlap only grow, so a rejected route stays rejected
+      if (!feasible) continue;
+      feasibleCandidates.push(candidate);
+
+      // Ties go to the earlier (better ranked) candidate
+      const adjusted = candidate.value * (1 - overlapPenalty * overlap);
+      if (adjusted > bestAdjusted) {
+        best = candidate;
+        bestAdjusted = adjusted;
+        bestOverlap = overlap;
+      }
+    }
+
+    if (!best) break;
+
+    remaining = feasibleCandidates.filter(candidate => candidate !== best);
+    for (const pool of best.pools) {
+      poolUse.set(pool, (poolUse.get(pool) || 0) + 1);
+    }
+    selected.push({ ...best, overlap: bestOverlap, adjustedValue: bestAdjusted });
+  }
+
+  return selected.map(({ pools, ...candidate }) => candidate);
+}
+
+// CLI flags; unset flags keep DEFAULT_DIVERSITY
+function getDiversityOptions(args, defaults = {}) {
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const options = { ...DEFAULT_DIVERSITY, ...defaults };
+  if (flag('max-routes-per-pool') !== undefined) options.maxRoutesPerPool = parseInt(flag('max-routes-per-pool'));
+  if (flag('max-overlap') !== undefined) options.maxOverlap = parseFloat(flag('max-overlap'));
+  if (flag('overlap-penalty') !== undefined) options.overlapPenalty = parseFloat(flag('overlap-penalty'));
+  if (args.includes('--pool-disjoint')) options.poolDisjoint = true;
+  return options;
+}
+
+module.exports = {
+  DEFAULT_DIVERSITY,
+  routePools,
+  routeOverlap,
+  selectDiverseRoutes,
+  getDiversityOptions,
+};
@@ -0,0 +1,280 @@
+/**
+ * Route Matrix - Serialized routes between discovery and splitting
+ *
+ * Routes out of `findTopKRoutesAStar` hold live `pool` objects, so they only
+ * make sense inside the process that found them. The split API takes a route
+ * matrix instead: a compact, versioned JSON form that names pools and tokens
+ * by address and is rehydrated against the receiver's own pool state.
+ *
+ * Format (version 1):
+ *   {
+ *     "format": "tapp-route-matrix",
+ *     "version": 1,
+ *     "tokens": ["0xapt…", "0xusdt…", "0xusdc…"],         token table; IDs are indices
+ *     "pools":  ["0xapt-usdc…", "0xapt-usdt…", "0xusdc-usdt…"],   pool table; IDs are indices
+ *     "routes": [
+ *       { "path": [0, 2], "hops": [[0, 0, 1]], "capRaw": "381143430290872" },
+ *       { "path": [0, 1, 2], "hops": [[1, 0, 1], [2, 1, 0]], "capRaw": "19057171514543" }
+ *     ]
+ *   }
+ *
+ * `path` lists token IDs from input to output; hop h is `[poolId, fromIdx,
+ * toIdx]`, the pool's token indices for path[h] → path[h + 1] (the swap
+ * direction), so there is one hop fewer than path entries. `capRaw` is the
+ * route's capacity hint at encoding time (raw input units, `route.capRaw`).
+ *
+ * Decoding is strict: a route through the same pool twice, a pool that has
+ * disappeared, a hop whose token indices no longer hold the path's tokens
+ * (direction changed), or a pool that can no longer swap that pair throws a
+ * RouteMatrixError naming the route and hop.
+ * Capacities are recomputed from the current pool state; the encoded hint is
+ * kept as `route.capHintRaw`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildPoolEdges } = require('./routing-graph.js');
+
+const ROUTE_MATRIX_FORMAT = 'tapp-route-matrix';
+const ROUTE_MATRIX_VERSION = 1;
+
+const ROUTE_MATRIX_ERRORS = {
+  MALFORMED: 'MALFORMED',                     // not the version 1 shape
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  POOL_MISSING: 'POOL_MISSING',               // pool is not in the receiver's state
+  TOKEN_MISSING: 'TOKEN_MISSING',             // pool no longer holds a path token
+  DIRECTION_CHANGED: 'DIRECTION_CHANGED',     // pool's token indices no longer match the path
+  NOT_ROUTABLE: 'NOT_ROUTABLE',               // pool cannot swap the pair (empty reserves)
+  POOL_REUSED: 'POOL_REUSED',                 // route goes through the same pool twice
+};
+
+class RouteMatrixError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Token at a pool-local index: `token_idx` when the pool rows carry it, else list order
+function tokenAtIndex(pool, idx) {
+  if (pool.tokens.every(t => t.token_idx === undefined || t.token_idx === null)) return pool.tokens[idx];
+  return pool.tokens.find(t => t.token_idx !== undefined && t.token_idx !== null && Number(t.token_idx) === idx);
+}
+
+function tokenIndex(pool, addr) {
+  const position = pool.tokens.findIndex(t => t.addr === addr);
+  if (position < 0) return -1;
+  const { token_idx: idx } = pool.tokens[position];
+  return idx === undefined || idx === null ? position : Number(idx);
+}
+
+// Pool lookup over a RoutingGraph (live state), a pool list or Map, or a function
+function poolLookup(pools) {
+  if (typeof pools === 'function') return pools;
+  if (pools && typeof pools.getPool === 'function') return addr => pools.getPool(addr);
+  const byAddr = pools instanceof Map ? pools : new Map((pools || []).map(pool => [pool.addr, pool]));
+  return addr => byAddr.get(addr) || null;
+}
+
+// ============================================================================
+// Encode
+// ============================================================================
+
+/**
+ * Route matrix of A* routes ({ pool, fromAddr, toAddr } hops, optional
+ * `capRaw`). Every route must start and end at the same tokens.
+ */
+function encodeRouteMatrix(routes) {
+  const tokens = [];
+  const tokenIds = new Map();
+  const pools = [];
+  const poolIds = new Map();
+  const intern = (table, ids, key) => {
+    if (!ids.has(key)) {
+      ids.set(key, table.length);
+      table.push(key);
+    }
+    return ids.get(key);
+  };
+
+  const encoded = routes.map((route, r) => {
+    if (!Array.isArray(route) || route.length === 0) throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.MALFORMED, `Route ${r} has no hops`, { routeIdx: r });
+    if (route[0].fromAddr !== routes[0][0].fromAddr || route[route.length - 1].toAddr !== routes[0][routes[0].length - 1].toAddr) {
+      throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.MALFORMED, `Route ${r} does not share route 0's source and target`, { routeIdx: r });
+    }
+
+    const hops = route.map((hop, h) => {
+      const fromIdx = tokenIndex(hop.pool, hop.fromAddr);
+      const toIdx = tokenIndex(hop.pool, hop.toAddr);
+      if (fromIdx < 0 || toIdx < 0) {
+        throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.TOKEN_MISSING, `Route ${r} hop ${h}: pool ${hop.pool.addr} does not hold its tokens`, { routeIdx: r, hopIdx: h });
+      }
+      return [intern(pools, poolIds, hop.pool.addr), fromIdx, toIdx];
+    });
+    const entry = {
+      path: [route[0].fromAddr, ...route.map(hop => hop.toAddr)].map(addr => intern(tokens, tokenIds, addr)),
+      hops,
+    };
+    if (Number.isFinite(route.capRaw)) entry.capRaw = BigInt(Math.floor(route.capRaw)).toString();
+    return entry;
+  });
+
+  return { format: ROUTE_MATRIX_FORMAT, version: ROUTE_MATRIX_VERSION, tokens, pools, routes: encoded };
+}
+
+// ============================================================================
+// Validate / Decode
+// ============================================================================
+
+function isRouteMatrix(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && value.format === ROUTE_MATRIX_FORMAT;
+}
+
+// Shape check only (no pool state); returns the matrix
+function validateRouteMatrix(matrix, label = 'route matrix') {
+  const malformed = (message, details = null) => new RouteMatrixError(ROUTE_MATRIX_ERRORS.MALFORMED, `Invalid ${label}: ${message}`, details);
+  const isId = (value, table) => Number.isInteger(value) && value >= 0 && value < table.length;
+
+  if (!isRouteMatrix(matrix)) throw malformed(`format "${matrix?.format}" (expected "${ROUTE_MATRIX_FORMAT}")`);
+  if (matrix.version !== ROUTE_MATRIX_VERSION) {
+    throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.UNSUPPORTED_VERSION, `Unsupported ${label} version ${matrix.version} (supported: ${ROUTE_MATRIX_VERSION})`);
+  }
+  for (const table of ['tokens', 'pools']) {
+    if (!Array.isArray(matrix[table]) || matrix[table].some(addr => typeof addr !== 'string' || addr === '')) {
+      throw malformed(`"${table}" must be an array of addresses`);
+    }
+  }
+  if (!Array.isArray(matrix.routes) || matrix.routes.length === 0) throw malformed('"routes" must be a non-empty array');
+
+  matrix.routes.forEach((route, r) => {
+    if (!route || !Array.isArray(route.path) || !Array.isArray(route.hops) || route.hops.length === 0) {
+      throw malformed(`routes[${r}] must have "path" and a non-empty "hops"`, { routeIdx: r });
+    }
+    if (route.path.length !== route.hops.length + 1) {
+      throw malformed(`routes[${r}] has ${route.hops.length} hops for a path of ${route.path.length} tokens`, { routeIdx: r });
+    }
+    if (!route.path.every(id => isId(id, matrix.tokens))) throw malformed(`routes[${r}].path has an unknown token ID`, { routeIdx: r });
+    const hopOfPool = new Map();
+    route.hops.forEach((hop, h) => {
+      if (!Array.isArray(hop) || hop.length !== 3 || !isId(hop[0], matrix.pools)
+        || !Number.isInteger(hop[1]) || !Number.isInteger(hop[2]) || hop[1] < 0 || hop[2] < 0 || hop[1] === hop[2]) {
+        throw malformed(`routes[${r}].hops[${h}] must be [poolId, fromIdx, toIdx]`, { routeIdx: r, hopIdx: h });
+      }
+      // By address: the pool table may list one pool under two IDs
+      const poolAddr = matrix.pools[hop[0]];
+      if (hopOfPool.has(poolAddr)) {
+        throw new RouteMatrixError(
+          ROUTE_MATRIX_ERRORS.POOL_REUSED,
+          `Invalid ${label}: routes[${r}] goes through pool ${poolAddr} at hops ${hopOfPool.get(poolAddr)} and ${h}`,
+          { routeIdx: r, hopIdx: h, poolAddr }
+        );
+      }
+      hopOfPool.set(poolAddr, h);
+    });
+    if (route.capRaw !== undefined && (typeof route.capRaw !== 'string' || !/^\d+$/.test(route.capRaw))) {
+      throw malformed(`routes[${r}].capRaw must be an integer string`, { routeIdx: r });
+    }
+  });
+
+  const source = matrix.routes[0].path[0];
+  const target = matrix.routes[0].path[matrix.routes[0].path.length - 1];
+  matrix.routes.forEach((route, r) => {
+    if (route.path[0] !== source || route.path[route.path.length - 1] !== target) {
+      throw malformed(`routes[${r}] does not share route 0's source and target`, { routeIdx: r });
+    }
+  });
+
+  return matrix;
+}
+
+/**
+ * Rehydrate a route matrix against current pools (RoutingGraph, pool list,
+ * Map or lookup function). Returns { routes, sourceToken, targetToken } with
+ * routes in the A* hop shape ({ pool, poolId, fromAddr, toAddr, dxCapRaw,
+ * reserveIn }) and fresh `capRaw`.
+ */
+function decodeRouteMatrix(matrix, pools) {
+  validateRouteMatrix(matrix);
+  const getPool = poolLookup(pools);
+
+  const routes = matrix.routes.map((encoded, r) => {
+    const route = encoded.hops.map(([poolId, fromIdx, toIdx], h) => {
+      const poolAddr = matrix.pools[poolId];
+      const fromAddr = matrix.tokens[encoded.path[h]];
+      const toAddr = matrix.tokens[encoded.path[h + 1]];
+      const where = { routeIdx: r, hopIdx: h, poolAddr };
+
+      const pool = getPool(poolAddr);
+      if (!pool) throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.POOL_MISSING, `Route ${r} hop ${h}: pool ${poolAddr} no longer exists`, where);
+      if (tokenIndex(pool, fromAddr) < 0 || tokenIndex(pool, toAddr) < 0) {
+        throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.TOKEN_MISSING, `Route ${r} hop ${h}: pool ${poolAddr} no longer holds ${tokenIndex(pool, fromAddr) < 0 ? fromAddr : toAddr}`, where);
+      }
+      if (tokenAtIndex(pool, fromIdx)?.addr !== fromAddr || tokenAtIndex(pool, toIdx)?.addr !== toAddr) {
+        throw new RouteMatrixError(
+          ROUTE_MATRIX_ERRORS.DIRECTION_CHANGED,
+          `Route ${r} hop ${h}: pool ${poolAddr} has ${fromAddr} → ${toAddr} at indices ${tokenIndex(pool, fromAddr)} → ${tokenIndex(pool, toAddr)}, not ${fromIdx} → ${toIdx}`,
+          where
+        );
+      }
+
+      const edge = buildPoolEdges(pool, poolAddr).find(e => e.from === fromAddr && e.to === toAddr);
+      if (!edge) throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.NOT_ROUTABLE, `Route ${r} hop ${h}: pool ${poolAddr} cannot swap ${fromAddr} → ${toAddr}`, where);
+      return { pool, poolId: poolAddr, fromAddr, toAddr, dxCapRaw: edge.dxCapRaw, reserveIn: edge.reserveIn };
+    });
+
+    route.capRaw = Math.min(...route.map(hop => hop.dxCapRaw));
+    if (encoded.capRaw !== undefined) route.capHintRaw = Number(encoded.capRaw);
+    return route;
+  });
+
+  const tokenOf = addr => routes[0].flatMap(hop => hop.pool.tokens).find(t => t.addr === addr);
+  return {
+    routes,
+    sourceToken: tokenOf(routes[0][0].fromAddr),
+    targetToken: tokenOf(routes[0][routes[0].length - 1].toAddr),
+  };
+}
+
+// ============================================================================
+// File I/O
+// ============================================================================
+
+function writeRouteMatrix(filePath, matrix) {
+  validateRouteMatrix(matrix);
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(matrix) + '\n');
+  return filePath;
+}
+
+function readRouteMatrix(filePath) {
+  let matrix;
+  try {
+    matrix = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new RouteMatrixError(ROUTE_MATRIX_ERRORS.MALFORMED, `Route matrix ${filePath} is not valid JSON: ${err.message}`);
+  }
+  return validateRouteMatrix(matrix, `route matrix ${filePath}`);
+}
+
+function getRouteMatrixOptions(args) {
+  const dumpRouteMatrixPath = args.find(a => a.startsWith('--dump-route-matrix='))?.split('=')[1] || null;
+  return { dumpRouteMatrixPath };
+}
+
+module.exports = {
+  ROUTE_MATRIX_FORMAT,
+  ROUTE_MATRIX_VERSION,
+  ROUTE_MATRIX_ERRORS,
+  RouteMatrixError,
+  tokenAtIndex,
+  tokenIndex,
+  poolLookup,
+  isRouteMatrix,
+  encodeRouteMatrix,
+  validateRouteMatrix,
+  decodeRouteMatrix,
+  writeRouteMatrix,
+  readRouteMatrix,
+  getRouteMatrixOptions,
+};
@@ -0,0 +1,589 @@
+/**
+ * Router - Embeddable smart order router
+ *
+ * `createRouter(graph, options)` wraps a RoutingGraph (or a pool list) with
+ * the full pipeline the CLI runs: A* route search, Phase 1 route selection
+ * under the price-impact caps, the Phase 2 splitters and slippage-protected
+ * quotes. All configuration is explicit; nothing is read from `process.argv`
+ * or the environment, and every message goes to `options.logger`.
+ *
+ *   const { createRouter, silentLogger } = require('./router.js');
+ *   const router = createRouter(pools, { maxHops: 3, logger: silentLogger });
+ *   const quote = router.quote('APT', 'USDC', 10000);
+ *
+ * Options (defaults in DEFAULT_ROUTER_OPTIONS):
+ *   maxHops, topK, beamWidth     A* search shape
+ *   searchMode                   'spot' | 'amount' (amount-aware A*)
+ *   timeBudgetMs, maxIterations, maxExpansions   search budgets (astar-search.js)
+ *   gasPerHopUSD                 gas per hop, converted at the oracle price
+ *   impactLimits                 { maxRouteImpact, maxHopImpact } (price-impact.js)
+ *   diversity                    route-diversity.js constraints for the split candidates
+ *   split                        whether quote() runs the splitters
+ *   splitRoutes                  routes handed to the splitters
+ *   splitters                    any of 'waterfill', 'hillclimb', 'convex', 'dag'
+ *   curveSampling, curveTolerance, legacyWaterfill   water-fill / hill-climb / orderbook curves
+ *   slippageBps, deadlineSec     quote bounds (quote.js)
+ *   priceOracle, minPriceConfidence, usdAnchors      USD prices (price-oracle.js);
+ *                                the oracle is built from the graph when not given
+ *   registry                     token registry for symbol lookups (token-registry.js)
+ *   heuristicCacheSize           reverse-Dijkstra heuristics cached per router
+ *   logger, verbose              output sink (console-like: log, error, table) and detail
+ *
+ * Every method also takes per-call options, which override the router's.
+ * Tokens are token objects (`addr`) or registry queries (symbol, address, alias).
+ * Amounts are human units and must be at least one raw unit of the token they
+ * are in; bad amounts and trades nothing can quote throw a RouterError.
+ */
+
+const { RoutingGraph } = require('./routing-graph.js');
+const { HeuristicCache } = require('./heuristic-cache.js');
+const { TokenResolutionError, buildTokenRegistry } = require('./token-registry.js');
+const { DEFAULT_ANCHORS, DEFAULT_MIN_CONFIDENCE, buildPriceOracle, gasInToken } = require('./price-oracle.js');
+const {
+  ImpactCapError,
+  normalizeImpactLimits,
+  formatImpactLimits,
+  singleRouteImpact,
+  routePriceImpact,
+  withinImpactLimits,
+} = require('./price-impact.js');
+const { selectDiverseRoutes } = require('./route-diversity.js');
+const { parseUnits } = require('./raw-math.js');
+const {
+  DEFAULT_HEURISTIC_CACHE_SIZE,
+  computeReverseHeuristic,
+  computeSizeAwareHeuristic,
+  mapHeuristicToIds,
+  getHeuristicCacheStats,
+  findTopKRoutesAStar,
+  selectBestRoute,
+  routeFixedGas,
+  simulateRoute,
+  simulateRouteInt,
+  simulateRouteExactOutInt,
+} = require('./astar-search.js');
+const { DEFAULT_SLIPPAGE_BPS, DEFAULT_DEADLINE_SEC, validateSlippageBps, validateDeadlineSec, buildQuote, quoteFromSplit, quoteFromDag } = require('./quote.js');
+const { optimizeRouteSplittingWaterfill } = require('./phase2-waterfill.js');
+const { optimizeRouteSplittingHillClimb } = require('./phase2-hillclimb.js');
+const { optimizeRouteSplittingConvex } = require('./phase2-convex.js');
+const { optimizeFlowSplittingDag } = require('./phase2-dagflow.js');
+const { buildOrderbookLadder } = require('./orderbook.js');
+
+const DEFAULT_ROUTER_OPTIONS = {
+  maxHops: 3,
+  topK: 40,
+  beamWidth: 32,
+  searchMode: 'spot',
+  gasPerHopUSD: 0.01,
+  impactLimits: { maxRouteImpact: 0.05, maxHopImpact: 0.05 },
+  diversity: { maxRoutesPerPool: 3, overlapPenalty: 0.25 },
+  split: true,
+  splitRoutes: 10,
+  splitters: ['waterfill', 'hillclimb', 'convex', 'dag'],
+  curveSampling: 'adaptive',
+  curveTolerance: 0.005,
+  legacyWaterfill: false,
+  slippageBps: DEFAULT_SLIPPAGE_BPS,
+  deadlineSec: DEFAULT_DEADLINE_SEC,
+  usdAnchors: DEFAULT_ANCHORS,
+  minPriceConfidence: DEFAULT_MIN_CONFIDENCE,
+  heuristicCacheSize: DEFAULT_HEURISTIC_CACHE_SIZE,
+  verbose: false,
+};
+
+// Splitter ids → the algorithm names results and quotes carry
+const SPLITTER_NAMES = {
+  waterfill: 'Water-Fill',
+  hillclimb: 'Hill Climb',
+  convex: 'Convex',
+  dag: 'DAG Flow',
+};
+
+// Drop-in logger for callers that want no output at all
+const silentLogger = { log() {}, warn() {}, error() {}, table() {} };
+
+const ROUTER_ERRORS = {
+  INVALID_AMOUNT: 'INVALID_AMOUNT',       // not finite, not positive or below one raw unit
+  SAME_TOKEN: 'SAME_TOKEN',               // tokenIn and tokenOut are the same token
+  EXCEEDS_CAPACITY: 'EXCEEDS_CAPACITY',   // exact output: no route can deliver the amount plus its gas
+  NO_NET_OUTPUT: 'NO_NET_OUTPUT',         // exact input: no route's output covers its gas
+};
+
+class RouterError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'RouterError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function createRouter(graph, options = {}) {
+  const routingGraph = graph instanceof RoutingGraph ? graph : new RoutingGraph(graph);
+  const config = { ...DEFAULT_ROUTER_OPTIONS, logger: console, ...options };
+  const heuristicCache = new HeuristicCache({ maxEntries: config.heuristicCacheSize });
+
+  // Router options overlaid by per-call options
+  const settings = (opts = {}) => {
+    const cfg = { ...config, ...opts };
+    cfg.impactLimits = normalizeImpactLimits(cfg.impactLimits);
+    validateSlippageBps(cfg.slippageBps);
+    validateDeadlineSec(cfg.deadlineSec);
+    if (!['spot', 'amount'].includes(cfg.searchMode)) {
+      throw new Error(`Unknown search mode "${cfg.searchMode}" (expected spot or amount)`);
+    }
+    if (!['adaptive', 'fixed'].includes(cfg.curveSampling)) {
+      throw new Error(`Unknown curve sampling "${cfg.curveSampling}" (expected adaptive or fixed)`);
+    }
+    return cfg;
+  };
+
+  // Registry and oracle follow the graph: rebuilt when events move it to a new version
+  let registry = null;
+  let registryVersion = null;
+  let priceOracle = null;
+  let priceOracleVersion = null;
+
+  function tokenRegistry() {
+    if (config.registry) return config.registry;
+    if (!registry || registryVersion !== routingGraph.version) {
+      registry = buildTokenRegistry({ tokens: [...routingGraph.tokenMap.values()] });
+      registryVersion = routingGraph.version;
+    }
+    return registry;
+  }
+
+  function oracle() {
+    if (config.priceOracle) return config.priceOracle;
+    if (!priceOracle || priceOracleVersion !== routingGraph.version) {
+      priceOracle = buildPriceOracle({ pools: [...routingGraph.pools.values()], registry: tokenRegistry(), anchors: config.usdAnchors });
+      priceOracleVersion = routingGraph.version;
+    }
+    return priceOracle;
+  }
+
+  // Token object or query → the graph's token entry; throws when it is in no pool
+  function resolveToken(token) {
+    const addr = typeof token === 'string' ? tokenRegistry().resolve(token).addr : token.addr;
+    const resolved = routingGraph.tokenMap.get(addr);
+    if (!resolved) {
+      const query = typeof token === 'string' ? token : addr;
+      throw new TokenResolutionError(`Token ${query} is not in any pool`, { query, code: 'NOT_IN_GRAPH' });
+    }
+    return resolved;
+  }
+
+  // Resolved (sourceToken, targetToken) for a trade; the amount is in the source
+  // token for exact input and in the target token for exact output
+  function resolveTrade(tokenIn, tokenOut, amount, mode) {
+    const sourceToken = resolveToken(tokenIn);
+    const targetToken = resolveToken(tokenOut);
+    if (sourceToken.addr === targetToken.addr) {
+      throw new RouterError(ROUTER_ERRORS.SAME_TOKEN, `tokenIn and tokenOut are the same token (${sourceToken.symbol || sourceToken.addr})`);
+    }
+    const amountToken = mode === 'exactOut' ? targetToken : sourceToken;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || parseUnits(amount, amountToken.decimals) < 1n) {
+      throw new RouterError(
+        ROUTER_ERRORS.INVALID_AMOUNT,
+        `Invalid amount ${amount}: expected a finite number of at least one raw unit of ${amountToken.symbol || amountToken.addr} (${Math.pow(10, -amountToken.decimals)})`,
+        { amount, decimals: amountToken.decimals }
+      );
+    }
+    return { sourceToken, targetToken };
+  }
+
+  /**
+   * Gas per hop in output tokens at the oracle price ($1 when unpriced) and
+   * the A* penalty: that gas relative to the trade size in output tokens.
+   * Returns { perHopInOutputTokens, penalty, targetTokenUSDPrice, priced, confidence }.
+   */
+  function gasCosts(tokenIn, tokenOut, amount, opts = {}) {
+    const cfg = settings(opts);
+    const { logger, verbose } = cfg;
+    const sourceToken = resolveToken(tokenIn);
+    const targetToken = resolveToken(tokenOut);
+    const prices = oracle();
+
+    const targetGas = gasInToken(prices, cfg.gasPerHopUSD, targetToken, cfg.minPriceConfidence);
+    const sourceUSDPrice = prices.usdPrice(sourceToken.addr, cfg.minPriceConfidence);
+    if (!targetGas.priced && cfg.gasPerHopUSD > 0) {
+      logger.log(`⚠️  No confident USD price for ${targetToken.symbol} (confidence ${targetGas.confidence.toFixed(2)}); gas assumes $1 per ${targetToken.symbol}`);
+    }
+
+    const tradeSizeInOutputTokens = cfg.mode !== 'exactOut' && targetGas.priced && sourceUSDPrice !== null
+      ? (amount * sourceUSDPrice) / targetGas.usdPrice
+      : amount;
+    const penalty = cfg.gasPerHopUSD > 0 ? Math.log(1 + targetGas.amount / tradeSizeInOutputTokens) : 0;
+    if (verbose) logger.log(`🔧 Gas per hop: $${cfg.gasPerHopUSD} → ${targetGas.amount.toFixed(4)} ${targetToken.symbol} ($${targetGas.usdPrice.toPrecision(6)}, confidence ${targetGas.confidence.toFixed(2)}) → penalty ${penalty.toFixed(6)}`);
+
+    return {
+      perHopInOutputTokens: targetGas.amount,
+      penalty,
+      targetTokenUSDPrice: targetGas.usdPrice,
+      priced: targetGas.priced,
+      confidence: targetGas.confidence,
+    };
+  }
+
+  /**
+   * Top-K routes for `amount` (human units of tokenIn; of tokenOut with
+   * `mode: 'exactOut'`). Per-call `signal` / `deadline` stop the search early;
+   * one deadline covers heuristic and search, so `timeBudgetMs` caps latency.
+   * Returns { sourceToken, targetToken, amount, mode, gas, routes, search, heuristicMs }.
+   */
+  function findRoutes(tokenIn, tokenOut, amount, opts = {}) {
+    const cfg = settings(opts);
+    const { logger, verbose } = cfg;
+    const mode = cfg.mode || 'exactIn';
+    const { sourceToken, targetToken } = resolveTrade(tokenIn, tokenOut, amount, mode);
+    if (cfg.searchMode === 'amount' && mode === 'exactOut') {
+      throw new Error('Amount-aware search cannot be combined with exact output');
+    }
+    const gas = cfg.gas || gasCosts(sourceToken, targetToken, amount, cfg);
+    const { adj, tokenToId, adjId, idToAddr } = routingGraph;
+
+    const heuristicStart = performance.now();
+    if (verbose) logger.log('🔧 Computing A* heuristic (reverse Dijkstra from target)...');
+    const searchOptions = {
+      timeBudgetMs: cfg.timeBudgetMs,
+      maxIterations: cfg.maxIterations,
+      maxExpansions: cfg.maxExpansions,
+      signal: cfg.signal || null,
+      deadline: cfg.deadline ?? (cfg.timeBudgetMs !== undefined ? Date.now() + cfg.timeBudgetMs : null),
+      maxHopImpact: cfg.impactLimits ? cfg.impactLimits.maxHopImpact : Infinity,
+      verbose,
+      logger,
+    };
+    // Amount-aware search scores edges at the trade size, so its heuristic is size-aware too
+    const amountInRaw = cfg.searchMode === 'amount' ? amount * Math.pow(10, sourceToken.decimals) : null;
+    const heuristicResult = amountInRaw !== null
+      ? computeSizeAwareHeuristic(adj, sourceToken.addr, targetToken.addr, amountInRaw, gas.penalty, cfg.maxHops, tokenToId, { verbose, logger })
+      : computeReverseHeuristic(adj, targetToken.addr, gas.penalty, sourceToken.addr, tokenToId, {
+        graph: routingGraph,
+        deadline: searchOptions.deadline,
+        signal: searchOptions.signal,
+        heuristicCache,
+        verbose,
+        logger,
+      });
+    const heuristicId = mapHeuristicToIds(heuristicResult.dist, tokenToId);
+    if (verbose) {
+      const cacheStats = getHeuristicCacheStats(heuristicCache);
+      logger.log(`🎯 Heuristic cache: ${cacheStats.entries}/${cacheStats.maxEntries} entries, hit rate ${(cacheStats.hitRate * 100).toFixed(1)}%, stale ${(cacheStats.staleRate * 100).toFixed(1)}% (${cacheStats.partialRecomputes} patched, ${cacheStats.fullRecomputes} full)`);
+    }
+    const heuristicMs = performance.now() - heuristicStart;
+
+    const exactOutRaw = mode === 'exactOut' ? amount * Math.pow(10, targetToken.decimals) : null;
+    const routes = findTopKRoutesAStar(
+      adjId, heuristicId, tokenToId, idToAddr, sourceToken.addr, targetToken.addr,
+      cfg.maxHops, cfg.topK, cfg.beamWidth, gas.penalty, heuristicResult.heuristicArr,
+      { ...searchOptions, exactOutRaw, amountInRaw }
+    );
+
+    return { sourceToken, targetToken, amount, mode, gas, routes, search: routes.search, heuristicMs };
+  }
+
+  /**
+   * Phase 1: the single best route. Exact-input picks the best net output
+   * among routes within the price-impact caps; exact-output the route needing
+   * the least input (not capped). Returns { mode, route, output, input,
+   * outputRawInt, priceImpact, rejectedRoutes, quote }. When no route is
+   * within the caps, route and quote are null, `exceedsImpactCap` is set and
+   * priceImpact is the least impact any route has at the full amount. No
+   * routes, or none that nets output after gas (exact output: none that can
+   * deliver the amount plus gas): route, quote and priceImpact are null.
+   */
+  function bestRoute(routes, tokenIn, tokenOut, amount, opts = {}) {
+    const cfg = settings(opts);
+    const { logger, verbose } = cfg;
+    const { sourceToken, targetToken } = resolveTrade(tokenIn, tokenOut, amount, cfg.mode);
+    const gas = cfg.gas || gasCosts(sourceToken, targetToken, amount, cfg);
+    const quoteOptions = { sourceToken, targetToken, slippageBps: cfg.slippageBps, deadlineSec: cfg.deadlineSec, now: cfg.now };
+    const gasCostRawInt = route => BigInt(Math.ceil(routeFixedGas(route.length, gas.perHopInOutputTokens) * Math.pow(10, targetToken.decimals)));
+
+    if (cfg.mode === 'exactOut') {
+      const exactOutRaw = amount * Math.pow(10, targetToken.decimals);
+      const best = selectBestRoute(routes, exactOutRaw, gas.perHopInOutputTokens, { mode: 'exactOut', verbose, logger });
+      if (!best.route) return { mode: 'exactOut', route: null, input: Infinity, output: best.output, priceImpact: null, quote: null };
+      const exactOutRawInt = parseUnits(amount, targetToken.decimals);
+      const gasRawInt = gasCostRawInt(best.route);
+      const inputRawInt = simulateRouteExactOutInt(best.route, exactOutRawInt + gasRawInt);
+      const priceImpact = routePriceImpact(best.route, Number(inputRawInt ?? 0n));
+      const quote = buildQuote(
+        [{ route: best.route, inputRawInt: inputRawInt ?? 0n, priceImpact }],
+        { ...quoteOptions, mode: 'exactOut', exactOutRawInt, algorithm: 'A*', gasCostRawInt: gasRawInt, priceImpact: singleRouteImpact(priceImpact, null) }
+      );
+      return { mode: 'exactOut', route: best.route, input: best.input, output: best.output, quote };
+    }
+
+    if (routes.length === 0) {
+      return { mode: 'exactIn', route: null, output: 0, outputRawInt: 0n, priceImpact: null, rejectedRoutes: 0, quote: null };
+    }
+
+    // Price impact at the trade size; only routes within the caps are quoted
+    const amountRaw = amount * Math.pow(10, sourceToken.decimals);
+    const limits = cfg.impactLimits;
+    const routeImpacts = new Map(routes.map(route => [route, routePriceImpact(route, amountRaw)]));
+    const compliantRoutes = routes.filter(route => withinImpactLimits(routeImpacts.get(route), limits));
+    if (limits && compliantRoutes.length === 0) {
+      logger.log(`⚠️  No route stays within the price-impact cap (${formatImpactLimits(limits)}) for the full amount`);
+      const leastImpact = [...routeImpacts.values()].reduce((least, report) => (!least || report.impact < least.impact ? report : least), null);
+      return {
+        mode: 'exactIn',
+        route: null,
+        output: 0,
+        outputRawInt: 0n,
+        priceImpact: leastImpact,
+        rejectedRoutes: routes.length,
+        exceedsImpactCap: true,
+        quote: null,
+      };
+    }
+    if (compliantRoutes.length < routes.length) {
+      logger.log(`🚧 Price-impact cap: ${routes.length - compliantRoutes.length} of ${routes.length} routes rejected`);
+    }
+
+    const best = selectBestRoute(compliantRoutes, amountRaw, gas.perHopInOutputTokens, { verbose, logger });
+    if (!best.route) {
+      return { mode: 'exactIn', route: null, output: 0, outputRawInt: 0n, priceImpact: null, rejectedRoutes: routes.length - compliantRoutes.length, quote: null };
+    }
+    const inputRawInt = parseUnits(amount, sourceToken.decimals);
+    const priceImpact = routeImpacts.get(best.route);
+    const quote = buildQuote(
+      [{ route: best.route, inputRawInt, priceImpact }],
+      { ...quoteOptions, algorithm: 'A*', gasCostRawInt: gasCostRawInt(best.route), priceImpact: singleRouteImpact(priceImpact, limits) }
+    );
+    return {
+      mode: 'exactIn',
+      route: best.route,
+      output: best.output,
+      outputRawInt: simulateRouteInt(best.route, inputRawInt),
+      priceImpact,
+      rejectedRoutes: routes.length - compliantRoutes.length,
+      quote,
+    };
+  }
+
+  /**
+   * Phase 2: split `amount` over the best diverse `splitRoutes` of `routes`
+   * with each of `splitters` (exact-output: water-fill only). `onResult(name,
+   * result)` is called as each splitter finishes. Returns { routes, results
+   * (by algorithm name), comparison (best first), best, quote (of the best) }.
+   */
+  function split(routes, tokenIn, tokenOut, amount, opts = {}) {
+    const cfg = settings(opts);
+    const { logger, verbose, onResult = () => {} } = cfg;
+    const { sourceToken, targetToken } = resolveTrade(tokenIn, tokenOut, amount, cfg.mode);
+    const gas = cfg.gas || gasCosts(sourceToken, targetToken, amount, cfg);
+    const quoteOptions = { sourceToken, targetToken, slippageBps: cfg.slippageBps, deadlineSec: cfg.deadlineSec, now: cfg.now };
+    const count = Math.min(cfg.splitRoutes, routes.length);
+    const results = {};
+    const run = (name, splitter) => {
+      results[name] = splitter();
+      onResult(name, results[name]);
+    };
+
+    if (cfg.mode === 'exactOut') {
+      // Cheapest routes first (value = 1 / required input), diversified as in exact-in
+      const splitRoutes = selectDiverseRoutes(routes.map(route => ({ route, value: 1 / route.requiredInRaw })), count, cfg.diversity).map(r => r.route);
+      run(SPLITTER_NAMES.waterfill, () => optimizeRouteSplittingWaterfill(splitRoutes, amount, sourceToken, targetToken, {
+        minPct: 0.001,
+        maxHops: cfg.maxHops,
+        gasPerHopUSD: cfg.gasPerHopUSD,
+        targetTokenUSDPrice: gas.targetTokenUSDPrice,
+        verbose,
+        logger,
+        mode: 'exactOut',
+        slippageBps: cfg.slippageBps,
+      }));
+      const result = results[SPLITTER_NAMES.waterfill];
+      const best = result ? { name: SPLITTER_NAMES.waterfill, result } : null;
+      return {
+        routes: splitRoutes,
+        results,
+        comparison: best ? [best] : [],
+        best,
+        quote: best ? quoteFromSplit(result, { ...quoteOptions, mode: 'exactOut', exactOutRawInt: parseUnits(amount, targetToken.decimals), algorithm: best.name }) : null,
+      };
+    }
+
+    // Best net output first, then trade it against pool overlap so the split
+    // is not spread over copies of the same saturated pool
+    const amountRaw = amount * Math.pow(10, sourceToken.decimals);
+    const evaluatedRoutes = routes.map(route => ({
+      route,
+      netOutput: simulateRoute(route, amountRaw) - route.length * gas.perHopInOutputTokens,
+    })).sort((a, b) => b.netOutput - a.netOutput);
+    const splitRoutes = selectDiverseRoutes(
+      evaluatedRoutes.map(r => ({ route: r.route, value: Math.max(0, r.netOutput) })),
+      count,
+      cfg.diversity
+    ).map(r => r.route);
+    if (verbose) logger.log(`🔀 ${splitRoutes.length} diverse routes selected for splitting out of ${evaluatedRoutes.length}`);
+
+    const routeCapacities = splitRoutes.map(route => {
+      const cap = route.capRaw || 1e18;
+      if (verbose && cap === 1e18) {
+        logger.log(`⚠️  Route has no capRaw (using fallback 1e18), hops: ${route.length}`);
+        if (route.length > 0 && route[0].dxCapRaw !== undefined) {
+          logger.log(`   First hop has dxCapRaw: ${route[0].dxCapRaw.toExponential(2)}`);
+        }
+      }
+      return cap;
+    });
+    const shared = {
+      maxHops: cfg.maxHops,
+      gasPerHopUSD: cfg.gasPerHopUSD,
+      targetTokenUSDPrice: gas.targetTokenUSDPrice,
+      impactLimits: cfg.impactLimits,
+      verbose,
+      logger,
+    };
+    const splitters = new Set(cfg.splitters);
+
+    if (splitters.has('waterfill')) {
+      run(SPLITTER_NAMES.waterfill, () => optimizeRouteSplittingWaterfill(splitRoutes, amount, sourceToken, targetToken, {
+        ...shared,
+        steps: 18,
+        chunkCoarse: 0.05,
+        chunkFine: 0.001,
+        maxIterations: 5000,
+        tol: 1e-10,
+        minPct: 0.001,
+        routeCapacities,
+        legacyWaterfill: cfg.legacyWaterfill,
+        enableCapacityConstraints: false,
+        minMarginalRatioFilter: 0.50,
+        curveSampling: cfg.curveSampling,
+        curveTolerance: cfg.curveTolerance,
+      }));
+    }
+    if (splitters.has('hillclimb')) {
+      run(SPLITTER_NAMES.hillclimb, () => optimizeRouteSplittingHillClimb(splitRoutes, amount, sourceToken, targetToken, {
+        ...shared,
+        routeCapacities,
+        deltaPct: 0.001,
+        maxIterations: 200,
+        maxActiveRoutes: 10,
+        steps: 18,
+        minMarginalRatioFilter: 0.50,
+        minInitialEffRatio: 0.0,
+        curveSampling: cfg.curveSampling,
+        curveTolerance: cfg.curveTolerance,
+      }));
+    }
+    // Capped only by price impact, like water-fill, so its bound covers the splits they search
+    if (splitters.has('convex')) {
+      run(SPLITTER_NAMES.convex, () => optimizeRouteSplittingConvex(splitRoutes, amount, sourceToken, targetToken, shared));
+    }
+    // Per-hop, per-pool flow over every parallel pool of the discovered token pairs
+    if (splitters.has('dag')) {
+      run(SPLITTER_NAMES.dag, () => optimizeFlowSplittingDag(splitRoutes, amount, sourceToken, targetToken, {
+        ...shared,
+        pools: [...routingGraph.pools.values()],
+      }));
+    }
+
+    const comparison = Object.entries(results)
+      .filter(([, result]) => result)
+      .map(([name, result]) => ({ name, result }))
+      .sort((a, b) => b.result.totalOutputHuman - a.result.totalOutputHuman);
+    const best = comparison[0] || null;
+    let quote = null;
+    if (best) {
+      quote = best.result.allocationTree
+        ? quoteFromDag(best.result, quoteOptions)
+        : quoteFromSplit(best.result, { ...quoteOptions, algorithm: best.name });
+    }
+    return { routes: splitRoutes, results, comparison, best, quote };
+  }
+
+  /**
+   * Search, pick the best route and, unless `split: false`, replace its quote
+   * with the best split when that nets more output (exact-output: needs less
+   * input). When no single route is within the price-impact caps, the split
+   * (legs capped, the rest of the input unfilled) is the quote. Returns a
+   * quote.js quote, or null when no route is found; throws an ImpactCapError
+   * when nothing can be quoted within the caps and a RouterError when no route
+   * nets output after gas (exact output: routes exist but none can deliver
+   * the amount, plus gas).
+   */
+  function quote(tokenIn, tokenOut, amount, opts = {}) {
+    const found = findRoutes(tokenIn, tokenOut, amount, opts);
+    if (found.routes.length === 0) {
+      if (found.search.undeliverable > 0) {
+        throw new RouterError(ROUTER_ERRORS.EXCEEDS_CAPACITY, `Routes cannot deliver the requested amountOut (${amount} ${found.targetToken.symbol || found.targetToken.addr})`);
+      }
+      return null;
+    }
+
+    const cfg = settings(opts);
+    const callOpts = { ...opts, gas: found.gas };
+    const best = bestRoute(found.routes, found.sourceToken, found.targetToken, amount, callOpts);
+    const splitResult = cfg.split ? split(found.routes, found.sourceToken, found.targetToken, amount, callOpts) : null;
+    const splitQuote = splitResult && splitResult.quote && splitResult.quote.amountInRawInt > 0n ? splitResult.quote : null;
+    if (!best.quote) {
+      if (splitQuote) return splitQuote;
+      if (found.mode === 'exactOut') {
+        throw new RouterError(ROUTER_ERRORS.EXCEEDS_CAPACITY, `Routes cannot deliver the requested amountOut (${amount} ${found.targetToken.symbol || found.targetToken.addr}) plus gas`);
+      }
+      if (!best.exceedsImpactCap) {
+        throw new RouterError(ROUTER_ERRORS.NO_NET_OUTPUT, `No route from ${found.sourceToken.symbol || found.sourceToken.addr} nets any output after gas for ${amount}`);
+      }
+      throw new ImpactCapError(
+        `No route stays within the price-impact cap (${formatImpactLimits(cfg.impactLimits)}) for ${amount} ${found.sourceToken.symbol || found.sourceToken.addr}${cfg.split ? '' : ' without splitting'}`,
+        { limits: cfg.impactLimits, minRouteImpact: best.priceImpact.impact }
+      );
+    }
+    if (!splitQuote) return best.quote;
+    const better = found.mode === 'exactOut'
+      ? splitResult.best.result.totalInputRawInt < best.quote.amountInRawInt
+      : splitResult.best.result.totalOutputRawInt > best.quote.netAmountOutRawInt;
+    return better ? splitQuote : best.quote;
+  }
+
+  /**
+   * Orderbook ladder of `routes` over `grid` (orderbook.js), to `depth` human
+   * units of tokenIn, with this router's curve sampling and gas. Per-call
+   * `tolerance` / `maxSamples` set the precision.
+   */
+  function orderbook(routes, tokenIn, tokenOut, grid, opts = {}) {
+    const cfg = settings(opts);
+    const sourceToken = resolveToken(tokenIn);
+    const targetToken = resolveToken(tokenOut);
+    const depth = cfg.depth ?? (grid.amounts ? Math.max(...grid.amounts) : undefined);
+    const gas = cfg.gas || gasCosts(sourceToken, targetToken, depth, cfg);
+    return buildOrderbookLadder(routes, sourceToken, targetToken, grid, {
+      depth,
+      curveSampling: cfg.curveSampling,
+      tolerance: cfg.tolerance ?? cfg.curveTolerance,
+      maxSamples: cfg.maxSamples,
+      cache: cfg.cache,
+      gasPerHopInOutputTokensRaw: gas.perHopInOutputTokens * Math.pow(10, targetToken.decimals),
+    });
+  }
+
+  return {
+    graph: routingGraph,
+    options: config,
+    heuristicCache,
+    tokenRegistry,
+    priceOracle: oracle,
+    resolveToken,
+    gasCosts,
+    findRoutes,
+    bestRoute,
+    split,
+    quote,
+    orderbook,
+  };
+}
+
+module.exports = {
+  DEFAULT_ROUTER_OPTIONS,
+  SPLITTER_NAMES,
+  ROUTER_ERRORS,
+  RouterError,
+  silentLogger,
+  createRouter,
+};
@@ -0,0 +1,526 @@
+/**
+ * Routing Graph - In-memory routing graph kept in sync by pool events
+ *
+ * The routers build `adj` (all edges), compress parallel edges and derive the
+ * numeric adjacency (`adjId`) from a pool list. RoutingGraph holds the same
+ * structures but updates them incrementally: `applyEvent(event)` touches only
+ * the affected pool's edges (reserves, spot prices, scores, `dxCapRaw`) and
+ * recompresses only the tokens those edges leave from.
+ *
+ * Events (task-4-event-listener.md), one JSON object per line in an event file:
+ *
+ *   { "type": "PoolCreated", "pool": { <pool row, same shape as a snapshot row> }, "ticks": [...] }
+ *   { "type": "Swapped", "pool_addr": "0x..", "token_in": "0x..", "amount_in": "1000",
+ *     "token_out": "0x..", "amount_out": "990", "sqrt_price": "...", "liquidity": "..." }
+ *   { "type": "LiquidityAdded" | "LiquidityRemoved", "pool_addr": "0x..",
+ *     "amounts": { "0x..": "1000", "0x..": "2000" }, "liquidity": "..." }
+ *
+ * Any update event may carry absolute `reserves` ({ addr: raw }) instead of
+ * deltas. CLMM events may also carry `sqrt_price`, `liquidity` and `ticks`.
+ *
+ * Events that cannot be applied (unsupported type, missing or unknown pool,
+ * a token the pool does not hold, an invalid amount, a negative reserve, a
+ * PoolCreated row without two distinct tokens, valid decimals and reserves or
+ * a fee in [0, 1)) are skipped with a `reason` before anything is mutated, so
+ * a bad event in a batch never leaves the graph, `version` or the change log
+ * half-updated.
+ *
+ * Heuristic staleness: the A* heuristic is a reverse Dijkstra over
+ * `-logSpotPrice` of the compressed edges. A token's entry can only change if
+ * some path from it runs through an edge whose weight changed, so each event
+ * reports `staleHeuristicTokens` = every token that can reach a token whose
+ * outgoing compressed edges changed weight. Liquidity events that keep the
+ * price ratio (the common case) still update reserves but report nothing stale.
+ * Every applied event bumps `version`; `changedTokensSince(version)` (tokens
+ * whose outgoing edge weights moved) lets the heuristic cache patch an older
+ * entry instead of recomputing it (see heuristic-cache.js).
+ */
+
+const fs = require('fs');
+const { PoolWrapper } = require('./pool-source.js');
+const { toRawInt, tryToRawInt } = require('./raw-math.js');
+
+// Relative spot price change below which an edge weight counts as unchanged
+const SPOT_PRICE_TOLERANCE = 1e-9;
+
+const POOL_EVENT_TYPES = ['PoolCreated', 'LiquidityAdded', 'LiquidityRemoved', 'Swapped'];
+
+// Versions kept in the change log; older heuristic entries are recomputed in full
+const MAX_CHANGE_LOG = 1024;
+
+let nextGraphId = 0;
+
+// An event that is skipped rather than applied; its message is the reported reason
+class InvalidPoolEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidPoolEventError';
+  }
+}
+
+// ============================================================================
+// Edge Building (shared with the routers' full-rebuild path)
+// ============================================================================
+
+/**
+ * Directed edges of one pool (one per ordered token pair; multi-token stable
+ * pools get every pair). Edges that cannot be routed through are skipped.
+ * Price impact depends on the trade size and is checked where the size is
+ * known (price-impact.js), not here.
+ */
+function buildPoolEdges(pool, poolId) {
+  const edges = [];
+
+  for (const token of pool.tokens) {
+    for (const otherToken of pool.tokens) {
+      if (otherToken.addr === token.addr) continue;
+
+      const reserveIn = token.reserveNum;
+      const reserveOut = otherToken.reserveNum;
+
+      if (reserveIn === 0 || reserveOut === 0) continue;
+      if (reserveIn < 1 || reserveOut < 1) continue;
+
+      const spotPrice = pool.getSpotPrice(token.addr, otherToken.addr);
+      if (spotPrice === 0) continue;
+
+      const liquidityScore = Math.sqrt(reserveIn * reserveOut);
+
+      const logSpotPrice = Math.log(spotPrice + 1e-9);
+      const logLiquidity = Math.log(liquidityScore + 1e-9);
+      const score = logSpotPrice + logLiquidity;
+
+      const maxOut = reserveOut * 0.95;
+      const newReserveOut = reserveOut - maxOut;
+      const k = reserveIn * reserveOut;
+      const newReserveIn = k / newReserveOut;
+      const dxCapRaw = (newReserveIn - reserveIn) / (1 - pool.fee);
+
+      edges.push({
+        from: token.addr,
+        to: otherToken.addr,
+        pool,
+        poolId,
+        spotPrice,
+        logSpotPrice,
+        liquidityScore,
+        score,
+        dxCapRaw,
+        reserveIn,
+      });
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Top-2 parallel edge compression for one token's outgoing edges: per
+ * destination keep the best edge by score, plus the runner-up when its price
+ * is within 50 bps. Returns a new list sorted by score.
+ */
+function compressEdges(edges) {
+  const byDestination = new Map();
+  for (const edge of edges) {
+    const list = byDestination.get(edge.to) || [];
+    list.push(edge);
+    byDestination.set(edge.to, list);
+  }
+
+  const compressed = [];
+  for (const edgeList of byDestination.values()) {
+    edgeList.sort((a, b) => b.score - a.score);
+
+    compressed.push(edgeList[0]);
+    if (edgeList.length > 1) {
+      const bestPrice = edgeList[0].spotPrice;
+      const secondPrice = edgeList[1].spotPrice;
+      const priceDeltaBps = Math.abs((secondPrice - bestPrice) / bestPrice) * 10000;
+      if (priceDeltaBps <= 50) {
+        compressed.push(edgeList[1]);
+      }
+    }
+  }
+
+  compressed.sort((a, b) => b.score - a.score);
+  return compressed;
+}
+
+function toNumericEdge(edge, tokenToId) {
+  return {
+    toId: tokenToId.get(edge.to),
+    toAddr: edge.to,
+    poolId: edge.poolId,
+    pool: edge.pool,
+    spotPrice: edge.spotPrice,
+    logSpotPrice: edge.logSpotPrice,
+    liquidityScore: edge.liquidityScore,
+    score: edge.score,
+    dxCapRaw: edge.dxCapRaw,
+    reserveIn: edge.reserveIn,
+  };
+}
+
+function tokenMapFromPools(pools) {
+  const tokenMap = new Map();
+  for (const pool of pools) {
+    for (const token of pool.tokens) {
+      if (!tokenMap.has(token.addr)) {
+        tokenMap.set(token.addr, {
+          addr: token.addr,
+          symbol: token.symbol,
+          decimals: token.decimals,
+          reserve: token.reserve,
+          token_idx: token.token_idx,
+        });
+      }
+    }
+  }
+  return tokenMap;
+}
+
+// Same heuristic weight iff same destinations/pools and log prices within tolerance
+function sameEdgeWeights(before = [], after = []) {
+  if (before.length !== after.length) return false;
+  const weights = new Map(before.map(e => [`${e.to}:${e.poolId}`, e.logSpotPrice]));
+  return after.every(e => {
+    const prev = weights.get(`${e.to}:${e.poolId}`);
+    return prev !== undefined && Math.abs(prev - e.logSpotPrice) <= SPOT_PRICE_TOLERANCE;
+  });
+}
+
+function spotPricesByPair(edges) {
+  return new Map(edges.map(e => [`${e.from}>${e.to}`, e.spotPrice]));
+}
+
+function sameSpotPrices(before, after) {
+  if (before.size !== after.size) return false;
+  for (const [pair, price] of before) {
+    const next = after.get(pair);
+    if (next === undefined || Math.abs(next - price) > Math.abs(price) * SPOT_PRICE_TOLERANCE) return false;
+  }
+  return true;
+}
+
+// ============================================================================
+// Routing Graph
+// ============================================================================
+
+class RoutingGraph {
+  /**
+   * @param {PoolWrapper[]} pools - Normalized pools (mutated in place by events)
+   * @param {Map} [tokenMap] - addr → token metadata; derived from pools if omitted
+   */
+  constructor(pools, tokenMap = tokenMapFromPools(pools)) {
+    this.pools = new Map();
+    this.tokenMap = tokenMap;
+    this.tokenToId = new Map();
+    this.idToAddr = new Map();
+    this.poolToId = new Map();
+    this.edges = new Map();      // token → every outgoing edge (uncompressed)
+    this.poolEdges = new Map();  // pool → its edges
+    this.adj = new Map();        // token → compressed outgoing edges
+    this.adjId = new Map();      // token id → compressed numeric edges
+    this.id = nextGraphId++;
+    this.version = 0;
+    this.changeLog = [];         // { version, changedTokens } per applied event
+
+    for (const [addr] of tokenMap) this.addToken(addr);
+    for (const pool of pools) this.setPoolEdges(pool);
+    for (const addr of this.tokenToId.keys()) this.recompress(addr);
+  }
+
+  addToken(addr, metadata = null) {
+    if (this.tokenToId.has(addr)) return;
+    const id = this.tokenToId.size;
+    this.tokenToId.set(addr, id);
+    this.idToAddr.set(id, addr);
+    this.edges.set(addr, []);
+    this.adj.set(addr, []);
+    this.adjId.set(id, []);
+    if (metadata && !this.tokenMap.has(addr)) this.tokenMap.set(addr, metadata);
+  }
+
+  getPool(poolAddr) {
+    return this.pools.get(poolAddr) || null;
+  }
+
+  get edgeCount() {
+    let count = 0;
+    for (const edges of this.adj.values()) count += edges.length;
+    return count;
+  }
+
+  // (Re)build a pool's edges in the uncompressed lists; returns the tokens touched
+  setPoolEdges(pool) {
+    if (!this.poolToId.has(pool.addr)) this.poolToId.set(pool.addr, this.poolToId.size);
+    this.pools.set(pool.addr, pool);
+
+    const touched = new Set(pool.tokens.map(t => t.addr));
+    for (const token of pool.tokens) {
+      this.addToken(token.addr, { addr: token.addr, symbol: token.symbol, decimals: token.decimals, reserve: token.reserve, token_idx: token.token_idx });
+      this.edges.set(token.addr, this.edges.get(token.addr).filter(e => e.pool.addr !== pool.addr));
+    }
+
+    const poolEdges = buildPoolEdges(pool, this.poolToId.get(pool.addr));
+    for (const edge of poolEdges) this.edges.get(edge.from).push(edge);
+    for (const addr of touched) this.edges.get(addr).sort((a, b) => b.score - a.score);
+    this.poolEdges.set(pool.addr, poolEdges);
+
+    return touched;
+  }
+
+  recompress(tokenAddr) {
+    const compressed = compressEdges(this.edges.get(tokenAddr) || []);
+    this.adj.set(tokenAddr, compressed);
+    this.adjId.set(this.tokenToId.get(tokenAddr), compressed.map(edge => toNumericEdge(edge, this.tokenToId)));
+  }
+
+  // Every token with a path to one of `tokens` (including themselves)
+  upstreamTokens(tokens) {
+    const reverse = new Map();
+    for (const [from, edges] of this.adj) {
+      for (const edge of edges) {
+        const list = reverse.get(edge.to) || [];
+        list.push(from);
+        reverse.set(edge.to, list);
+      }
+    }
+
+    const seen = new Set(tokens);
+    const queue = [...tokens];
+    while (queue.length > 0) {
+      const node = queue.pop();
+      for (const from of reverse.get(node) || []) {
+        if (!seen.has(from)) {
+          seen.add(from);
+          queue.push(from);
+        }
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Apply one pool event in place. Returns what changed:
+   * { type, poolAddr, applied, reason?, spotPriceChanged, affectedTokens, staleHeuristicTokens, version }
+   */
+  applyEvent(event) {
+    const type = event && event.type;
+    const poolAddr = type === 'PoolCreated' ? event.pool?.pool_addr : event?.pool_addr;
+    const result = { type, poolAddr, applied: false, spotPriceChanged: false, affectedTokens: [], staleHeuristicTokens: [], version: this.version };
+
+    if (!POOL_EVENT_TYPES.includes(type)) return { ...result, reason: 'unsupported event type' };
+    if (!poolAddr) return { ...result, reason: 'missing pool address' };
+
+    let pool = this.pools.get(poolAddr);
+    if (type !== 'PoolCreated' && !pool) return { ...result, reason: 'unknown pool' };
+
+    // The event is validated in full before the graph or the pool is touched
+    let state;
+    try {
+      if (type === 'PoolCreated') checkPoolRow(event.pool, pool);
+      state = type === 'PoolCreated' ? poolStateFromRow(event.pool, event.ticks) : poolStateFromEvent(pool, event);
+    } catch (err) {
+      if (err instanceof InvalidPoolEventError) return { ...result, reason: err.message };
+      throw err;
+    }
+    if (pool) {
+      pool.applyState(state);
+    } else {
+      pool = new PoolWrapper(event.pool, event.ticks || null);
+    }
+
+    const beforeSpot = spotPricesByPair(this.poolEdges.get(poolAddr) || []);
+    const beforeAdj = new Map(pool.tokens.map(t => [t.addr, this.adj.get(t.addr)]));
+
+    const touched = this.setPoolEdges(pool);
+    const weightChanged = [];
+    for (const addr of touched) {
+      this.recompress(addr);
+      if (!sameEdgeWeights(beforeAdj.get(addr), this.adj.get(addr))) weightChanged.push(addr);
+    }
+
+    const staleTokens = weightChanged.length > 0 ? [...this.upstreamTokens(weightChanged)] : [];
+    this.version++;
+    this.changeLog.push({ version: this.version, changedTokens: weightChanged });
+    if (this.changeLog.length > MAX_CHANGE_LOG) this.changeLog.shift();
+
+    return {
+      ...result,
+      applied: true,
+      spotPriceChanged: !sameSpotPrices(beforeSpot, spotPricesByPair(this.poolEdges.get(poolAddr))),
+      affectedTokens: [...touched],
+      staleHeuristicTokens: staleTokens,
+      version: this.version,
+    };
+  }
+
+  /**
+   * Tokens whose outgoing edge weights changed in any version after `version`,
+   * or null when the change log no longer reaches back that far.
+   */
+  changedTokensSince(version) {
+    if (version > this.version) return null;
+    const oldest = this.changeLog.length > 0 ? this.changeLog[0].version - 1 : this.version;
+    if (version < oldest) return null;
+
+    const changed = new Set();
+    for (const change of this.changeLog) {
+      if (change.version <= version) continue;
+      for (const addr of change.changedTokens) changed.add(addr);
+    }
+    return changed;
+  }
+
+  /**
+   * Apply events in order. Returns { applied, skipped, staleHeuristicTokens (Set), results };
+   * skipped events keep their `reason` in `results`.
+   */
+  applyEvents(events) {
+    const summary = { applied: 0, skipped: 0, staleHeuristicTokens: new Set(), results: [] };
+    for (const event of events) {
+      const result = this.applyEvent(event);
+      summary.results.push(result);
+      if (result.applied) summary.applied++;
+      else summary.skipped++;
+      for (const addr of result.staleHeuristicTokens) summary.staleHeuristicTokens.add(addr);
+    }
+    return summary;
+  }
+}
+
+// ============================================================================
+// Events
+// ============================================================================
+
+function poolStateFromRow(row, ticks) {
+  return {
+    reserves: Object.fromEntries((row.tokens || []).map(t => [t.addr, t.reserve])),
+    sqrtPrice: row.sqrt_price ?? null,
+    liquidity: row.liquidity,
+    ticks,
+  };
+}
+
+/**
+ * Throws InvalidPoolEventError unless a PoolCreated row can be routed: two or
+ * more distinct tokens with integer decimals and non-negative integer
+ * reserves, and a fee tier in [0, 1). A row for a pool already in the graph
+ * may only carry that pool's tokens.
+ */
+function checkPoolRow(row, existingPool) {
+  const invalid = reason => new InvalidPoolEventError(`PoolCreated row for pool ${row.pool_addr} ${reason}`);
+  const tokens = Array.isArray(row.tokens) ? row.tokens : [];
+  if (tokens.length < 2) throw invalid('needs at least two tokens');
+
+  const seen = new Set();
+  for (const token of tokens) {
+    if (!token || typeof token.addr !== 'string' || token.addr === '') throw invalid('has a token without an address');
+    if (seen.has(token.addr)) throw invalid(`lists token ${token.addr} twice`);
+    seen.add(token.addr);
+    if (existingPool && !existingPool.hasToken(token.addr)) throw invalid(`references unknown token ${token.addr}`);
+    const decimals = Number(token.decimals);
+    if (token.decimals === null || token.decimals === '' || !Number.isInteger(decimals) || decimals < 0) {
+      throw invalid(`has invalid decimals for ${token.addr}: ${token.decimals}`);
+    }
+    const reserve = tryToRawInt(token.reserve);
+    if (reserve === null) throw invalid(`has an invalid reserve of ${token.addr}: ${token.reserve}`);
+    if (reserve < 0n) throw invalid(`has a negative reserve of ${token.addr}`);
+  }
+
+  const fee = Number(row.fee_tier);
+  if (row.fee_tier === null || row.fee_tier === undefined || row.fee_tier === '' || !Number.isFinite(fee) || fee < 0 || fee >= 1) {
+    throw invalid(`has an invalid fee tier: ${row.fee_tier}`);
+  }
+}
+
+// Raw integer amount of an event field; invalid amounts make the event invalid
+function eventAmount(event, pool, addr, amount) {
+  if (!pool.hasToken(addr)) {
+    throw new InvalidPoolEventError(`${event.type} event for pool ${pool.addr} references unknown token ${addr}`);
+  }
+  try {
+    return toRawInt(amount);
+  } catch {
+    throw new InvalidPoolEventError(`${event.type} event for pool ${pool.addr} has an invalid amount of ${addr}: ${amount}`);
+  }
+}
+
+/**
+ * New pool state from an update event: absolute `reserves`, or deltas applied
+ * exactly. Throws InvalidPoolEventError (nothing is mutated) when the event
+ * does not fit the pool.
+ */
+function poolStateFromEvent(pool, event) {
+  const state = {
+    sqrtPrice: event.sqrt_price,
+    liquidity: event.liquidity,
+    ticks: event.ticks,
+  };
+  const checkReserve = (addr, reserve) => {
+    if (reserve < 0n) {
+      throw new InvalidPoolEventError(`${event.type} event would make pool ${pool.addr} reserve of ${addr} negative`);
+    }
+    return reserve.toString();
+  };
+
+  if (event.reserves) {
+    state.reserves = {};
+    for (const [addr, amount] of Object.entries(event.reserves)) {
+      state.reserves[addr] = checkReserve(addr, eventAmount(event, pool, addr, amount));
+    }
+    return state;
+  }
+
+  const deltas = new Map();
+  const addDelta = (addr, amount, sign) => {
+    deltas.set(addr, (deltas.get(addr) ?? 0n) + sign * eventAmount(event, pool, addr, amount));
+  };
+
+  if (event.type === 'Swapped') {
+    addDelta(event.token_in, event.amount_in, 1n);
+    addDelta(event.token_out, event.amount_out, -1n);
+  } else {
+    const sign = event.type === 'LiquidityAdded' ? 1n : -1n;
+    for (const [addr, amount] of Object.entries(event.amounts || {})) addDelta(addr, amount, sign);
+  }
+
+  state.reserves = {};
+  for (const [addr, delta] of deltas) {
+    state.reserves[addr] = checkReserve(addr, pool.getToken(addr).reserveRaw + delta);
+  }
+  return state;
+}
+
+// JSON-lines event file → events (blank lines and `#` comments are ignored)
+function readEventsFile(filePath) {
+  const events = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    try {
+      events.push(JSON.parse(trimmed));
+    } catch (err) {
+      throw new Error(`Invalid event at ${filePath}:${i + 1}: ${err.message}`);
+    }
+  });
+  return events;
+}
+
+function getEventsOptions(args) {
+  const eventsPath = args.find(a => a.startsWith('--events='))?.split('=')[1] || null;
+  return { eventsPath };
+}
+
+module.exports = {
+  POOL_EVENT_TYPES,
+  RoutingGraph,
+  buildPoolEdges,
+  compressEdges,
+  toNumericEdge,
+  tokenMapFromPools,
+  readEventsFile,
+  getEventsOptions,
+};
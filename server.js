@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Quote Server - Local HTTP quote service over a warm routing graph
+ *
+ * The CLI pays for the pool fetch and graph build on every query. This server
+ * loads the pools once and keeps one router (router.js) in memory: the
+ * adjacency, compressed edges and heuristic cache stay warm between requests.
+ * Pools are reloaded from the same source every `--reload-sec` seconds or on
+ * `POST /reload`; the old router keeps serving until the new one is built, and
+ * a failed reload leaves it in place.
+ *
+ * Endpoints (JSON in, JSON out; BigInt amounts as decimal strings):
+ *   GET  /health   graph size, load time and heuristic cache stats
+ *   POST /quote    { tokenIn, tokenOut, amount, ...options } → quote.js quote
+ *   POST /split    { tokenIn, tokenOut, amount, ...options } → every splitter's result and the best quote
+ *   POST /reload   reload the pools now
+ *
+ * Request options: mode ('exactIn' | 'exactOut'), slippageBps, deadlineSec,
+ * maxHops, topK, timeBudgetMs, split (quote only) and splitters. Each is
+ * checked against REQUEST_OPTIONS; a bad value is a 400 naming the field.
+ *
+ * Usage:
+ *   node server.js --snapshot=snapshots/pools.json
+ *   node server.js --port=8080 --reload-sec=30 --max-hops=3 --gas-per-hop=0.01
+ *   curl -s localhost:8080/quote -d '{"tokenIn":"APT","tokenOut":"USDC","amount":10000}'
+ */
+
+const http = require('http');
+const { loadPools, createPoolSource } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const { buildTokenRegistry } = require('./token-registry.js');
+const { buildPriceOracle, filterPoolsByTvl } = require('./price-oracle.js');
+const { quoteToJSON } = require('./quote.js');
+const { createRouter, silentLogger, SPLITTER_NAMES, ROUTER_ERRORS, RouterError } = require('./router.js');
+const { TokenResolutionError } = require('./token-registry.js');
+const { ImpactCapError } = require('./price-impact.js');
+const { getCliOptions } = require('./phase1-astar-mike.js');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_REQUEST_HOPS = 5;
+const MAX_REQUEST_TOP_K = 200;
+const MAX_REQUEST_BUDGET_MS = 60000;
+
+const isIntIn = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+
+// Per-request options a client may set, with their accepted values; everything else is server configuration
+const REQUEST_OPTIONS = {
+  mode: { valid: value => value === 'exactIn' || value === 'exactOut', expected: '"exactIn" or "exactOut"' },
+  slippageBps: { valid: isIntIn(0, 10000), expected: 'an integer from 0 to 10000' },
+  deadlineSec: { valid: isIntIn(1, Number.MAX_SAFE_INTEGER), expected: 'a positive integer' },
+  maxHops: { valid: isIntIn(1, MAX_REQUEST_HOPS), expected: `an integer from 1 to ${MAX_REQUEST_HOPS}` },
+  topK: { valid: isIntIn(1, MAX_REQUEST_TOP_K), expected: `an integer from 1 to ${MAX_REQUEST_TOP_K}` },
+  timeBudgetMs: {
+    valid: value => typeof value === 'number' && value > 0 && value <= MAX_REQUEST_BUDGET_MS,
+    expected: `a number of milliseconds above 0, at most ${MAX_REQUEST_BUDGET_MS}`,
+  },
+  split: { valid: value => typeof value === 'boolean', expected: 'true or false' },
+  splitters: {
+    valid: value => Array.isArray(value) && value.length > 0
+      && value.every(id => Object.hasOwn(SPLITTER_NAMES, id)) && new Set(value).size === value.length,
+    expected: `a non-empty list of distinct splitters from ${Object.keys(SPLITTER_NAMES).join(', ')}`,
+  },
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A request the server refuses as given (400); `field` names the offending body field
+class RequestValidationError extends HttpError {
+  constructor(message, field = null) {
+    super(400, message);
+    this.field = field;
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+function getServerOptions(args) {
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const cli = getCliOptions(args);
+  return {
+    port: parseInt(flag('port') || String(DEFAULT_PORT)),
+    host: flag('host') || DEFAULT_HOST,
+    reloadSec: parseFloat(flag('reload-sec') || '0'),
+    minPoolUSD: cli.minPoolUSD,
+    snapshotOptions: cli.snapshotOptions,
+    tokenRegistryOptions: cli.tokenRegistryOptions,
+    // Splitter and search chatter stays out of the server log unless --verbose
+    router: { ...cli.router, logger: cli.verbose ? console : silentLogger },
+  };
+}
+
+// ============================================================================
+// Router State
+// ============================================================================
+
+/**
+ * Router over freshly loaded pools: registry, USD prices and the TVL filter
+ * as in the CLI. Returns { router, pools, dropped, capturedAt }.
+ */
+function buildRouterState(data, options) {
+  const { minPoolUSD = 1000, tokenRegistryOptions = {}, router: routerOptions = {} } = options;
+  const registry = buildTokenRegistry({ tokens: data.tokens, pools: data.pools, ...tokenRegistryOptions });
+  const priceOracle = buildPriceOracle({ pools: data.pools, registry, anchors: routerOptions.usdAnchors });
+  const { kept, dropped } = filterPoolsByTvl(data.pools, priceOracle, minPoolUSD, routerOptions.minPriceConfidence);
+  const router = createRouter(new RoutingGraph(kept), { ...routerOptions, priceOracle, registry });
+  return { router, pools: kept.length, dropped: dropped.length, capturedAt: data.capturedAt };
+}
+
+function pickRequestOptions(body) {
+  const opts = {};
+  for (const [key, { valid, expected }] of Object.entries(REQUEST_OPTIONS)) {
+    if (body[key] === undefined) continue;
+    if (!valid(body[key])) throw new RequestValidationError(`${key} must be ${expected} (got ${JSON.stringify(body[key])})`, key);
+    opts[key] = body[key];
+  }
+  return opts;
+}
+
+function parseSwap(body) {
+  const { tokenIn, tokenOut } = body;
+  const amount = typeof body.amount === 'string' ? Number(body.amount) : body.amount;
+  if (typeof tokenIn !== 'string' || typeof tokenOut !== 'string') {
+    throw new RequestValidationError('tokenIn and tokenOut are required (symbol, address or alias)', typeof tokenIn !== 'string' ? 'tokenIn' : 'tokenOut');
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    throw new RequestValidationError('amount must be a positive number (human units)', 'amount');
+  }
+  if (tokenIn.trim().toLowerCase() === tokenOut.trim().toLowerCase()) {
+    throw new RequestValidationError('tokenIn and tokenOut must be different tokens', 'tokenOut');
+  }
+  return { tokenIn, tokenOut, amount, opts: pickRequestOptions(body) };
+}
+
+// Token lookup failures are the client's, a trade no route takes within the impact cap is 422; anything else is ours
+function asClientError(err) {
+  if (err instanceof TokenResolutionError) return new RequestValidationError(err.message, 'token');
+  if (err instanceof ImpactCapError) return new HttpError(422, err.message);
+  if (err instanceof RouterError) {
+    // Amounts below one raw unit and aliases of the same token are only known once tokens resolve
+    if (err.code === ROUTER_ERRORS.INVALID_AMOUNT) return new RequestValidationError(err.message, 'amount');
+    if (err.code === ROUTER_ERRORS.SAME_TOKEN) return new RequestValidationError(err.message, 'tokenOut');
+    return new HttpError(422, err.message);
+  }
+  return err;
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop buffering but keep reading, so the client gets the 413 rather than a reset
+        chunks.length = 0;
+        req.off('data', onData);
+        req.resume();
+        reject(new HttpError(413, `Request body over ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        resolve(body);
+      } catch (err) {
+        reject(new HttpError(400, `Request body must be a JSON object (${err.message})`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  const text = JSON.stringify(payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers });
+  res.end(text);
+}
+
+/**
+ * Quote server over a pool source (`source`, or one from `snapshotOptions`:
+ * snapshot file or Postgres). Options: router (createRouter options),
+ * minPoolUSD, tokenRegistryOptions, reloadSec (0: on demand only), logger.
+ * Returns { server, reload, listen, close, state }; call reload() or listen()
+ * before the first request (requests before the first load get 503).
+ */
+function createQuoteServer(options = {}) {
+  const { snapshotOptions = {}, reloadSec = 0, logger = console } = options;
+  const source = options.source || createPoolSource(snapshotOptions);
+  let state = null;
+  let reloading = null;
+  let reloadCount = 0;
+  let lastReloadError = null;
+  let timer = null;
+
+  // One load at a time; concurrent callers share it
+  function reload() {
+    if (reloading) return reloading;
+    const started = performance.now();
+    reloading = (async () => {
+      try {
+        const data = await loadPools({ source });
+        const next = buildRouterState(data, options);
+        state = { ...next, loadedAt: new Date().toISOString(), loadMs: performance.now() - started };
+        reloadCount++;
+        lastReloadError = null;
+        logger.log(`🔄 Loaded ${state.pools} pools (${state.dropped} under $${options.minPoolUSD ?? 1000} dropped), ${state.router.graph.edgeCount} edges in ${state.loadMs.toFixed(1)}ms`);
+        return state;
+      } catch (err) {
+        lastReloadError = err.message;
+        logger.error(`❌ Reload failed${state ? ' (serving the previous graph)' : ''}: ${err.message}`);
+        throw err;
+      } finally {
+        reloading = null;
+      }
+    })();
+    return reloading;
+  }
+
+  function health() {
+    const cache = state ? state.router.heuristicCache.stats() : null;
+    return {
+      status: state ? 'ok' : 'loading',
+      pools: state ? state.pools : 0,
+      droppedPools: state ? state.dropped : 0,
+      tokens: state ? state.router.graph.tokenToId.size : 0,
+      edges: state ? state.router.graph.edgeCount : 0,
+      graphVersion: state ? state.router.graph.version : null,
+      capturedAt: state ? state.capturedAt : null,
+      loadedAt: state ? state.loadedAt : null,
+      loadMs: state ? state.loadMs : null,
+      reloads: reloadCount,
+      reloadSec,
+      lastReloadError,
+      heuristicCache: cache && { entries: cache.entries, hits: cache.hits, lookups: cache.lookups, hitRate: cache.hitRate },
+    };
+  }
+
+  // The loaded router, once its settings accept the request's options
+  function currentRouter(opts) {
+    if (!state) throw new HttpError(503, lastReloadError ? `Pools not loaded: ${lastReloadError}` : 'Pools are still loading');
+    if (opts.mode === 'exactOut' && state.router.options.searchMode === 'amount') {
+      throw new RequestValidationError('mode "exactOut" is not available: this server runs amount-aware search', 'mode');
+    }
+    return state.router;
+  }
+
+  function quote(body) {
+    const { tokenIn, tokenOut, amount, opts } = parseSwap(body);
+    const router = currentRouter(opts);
+    let result;
+    try {
+      result = router.quote(tokenIn, tokenOut, amount, opts);
+    } catch (err) {
+      throw asClientError(err);
+    }
+    if (!result) throw new HttpError(404, `No route from ${tokenIn} to ${tokenOut}`);
+    return { quote: quoteToJSON(result) };
+  }
+
+  function split(body) {
+    const { tokenIn, tokenOut, amount, opts } = parseSwap(body);
+    const router = currentRouter(opts);
+    let found, result;
+    try {
+      found = router.findRoutes(tokenIn, tokenOut, amount, opts);
+      if (found.routes.length === 0 && found.search.undeliverable > 0) {
+        throw new HttpError(422, `Routes cannot deliver the requested amountOut (${amount} ${tokenOut})`);
+      }
+      if (found.routes.length === 0) throw new HttpError(404, `No route from ${tokenIn} to ${tokenOut}`);
+      result = router.split(found.routes, found.sourceToken, found.targetToken, amount, { ...opts, gas: found.gas });
+    } catch (err) {
+      throw err instanceof HttpError ? err : asClientError(err);
+    }
+    return {
+      routes: result.routes.length,
+      splitters: result.comparison.map(({ name, result: r }) => ({
+        algorithm: name,
+        amountIn: r.totalInputHuman,
+        amountOut: r.totalOutputHuman,
+        amountOutRawInt: r.totalOutputRawInt,
+        activeRoutes: r.routes ? r.routes.length : null,
+        timeMs: r.timings?.total ?? null,
+      })),
+      best: result.best ? result.best.name : null,
+      quote: result.quote ? quoteToJSON(result.quote) : null,
+    };
+  }
+
+  const routes = {
+    'GET /health': () => health(),
+    'POST /quote': quote,
+    'POST /split': split,
+    'POST /reload': async () => {
+      try {
+        await reload();
+      } catch (err) {
+        throw new HttpError(502, `Reload failed: ${err.message}`);
+      }
+      return health();
+    },
+  };
+
+  async function handle(req, res) {
+    const started = performance.now();
+    const path = (req.url || '/').split('?')[0];
+    const handler = routes[`${req.method} ${path}`];
+    let status = 200;
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET, POST', 'Access-Control-Allow-Headers': 'Content-Type' });
+        res.end();
+        return;
+      }
+      if (!handler) {
+        const known = Object.keys(routes).some(key => key.endsWith(` ${path}`));
+        throw new HttpError(known ? 405 : 404, known ? `${req.method} not allowed on ${path}` : `Unknown endpoint ${path}`);
+      }
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      sendJson(res, status, await handler(body));
+    } catch (err) {
+      status = err.status || 500;
+      if (status === 500) logger.error(`❌ ${req.method} ${path}: ${err.stack || err.message}`);
+      // An oversized body is not read to the end: close the connection after the reply
+      sendJson(res, status, { error: err.message, ...(err.field ? { field: err.field } : {}) }, status === 413 ? { Connection: 'close' } : {});
+    } finally {
+      logger.log(`${req.method} ${path} ${status} ${(performance.now() - started).toFixed(1)}ms`);
+    }
+  }
+
+  const server = http.createServer((req, res) => { handle(req, res); });
+
+  async function listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+    await reload();
+    if (reloadSec > 0) {
+      timer = setInterval(() => reload().catch(() => {}), reloadSec * 1000);
+      timer.unref();
+    }
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    return server.address();
+  }
+
+  async function close() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (server.listening) await new Promise(resolve => server.close(resolve));
+    await source.close();
+  }
+
+  return { server, reload, listen, close, state: () => state };
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+async function main(argv = process.argv.slice(2)) {
+  const options = getServerOptions(argv);
+  const service = createQuoteServer(options);
+  const address = await service.listen(options.port, options.host);
+  console.log(`🚀 Quote server on http://${address.address}:${address.port} (POST /quote, POST /split, GET /health, POST /reload${options.reloadSec > 0 ? `; reloading every ${options.reloadSec}s` : ''})`);
+
+  const shutdown = () => {
+    console.log('👋 Shutting down');
+    service.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  return service;
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  HttpError,
+  RequestValidationError,
+  getServerOptions,
+  buildRouterState,
+  createQuoteServer,
+  main,
+};
@@ -0,0 +1,333 @@
+/**
+ * StableSwap Simulator - Curve-style stable pools
+ *
+ * Stable pools (USDT/USDC, ...) trade on the StableSwap invariant, which is
+ * nearly flat around the balance point. Pricing them with x*y=k overstates
+ * slippage by orders of magnitude and makes the routers avoid the best pools.
+ *
+ * Invariant (n tokens, balances x_i normalized to a common precision):
+ *
+ *   A·nⁿ·Σx_i + D = A·D·nⁿ + Dⁿ⁺¹ / (nⁿ·Πx_i)
+ *
+ * - `getD`: solve for D with Newton's method
+ * - `getY`: new balance of the output token after the input balance changes,
+ *           also by Newton's method (quadratic in y)
+ * - Fee is taken from the output amount, as in Curve's `exchange`
+ *
+ * Conventions:
+ * - `pool.amp` is the whitepaper amplification A (defaults to DEFAULT_STABLE_AMP
+ *   when the pool row carries none)
+ * - Balances are scaled to the largest token precision in the pool so tokens
+ *   with different decimals trade 1:1 at balance
+ * - Pools with 2 or more tokens are supported
+ *
+ * All amounts are raw (smallest units) floats, matching `simulateSwap`. The
+ * `*Int` variants use Curve's integer math in BigInt (A scaled by
+ * A_PRECISION, `dy - 1` after get_y, fee rounded up, output rounded down).
+ */
+
+const {
+  FEE_DENOMINATOR,
+  toRawInt,
+  mulDivRoundingUp,
+  divRoundingUp,
+} = require('./raw-math.js');
+
+const DEFAULT_STABLE_AMP = 100;
+const MAX_NEWTON_ITERATIONS = 255;
+const CONVERGENCE_EPS = 1e-12;
+// Below this input/balance ratio the curve is linear to float precision
+const DUST_RATIO = 1e-9;
+
+// ============================================================================
+// Invariant Math
+// ============================================================================
+
+function getD(xp, amp) {
+  const n = xp.length;
+  const S = xp.reduce((sum, x) => sum + x, 0);
+  if (S === 0) return 0;
+
+  const Ann = amp * Math.pow(n, n);
+  let D = S;
+
+  for (let i = 0; i < MAX_NEWTON_ITERATIONS; i++) {
+    let D_P = D;
+    for (const x of xp) {
+      D_P = (D_P * D) / (x * n);
+    }
+    const Dprev = D;
+    D = ((Ann * S + D_P * n) * D) / ((Ann - 1) * D + (n + 1) * D_P);
+    if (Math.abs(D - Dprev) <= CONVERGENCE_EPS * D) return D;
+  }
+
+  return D;
+}
+
+/**
+ * Balance of token j that keeps D constant when token i's balance becomes x.
+ */
+function getY(i, j, x, xp, amp, D = getD(xp, amp)) {
+  const n = xp.length;
+  const Ann = amp * Math.pow(n, n);
+
+  let c = D;
+  let S = 0;
+  for (let k = 0; k < n; k++) {
+    if (k === j) continue;
+    const xk = k === i ? x : xp[k];
+    S += xk;
+    c = (c * D) / (xk * n);
+  }
+  c = (c * D) / (Ann * n);
+  const b = S + D / Ann;
+
+  let y = D;
+  for (let iter = 0; iter < MAX_NEWTON_ITERATIONS; iter++) {
+    const yPrev = y;
+    y = (y * y + c) / (2 * y + b - D);
+    if (Math.abs(y - yPrev) <= CONVERGENCE_EPS * y) return y;
+  }
+
+  return y;
+}
+
+// ============================================================================
+// Pool State
+// ============================================================================
+
+function getStableState(pool, tokenInAddr, tokenOutAddr) {
+  const i = pool.tokens.findIndex(t => t.addr === tokenInAddr);
+  const j = pool.tokens.findIndex(t => t.addr === tokenOutAddr);
+  if (i === -1 || j === -1 || i === j) return null;
+
+  const maxDecimals = Math.max(...pool.tokens.map(t => t.decimals));
+  const rates = pool.tokens.map(t => Math.pow(10, maxDecimals - t.decimals));
+  const xp = pool.tokens.map((t, k) => t.reserveNum * rates[k]);
+  if (xp.some(x => !(x > 0))) return null;
+
+  const amp = pool.amp > 0 ? pool.amp : DEFAULT_STABLE_AMP;
+  return { i, j, rates, xp, amp, D: getD(xp, amp) };
+}
+
+// Marginal price dy/dx from the invariant gradient, normalized balances
+function marginalPrice(state) {
+  const { i, j, xp, amp, D } = state;
+  const n = xp.length;
+  const Ann = amp * Math.pow(n, n);
+  const prod = xp.reduce((p, x) => p * (D / (x * n)), D); // Dⁿ⁺¹ / (nⁿ·Πx)
+  return (Ann + prod / xp[i]) / (Ann + prod / xp[j]);
+}
+
+// Spot price of tokenOut per tokenIn (raw units, after fee)
+function stableSpotPrice(pool, tokenInAddr, tokenOutAddr) {
+  const state = getStableState(pool, tokenInAddr, tokenOutAddr);
+  if (!state) return 0;
+
+  return marginalPrice(state) * (state.rates[state.i] / state.rates[state.j]) * (1 - pool.fee);
+}
+
+// ============================================================================
+// Swap Simulation
+// ============================================================================
+
+/**
+ * Simulate an exact-input swap through a StableSwap pool.
+ *
+ * @returns {{ amountOut, feeAmount }} in raw output units,
+ *          or null when the pool/tokens cannot be simulated
+ */
+function simulateStableSwap(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const state = getStableState(pool, tokenInAddr, tokenOutAddr);
+  if (!state || !(amountIn > 0)) return null;
+
+  const { i, j, rates, xp, amp, D } = state;
+  const dx = amountIn * rates[i];
+
+  let dy;
+  if (dx < xp[i] * DUST_RATIO) {
+    // xp[j] - y would cancel to zero; use the marginal price instead
+    dy = dx * marginalPrice(state);
+  } else {
+    const y = getY(i, j, xp[i] + dx, xp, amp, D);
+    dy = Math.max(0, xp[j] - y);
+  }
+
+  const feeAmount = (dy * pool.fee) / rates[j];
+  const amountOut = (dy * (1 - pool.fee)) / rates[j];
+
+  return { amountOut, feeAmount };
+}
+
+/**
+ * Simulate an exact-output swap: input needed to receive `amountOut` after fee.
+ *
+ * @returns {{ amountIn, feeAmount }} in raw units (amountIn is Infinity when the
+ *          pool cannot pay out that much), or null when the pool cannot be simulated
+ */
+function simulateStableSwapExactOut(pool, tokenInAddr, tokenOutAddr, amountOut) {
+  const state = getStableState(pool, tokenInAddr, tokenOutAddr);
+  if (!state || !(amountOut > 0)) return null;
+
+  const { i, j, rates, xp, amp, D } = state;
+  const dy = (amountOut * rates[j]) / (1 - pool.fee);
+  const feeAmount = (dy * pool.fee) / rates[j];
+
+  if (dy >= xp[j]) return { amountIn: Infinity, feeAmount };
+
+  let dx;
+  if (dy < xp[j] * DUST_RATIO) {
+    dx = dy / marginalPrice(state);
+  } else {
+    const x = getY(j, i, xp[j] - dy, xp, amp, D);
+    dx = Math.max(0, x - xp[i]);
+  }
+
+  return { amountIn: dx / rates[i], feeAmount };
+}
+
+// Marginal output per unit input after swapping `amountIn` (raw units, after fee)
+function stableMarginalPrice(pool, tokenInAddr, tokenOutAddr, amountIn = 0) {
+  const state = getStableState(pool, tokenInAddr, tokenOutAddr);
+  if (!state) return 0;
+
+  const { i, j, rates, xp, amp, D } = state;
+  const dx = (amountIn > 0 ? amountIn : 0) * rates[i];
+  if (dx >= xp[i] * DUST_RATIO) {
+    const xpAfter = [...xp];
+    xpAfter[i] = xp[i] + dx;
+    xpAfter[j] = getY(i, j, xpAfter[i], xp, amp, D);
+    state.xp = xpAfter;
+  }
+
+  return marginalPrice(state) * (rates[i] / rates[j]) * (1 - pool.fee);
+}
+
+// ============================================================================
+// Exact Integer Path (BigInt)
+// ============================================================================
+
+const A_PRECISION = 100n;
+// Integer fix-up steps allowed after the reverse get_y before giving up
+const MAX_EXACT_OUT_ADJUSTMENTS = 16;
+
+function getDInt(xp, Ann) {
+  const n = BigInt(xp.length);
+  const S = xp.reduce((sum, x) => sum + x, 0n);
+  if (S === 0n) return 0n;
+
+  let D = S;
+  for (let i = 0; i < MAX_NEWTON_ITERATIONS; i++) {
+    let D_P = D;
+    for (const x of xp) {
+      D_P = (D_P * D) / (x * n);
+    }
+    const Dprev = D;
+    D = (((Ann * S) / A_PRECISION + D_P * n) * D) / (((Ann - A_PRECISION) * D) / A_PRECISION + (n + 1n) * D_P);
+    if (D - Dprev <= 1n && Dprev - D <= 1n) return D;
+  }
+
+  return D;
+}
+
+function getYInt(i, j, x, xp, Ann, D) {
+  const n = BigInt(xp.length);
+
+  let c = D;
+  let S = 0n;
+  for (let k = 0; k < xp.length; k++) {
+    if (k === j) continue;
+    const xk = k === i ? x : xp[k];
+    S += xk;
+    c = (c * D) / (xk * n);
+  }
+  c = (c * D * A_PRECISION) / (Ann * n);
+  const b = S + (D * A_PRECISION) / Ann;
+
+  let y = D;
+  for (let iter = 0; iter < MAX_NEWTON_ITERATIONS; iter++) {
+    const yPrev = y;
+    y = (y * y + c) / (2n * y + b - D);
+    if (y - yPrev <= 1n && yPrev - y <= 1n) return y;
+  }
+
+  return y;
+}
+
+function getStableStateInt(pool, tokenInAddr, tokenOutAddr) {
+  const i = pool.tokens.findIndex(t => t.addr === tokenInAddr);
+  const j = pool.tokens.findIndex(t => t.addr === tokenOutAddr);
+  if (i === -1 || j === -1 || i === j) return null;
+
+  const maxDecimals = Math.max(...pool.tokens.map(t => t.decimals));
+  const rates = pool.tokens.map(t => 10n ** BigInt(maxDecimals - t.decimals));
+  const xp = pool.tokens.map((t, k) => (t.reserveRaw ?? toRawInt(t.reserve ?? t.reserveNum)) * rates[k]);
+  if (xp.some(x => x <= 0n)) return null;
+
+  const amp = pool.amp > 0 ? pool.amp : DEFAULT_STABLE_AMP;
+  const n = BigInt(xp.length);
+  const Ann = BigInt(Math.max(1, Math.round(amp * Number(A_PRECISION)))) * n ** n;
+  const feePips = pool.feePips ?? toRawInt(Math.round(pool.fee * 1e6));
+
+  return { i, j, rates, xp, Ann, feePips, D: getDInt(xp, Ann) };
+}
+
+function exchangeInt(state, amountIn) {
+  const { i, j, rates, xp, Ann, feePips, D } = state;
+  const y = getYInt(i, j, xp[i] + amountIn * rates[i], xp, Ann, D);
+  const dy = xp[j] - y - 1n;
+  if (dy <= 0n) return 0n;
+
+  const fee = mulDivRoundingUp(dy, feePips, FEE_DENOMINATOR);
+  return (dy - fee) / rates[j];
+}
+
+/**
+ * Exact-input swap in BigInt raw units.
+ *
+ * @returns {bigint|null} output after fee, or null when the pool cannot be simulated
+ */
+function simulateStableSwapInt(pool, tokenInAddr, tokenOutAddr, amountIn) {
+  const state = getStableStateInt(pool, tokenInAddr, tokenOutAddr);
+  if (!state || amountIn <= 0n) return null;
+
+  return exchangeInt(state, amountIn);
+}
+
+/**
+ * Exact-output swap in BigInt raw units: smallest input whose exchange pays at
+ * least `amountOut`.
+ *
+ * @returns {bigint|null} required input, or null when the pool cannot pay that much
+ */
+function simulateStableSwapExactOutInt(pool, tokenInAddr, tokenOutAddr, amountOut) {
+  const state = getStableStateInt(pool, tokenInAddr, tokenOutAddr);
+  if (!state || amountOut <= 0n) return null;
+
+  const { i, j, rates, xp, Ann, feePips, D } = state;
+  const dy = mulDivRoundingUp(amountOut * rates[j], FEE_DENOMINATOR, FEE_DENOMINATOR - feePips);
+  if (dy + 1n >= xp[j]) return null;
+
+  const x = getYInt(j, i, xp[j] - dy - 1n, xp, Ann, D);
+  let amountIn = divRoundingUp(x > xp[i] ? x - xp[i] : 0n, rates[i]);
+
+  // Newton rounding can leave the forward exchange a unit short; step up until it pays
+  for (let k = 0; k < MAX_EXACT_OUT_ADJUSTMENTS; k++) {
+    if (amountIn > 0n && exchangeInt(state, amountIn) >= amountOut) return amountIn;
+    amountIn += 1n;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_STABLE_AMP,
+  getD,
+  getY,
+  stableSpotPrice,
+  stableMarginalPrice,
+  simulateStableSwap,
+  simulateStableSwapExactOut,
+  simulateStableSwapInt,
+  simulateStableSwapExactOutInt,
+};
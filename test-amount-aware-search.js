@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const {
+  findTopKRoutesAStar,
+  computeReverseHeuristic,
+  computeSizeAwareHeuristic,
+  simulateRoute,
+} = require('./phase1-astar-mike.js');
+const { token, row } = require('./test-fixtures.js');
+
+const SRC = token('SRC', '0xs');
+const MID = token('MID', '0xm');
+const DST = token('DST', '0xd');
+
+// A shallow direct pool with the best spot price vs a deep two-hop path
+const graph = new RoutingGraph(normalizePools([
+  row('0xshallow', [SRC, DST], [1e6, 1.2e6]),
+  row('0xdeep1', [SRC, MID], [1e13, 1e13]),
+  row('0xdeep2', [MID, DST], [1e13, 1e13]),
+]));
+
+const toIds = dist => new Map([...dist].map(([addr, v]) => [graph.tokenToId.get(addr), v]));
+
+function search(mode, amountInRaw, topK = 1) {
+  const heuristic = mode === 'amount'
+    ? computeSizeAwareHeuristic(graph.adj, SRC.addr, DST.addr, amountInRaw, 0, 3, graph.tokenToId)
+    : computeReverseHeuristic(graph.adj, DST.addr, 0, SRC.addr, graph.tokenToId, { graph });
+  return findTopKRoutesAStar(
+    graph.adjId, toIds(heuristic.dist), graph.tokenToId, graph.idToAddr, SRC.addr, DST.addr,
+    3, topK, 32, 0, heuristic.heuristicArr, { amountInRaw: mode === 'amount' ? amountInRaw : null }
+  );
+}
+
+const poolsOf = route => route.map(hop => hop.pool.addr);
+
+// Large trade: spot ranks the shallow pool first, amount-aware ranks the deep path first
+const large = 1e8;
+const spot = search('spot', large);
+assert.strictEqual(spot.search.mode, 'spot');
+assert.deepStrictEqual(poolsOf(spot[0]), ['0xshallow']);
+assert.strictEqual(spot[0].expectedOutRaw, undefined, 'spot mode does not simulate');
+
+const amountAware = search('amount', large);
+assert.strictEqual(amountAware.search.mode, 'amount');
+assert.deepStrictEqual(poolsOf(amountAware[0]), ['0xdeep1', '0xdeep2']);
+assert.ok(simulateRoute(amountAware[0], large) > 50 * simulateRoute(spot[0], large));
+
+// Routes carry the simulated output at the trade size, ordered by it
+const both = search('amount', large, 2);
+assert.strictEqual(both.length, 2);
+for (const route of both) {
+  assert.ok(Math.abs(route.expectedOutRaw - simulateRoute(route, large)) <= 1e-9 * route.expectedOutRaw);
+}
+assert.ok(both[0].expectedOutRaw > both[1].expectedOutRaw);
+
+// Small trade: the shallow pool's price is real, both modes agree
+const small = 100;
+assert.deepStrictEqual(poolsOf(search('amount', small)[0]), ['0xshallow']);
+assert.deepStrictEqual(poolsOf(search('spot', small)[0]), ['0xshallow']);
+
+// The size-aware heuristic prices the shallow pool at the trade size
+const spotH = computeReverseHeuristic(graph.adj, DST.addr, 0, SRC.addr, graph.tokenToId, { graph });
+const sizeH = computeSizeAwareHeuristic(graph.adj, SRC.addr, DST.addr, large, 0, 3, graph.tokenToId);
+assert.ok(sizeH.dist.get(SRC.addr) > spotH.dist.get(SRC.addr));
+
+// Amount-aware mode is exact-input only
+assert.throws(() => findTopKRoutesAStar(
+  graph.adjId, new Map(), graph.tokenToId, graph.idToAddr, SRC.addr, DST.addr, 3, 1, 32, 0, null,
+  { amountInRaw: large, exactOutRaw: large }
+), /exact-input only/);
+
+console.log('✅ Amount-aware search test passed');
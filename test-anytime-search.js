@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const {
+  findTopKRoutesAStar,
+  computeReverseHeuristic,
+  createSearchBudget,
+  getHeuristicCacheStats,
+} = require('./phase1-astar-mike.js');
+const { token, row } = require('./test-fixtures.js');
+
+const T = i => token(`T${i}`, `0x${i}`);
+
+// Dense graph: every token pair has a pool, so there are many 2- and 3-hop routes
+const N = 12;
+const rows = [];
+for (let a = 0; a < N; a++) {
+  for (let b = a + 1; b < N; b++) {
+    rows.push(row(`0xp${a}_${b}`, [T(a), T(b)], [1e12 + a * 1e10, 1e12 + b * 1e10 + ((a * 7 + b * 13) % 11) * 1e9]));
+  }
+}
+
+const graph = new RoutingGraph(normalizePools(rows));
+const source = T(0).addr;
+const target = T(N - 1).addr;
+const { dist, heuristicArr } = computeReverseHeuristic(graph.adj, target, 0, null, graph.tokenToId, { graph });
+const heuristicId = new Map([...dist].map(([addr, v]) => [graph.tokenToId.get(addr), v]));
+
+const search = (topK, options = {}) => findTopKRoutesAStar(
+  graph.adjId, heuristicId, graph.tokenToId, graph.idToAddr, source, target, 3, topK, 32, 0, heuristicArr, options
+);
+
+// Unbounded search finishes with no gap
+const full = search(20);
+assert.strictEqual(full.search.complete, true);
+assert.strictEqual(full.search.reason, null);
+assert.strictEqual(full.search.boundGap, 0);
+assert.strictEqual(full.length, 20);
+
+// Expansion budget: truncated, best-so-far routes, gap reported against the k-th score
+const truncated = search(20, { maxExpansions: 3 });
+assert.strictEqual(truncated.search.complete, false);
+assert.strictEqual(truncated.search.reason, 'maxExpansions');
+assert.ok(truncated.search.expansions <= 3);
+assert.ok(truncated.length > 0 && truncated.length <= 20, 'returns what it found so far');
+assert.ok(truncated.every(route => Array.isArray(route) && route.capRaw > 0));
+assert.ok(truncated.search.boundGap > 0);
+
+// With K filled before the cutoff the gap is finite: frontier bound minus the k-th score
+const small = search(2, { maxExpansions: 2 });
+assert.strictEqual(small.search.complete, false);
+assert.strictEqual(small.length, 2);
+assert.ok(Number.isFinite(small.search.boundGap));
+assert.strictEqual(small.search.boundGap, Math.max(0, small.search.frontierBestPrio - small.search.kthScore));
+
+// Iteration budget
+assert.strictEqual(search(20, { maxIterations: 1 }).search.reason, 'maxIterations');
+
+// Abort signal: stops at the first check; only the seeded direct route comes back
+const controller = new AbortController();
+controller.abort();
+const aborted = search(20, { signal: controller.signal });
+assert.strictEqual(aborted.search.reason, 'aborted');
+assert.strictEqual(aborted.length, 1);
+assert.strictEqual(aborted[0].length, 1, 'direct edge is seeded before the loop');
+
+// Deadline already passed
+assert.strictEqual(search(20, { deadline: Date.now() - 1 }).search.reason, 'deadline');
+
+// A cut-off heuristic keeps only settled (exact) costs; time/abort cutoffs are not cached
+const cut = computeReverseHeuristic(graph.adj, T(3).addr, 0, null, graph.tokenToId, { graph, maxNodes: 2 });
+assert.ok(cut.dist.size <= 2);
+for (const [addr, d] of cut.dist) {
+  const exact = computeReverseHeuristic(graph.adj, T(3).addr, 0, null, graph.tokenToId, { graph: new RoutingGraph([...graph.pools.values()]) }).dist.get(addr);
+  assert.ok(Math.abs(d - exact) < 1e-12, 'settled costs are exact');
+}
+const statsBefore = getHeuristicCacheStats();
+const abortedHeuristic = computeReverseHeuristic(graph.adj, T(4).addr, 0, null, graph.tokenToId, { graph, signal: controller.signal });
+assert.strictEqual(abortedHeuristic.dist.size, 0);
+computeReverseHeuristic(graph.adj, T(4).addr, 0, null, graph.tokenToId, { graph });
+assert.strictEqual(getHeuristicCacheStats().misses, statsBefore.misses + 2, 'aborted heuristic was not cached');
+
+// Budget helper: earliest of deadline and relative budget wins
+const budget = createSearchBudget({ deadline: Date.now() + 60000, timeBudgetMs: 0 });
+assert.strictEqual(budget.cutoff(), 'deadline');
+assert.strictEqual(createSearchBudget({}, { maxIterations: 5 }).cutoff({ iterations: 5 }), 'maxIterations');
+assert.strictEqual(createSearchBudget().cutoff({ iterations: 1e9, expansions: 1e9 }), null, 'no defaults → unbounded');
+
+console.log('✅ Anytime search test passed');
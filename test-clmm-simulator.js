@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { PoolWrapper } = require('./pool-source.js');
+const { simulateRoute } = require('./phase1-astar-mike.js');
+const {
+  SQRT_PRICE_SCALE,
+  tickToSqrtPrice,
+  simulateClmmSwap,
+} = require('./clmm-simulator.js');
+
+const SQRT_P = 0.05; // price 0.0025 token1 per token0 (raw)
+const L = 1e12;
+
+function makeClmmPool(ticks = null) {
+  return new PoolWrapper({
+    pool_addr: '0xclmm',
+    pool_type: 'CLMM',
+    fee_tier: '0.003',
+    liquidity: String(L),
+    sqrt_price: String(SQRT_P * SQRT_PRICE_SCALE),
+    tokens: [
+      { addr: '0xapt', symbol: 'APT', decimals: 8, reserve: '1', token_idx: 0 },
+      { addr: '0xusdc', symbol: 'USDC', decimals: 6, reserve: '1', token_idx: 1 },
+    ],
+  }, ticks);
+}
+
+function close(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relTol, `${message}: ${actual} vs ${expected}`);
+}
+
+// Inside a single range the curve is x*y=L² on virtual reserves, not on reported reserves
+const single = makeClmmPool();
+const x = L / SQRT_P;
+const y = L * SQRT_P;
+const dx = 1e10;
+const expectedOut = (y * dx * 0.997) / (x + dx * 0.997);
+close(simulateClmmSwap(single, '0xapt', '0xusdc', dx).amountOut, expectedOut, 1e-9, 'token0 → token1 matches virtual reserves');
+close(single.getSpotPrice('0xapt', '0xusdc'), SQRT_P * SQRT_P * 0.997, 1e-12, 'spot price comes from sqrt_price');
+assert.ok(simulateClmmSwap(single, '0xapt', '0xusdc', 1e-6).amountOut > 0, 'dust amounts must not round to zero');
+close(simulateRoute([{ pool: single, fromAddr: '0xapt', toAddr: '0xusdc' }], dx), expectedOut, 1e-9, 'simulateRoute dispatches CLMM pools');
+
+// Single position ±100 ticks around the current price holds all liquidity
+const currentTick = Math.floor(Math.log(SQRT_P * SQRT_P) / Math.log(1.0001));
+const lower = currentTick - 100;
+const upper = currentTick + 100;
+const ranged = makeClmmPool([
+  { tick: lower, liquidity_net: String(L) },
+  { tick: upper, liquidity_net: String(-L) },
+]);
+
+// Selling token0 beyond the lower tick drains the range and leaves input unfilled
+const drained = simulateClmmSwap(ranged, '0xapt', '0xusdc', 1e15);
+assert.strictEqual(drained.ticksCrossed, 1);
+assert.strictEqual(drained.liquidityAfter, 0);
+assert.ok(drained.exhausted, 'swap past the last tick should report exhaustion');
+close(drained.amountOut, L * (SQRT_P - tickToSqrtPrice(lower)), 1e-9, 'output capped at range liquidity');
+close(drained.amountInUsed, L * (1 / tickToSqrtPrice(lower) - 1 / SQRT_P) / 0.997, 1e-9, 'input used includes fee');
+
+// Extra liquidity starting above the range kicks in after crossing upwards
+const stacked = makeClmmPool([
+  { tick: lower, liquidity_net: String(L) },
+  { tick: upper, liquidity_net: String(L) },
+  { tick: upper + 100, liquidity_net: String(-2 * L) },
+]);
+const up = simulateClmmSwap(stacked, '0xusdc', '0xapt', 1e15);
+assert.strictEqual(up.ticksCrossed, 2);
+const firstLeg = L * (1 / SQRT_P - 1 / tickToSqrtPrice(upper));
+const secondLeg = 2 * L * (1 / tickToSqrtPrice(upper) - 1 / tickToSqrtPrice(upper + 100));
+close(up.amountOut, firstLeg + secondLeg, 1e-9, 'liquidityNet applied at tick crossing');
+
+// Non-CLMM pools keep the constant-product path
+const amm = new PoolWrapper({ pool_addr: '0xamm', pool_type: 'AMM', fee_tier: '0.003', liquidity: '0', sqrt_price: null, tokens: [] });
+assert.strictEqual(amm.ticks, null);
+assert.strictEqual(simulateClmmSwap(amm, '0xapt', '0xusdc', 1), null);
+
+console.log('✅ CLMM simulator test passed');
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { routeResponse, solveConvexSplit, splitterGap, optimizeRouteSplittingConvex } = require('./phase2-convex.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+const pools = Object.fromEntries(normalizePools([
+  row('0xdeep', [APT, USDC], [1e12, 5e10]),
+  row('0xshallow', [APT, USDC], [4e11, 2e10]),
+  row('0xaptusdt', [APT, USDT], [6e11, 3e10]),
+  row('0xusdtusdc', [USDT, USDC], [1e11, 1e11], { poolType: 'STABLE' }),
+]).map(pool => [pool.addr, pool]));
+pools['0xusdtusdc'].amp = 200;
+
+const hop = (pool, from, to) => ({ pool: pools[pool], fromAddr: from.addr, toAddr: to.addr });
+const deep = [hop('0xdeep', APT, USDC)];
+const shallow = [hop('0xshallow', APT, USDC)];
+const viaUsdt = [hop('0xaptusdt', APT, USDT), hop('0xusdtusdc', USDT, USDC)];
+const output = (route, x) => routeResponse(route, x).output;
+const quiet = fn => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+// Route marginal is the chain rule over hops (stable hop included)
+const x0 = 3e10;
+const fd = (output(viaUsdt, x0 * (1 + 1e-6)) - output(viaUsdt, x0)) / (x0 * 1e-6);
+assert.ok(Math.abs(routeResponse(viaUsdt, x0).marginal - fd) < 1e-5 * fd);
+
+// Same price and fee: equal marginals split in proportion to depth (5:2)
+const X = 2e11;
+const parallel = solveConvexSplit([deep, shallow], X, [0, 0]);
+assert.ok(Math.abs(parallel.allocations[0] / X - 5 / 7) < 1e-9);
+assert.ok(Math.abs(parallel.allocations[0] + parallel.allocations[1] - X) < 1e-3, 'input is conserved');
+assert.ok(parallel.certificate.upperBoundRaw - parallel.netOutputRaw < 1e-6 * parallel.netOutputRaw, 'tight duality gap');
+assert.ok(parallel.certificate.kktResidual < 1e-9);
+
+// Weak duality: no split on a grid beats the bound, and the solver beats the grid
+const routes = [deep, shallow, viaUsdt];
+const gas = routes.map(r => r.length * 1e4);
+const solved = solveConvexSplit(routes, X, gas);
+let bestGrid = 0;
+for (let a = 0; a <= 20; a++) {
+  for (let b = 0; a + b <= 20; b++) {
+    const split = [a, b, 20 - a - b].map(k => (k / 20) * X);
+    const net = split.reduce((sum, x, i) => sum + (x > 0 ? output(routes[i], x) - gas[i] : 0), 0);
+    assert.ok(net <= solved.certificate.upperBoundRaw + 1e-6);
+    bestGrid = Math.max(bestGrid, net);
+  }
+}
+assert.ok(solved.netOutputRaw >= bestGrid);
+
+// Heuristic measured against the bound: all on the deepest pool
+const allDeep = { totalOutputRaw: output(deep, X) - gas[0] };
+const gap = splitterGap(allDeep, solved.certificate);
+assert.ok(gap.gapRaw >= solved.netOutputRaw - allDeep.totalOutputRaw);
+assert.ok(gap.relativeGap > 0 && gap.relativeGap < 1);
+
+// Capacities: the deep pool is capped, the rest spills to the other routes
+const capped = solveConvexSplit(routes, X, gas, [5e10, Infinity, Infinity]);
+assert.ok(Math.abs(capped.allocations[0] - 5e10) < 1);
+assert.ok(Math.abs(capped.allocations.reduce((a, b) => a + b, 0) - X) < 1e-3);
+assert.ok(capped.netOutputRaw < solved.netOutputRaw);
+assert.ok(capped.certificate.kktResidual < 1e-6);
+const exhausted = solveConvexSplit([deep], X, [0], [5e10]);
+assert.strictEqual(exhausted.certificate.unallocatedRaw, X - 5e10);
+
+// Gas: at a tiny size a second hop never pays for itself
+const tiny = solveConvexSplit(routes, 1e6, gas);
+assert.strictEqual(tiny.allocations.filter(a => a > 0).length, 1);
+assert.ok(tiny.certificate.upperBoundRaw >= tiny.netOutputRaw);
+
+// Entry point: simulated result plus certificate
+const result = quiet(() => optimizeRouteSplittingConvex([deep, shallow, viaUsdt, deep], 2000, APT, USDC, { gasPerHopUSD: 0.01 }));
+assert.strictEqual(result.algorithm, 'Convex');
+assert.strictEqual(result.totalInputRawInt, 200000000000n);
+assert.ok(result.routes.length >= 2);
+assert.strictEqual(result.certificate.boundHolds, true);
+assert.ok(result.certificate.relativeGap < 1e-6, `relative gap ${result.certificate.relativeGap}`);
+assert.ok(result.totalOutputRaw <= result.certificate.upperBoundRaw);
+const signatures = result.routes.map(r => r.route.map(h => h.pool.addr).join('-'));
+assert.strictEqual(new Set(signatures).size, signatures.length, 'duplicate routes are priced once');
+
+console.log('✅ Convex split test passed');
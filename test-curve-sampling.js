@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { marginalPrice } = require('./pool-models.js');
+const { simulateRoute } = require('./phase1-astar-mike.js');
+const { CurveSampleCache, sampleRouteAdaptive } = require('./curve-sampling.js');
+const { buildResponseCurve, buildResponseCurves, interpolateMarginal } = require('./phase2-waterfill.js');
+const { APT, USDC, row } = require('./test-fixtures.js');
+
+// 10M APT deep, 20k APT shallow
+const [deepPool, shallowPool] = normalizePools([row('0xdeep', [APT, USDC], [1e15, 5e13]), row('0xshallow', [APT, USDC], [2e12, 1e11])]);
+const deep = [{ pool: deepPool, fromAddr: APT.addr, toAddr: USDC.addr }];
+const shallow = [{ pool: shallowPool, fromAddr: APT.addr, toAddr: USDC.addr }];
+
+// Largest interpolated-marginal error over the trade, relative to the route's best rate
+function maxMarginalError(route, curve, totalInputRaw) {
+  const pool = route[0].pool;
+  const best = marginalPrice(pool, APT.addr, USDC.addr, 0);
+  let worst = 0;
+  for (let i = 1; i <= 500; i++) {
+    const x = (totalInputRaw * i) / 500;
+    worst = Math.max(worst, Math.abs(interpolateMarginal(curve, x) - marginalPrice(pool, APT.addr, USDC.addr, x)) / best);
+  }
+  return worst;
+}
+
+// 100,000 APT through the shallow pool: it saturates between fixed samples
+const fixed = buildResponseCurve(shallow, 100000, APT, USDC, 0, 18, { mode: 'fixed' });
+const adaptive = buildResponseCurve(shallow, 100000, APT, USDC, 0, 18, { cache: new CurveSampleCache() });
+assert.strictEqual(fixed.sampling.simulations, 18);
+assert.ok(maxMarginalError(shallow, fixed, 1e13) > 0.05, 'fixed grid misses the saturation');
+assert.ok(maxMarginalError(shallow, adaptive, 1e13) < 0.01, 'adaptive curve is within tolerance');
+assert.ok(adaptive.sampling.simulations > fixed.sampling.simulations);
+
+// 100 APT through the deep pool: nearly linear, refinement stops early
+const small = buildResponseCurve(deep, 100, APT, USDC, 0, 18, { cache: null });
+assert.ok(small.sampling.simulations <= 24, `${small.sampling.simulations} simulations`);
+assert.ok(maxMarginalError(deep, small, 1e10) < 0.005);
+
+// Tighter tolerance, more samples; the budget caps them
+const loose = sampleRouteAdaptive(shallow, 1e13, simulateRoute, { tolerance: 0.05, cache: null });
+const tight = sampleRouteAdaptive(shallow, 1e13, simulateRoute, { tolerance: 0.001, cache: null });
+const capped = sampleRouteAdaptive(shallow, 1e13, simulateRoute, { tolerance: 0.001, maxSamples: 30, cache: null });
+assert.ok(loose.samples.length < tight.samples.length);
+assert.ok(capped.samples.length <= 30);
+assert.ok(loose.samples.every((s, i) => i === 0 || s.inputRaw > loose.samples[i - 1].inputRaw), 'ascending inputs');
+assert.strictEqual(loose.samples[loose.samples.length - 1].inputRaw, 1e13, 'total is sampled');
+
+// Reuse: same route and state, nothing simulated twice
+const cache = new CurveSampleCache();
+const first = sampleRouteAdaptive(shallow, 1e12, simulateRoute, { cache });
+const again = sampleRouteAdaptive(shallow, 1e12, simulateRoute, { cache });
+assert.strictEqual(again.simulations, 0);
+assert.strictEqual(again.reused, first.simulations);
+assert.deepStrictEqual(again.samples, first.samples);
+const larger = sampleRouteAdaptive(shallow, 2e12, simulateRoute, { cache });
+assert.ok(larger.reused > 0, 'overlapping amounts share dyadic samples');
+assert.strictEqual(cache.stats().routes, 1);
+
+// A pool update is a new state: no stale samples
+shallowPool.applyState({ reserves: { [APT.addr]: '3000000000000' } });
+const moved = sampleRouteAdaptive(shallow, 1e12, simulateRoute, { cache });
+assert.strictEqual(moved.reused, 0);
+assert.strictEqual(cache.stats().routes, 2);
+
+// LRU bound
+const tiny = new CurveSampleCache({ maxRoutes: 1 });
+sampleRouteAdaptive(shallow, 1e12, simulateRoute, { cache: tiny });
+sampleRouteAdaptive(deep, 1e12, simulateRoute, { cache: tiny });
+assert.deepStrictEqual([tiny.stats().routes, tiny.stats().evictions], [1, 1]);
+
+// Splitter entry: simulation counts are reported across routes
+const curves = buildResponseCurves([deep, shallow], 10000, APT, USDC, 0, 18, 0, null, false, 0, { cache: new CurveSampleCache() });
+assert.strictEqual(curves.sampling.mode, 'adaptive');
+assert.strictEqual(curves.sampling.points, curves.curves[0].length + curves.curves[1].length);
+assert.ok(curves.sampling.simulations >= curves.sampling.points);
+assert.throws(() => buildResponseCurve(deep, 1, APT, USDC, 0, 18, { mode: 'dense' }), /Unknown curve sampling mode/);
+
+console.log('✅ Curve sampling test passed');
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { simulateRouteInt } = require('./phase1-astar-mike.js');
+const { buildFlowDag, optimizeFlowSplittingDag } = require('./phase2-dagflow.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+const poolList = normalizePools([
+  row('0xaptusdc', [APT, USDC], [1e12, 5e10]),
+  row('0xaptusdc2', [APT, USDC], [4e11, 2e10]),
+  row('0xaptusdt', [APT, USDT], [6e11, 3e10]),
+  row('0xaptusdt2', [APT, USDT], [3e11, 1.5e10]),
+  row('0xusdtusdc', [USDT, USDC], [1e11, 1e11]),
+]);
+const pools = Object.fromEntries(poolList.map(pool => [pool.addr, pool]));
+const hop = (pool, from, to) => ({ pool: pools[pool], fromAddr: from.addr, toAddr: to.addr });
+const quiet = fn => {
+  const log = console.log;
+  const table = console.table;
+  console.log = console.table = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.table = table;
+  }
+};
+
+// Parallel pools: the route names one pool, `pools` brings in its twin
+const direct = [hop('0xaptusdc', APT, USDC)];
+const dag = buildFlowDag([direct], APT.addr, USDC.addr, poolList);
+assert.deepStrictEqual(dag.nodes, [APT.addr, USDC.addr]);
+assert.deepStrictEqual(dag.options.get(APT.addr).map(o => o.pool.addr), ['0xaptusdc', '0xaptusdc2']);
+assert.strictEqual(buildFlowDag([direct], APT.addr, USDC.addr).options.get(APT.addr).length, 1, 'route pools only by default');
+
+// Same price and fee: equal marginals split in proportion to depth (5:2)
+const parallel = quiet(() => optimizeFlowSplittingDag([direct], 10000, APT, USDC, { pools: poolList, gasPerHopUSD: 0 }));
+const [deep, shallow] = parallel.allocationTree.splits;
+assert.strictEqual(deep.poolAddr, '0xaptusdc');
+assert.ok(Math.abs(deep.share - 5 / 7) < 1e-3, `deep pool share ${deep.share}`);
+assert.ok(Math.abs(shallow.share - 2 / 7) < 1e-3);
+assert.ok(parallel.totalOutputRawInt > simulateRouteInt(direct, 1000000000000n), 'beats the single pool');
+
+// Merge: APT → USDT over two pools, USDT → USDC once, alongside the direct pools
+const viaUsdt = [hop('0xaptusdt', APT, USDT), hop('0xusdtusdc', USDT, USDC)];
+const merged = quiet(() => optimizeFlowSplittingDag([direct, viaUsdt], 50000, APT, USDC, { pools: poolList, gasPerHopUSD: 0 }));
+const [aptNode, usdtNode, usdcNode] = merged.nodes;
+assert.deepStrictEqual(merged.nodes.map(n => n.symbol), ['APT', 'USDT', 'USDC']);
+assert.deepStrictEqual(aptNode.splits.map(s => s.poolAddr).sort(), ['0xaptusdc', '0xaptusdc2', '0xaptusdt', '0xaptusdt2']);
+assert.strictEqual(merged.allocationTree, aptNode);
+
+// Whole units are conserved: splits add up to the node amount, inflows to the next node
+const inputs = node => node.splits.reduce((sum, s) => sum + s.inputRawInt, 0n);
+assert.strictEqual(inputs(aptNode), 5000000000000n);
+assert.strictEqual(inputs(usdtNode), usdtNode.amountInRawInt);
+const into = addr => merged.hops.filter(h => h.toAddr === addr).reduce((sum, h) => sum + h.outputRawInt, 0n);
+assert.strictEqual(into(USDT.addr), usdtNode.amountInRawInt);
+assert.strictEqual(into(USDC.addr), usdcNode.amountInRawInt);
+assert.strictEqual(merged.grossOutputRawInt, usdcNode.amountInRawInt);
+assert.ok(aptNode.splits.filter(s => s.toAddr === USDT.addr).every(s => s.node === usdtNode), 'merged node is shared');
+assert.deepStrictEqual([...new Set(merged.hops.map(h => `${h.hop}:${h.fromAddr}`))].sort(), ['0:0xa', '1:0xt']);
+
+// Never worse than the discovered routes on their own
+for (const route of [direct, viaUsdt]) {
+  assert.ok(merged.grossOutputRawInt > simulateRouteInt(route, 5000000000000n));
+}
+
+// Gas: a pool that does not pay for its hop is pruned
+const gassy = quiet(() => optimizeFlowSplittingDag([direct], 1, APT, USDC, { pools: poolList, gasPerHopUSD: 0.01 }));
+assert.strictEqual(gassy.poolsUsed, 1);
+assert.strictEqual(gassy.totalOutputRawInt, gassy.grossOutputRawInt - 10000n);
+
+// A hop back to the source would close a cycle and is skipped
+const cyclic = buildFlowDag([[hop('0xaptusdt', APT, USDT), hop('0xaptusdt2', USDT, APT), hop('0xaptusdc', APT, USDC)]], APT.addr, USDC.addr);
+assert.strictEqual(cyclic.skippedHops, 1);
+
+console.log('✅ DAG flow test passed');
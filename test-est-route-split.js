@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const { simulateRoutesJointInt } = require('./joint-simulation.js');
+const { parseUnits } = require('./raw-math.js');
+const { InMemoryBroker, createRequester, topicName, MessageBroker } = require('./message-bus.js');
+const {
+  EST_ROUTE_SPLIT_TOPIC,
+  ERROR_CODES,
+  validateRouteSplitRequest,
+  decodeRouteMatrix,
+  estRouteSplit,
+  handleEstRouteSplitMessage,
+  startEstRouteSplitConsumer,
+} = require('./est-route-split.js');
+const { poolLookup } = require('./route-matrix.js');
+const { silentLogger } = require('./router.js');
+const { APT, USDC, USDT, token, row } = require('./test-fixtures.js');
+
+const pools = normalizePools([
+  row('0xapt-usdc', [APT, USDC], [2e13, 1e12]),   // 200k APT / 1M USDC
+  row('0xapt-usdt', [APT, USDT], [1e13, 5e11]),
+  row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+]);
+const hop = (poolId, fromIdx, toIdx) => ({ poolId, fromIdx, toIdx });
+const routeMatrix = [
+  [hop('0xapt-usdc', 0, 1)],
+  [hop('0xapt-usdt', 0, 1), hop('0xusdt-usdc', 0, 1)],
+];
+const options = { pools, logger: silentLogger };
+
+// Validation reports every problem with its path
+assert.deepStrictEqual(validateRouteSplitRequest({ routeMatrix, amountIn: '10000' }), []);
+assert.deepStrictEqual(validateRouteSplitRequest({ routeMatrix, amountIn: 10000, coverPercentage: 0.4 }), []);
+const problems = validateRouteSplitRequest({ routeMatrix: [[hop('', 0, 0)], []], amountIn: '-1', coverPercentage: 2 });
+assert.deepStrictEqual(problems.map(p => p.path), ['routeMatrix[0][0].poolId', 'routeMatrix[0][0]', 'routeMatrix[1]', 'amountIn', 'coverPercentage']);
+assert.deepStrictEqual(validateRouteSplitRequest(null).map(p => p.path), ['']);
+
+// Decoding: A*-shaped hops with capacities, endpoints from the first route
+const decoded = decodeRouteMatrix(routeMatrix, poolLookup(pools));
+assert.strictEqual(decoded.sourceToken.addr, APT.addr);
+assert.strictEqual(decoded.targetToken.addr, USDC.addr);
+assert.deepStrictEqual(decoded.routes[1].map(h => [h.fromAddr, h.toAddr]), [[APT.addr, USDT.addr], [USDT.addr, USDC.addr]]);
+assert.ok(decoded.routes.every(route => route.capRaw > 0 && route.capRaw === Math.min(...route.map(h => h.dxCapRaw))));
+
+// Split: legs sum to the amount and match the joint simulation; better than one route
+const result = estRouteSplit({ routeMatrix, amountIn: '10000' }, options);
+assert.strictEqual(result.algorithm, 'waterfill');
+assert.deepStrictEqual(result.splits.map(s => s.routeIdx), [0, 1]);
+const legInputs = result.splits.map(s => BigInt(s.amountInRaw));
+assert.strictEqual(legInputs.reduce((a, b) => a + b, 0n), parseUnits(10000, 8));
+const joint = simulateRoutesJointInt(decoded.routes, legInputs);
+assert.deepStrictEqual(result.splits.map(s => BigInt(s.amountOutRaw)), joint);
+assert.strictEqual(result.totalOutputRaw, (joint[0] + joint[1]).toString());
+assert.strictEqual(result.totalInput, '10000');
+assert.ok(parseFloat(result.improvement) > 0, result.improvement);
+assert.ok(result.splits.every(s => !s.isExceed) && !result.isExceed);
+
+// Cover percentage: legs past their share of the route capacity are flagged
+const covered = estRouteSplit({ routeMatrix, amountIn: '100000', coverPercentage: 0.01 }, options);
+assert.ok(covered.isExceed && covered.splits.every(s => s.isExceed));
+covered.splits.forEach(s => assert.ok(Number(s.amountInRaw) >= decoded.routes[s.routeIdx].capRaw * 0.01 * (1 - 1e-9)));
+const roomy = estRouteSplit({ routeMatrix, amountIn: '10000', coverPercentage: 1 }, options);
+assert.ok(!roomy.isExceed && roomy.splits.every(s => !s.isExceed));
+
+// 18-decimal input beyond float precision: legs add up to exactly the requested raw amount
+const WETH = token('WETH', '0xe', 18);
+const DAI = token('DAI', '0xd', 18);
+const USDE = token('USDe', '0xu', 18);
+const e18 = tokens => `${tokens}${'0'.repeat(18)}`;
+const wethPools = normalizePools([
+  row('0xweth-dai', [WETH, DAI], [e18(1e9), e18(2e9)]),
+  row('0xweth-usde', [WETH, USDE], [e18(5e8), e18(1e9)]),
+  row('0xusde-dai', [USDE, DAI], [e18(1e9), e18(1e9)]),
+]);
+const precise = '12345678.123456789012345678';
+const wethSplit = estRouteSplit({
+  routeMatrix: [[hop('0xweth-dai', 0, 1)], [hop('0xweth-usde', 0, 1), hop('0xusde-dai', 0, 1)]],
+  amountIn: precise,
+}, { pools: wethPools, logger: silentLogger });
+assert.strictEqual(wethSplit.splits.length, 2);
+assert.strictEqual(wethSplit.splits.reduce((sum, s) => sum + BigInt(s.amountInRaw), 0n), parseUnits(precise, 18));
+assert.strictEqual(wethSplit.totalInput, precise);
+
+// Live pool state through a RoutingGraph
+const graph = new RoutingGraph(normalizePools([row('0xapt-usdc', [APT, USDC], [2e13, 1e12])]));
+assert.strictEqual(estRouteSplit({ routeMatrix: [routeMatrix[0]], amountIn: '1' }, { graph, logger: silentLogger }).splits.length, 1);
+
+// Messages: correlation ID echoed, failures as structured error replies
+const reply = handleEstRouteSplitMessage({ key: 'get.request', headers: { correlationId: 'c-1' }, value: { routeMatrix, amountIn: '10000' } }, options);
+assert.deepStrictEqual([reply.key, reply.headers.correlationId, reply.value.status], ['get.response', 'c-1', 'ok']);
+const errorCode = (value, headers = { correlationId: 'c-2' }) => {
+  const r = handleEstRouteSplitMessage({ key: 'get.request', headers, value }, options);
+  assert.strictEqual(r.value.status, 'error');
+  assert.strictEqual(r.headers.correlationId, headers.correlationId ?? null);
+  return r.value.error.code;
+};
+assert.strictEqual(errorCode({ routeMatrix, amountIn: '1' }, {}), ERROR_CODES.INVALID_MESSAGE);
+assert.strictEqual(errorCode(null), ERROR_CODES.INVALID_MESSAGE);
+assert.strictEqual(errorCode({ routeMatrix: [], amountIn: '1' }), ERROR_CODES.INVALID_REQUEST);
+assert.strictEqual(errorCode({ routeMatrix: [[hop('0xgone', 0, 1)]], amountIn: '1' }), ERROR_CODES.UNKNOWN_POOL);
+assert.strictEqual(errorCode({ routeMatrix: [[hop('0xapt-usdc', 0, 5)]], amountIn: '1' }), ERROR_CODES.INVALID_ROUTE);
+assert.strictEqual(errorCode({ routeMatrix: [[hop('0xapt-usdt', 0, 1), hop('0xapt-usdc', 0, 1)]], amountIn: '1' }), ERROR_CODES.INVALID_ROUTE, 'hops must chain');
+assert.strictEqual(errorCode({ routeMatrix: [routeMatrix[0], [hop('0xapt-usdt', 0, 1)]], amountIn: '1' }), ERROR_CODES.INVALID_ROUTE, 'one target');
+assert.strictEqual(errorCode({ routeMatrix, amountIn: '0.000000001' }), ERROR_CODES.INVALID_REQUEST);
+const invalid = handleEstRouteSplitMessage({ headers: { correlationId: 'c-3' }, value: { routeMatrix, amountIn: 'ten' } }, options);
+assert.deepStrictEqual(invalid.value.error.details.problems.map(p => p.path), ['amountIn']);
+
+// End to end over the in-memory broker
+async function endToEnd() {
+  assert.throws(() => new MessageBroker().subscribe('t', () => {}), /must implement subscribe/);
+  const broker = new InMemoryBroker();
+  const topic = topicName(EST_ROUTE_SPLIT_TOPIC, 'local');
+  const lines = [];
+  const consumer = startEstRouteSplitConsumer(broker, { env: 'local', pools, logger: { log: l => lines.push(l), error: l => lines.push(l) } });
+  assert.strictEqual(consumer.topic, 'local.sc.est-route-split');
+
+  const requester = createRequester(broker, topic, { timeoutMs: 10000 });
+  const [ok, bad] = await Promise.all([
+    requester.request({ routeMatrix, amountIn: '10000' }, { correlationId: 'e2e-1' }),
+    requester.request({ routeMatrix: [[hop('0xgone', 0, 1)]], amountIn: '1' }, { correlationId: 'e2e-2' }),
+  ]);
+  assert.deepStrictEqual([ok.headers.correlationId, ok.value.status], ['e2e-1', 'ok']);
+  assert.strictEqual(ok.value.result.totalOutputRaw, result.totalOutputRaw, 'same split as the direct call');
+  assert.deepStrictEqual([bad.headers.correlationId, bad.value.error.code], ['e2e-2', ERROR_CODES.UNKNOWN_POOL]);
+  assert.strictEqual(requester.pending(), 0);
+
+  // Replies go to replyTo when given; replies on the request topic are not re-consumed
+  broker.subscribe('replies', () => {});
+  await broker.publish(topic, { key: 'get.request', headers: { correlationId: 'e2e-3', replyTo: 'replies' }, value: { routeMatrix, amountIn: '1' } });
+  await broker.drain();
+  assert.strictEqual(broker.published('replies')[0].headers.correlationId, 'e2e-3');
+  assert.strictEqual(broker.published(topic).filter(m => m.key === 'get.response').length, 2);
+  assert.strictEqual(lines.length, 3);
+
+  consumer.stop();
+  const timedOut = createRequester(broker, topic, { timeoutMs: 20 });
+  await assert.rejects(timedOut.request({ routeMatrix, amountIn: '1' }), /No reply/);
+  timedOut.stop();
+  requester.stop();
+  await broker.close();
+}
+
+endToEnd().then(() => {
+  console.log('✅ est-route-split test passed');
+}).catch(err => {
+  console.error(err);
+  process.exit(1);
+});
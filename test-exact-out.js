@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { PoolWrapper } = require('./pool-source.js');
+const { SQRT_PRICE_SCALE } = require('./clmm-simulator.js');
+const {
+  simulateRoute,
+  simulateRouteExactOut,
+  selectBestRoute,
+  maxInputBound,
+} = require('./phase1-astar-mike.js');
+const { optimizeRouteSplittingWaterfill } = require('./phase2-waterfill.js');
+
+const APT = { addr: '0xapt', symbol: 'APT', decimals: 8 };
+const USDT = { addr: '0xusdt', symbol: 'USDT', decimals: 6 };
+const USDC = { addr: '0xusdc', symbol: 'USDC', decimals: 6 };
+
+function makePool(addr, poolType, pair, reserves, extra = {}) {
+  return new PoolWrapper({
+    pool_addr: addr,
+    pool_type: poolType,
+    fee_tier: '0.003',
+    liquidity: '0',
+    sqrt_price: null,
+    tokens: pair.map((t, i) => ({ ...t, reserve: String(reserves[i]), token_idx: i })),
+    ...extra,
+  });
+}
+
+function hop(pool, from, to) {
+  return { pool, poolId: pool.addr, fromAddr: from.addr, toAddr: to.addr };
+}
+
+function close(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relTol, `${message}: ${actual} vs ${expected}`);
+}
+
+// APT → USDC direct (AMM and CLMM), and APT → USDT → USDC through a stable pool
+const ammDirect = makePool('0xamm', 'AMM', [APT, USDC], [1e12, 5e10]);
+const clmmDirect = makePool('0xclmm', 'CLMM', [APT, USDC], [1e12, 5e10], {
+  liquidity: String(Math.sqrt(1e12 * 5e10)),
+  sqrt_price: String(Math.sqrt(5e10 / 1e12) * SQRT_PRICE_SCALE),
+});
+const ammUsdt = makePool('0xamm2', 'AMM', [APT, USDT], [4e11, 2e10]);
+const stable = makePool('0xstable', 'STABLE', [USDT, USDC], [5e11, 5e11], { fee_tier: '0.0004', amp: 200 });
+
+const routes = [
+  [hop(ammDirect, APT, USDC)],
+  [hop(clmmDirect, APT, USDC)],
+  [hop(ammUsdt, APT, USDT), hop(stable, USDT, USDC)],
+];
+
+// Reverse walk inverts the forward simulation on every pool type
+const amountOut = 1e9; // 1000 USDC
+for (const route of routes) {
+  const requiredIn = simulateRouteExactOut(route, amountOut);
+  assert.ok(Number.isFinite(requiredIn) && requiredIn > 0, 'route should be able to deliver');
+  close(simulateRoute(route, requiredIn), amountOut, 1e-6, `${route.length}-hop round trip`);
+}
+assert.strictEqual(simulateRouteExactOut(routes[0], 5e10), Infinity, 'cannot drain the whole output reserve');
+
+// Exact-out selection picks the route needing the least input
+const best = selectBestRoute(routes, amountOut, 0, { mode: 'exactOut' });
+const inputs = routes.map(route => simulateRouteExactOut(route, amountOut));
+assert.strictEqual(best.mode, 'exactOut');
+assert.strictEqual(best.output, amountOut);
+assert.strictEqual(best.input, Math.min(...inputs));
+assert.strictEqual(best.route, routes[inputs.indexOf(Math.min(...inputs))]);
+
+// Slippage bound rounds up
+assert.strictEqual(maxInputBound(1000, 50), 1005);
+assert.strictEqual(maxInputBound(1001, 50), 1007);
+
+// Water-fill exact-out: delivers the target and spends less than any single route
+const targetHuman = 5000; // USDC, large enough that splitting pays
+const result = optimizeRouteSplittingWaterfill(routes, targetHuman, APT, USDC, {
+  mode: 'exactOut',
+  slippageBps: 30,
+  gasPerHopUSD: 0,
+  minPct: 0.001,
+});
+
+assert.ok(result, 'exact-out water-fill should return a result');
+assert.strictEqual(result.mode, 'exactOut');
+close(result.totalOutputHuman, targetHuman, 1e-6, 'total output matches the target');
+const singleRouteBest = Math.min(...routes.map(route => simulateRouteExactOut(route, targetHuman * 1e6))) / 1e8;
+assert.ok(result.totalInputHuman < singleRouteBest, `split input ${result.totalInputHuman} should beat ${singleRouteBest}`);
+assert.ok(result.routes.length > 1, 'large order should be split');
+assert.strictEqual(result.maxInputRaw, maxInputBound(result.totalInputRaw, 30));
+for (const leg of result.routes) {
+  close(simulateRoute(leg.route, leg.inputRaw), leg.outputRaw, 1e-6, 'each leg delivers its share');
+}
+
+// Infeasible targets are reported, not silently under-filled
+const infeasible = optimizeRouteSplittingWaterfill([routes[0]], 60000, APT, USDC, { mode: 'exactOut', gasPerHopUSD: 0 });
+assert.strictEqual(infeasible, null);
+
+console.log('✅ Exact-output quoting test passed');
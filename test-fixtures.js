@@ -0,0 +1,42 @@
+/**
+ * Test Fixtures - Tokens and pool rows shared by the test-*.js scripts
+ *
+ * Rows have the shape pool-source.js reads from the database and snapshots,
+ * so tests build pools with `normalizePools(rows)` like the entry points do.
+ *
+ *   const { APT, USDC, row } = require('./test-fixtures.js');
+ *   const pools = normalizePools([row('0xapt-usdc', [APT, USDC], [2e13, 1e12])]);
+ */
+
+function token(symbol, addr, decimals = 8) {
+  return { addr, symbol, decimals };
+}
+
+const APT = token('APT', '0xa', 8);
+const USDC = token('USDC', '0xc', 6);
+const USDT = token('USDT', '0xt', 6);
+
+/**
+ * Pool row over `pair` (tokens in pool order) with raw `reserves`. Options:
+ * poolType ('AMM'), feeTier ('0.003'); any other field is set on the row
+ * as is (amp, liquidity, sqrt_price, ticks, ...).
+ */
+function row(addr, pair, reserves, { poolType = 'AMM', feeTier = '0.003', ...extra } = {}) {
+  return {
+    pool_addr: addr,
+    pool_type: poolType,
+    fee_tier: feeTier,
+    liquidity: '0',
+    sqrt_price: null,
+    tokens: pair.map((t, i) => ({ ...t, reserve: String(reserves[i]), token_idx: i })),
+    ...extra,
+  };
+}
+
+module.exports = {
+  APT,
+  USDC,
+  USDT,
+  token,
+  row,
+};
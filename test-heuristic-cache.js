@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const { HeuristicCache, adjacencyWeightHash } = require('./heuristic-cache.js');
+const {
+  buildAdjacencyMap,
+  compressParallelEdges,
+  computeReverseHeuristic,
+  getHeuristicCacheStats,
+} = require('./phase1-astar-mike.js');
+const { token, row } = require('./test-fixtures.js');
+
+const T = i => token(`T${i}`, `0x${i}`);
+
+// A chain 0-1-2-...-9 plus a shortcut 0-9 and an island 10-11
+const rows = [];
+for (let i = 0; i < 9; i++) rows.push(row(`0xp${i}`, [T(i), T(i + 1)], [1e12, 1.1e12]));
+rows.push(row('0xshort', [T(0), T(9)], [1e12, 2e12]));
+rows.push(row('0xisland', [T(10), T(11)], [1e12, 1e12]));
+
+const target = T(9).addr;
+const penalty = 0.001;
+
+function assertSameDist(actual, expected, message) {
+  assert.deepStrictEqual([...actual.keys()].sort(), [...expected.keys()].sort(), `${message}: same tokens`);
+  for (const [addr, d] of expected) {
+    assert.ok(Math.abs(actual.get(addr) - d) <= 1e-12, `${message}: ${addr} ${actual.get(addr)} vs ${d}`);
+  }
+}
+
+function freshDist(graph) {
+  const fresh = new RoutingGraph(normalizePools(rows.map(r => ({
+    ...r,
+    tokens: r.tokens.map(t => ({ ...t, reserve: graph.getPool(r.pool_addr).getToken(t.addr).reserve })),
+  }))));
+  return computeReverseHeuristic(fresh.adj, target, penalty, null, fresh.tokenToId, { graph: fresh }).dist;
+}
+
+const graph = new RoutingGraph(normalizePools(rows));
+const stats = () => getHeuristicCacheStats();
+
+const first = computeReverseHeuristic(graph.adj, target, penalty, null, graph.tokenToId, { graph });
+assert.strictEqual(stats().fullRecomputes, 1);
+assert.ok(first.heuristicArr instanceof Float64Array);
+
+// Same version → hit
+const again = computeReverseHeuristic(graph.adj, target, penalty, null, graph.tokenToId, { graph });
+assert.strictEqual(again.dist, first.dist);
+assert.strictEqual(stats().hits, 1);
+
+// Liquidity that keeps the price: new version, nothing stale, patched for free
+graph.applyEvent({ type: 'LiquidityAdded', pool_addr: '0xisland', amounts: { [T(10).addr]: '1000', [T(11).addr]: '1000' } });
+computeReverseHeuristic(graph.adj, target, penalty, null, graph.tokenToId, { graph });
+assert.strictEqual(stats().staleHits, 1);
+assert.strictEqual(stats().partialRecomputes, 1);
+assert.strictEqual(stats().patchedTokens, 0);
+
+// Same topology, moved price (the old count-based key would have hit here):
+// only the changed tokens and their shortest-path subtrees are recomputed
+graph.applyEvent({ type: 'Swapped', pool_addr: '0xp1', reserves: { [T(1).addr]: '1000000000000', [T(2).addr]: '3000000000000' } });
+assert.deepStrictEqual([...graph.changedTokensSince(graph.version - 1)].sort(), [T(1).addr, T(2).addr].sort());
+const beforePatch = stats();
+const patched = computeReverseHeuristic(graph.adj, target, penalty, null, graph.tokenToId, { graph });
+assert.strictEqual(stats().partialRecomputes, beforePatch.partialRecomputes + 1);
+assert.ok(stats().patchedTokens - beforePatch.patchedTokens < graph.tokenToId.size / 4, 'only part of the graph is reset');
+assertSameDist(patched.dist, freshDist(graph), 'patched heuristic');
+assert.strictEqual(patched.heuristicArr[graph.tokenToId.get(T(1).addr)], patched.dist.get(T(1).addr));
+
+// A cheaper edge far from the target also propagates to kept tokens upstream
+graph.applyEvent({ type: 'Swapped', pool_addr: '0xp5', reserves: { [T(5).addr]: '1000000000000', [T(6).addr]: '100000000000' } });
+graph.applyEvent({ type: 'Swapped', pool_addr: '0xp5', reserves: { [T(5).addr]: '100000000000', [T(6).addr]: '1000000000000' } });
+assertSameDist(computeReverseHeuristic(graph.adj, target, penalty, null, graph.tokenToId, { graph }).dist, freshDist(graph), 'patched after two events');
+
+// Too many changed tokens → full recompute, still correct
+for (const pool of ['0xp3', '0xp4', '0xp6', '0xp7']) {
+  graph.applyEvent({ type: 'Swapped', pool_addr: pool, reserves: Object.fromEntries(graph.getPool(pool).tokens.map((t, i) => [t.addr, String((i + 2) * 1e12)])) });
+}
+const beforeFull = stats().fullRecomputes;
+const recomputed = computeReverseHeuristic(graph.adj, target, penalty, null, graph.tokenToId, { graph });
+assert.strictEqual(stats().fullRecomputes, beforeFull + 1);
+assertSameDist(recomputed.dist, freshDist(graph), 'recomputed heuristic');
+
+// Plain adjacency maps are validated by a weight hash
+const pools = normalizePools(rows);
+const { adj } = buildAdjacencyMap(pools, new RoutingGraph(pools).tokenMap);
+compressParallelEdges(adj);
+const hashBefore = adjacencyWeightHash(adj);
+const plain = computeReverseHeuristic(adj, target, penalty);
+assert.strictEqual(computeReverseHeuristic(adj, target, penalty), plain, 'unchanged weights hit');
+adj.get(T(3).addr)[0].logSpotPrice += 0.5;
+assert.notStrictEqual(adjacencyWeightHash(adj), hashBefore);
+assert.notStrictEqual(computeReverseHeuristic(adj, target, penalty), plain, 'moved weight recomputes');
+
+// LRU over targets
+const lru = new HeuristicCache({ maxEntries: 2 });
+lru.set('a', { graphId: 0, version: 0 });
+lru.set('b', { graphId: 0, version: 0 });
+assert.strictEqual(lru.lookup('a', { graphId: 0, version: 0 }).status, 'hit');
+lru.set('c', { graphId: 0, version: 0 });
+assert.strictEqual(lru.lookup('b', { graphId: 0, version: 0 }).status, 'miss', 'least recently used entry evicted');
+assert.strictEqual(lru.lookup('a', { graphId: 0, version: 1 }).status, 'stale');
+assert.strictEqual(lru.lookup('a', { graphId: 1, version: 0 }).status, 'stale', 'another graph never hits');
+const lruStats = lru.stats();
+assert.strictEqual(lruStats.evictions, 1);
+assert.strictEqual(lruStats.hitRate, 1 / 4);
+assert.strictEqual(lruStats.staleRate, 2 / 4);
+
+console.log('✅ Heuristic cache test passed');
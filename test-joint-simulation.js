@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools, PoolWrapper } = require('./pool-source.js');
+const { SQRT_PRICE_SCALE } = require('./clmm-simulator.js');
+const { quoteOut, quoteOutInt, applySwap, applySwapInt } = require('./pool-models.js');
+const { simulateRoute, simulateRouteInt, simulateRouteExactOutInt } = require('./phase1-astar-mike.js');
+const {
+  clonePool,
+  findSharedPools,
+  simulateRoutesJoint,
+  simulateRoutesJointInt,
+  simulateRoutesJointExactOutInt,
+  jointNetOutput,
+  refineAllocationJoint,
+} = require('./joint-simulation.js');
+const { simulateAllocation, simulateAllocationExactOut } = require('./phase2-waterfill.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+const pools = Object.fromEntries(normalizePools([
+  row('0xaptusdc', [APT, USDC], [1e12, 5e10]),
+  row('0xaptusdt', [APT, USDT], [1e12, 5e10]),
+  row('0xusdtusdc', [USDT, USDC], [5e11, 5e11], { poolType: 'STABLE' }),
+  row('0xaptusdc2', [APT, USDC], [4e11, 2e10]),
+  row('0xusdtusdc2', [USDT, USDC], [5e11, 5e11]),
+]).map(pool => [pool.addr, pool]));
+pools['0xusdtusdc'].amp = 200;
+
+const hop = (pool, from, to) => ({ pool: pools[pool], fromAddr: from.addr, toAddr: to.addr });
+const direct = [hop('0xaptusdc', APT, USDC)];
+const viaUsdt = [hop('0xaptusdt', APT, USDT), hop('0xusdtusdc', USDT, USDC)];
+// Shares the saturated first pool with viaUsdt, exits through another pool
+const sharedFirst = [hop('0xaptusdt', APT, USDT), hop('0xusdtusdc2', USDT, USDC)];
+const otherDirect = [hop('0xaptusdc2', APT, USDC)];
+
+// Disjoint legs: joint equals standalone, float and integer
+const disjoint = simulateRoutesJoint([direct, viaUsdt], [1e10, 2e10]);
+assert.strictEqual(disjoint[0], simulateRoute(direct, 1e10));
+assert.strictEqual(disjoint[1], simulateRoute(viaUsdt, 2e10));
+const disjointInt = simulateRoutesJointInt([direct, otherDirect], [10000000000n, 5000000000n]);
+assert.strictEqual(disjointInt[0], simulateRouteInt(direct, 10000000000n));
+assert.strictEqual(disjointInt[1], simulateRouteInt(otherDirect, 5000000000n));
+assert.deepStrictEqual(findSharedPools([direct, viaUsdt]), []);
+
+// Shared pool: the second leg trades against the reserves the first leg left
+const legs = [viaUsdt, sharedFirst];
+const joint = simulateRoutesJoint(legs, [1e11, 1e11]);
+assert.strictEqual(joint[0], simulateRoute(viaUsdt, 1e11));
+// Replay leg 1 on a copy of the shared pool, then quote leg 2 on it
+const sharedCopy = clonePool(pools['0xaptusdt']);
+applySwap(sharedCopy, APT.addr, USDT.addr, 1e11);
+assert.strictEqual(joint[1], simulateRoute([{ ...sharedFirst[0], pool: sharedCopy }, sharedFirst[1]], 1e11));
+const standalone = simulateRoute(sharedFirst, 1e11);
+assert.ok(joint[1] < standalone, 'shared pools are no longer double counted');
+assert.strictEqual(pools['0xaptusdt'].getToken(APT.addr).reserveNum, 1e12, 'original pools untouched');
+
+const shared = findSharedPools(legs, [1n, 1n]);
+assert.deepStrictEqual(shared.map(s => [s.poolAddr, s.routeIdxs, s.opposing]), [['0xaptusdt', [0, 1], false]]);
+assert.deepStrictEqual(findSharedPools(legs, [1n, 0n]), [], 'unused legs do not count');
+const opposing = findSharedPools([direct, [hop('0xaptusdc', USDC, APT)]]);
+assert.strictEqual(opposing[0].opposing, true);
+
+// Constant-product: applying a trade moves reserves by the full input (fee stays in the pool)
+const amm = clonePool(pools['0xaptusdc']);
+const out = applySwap(amm, APT.addr, USDC.addr, 1e10);
+assert.strictEqual(out, quoteOut(pools['0xaptusdc'], APT.addr, USDC.addr, 1e10));
+assert.strictEqual(amm.getToken(APT.addr).reserveNum, 1e12 + 1e10);
+assert.strictEqual(amm.getToken(USDC.addr).reserveNum, 5e10 - out);
+const ammInt = clonePool(pools['0xaptusdc']);
+const outInt = applySwapInt(ammInt, APT.addr, USDC.addr, 10000000000n);
+assert.strictEqual(outInt, quoteOutInt(pools['0xaptusdc'], APT.addr, USDC.addr, 10000000000n));
+assert.strictEqual(ammInt.getToken(USDC.addr).reserveRaw, 50000000000n - outInt);
+
+// CLMM: two trades in a row equal one trade of the combined size (fees do not add liquidity)
+const clmm = new PoolWrapper({
+  pool_addr: '0xclmm',
+  pool_type: 'CLMM',
+  fee_tier: '0.003',
+  liquidity: '1000000000000',
+  sqrt_price: String(0.05 * SQRT_PRICE_SCALE),
+  tokens: [
+    { addr: APT.addr, symbol: 'APT', decimals: 8, reserve: '1', token_idx: 0 },
+    { addr: USDC.addr, symbol: 'USDC', decimals: 6, reserve: '1', token_idx: 1 },
+  ],
+}, []);
+const clmmCopy = clonePool(clmm);
+const first = applySwap(clmmCopy, APT.addr, USDC.addr, 3e9);
+const second = applySwap(clmmCopy, APT.addr, USDC.addr, 2e9);
+assert.ok(Math.abs(first + second - quoteOut(clmm, APT.addr, USDC.addr, 5e9)) < 1e-6 * (first + second));
+assert.ok(second < quoteOut(clmm, APT.addr, USDC.addr, 2e9), 'second trade sees the moved price');
+const clmmCopyInt = clonePool(clmm);
+const firstInt = applySwapInt(clmmCopyInt, APT.addr, USDC.addr, 3000000000n);
+const secondInt = applySwapInt(clmmCopyInt, APT.addr, USDC.addr, 2000000000n);
+const combinedInt = quoteOutInt(clmm, APT.addr, USDC.addr, 5000000000n);
+assert.ok(firstInt + secondInt <= combinedInt && combinedInt - (firstInt + secondInt) <= 2n, 'integer path rounds down per trade');
+
+// Final split simulation reports the joint total and flags the shared pools
+const allocation = simulateAllocation(legs, [100000000000n, 100000000000n], APT, USDC, 0);
+assert.strictEqual(allocation.totalOutputRawInt, simulateRoutesJointInt(legs, [100000000000n, 100000000000n]).reduce((a, b) => a + b, 0n));
+assert.ok(allocation.totalOutputRaw < simulateRoute(viaUsdt, 1e11) + standalone);
+assert.strictEqual(allocation.sharedPools.length, 1);
+assert.deepStrictEqual(simulateAllocation([direct, otherDirect], [1n, 1n], APT, USDC, 0).sharedPools, []);
+
+// Exact output: the second leg needs more input after the first moved the shared pool
+const exactOut = simulateAllocationExactOut(legs, [1000000000n, 1000000000n], APT, USDC, [0, 0], 50);
+const [inA, inB] = simulateRoutesJointExactOutInt(legs, [1000000000n, 1000000000n]);
+assert.strictEqual(inA, simulateRouteExactOutInt(viaUsdt, 1000000000n));
+assert.ok(inB > simulateRouteExactOutInt(sharedFirst, 1000000000n));
+assert.strictEqual(exactOut.totalInputRawInt, inA + inB);
+assert.strictEqual(exactOut.sharedPools.length, 1);
+
+// Refinement on the joint objective never loses output
+const candidates = [direct, viaUsdt, sharedFirst, otherDirect];
+const start = [0, 4e11, 4e11, 0]; // both legs on the shared pool
+const refined = refineAllocationJoint(candidates, start, 1e4);
+assert.ok(refined.outputRaw >= jointNetOutput(candidates, start, 1e4));
+assert.ok(refined.gainRaw > 0);
+assert.ok(Math.abs(refined.allocations.reduce((a, b) => a + b, 0) - 8e11) < 1, 'input is conserved');
+
+console.log('✅ Joint simulation test passed');
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { simulateRoute } = require('./astar-search.js');
+const { createRouter, silentLogger } = require('./router.js');
+const {
+  priceLevelGrid,
+  amountLevelGrid,
+  outputAt,
+  marginalAt,
+  buildOrderbookLadder,
+  ladderAccuracy,
+  getOrderbookOptions,
+} = require('./orderbook.js');
+const { APT, USDC, USDT, token, row } = require('./test-fixtures.js');
+
+const DAI = token('DAI', '0xd', 8);
+
+const pools = normalizePools([
+  row('0xapt-usdc', [APT, USDC], [2e13, 1e12]),   // 200k APT / 1M USDC
+  row('0xapt-usdt', [APT, USDT], [1e13, 5e11]),
+  row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+  row('0xusdt-dai', [USDT, DAI], [1e12, 1e14]),
+  row('0xdai-usdc', [DAI, USDC], [1e14, 1e12]),
+]);
+const router = createRouter(pools, { logger: silentLogger, gasPerHopUSD: 0 });
+const { routes } = router.findRoutes('APT', 'USDC', 10000);
+const threeHop = routes.find(route => route.length === 3);
+assert.ok(threeHop, 'fixture has a 3-hop route');
+
+// Grids
+assert.deepStrictEqual(priceLevelGrid({ levels: 3, stepBps: 25 }), { priceLevelsBps: [25, 50, 75] });
+assert.deepStrictEqual(amountLevelGrid(100, { levels: 4 }), { amounts: [25, 50, 75, 100] });
+const geometric = amountLevelGrid(1024, { levels: 11, spacing: 'geometric' }).amounts;
+assert.ok(Math.abs(geometric[0] - 1) < 1e-9 && geometric[10] === 1024);
+assert.throws(() => priceLevelGrid({ levels: 100, stepBps: 100 }), /Invalid price grid/);
+assert.throws(() => amountLevelGrid(10, { spacing: 'log' }), /Unknown grid spacing/);
+
+// Interpolation: linear output from the origin, midpoint marginals, zero past a saturated curve
+const curve = [{ inputRaw: 10, outputRaw: 20 }, { inputRaw: 20, outputRaw: 30 }];
+assert.deepStrictEqual([outputAt(curve, 5), outputAt(curve, 15), outputAt(curve, 40)], [10, 25, 30]);
+assert.deepStrictEqual([marginalAt(curve, 5), marginalAt(curve, 10), marginalAt(curve, 15), marginalAt(curve, 40)], [2, 1.5, 1, 1]);
+curve.saturated = true;
+assert.strictEqual(marginalAt(curve, 40), 0);
+
+// Amount ladder: cumulative entries close to direct simulation, including 3+ hop routes
+const amounts = amountLevelGrid(20000, { levels: 8 });
+const ladder = buildOrderbookLadder(routes, APT, USDC, amounts, { cache: null });
+assert.strictEqual(ladder.entries.length, 8);
+assert.ok(ladder.entries.every((e, i) => i === 0 || (e.amountIn > ladder.entries[i - 1].amountIn && e.amountOut > ladder.entries[i - 1].amountOut)));
+assert.ok(ladder.entries.every(e => e.marginalPrice < e.avgPrice && e.avgPrice < ladder.spotPrice));
+const accuracy = ladderAccuracy(ladder, routes, APT, USDC);
+assert.ok(accuracy.maxOutputError < 1e-3, `output error ${accuracy.maxOutputError}`);
+assert.ok(accuracy.maxMarginalError < 1e-2, `marginal error ${accuracy.maxMarginalError}`);
+assert.ok(accuracy.entries.every(e => e.sameRoute));
+const deepHops = buildOrderbookLadder([threeHop], APT, USDC, amounts, { cache: null });
+assert.ok(ladderAccuracy(deepHops, [threeHop], APT, USDC).maxOutputError < 1e-3);
+
+// Precision: a looser tolerance samples less and is less accurate; fixed curves work too
+const loose = buildOrderbookLadder(routes, APT, USDC, amounts, { cache: null, tolerance: 0.05 });
+const tight = buildOrderbookLadder(routes, APT, USDC, amounts, { cache: null, tolerance: 0.0005 });
+assert.ok(loose.sampling.simulations < tight.sampling.simulations);
+assert.ok(ladderAccuracy(tight, routes, APT, USDC).maxOutputError <= ladderAccuracy(loose, routes, APT, USDC).maxOutputError);
+const fixed = buildOrderbookLadder(routes, APT, USDC, amounts, { curveSampling: 'fixed' });
+assert.strictEqual(fixed.sampling.mode, 'fixed');
+assert.ok(ladderAccuracy(fixed, routes, APT, USDC).maxOutputError < 1e-2);
+
+// Price ladder: each entry is where the marginal price reaches its level
+const grid = priceLevelGrid({ levels: 5, stepBps: 20 });
+const book = buildOrderbookLadder(routes, APT, USDC, grid, { depth: 50000, cache: null });
+assert.strictEqual(book.grid, 'price');
+assert.deepStrictEqual(book.entries.map(e => e.level), [20, 40, 60, 80, 100]);
+const spotRate = simulateRoute(routes[0], 1e3) / 1e3 * 100;
+assert.ok(Math.abs(book.spotPrice - spotRate) / spotRate < 1e-6);
+book.entries.forEach(e => {
+  const level = book.spotPrice * (1 - e.level / 10000);
+  assert.ok(Math.abs(e.marginalPrice - level) / level < 1e-6, `level ${e.level}: marginal ${e.marginalPrice} vs ${level}`);
+});
+assert.ok(book.entries.every((e, i) => i === 0 || e.amountIn > book.entries[i - 1].amountIn));
+assert.ok(!book.truncated);
+const bookAccuracy = ladderAccuracy(book, routes, APT, USDC);
+assert.ok(bookAccuracy.entries.every(e => Math.abs(e.simulatedMarginalPrice - e.marginalPrice) / e.simulatedMarginalPrice < 2e-3));
+
+// Depth bounds the ladder
+const shallow = buildOrderbookLadder(routes, APT, USDC, grid, { depth: 500, cache: null });
+assert.ok(shallow.truncated && shallow.entries.length < 5 && shallow.entries.every(e => e.amountIn <= 500));
+assert.throws(() => buildOrderbookLadder(routes, APT, USDC, grid), /depth must be a positive amount/);
+assert.throws(() => buildOrderbookLadder(routes, APT, USDC, { levels: 3 }, { depth: 1 }), /needs priceLevelsBps or amounts/);
+assert.ok(buildOrderbookLadder(routes, APT, USDC, amountLevelGrid(30000, { levels: 3 }), { depth: 20000 }).truncated);
+
+// Router: its curve settings and gas; isExceed past the route capacity
+const viaRouter = router.orderbook(routes, 'APT', 'USDC', amounts, { cache: null });
+assert.deepStrictEqual(viaRouter.entries.map(e => e.amountOut), ladder.entries.map(e => e.amountOut));
+const withGas = createRouter(pools, { logger: silentLogger, gasPerHopUSD: 1 }).orderbook(routes, 'APT', 'USDC', amounts, { cache: null });
+assert.ok(withGas.entries.every((e, i) => e.amountOut < ladder.entries[i].amountOut));
+
+// Gas: spot, average and marginal prices on one net basis, monotonic from minAmountIn on
+const gasRaw = 1e6;
+const monotonic = book => book.entries.every((e, i) => e.marginalPrice <= e.avgPrice * (1 + 1e-12) && e.avgPrice <= book.spotPrice * (1 + 1e-12) &&
+  (i === 0 || (e.amountIn > book.entries[i - 1].amountIn && e.avgPrice <= book.entries[i - 1].avgPrice && e.marginalPrice <= book.entries[i - 1].marginalPrice)));
+const gasAmounts = buildOrderbookLadder(routes, APT, USDC, amountLevelGrid(20000, { levels: 10, spacing: 'geometric' }), { cache: null, gasPerHopInOutputTokensRaw: gasRaw });
+assert.ok(gasAmounts.minAmountIn > 1 && gasAmounts.belowMinimum > 0, `minAmountIn ${gasAmounts.minAmountIn}`);
+assert.strictEqual(gasAmounts.entries.length + gasAmounts.belowMinimum, 10);
+assert.ok(gasAmounts.entries.every(e => e.amountIn >= gasAmounts.minAmountIn) && monotonic(gasAmounts));
+assert.ok(gasAmounts.spotPrice < book.spotPrice);
+const gasBook = buildOrderbookLadder(routes, APT, USDC, grid, { depth: 50000, cache: null, gasPerHopInOutputTokensRaw: gasRaw });
+assert.ok(monotonic(gasBook) && gasBook.entries.every(e => e.amountIn > gasBook.minAmountIn));
+assert.ok(monotonic(ladder) && monotonic(book) && ladder.belowMinimum === 0);
+
+const twoHop = routes.find(route => route.length === 2);
+const huge = buildOrderbookLadder([twoHop], APT, USDC, { amounts: [twoHop.capRaw / 1e8 * 1.5] }, { cache: null });
+assert.ok(huge.entries[0].isExceed && !ladder.entries.some(e => e.isExceed));
+
+// Options
+const options = getOrderbookOptions(['--orderbook', '--orderbook-grid=geometric', '--orderbook-levels=8', '--orderbook-depth=500', '--orderbook-tol=0.001']);
+assert.deepStrictEqual(
+  [options.enabled, options.grid, options.levels, options.stepBps, options.depth, options.tolerance, options.maxSamples],
+  [true, 'geometric', 8, 10, 500, 0.001, 96]
+);
+assert.deepStrictEqual([getOrderbookOptions([]).enabled, getOrderbookOptions([]).depth, getOrderbookOptions([]).tolerance], [false, null, null]);
+
+console.log('✅ Orderbook ladder test passed');
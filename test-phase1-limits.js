@@ -5,36 +5,16 @@
  * 
  * Demonstrates why Phase 1 cannot handle 3+ hops
  * Shows exponential growth in routes found
+ * 
+ * Usage:
+ *   node test-phase1-limits.js
+ *   node test-phase1-limits.js --snapshot=snapshots/pools.json
  */
 
-require('dotenv').config();
-const { Client } = require('pg');
-
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME || 'tapp',
-  user: process.env.DB_USER || 'tapp',
-  password: process.env.DB_PASSWORD || 'tapp',
-};
+const { getSnapshotOptions } = require('./pool-snapshot.js');
+const { loadPools } = require('./pool-source.js');
 
-class PoolWrapper {
-  constructor(data) {
-    this.addr = data.pool_addr;
-    this.type = data.pool_type;
-    this.fee = parseFloat(data.fee_tier);
-    this.liquidity = data.liquidity;
-    this.tokens = data.tokens || [];
-  }
-  
-  hasToken(tokenAddr) {
-    return this.tokens.some(t => t.addr === tokenAddr);
-  }
-  
-  getOtherToken(tokenAddr) {
-    return this.tokens.find(t => t.addr !== tokenAddr);
-  }
-}
+const snapshotOptions = getSnapshotOptions(process.argv.slice(2));
 
 // DFS with progress tracking
 function findAllRoutesDFS_WithProgress(pools, tokenInAddr, tokenOutAddr, maxHops) {
@@ -138,42 +118,10 @@ async function main() {
   console.log('='.repeat(80));
   console.log();
   
-  const client = new Client(dbConfig);
-  
   try {
-    await client.connect();
-    
-    // Fetch pools
-    const poolsQuery = `
-      SELECT 
-        p.addr as pool_addr,
-        p.pool_type,
-        p.fee_tier,
-        p.liquidity,
-        json_agg(
-          json_build_object(
-            'addr', t.addr,
-            'symbol', t.ticker,
-            'decimals', t.decimals,
-            'reserve', ptm.reserve,
-            'token_idx', ptm.token_idx
-          ) ORDER BY ptm.token_idx
-        ) as tokens
-      FROM pools p
-      JOIN pool_token_mps ptm ON p.addr = ptm.pool_id
-      JOIN tokens t ON ptm.token_addr = t.addr
-      WHERE p.status = 'ACTIVE'
-        AND p.liquidity > 0
-      GROUP BY p.addr, p.pool_type, p.fee_tier, p.liquidity
-      ORDER BY p.liquidity DESC
-    `;
-    
-    const poolsResult = await client.query(poolsQuery);
-    const pools = poolsResult.rows.map(p => new PoolWrapper(p));
-    
-    const tokensQuery = `SELECT addr, ticker as symbol FROM tokens`;
-    const tokensResult = await client.query(tokensQuery);
-    const tokenMap = new Map(tokensResult.rows.map(r => [r.symbol, r.addr]));
+    const poolData = await loadPools(snapshotOptions);
+    const pools = poolData.pools;
+    const tokenMap = new Map(poolData.tokens.map(r => [r.symbol, r.addr]));
     
     console.log(`📊 Database: ${pools.length} active pools loaded\n`);
     console.log('='.repeat(80));
@@ -251,8 +199,6 @@ async function main() {
     
   } catch (error) {
     console.error('❌ Error:', error.message);
-  } finally {
-    await client.end();
   }
 }
 
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { PoolWrapper } = require('./pool-source.js');
+const { SQRT_PRICE_SCALE } = require('./clmm-simulator.js');
+const {
+  constantProductModel,
+  registerPoolModel,
+  getPoolModel,
+  quoteOut,
+  quoteIn,
+  spotPrice,
+  marginalPrice,
+} = require('./pool-models.js');
+
+const TOKENS = [
+  { addr: '0xa', symbol: 'A', decimals: 6, token_idx: 0 },
+  { addr: '0xb', symbol: 'B', decimals: 6, token_idx: 1 },
+];
+
+function makePool(poolType, reserves, extra = {}) {
+  return new PoolWrapper({
+    pool_addr: `0x${poolType.toLowerCase()}`,
+    pool_type: poolType,
+    fee_tier: '0.003',
+    liquidity: '0',
+    sqrt_price: null,
+    tokens: TOKENS.map((t, i) => ({ ...t, reserve: String(reserves[i]) })),
+    ...extra,
+  });
+}
+
+function close(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relTol, `${message}: ${actual} vs ${expected}`);
+}
+
+const pools = [
+  makePool('AMM', [1e12, 2e12]),
+  makePool('STABLE', [1e12, 1.1e12], { amp: 200 }),
+  makePool('CLMM', [1e12, 1e12], { liquidity: '1e12', sqrt_price: String(Math.sqrt(2) * SQRT_PRICE_SCALE) }),
+];
+
+for (const pool of pools) {
+  const amountIn = 5e10;
+  const out = quoteOut(pool, '0xa', '0xb', amountIn);
+  assert.ok(out > 0, `${pool.type}: quoteOut should be positive`);
+
+  // quoteIn inverts quoteOut
+  close(quoteIn(pool, '0xa', '0xb', out), amountIn, 1e-6, `${pool.type}: quoteIn(quoteOut(x)) = x`);
+
+  // spotPrice is the marginal price at zero size, and bounds the average price
+  close(marginalPrice(pool, '0xa', '0xb', 0), spotPrice(pool, '0xa', '0xb'), 1e-9, `${pool.type}: marginal at 0 = spot`);
+  assert.ok(out / amountIn < spotPrice(pool, '0xa', '0xb'), `${pool.type}: average price below spot`);
+
+  // marginalPrice matches a finite difference of quoteOut
+  const h = amountIn * 1e-4;
+  const numeric = (quoteOut(pool, '0xa', '0xb', amountIn + h) - quoteOut(pool, '0xa', '0xb', amountIn - h)) / (2 * h);
+  close(marginalPrice(pool, '0xa', '0xb', amountIn), numeric, 1e-4, `${pool.type}: marginal price at size`);
+
+  // PoolWrapper delegates to the registry
+  assert.strictEqual(pool.getSpotPrice('0xa', '0xb'), spotPrice(pool, '0xa', '0xb'));
+}
+
+// Unknown types and plain objects fall back to constant-product
+assert.strictEqual(getPoolModel({ type: 'SOMETHING_NEW' }), constantProductModel);
+assert.strictEqual(getPoolModel({ tokens: [] }), constantProductModel);
+assert.strictEqual(quoteIn(pools[0], '0xa', '0xb', 2e12), Infinity, 'cannot buy the whole reserve');
+
+// New pool types are one registration away
+assert.throws(() => registerPoolModel('BROKEN', { quoteOut() {} }), /must implement quoteIn/);
+registerPoolModel('FIXED_RATE', {
+  quoteOut: (pool, tokenInAddr, tokenOutAddr, amountIn) => amountIn * 2,
+  quoteIn: (pool, tokenInAddr, tokenOutAddr, amountOut) => amountOut / 2,
+  spotPrice: () => 2,
+  marginalPrice: () => 2,
+});
+const fixed = makePool('FIXED_RATE', [1, 1]);
+assert.strictEqual(quoteOut(fixed, '0xa', '0xb', 10), 20);
+assert.strictEqual(fixed.getSpotPrice('0xa', '0xb'), 2);
+
+console.log('✅ Pool models test passed');
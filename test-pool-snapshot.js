@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SNAPSHOT_VERSION,
+  getSnapshotOptions,
+  createSnapshot,
+  readSnapshot,
+  writeSnapshot,
+} = require('./pool-snapshot.js');
+
+function makePoolRow() {
+  return {
+    pool_addr: '0xpool1',
+    pool_type: 'AMM',
+    fee_tier: '0.003',
+    liquidity: '1000000',
+    sqrt_price: null,
+    tokens: [
+      { addr: '0xapt', symbol: 'APT', decimals: 8, reserve: 5e11, token_idx: 0 },
+      { addr: '0xusdc', symbol: 'USDC', decimals: 6, reserve: 2.5e10, token_idx: 1 },
+    ],
+  };
+}
+
+async function main() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sor-snapshot-'));
+  const filePath = path.join(tmpDir, 'nested', 'pools.json');
+
+  const tokens = [
+    { addr: '0xapt', symbol: 'APT', decimals: 8, extra: 'dropped' },
+    { addr: '0xusdc', symbol: 'USDC', decimals: 6 },
+  ];
+  const snapshot = createSnapshot([makePoolRow()], tokens, { type: 'fixture' });
+  writeSnapshot(filePath, snapshot);
+
+  // Round trip keeps rows byte-for-byte and strips unknown token columns
+  const loaded = readSnapshot(filePath);
+  assert.strictEqual(loaded.version, SNAPSHOT_VERSION);
+  assert.deepStrictEqual(loaded.pools, [makePoolRow()]);
+  assert.deepStrictEqual(loaded.tokens[0], { addr: '0xapt', symbol: 'APT', decimals: 8 });
+  assert.ok(!Number.isNaN(Date.parse(loaded.capturedAt)), 'capturedAt should be an ISO timestamp');
+
+  // Version and shape validation
+  fs.writeFileSync(filePath, JSON.stringify({ ...snapshot, version: 99 }));
+  assert.throws(() => readSnapshot(filePath), /Unsupported snapshot .* version 99/);
+  fs.writeFileSync(filePath, JSON.stringify({ ...snapshot, pools: [{ pool_addr: '0xbad', tokens: [] }] }));
+  assert.throws(() => readSnapshot(filePath), /must list at least 2 tokens/);
+
+  // CLI flag parsing
+  assert.deepStrictEqual(
+    getSnapshotOptions(['APT', 'USDC', '--snapshot=a.json']),
+    { snapshotPath: 'a.json', dumpSnapshotPath: null }
+  );
+  assert.throws(() => getSnapshotOptions(['--snapshot=a.json', '--dump-snapshot=b.json']), /cannot be combined/);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log('✅ Pool snapshot test passed');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const dotenv = require('dotenv');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshot, writeSnapshot, readSnapshot } = require('./pool-snapshot.js');
+const {
+  PoolWrapper,
+  FixturePoolSource,
+  JsonFilePoolSource,
+  createPoolSource,
+  loadPools,
+} = require('./pool-source.js');
+
+const ROWS = [
+  {
+    pool_addr: '0xpool1',
+    pool_type: 'AMM',
+    fee_tier: '0.003',
+    liquidity: '1000000',
+    sqrt_price: null,
+    tokens: [
+      { addr: '0xapt', symbol: 'APT', decimals: '8', reserve: '500000000000', token_idx: 0 },
+      { addr: '0xusdc', symbol: 'USDC', decimals: 6, reserve: 2.5e10, token_idx: 1 },
+    ],
+  },
+];
+
+async function main() {
+  // Normalization parses every numeric field exactly once
+  const pool = new PoolWrapper(ROWS[0]);
+  assert.strictEqual(pool.addr, '0xpool1');
+  assert.strictEqual(pool.fee, 0.003);
+  assert.strictEqual(pool.tokens[0].decimals, 8);
+  assert.strictEqual(pool.tokens[0].reserveNum, 5e11);
+  assert.strictEqual(pool.tokens[1].reserveNum, 2.5e10);
+  assert.strictEqual(pool.tokens[0].reserve, '500000000000', 'raw reserve is kept for exact math');
+  const expectedSpot = (2.5e10 / 5e11) * (1 - 0.003);
+  assert.ok(Math.abs(pool.getSpotPrice('0xapt', '0xusdc') - expectedSpot) < 1e-15);
+
+  // Fixture backend derives token rows when none are given
+  const fixture = await new FixturePoolSource({ pools: ROWS }).load();
+  assert.strictEqual(fixture.source.type, 'fixture');
+  assert.ok(fixture.pools[0] instanceof PoolWrapper);
+  assert.deepStrictEqual(fixture.tokens.map(t => t.symbol), ['APT', 'USDC']);
+  assert.strictEqual(fixture.rows, ROWS, 'raw rows are passed through untouched');
+
+  // Tick rows are attached to CLMM pools only
+  const clmmRow = { ...ROWS[0], pool_addr: '0xclmm', pool_type: 'CLMM', sqrt_price: String(2 ** 64) };
+  const withTicks = await new FixturePoolSource({
+    pools: [...ROWS, clmmRow],
+    ticks: { '0xclmm': [{ tick: '10', liquidity_net: '5' }, { tick: -10, liquidity_net: '-5' }], '0xpool1': [{ tick: 0, liquidity_net: 1 }] },
+  }).load();
+  assert.strictEqual(withTicks.pools[0].ticks, null);
+  assert.deepStrictEqual(withTicks.pools[1].ticks, [
+    { tick: -10, liquidityNet: -5, liquidityNetRaw: -5n },
+    { tick: 10, liquidityNet: 5, liquidityNetRaw: 5n },
+  ]);
+
+  // JSON file backend + dump round trip through loadPools
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sor-source-'));
+  const snapPath = path.join(tmpDir, 'pools.json');
+  const dumpPath = path.join(tmpDir, 'dump.json');
+  const capturedAt = '2024-01-02T03:04:05.000Z';
+  writeSnapshot(snapPath, createSnapshot(ROWS, fixture.tokens, { type: 'fixture' }, {}, capturedAt));
+
+  // Snapshot and fixture sources never read .env for the database config
+  const dotenvConfig = dotenv.config;
+  let dotenvLoads = 0;
+  dotenv.config = () => {
+    dotenvLoads++;
+    return { parsed: {} };
+  };
+  assert.ok(createPoolSource({ snapshotPath: snapPath }) instanceof JsonFilePoolSource);
+  assert.ok(createPoolSource({ fixture: { pools: ROWS } }) instanceof FixturePoolSource);
+  const fromFile = await loadPools({ snapshotPath: snapPath, dumpSnapshotPath: dumpPath });
+  dotenv.config = dotenvConfig;
+  assert.strictEqual(dotenvLoads, 0);
+
+  assert.strictEqual(fromFile.source.type, 'snapshot');
+  assert.strictEqual(fromFile.pools[0].tokens[0].reserveNum, 5e11);
+  assert.deepStrictEqual(readSnapshot(dumpPath).pools, ROWS);
+  assert.strictEqual(readSnapshot(dumpPath).capturedAt, capturedAt, 're-dumping keeps the capture time');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log('✅ Pool source test passed');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
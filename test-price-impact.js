@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const {
+  hopPriceImpact,
+  routePriceImpact,
+  withinImpactLimits,
+  maxInputWithinImpact,
+  maxHopInputWithinImpact,
+  enforceImpactLimits,
+  getPriceImpactOptions,
+} = require('./price-impact.js');
+const { optimizeRouteSplittingWaterfill } = require('./phase2-waterfill.js');
+const { optimizeRouteSplittingHillClimb } = require('./phase2-hillclimb.js');
+const { optimizeRouteSplittingConvex } = require('./phase2-convex.js');
+const { optimizeFlowSplittingDag } = require('./phase2-dagflow.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+function build() {
+  const pools = normalizePools([
+    row('0xdeep', [APT, USDC], [2e13, 1e12]),      // 200k APT / 1M USDC
+    row('0xshallow', [APT, USDC], [2e12, 1e11]),   // 20k APT
+    row('0xapt-usdt', [APT, USDT], [4e12, 2e11]),  // 40k APT
+    row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+  ]);
+  const hop = (pool, from, to) => ({ pool, fromAddr: from.addr, toAddr: to.addr });
+  const routes = [
+    [hop(pools[0], APT, USDC)],
+    [hop(pools[1], APT, USDC)],
+    [hop(pools[2], APT, USDT), hop(pools[3], USDT, USDC)],
+  ];
+  return { pools, routes };
+}
+
+const { pools, routes } = build();
+const limits = { maxRouteImpact: 0.02, maxHopImpact: 0.02 };
+
+// Constant product: out/in = spot / (1 + x(1-fee)/R), so impact = x' / (R + x'); the fee is not impact
+const x = 1e11;
+const xAfterFee = x * 0.997;
+assert.ok(Math.abs(hopPriceImpact(pools[0], APT.addr, USDC.addr, x) - xAfterFee / (2e13 + xAfterFee)) < 1e-12);
+assert.strictEqual(hopPriceImpact(pools[0], APT.addr, USDC.addr, 0), 0);
+
+// Routes compound their hops
+const twoHop = routePriceImpact(routes[2], 1e11);
+assert.strictEqual(twoHop.hops.length, 2);
+assert.ok(Math.abs((1 - twoHop.impact) - (1 - twoHop.hops[0].impact) * (1 - twoHop.hops[1].impact)) < 1e-12);
+assert.strictEqual(twoHop.maxHopImpact, twoHop.hops[0].impact);
+assert.ok(withinImpactLimits(twoHop, { maxRouteImpact: 0.05 }) && !withinImpactLimits(twoHop, limits));
+
+// Largest input within the limit sits right at it, in whole raw units
+const cap = maxInputWithinImpact(routes[0], limits, 1e14);
+assert.ok(Number.isInteger(cap));
+assert.ok(Math.abs(routePriceImpact(routes[0], cap).impact - 0.02) < 1e-9);
+assert.strictEqual(maxInputWithinImpact(routes[0], limits, 1e10), 1e10, 'small trades are not capped');
+const hopCap = maxHopInputWithinImpact(pools[0], APT.addr, USDC.addr, 0.02);
+assert.ok(Math.abs(hopCap / cap - 1) < 1e-6, 'doubling search finds the same bound');
+assert.strictEqual(maxHopInputWithinImpact(pools[3], USDT.addr, USDC.addr, 1), Infinity);
+
+// Over-cap input moves to the other legs; what does not fit is unfilled
+const total = 1e12;
+const caps = routes.map(route => maxInputWithinImpact(route, limits, total));
+const limited = enforceImpactLimits(routes, [total * 0.9, total * 0.05, total * 0.05], limits, caps);
+limited.allocations.forEach((alloc, i) => assert.ok(alloc <= caps[i] * (1 + 1e-12)));
+assert.ok(limited.unfilledRaw > 0);
+assert.ok(Math.abs(limited.allocations.reduce((s, a) => s + a, 0) + limited.unfilledRaw - total) < 1);
+limited.allocations.forEach((alloc, i) => assert.ok(withinImpactLimits(routePriceImpact(routes[i], alloc), limits)));
+
+// Legs sharing a pool are checked together and trimmed
+const sameCap = maxInputWithinImpact(routes[0], limits, total);
+const shared = enforceImpactLimits([routes[0], routes[0]], [sameCap, sameCap], limits, [sameCap, sameCap]);
+assert.ok(shared.trimmedRoutes === 2 && shared.unfilledRaw > 0);
+const together = routePriceImpact(routes[0], shared.allocations[0] + shared.allocations[1]);
+assert.ok(together.impact <= 0.02, `joint impact ${together.impact}`);
+
+// Route splitters: every leg within the caps, shortfall reported
+const quiet = { gasPerHopUSD: 0, impactLimits: limits };
+const originalLog = console.log;
+console.log = () => {};
+let waterfill, hillclimb, convex, dag, uncapped;
+try {
+  waterfill = optimizeRouteSplittingWaterfill(build().routes, 10000, APT, USDC, { ...quiet, curveSampling: 'fixed' });
+  hillclimb = optimizeRouteSplittingHillClimb(build().routes, 10000, APT, USDC, quiet);
+  convex = optimizeRouteSplittingConvex(build().routes, 10000, APT, USDC, quiet);
+  dag = optimizeFlowSplittingDag(build().routes, 10000, APT, USDC, quiet);
+  uncapped = optimizeRouteSplittingConvex(build().routes, 10000, APT, USDC, { gasPerHopUSD: 0 });
+} finally {
+  console.log = originalLog;
+}
+// Capped legs are re-measured on the whole-unit joint simulation, with no slack over the cap
+for (const result of [waterfill, hillclimb, convex]) {
+  assert.ok(result.priceImpact.withinLimits, result.algorithm);
+  assert.ok(result.priceImpact.maxRouteImpact <= 0.02, `${result.algorithm}: ${result.priceImpact.maxRouteImpact}`);
+  assert.ok(result.priceImpact.unfilledRaw > 0);
+  assert.ok(result.totalInputHuman < 10000);
+  result.routes.forEach(r => assert.ok(r.priceImpact.impact <= 0.02 && r.priceImpact.hops.length === r.route.length));
+}
+assert.ok(uncapped.priceImpact.maxRouteImpact > 0.02, 'no limits, no caps');
+assert.strictEqual(uncapped.totalInputHuman, 10000);
+
+// DAG flow: every pool under the hop limit
+assert.ok(dag.priceImpact.withinLimits);
+assert.ok(dag.hops.every(h => h.impact <= 0.02));
+assert.ok(dag.priceImpact.unfilledRaw > 0 && dag.totalInputHuman < 10000);
+
+// Options: the hop limit defaults to the route limit
+assert.deepStrictEqual(getPriceImpactOptions([]), { maxRouteImpact: 0.05, maxHopImpact: 0.05 });
+assert.deepStrictEqual(getPriceImpactOptions(['--pi-max=0.1', '--pi-max-hop=0.03']), { maxRouteImpact: 0.1, maxHopImpact: 0.03 });
+for (const bad of ['--pi-max=abc', '--pi-max=', '--pi-max=0', '--pi-max=-0.1', '--pi-max=1.5', '--pi-max=Infinity', '--pi-max-hop=NaN']) {
+  assert.throws(() => getPriceImpactOptions([bad]), /Invalid --pi-max(-hop)? .*expected a number in \(0, 1\]/, bad);
+}
+assert.deepStrictEqual(getPriceImpactOptions(['--pi-max=1']), { maxRouteImpact: 1, maxHopImpact: 1 });
+
+console.log('✅ Price impact test passed');
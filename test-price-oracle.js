@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { buildTokenRegistry } = require('./token-registry.js');
+const { PriceOracle, resolveAnchors, buildPriceOracle, gasInToken, filterPoolsByTvl } = require('./price-oracle.js');
+const { APT, USDC, USDT, token, row } = require('./test-fixtures.js');
+
+const WETH = token('WETH', '0xe', 18);
+const MEME = token('MEME', '0xm');
+const JUNK = token('JUNK', '0xj');
+const ODD = token('ODD', '0xo');
+
+const pools = normalizePools([
+  row('0xapt-usdc', [APT, USDC], [4e13, 2e12]),           // 400k APT / 2M USDC: $5
+  row('0xapt-usdt', [APT, USDT], [2e13, 1e12], { feeTier: '0.01' }), // $5, higher fee
+  row('0xweth-apt', [WETH, APT], [4e20, 2e13]),           // 400 WETH / 200k APT: $2500
+  row('0xmeme-usdc', [MEME, USDC], [1e10, 1e9]),          // 100 MEME / $1000: $10, thin
+  row('0xodd-usdc', [ODD, USDC], [1e14, 1e12]),           // $1
+  row('0xodd-usdt', [ODD, USDT], [1e14, 2e12]),           // $2, disagrees
+  row('0xjunk-meme', [JUNK, MEME], [1e12, 1e10]),
+]);
+const registry = buildTokenRegistry({ pools });
+const oracle = buildPriceOracle({ pools, registry, anchors: ['USDC', 'USDT', 'DAI'] });
+const close = (a, b, tol = 1e-9) => Math.abs(a / b - 1) < tol;
+
+// Anchors resolve through the registry; a missing one is skipped
+assert.deepStrictEqual(oracle.anchors, [USDC.addr, USDT.addr]);
+assert.deepStrictEqual(oracle.skippedAnchors, [{ query: 'DAI', reason: 'not found' }]);
+
+// Mid prices cancel the fee and convert decimals; deep agreeing pools are confident
+const apt = oracle.price(APT.addr);
+assert.ok(close(apt.usd, 5), `APT $${apt.usd}`);
+assert.deepStrictEqual([apt.hops, apt.sources], [1, 2]);
+assert.ok(apt.confidence > 0.99);
+
+// Second hop: priced through APT, never more confident than its parent
+const weth = oracle.price(WETH.addr);
+assert.ok(close(weth.usd, 2500));
+assert.strictEqual(weth.hops, 2);
+assert.ok(weth.confidence <= apt.confidence);
+
+// Liquidity-weighted geometric mean; disagreement and thin pools cost confidence
+const odd = oracle.price(ODD.addr);
+assert.ok(odd.usd > 1 && odd.usd < 2);
+assert.ok(odd.usd > Math.SQRT2, 'the deeper USDT side weighs more');
+assert.ok(odd.confidence < 0.01);
+const meme = oracle.price(MEME.addr);
+assert.ok(close(meme.usd, 10));
+assert.ok(meme.confidence > 0.05 && meme.confidence < 0.1);
+assert.strictEqual(oracle.usdPrice(MEME.addr, 0.5), null);
+assert.ok(oracle.price(JUNK.addr).confidence < meme.confidence);
+
+// Gas in output tokens: oracle price, or $1 when not confident
+const aptGas = gasInToken(oracle, 0.01, APT);
+assert.ok(aptGas.priced && close(aptGas.amount, 0.002));
+const memeGas = gasInToken(oracle, 0.01, MEME);
+assert.deepStrictEqual([memeGas.priced, memeGas.amount, memeGas.usdPrice], [false, 0.01, 1]);
+
+// TVL from confidently priced tokens, the rest assumed balanced
+assert.ok(close(oracle.poolTvlUsd(pools[0]).usd, 4e6));
+const memeTvl = oracle.poolTvlUsd(pools[3], 0.5);
+assert.deepStrictEqual([memeTvl.usd, memeTvl.pricedTokens, memeTvl.confidence], [2000, 1, 1]);
+assert.strictEqual(oracle.poolTvlUsd(pools[6], 0.5), null);
+
+// Min-pool-USD filter: small pools go, pools of unpriced tokens stay
+const { kept, dropped, unpriced } = filterPoolsByTvl(pools, oracle, 5000);
+assert.deepStrictEqual(dropped.map(p => p.addr), ['0xmeme-usdc']);
+assert.strictEqual(unpriced, 1);
+assert.ok(kept.some(p => p.addr === '0xjunk-meme'));
+
+// Ambiguous anchors: only verified / canonical variants are pegged
+const bridged = token('USDC', '0xc2', 6);
+const twoUsdc = buildTokenRegistry({ tokens: [USDC, bridged] });
+assert.deepStrictEqual(resolveAnchors(twoUsdc, ['USDC']).skipped, [{ query: 'USDC', reason: 'ambiguous' }]);
+twoUsdc.add({ addr: USDC.addr, verified: true });
+assert.deepStrictEqual(resolveAnchors(twoUsdc, ['USDC']).addrs, [USDC.addr]);
+
+// No anchors: nothing is priced
+assert.strictEqual(new PriceOracle(pools).prices.size, 0);
+
+console.log('✅ Price oracle test passed');
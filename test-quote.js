@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { simulateRouteInt } = require('./phase1-astar-mike.js');
+const { simulateRoutesJointInt } = require('./joint-simulation.js');
+const { optimizeRouteSplittingConvex } = require('./phase2-convex.js');
+const { optimizeFlowSplittingDag } = require('./phase2-dagflow.js');
+const {
+  minOutputBound,
+  routeMidPrice,
+  buildQuote,
+  quoteFromSplit,
+  quoteFromDag,
+  quoteToJSON,
+  getQuoteOptions,
+} = require('./quote.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+const pools = normalizePools([
+  row('0xapt-usdc', [APT, USDC], [2e13, 1e12]),   // $5
+  row('0xapt-usdt', [APT, USDT], [1e13, 5e11]),
+  row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+]);
+const hop = (pool, from, to) => ({ pool, fromAddr: from.addr, toAddr: to.addr });
+const direct = [hop(pools[0], APT, USDC)];
+const viaUsdt = [hop(pools[1], APT, USDT), hop(pools[2], USDT, USDC)];
+const now = Date.UTC(2026, 0, 1);
+const base = { sourceToken: APT, targetToken: USDC, now, slippageBps: 50, deadlineSec: 600 };
+
+// Slippage bounds round down to the raw unit
+assert.strictEqual(minOutputBound(1000000n, 50), 995000n);
+assert.strictEqual(minOutputBound(999n, 50), 994n);
+assert.strictEqual(minOutputBound(1000000n, 10000), 0n);
+assert.strictEqual(minOutputBound(1000000n, 0), 1000000n);
+assert.strictEqual(minOutputBound(1000, 50), 995);
+
+// Slippage is whole bps from 0 to 10000; anything else is rejected, not turned into an unexecutable bound
+for (const bad of [-5, 12.5, 20000, NaN, '50', null]) {
+  assert.throws(() => minOutputBound(1000000n, bad), /Invalid slippage .* integer from 0 to 10000/);
+}
+assert.throws(() => buildQuote([{ route: direct, inputRawInt: 10n ** 10n }], { ...base, slippageBps: -5 }), RangeError);
+assert.throws(() => buildQuote([{ route: direct, inputRawInt: 10n ** 10n }], { ...base, slippageBps: NaN, mode: 'exactOut', exactOutRawInt: 1n }), RangeError);
+assert.throws(() => getQuoteOptions(['--slippage-bps=abc']), RangeError);
+assert.throws(() => getQuoteOptions(['--slippage-bps=-1']), RangeError);
+for (const bad of ['abc', '-5', '0', '', '1.5', '60s']) {
+  assert.throws(() => getQuoteOptions([`--deadline-sec=${bad}`]), /Invalid deadline .* positive integer/, bad);
+}
+assert.throws(() => buildQuote([{ route: direct, inputRawInt: 10n ** 10n }], { ...base, deadlineSec: 0 }), RangeError);
+
+// Mid price is fee-free and in human units
+assert.ok(Math.abs(routeMidPrice(direct) - 5) < 1e-9);
+assert.ok(Math.abs(routeMidPrice(viaUsdt) - 5) < 1e-9);
+
+// Single route: amounts from the integer path, bounds on the swap, leg and every hop
+const single = buildQuote([{ route: viaUsdt, inputRawInt: 10000000000n }], { ...base, gasCostRawInt: 20000n });
+const expected = simulateRouteInt(viaUsdt, 10000000000n);
+assert.strictEqual(single.amountOutRawInt, expected);
+assert.strictEqual(single.minAmountOutRawInt, minOutputBound(expected, 50));
+assert.strictEqual(single.netAmountOutRawInt, expected - 20000n);
+assert.strictEqual(single.amountIn, '100');
+assert.strictEqual(single.legs.length, 1);
+assert.strictEqual(single.legs[0].hops.length, 2);
+single.legs[0].hops.forEach(h => assert.strictEqual(h.minAmountOutRawInt, minOutputBound(h.amountOutRawInt, 50)));
+assert.deepStrictEqual(single.legs[0].path, [APT.addr, USDT.addr, USDC.addr]);
+assert.ok(single.executionPrice < single.midPrice);
+assert.deepStrictEqual([single.quotedAt, single.deadline], [now / 1000, now / 1000 + 600]);
+
+// Split: legs sharing a pool are quoted on the joint simulation
+const legs = [{ route: direct, inputRawInt: 6000000000000n }, { route: direct, inputRawInt: 4000000000000n }];
+const split = buildQuote(legs, base);
+const joint = simulateRoutesJointInt([direct, direct], legs.map(l => l.inputRawInt));
+assert.deepStrictEqual(split.legs.map(l => l.amountOutRawInt), joint);
+assert.strictEqual(split.amountOutRawInt, joint[0] + joint[1]);
+assert.ok(split.legs[1].amountOutRawInt < split.legs[0].amountOutRawInt * 4n / 6n, 'second leg trades after the first');
+assert.ok(Math.abs(split.legs[0].share - 0.6) < 1e-12);
+
+// Exact output: the requested amount is the floor, slippage bounds the input
+const exactOut = buildQuote([{ route: direct, inputRawInt: 10000000000n }], { ...base, mode: 'exactOut', exactOutRawInt: 490000000n });
+assert.strictEqual(exactOut.minAmountOutRawInt, 490000000n);
+assert.strictEqual(exactOut.maxAmountInRawInt, 10050000000n);
+assert.strictEqual(exactOut.legs[0].minAmountOutRawInt, exactOut.legs[0].amountOutRawInt);
+
+// Splitter and DAG results
+const originalLog = console.log;
+console.log = () => {};
+let convex, dag;
+try {
+  convex = optimizeRouteSplittingConvex([direct, viaUsdt], 10000, APT, USDC, { gasPerHopUSD: 0.01 });
+  dag = optimizeFlowSplittingDag([direct, viaUsdt], 10000, APT, USDC, { gasPerHopUSD: 0.01 });
+} finally {
+  console.log = originalLog;
+}
+const convexQuote = quoteFromSplit(convex, base);
+assert.strictEqual(convexQuote.algorithm, 'Convex');
+assert.strictEqual(convexQuote.netAmountOutRawInt, convex.totalOutputRawInt);
+assert.strictEqual(convexQuote.amountInRawInt, convex.totalInputRawInt);
+assert.ok(convexQuote.legs.every(l => l.priceImpact && l.minAmountOutRawInt < l.amountOutRawInt));
+
+const dagQuote = quoteFromDag(dag, base);
+assert.strictEqual(dagQuote.amountOutRawInt, dag.grossOutputRawInt);
+assert.strictEqual(dagQuote.netAmountOutRawInt, dag.totalOutputRawInt);
+assert.strictEqual(dagQuote.hops.length, dag.hops.length);
+assert.ok(Math.abs(dagQuote.midPrice - 5) < 1e-9, 'every path has the same mid');
+
+// Route and DAG quotes list their swaps in `hops` with the same fields; route quotes also group them by leg
+const HOP_FIELDS = ['leg', 'hop', 'poolAddr', 'poolType', 'fromAddr', 'toAddr', 'amountInRawInt', 'amountOutRawInt', 'minAmountOutRawInt'];
+const twoLegs = buildQuote([{ route: direct, inputRawInt: 6000000000000n }, { route: viaUsdt, inputRawInt: 4000000000000n }], base);
+assert.deepStrictEqual(twoLegs.hops.map(h => Object.keys(h)), twoLegs.hops.map(() => HOP_FIELDS));
+assert.deepStrictEqual(twoLegs.hops.map(h => [h.leg, h.hop]), [[0, 0], [1, 0], [1, 1]]);
+assert.deepStrictEqual(twoLegs.hops.map(({ leg, hop, ...rest }) => rest), twoLegs.legs.flatMap(l => l.hops));
+assert.strictEqual(dagQuote.legs, null);
+assert.deepStrictEqual(dagQuote.hops.map(h => Object.keys(h)), dagQuote.hops.map(() => [...HOP_FIELDS, 'share']));
+assert.ok(dagQuote.hops.every(h => h.leg === null && h.minAmountOutRawInt === minOutputBound(h.amountOutRawInt, 50)));
+
+// JSON: BigInt amounts as strings
+const json = quoteToJSON(single);
+assert.strictEqual(json.amountOutRawInt, expected.toString());
+assert.strictEqual(typeof json.legs[0].hops[0].minAmountOutRawInt, 'string');
+
+// Options
+assert.deepStrictEqual(getQuoteOptions([]), { slippageBps: 50, deadlineSec: 1200, json: false });
+assert.deepStrictEqual(getQuoteOptions(['--slippage-bps=10', '--deadline-sec=60', '--quote-json']), { slippageBps: 10, deadlineSec: 60, json: true });
+
+console.log('✅ Quote test passed');
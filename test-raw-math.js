@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { PoolWrapper } = require('./pool-source.js');
+const { SQRT_PRICE_SCALE, tickToSqrtPrice, tickToSqrtPriceX64 } = require('./clmm-simulator.js');
+const { quoteOut, quoteOutInt, quoteInInt } = require('./pool-models.js');
+const { simulateRouteInt, simulateRouteExactOutInt } = require('./phase1-astar-mike.js');
+const { optimizeRouteSplittingWaterfill } = require('./phase2-waterfill.js');
+const {
+  parseUnits,
+  toRawInt,
+  formatUnits,
+  feeToPips,
+  mulDivRoundingUp,
+  splitRawAmount,
+} = require('./raw-math.js');
+
+function close(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relTol, `${message}: ${actual} vs ${expected}`);
+}
+
+// Exact decimal parsing (no Math.pow(10, d) float loss)
+assert.strictEqual(parseUnits('1.000000000000000001', 18), 1000000000000000001n);
+assert.strictEqual(parseUnits(10000, 18), 10n ** 22n);
+assert.strictEqual(parseUnits('0.1', 6), 100000n);
+assert.strictEqual(parseUnits('1.23456789', 6), 1234567n, 'extra precision is floored');
+assert.strictEqual(toRawInt('1.5e+21'), 1500000000000000000000n);
+assert.strictEqual(toRawInt(1e21), 10n ** 21n);
+assert.strictEqual(toRawInt('-5'), -5n);
+assert.strictEqual(toRawInt('-5.5'), -6n, 'negative values floor towards -∞');
+assert.throws(() => parseUnits('abc', 6), /Invalid decimal amount/);
+assert.strictEqual(formatUnits(1234567n, 6), '1.234567');
+assert.strictEqual(formatUnits(1000000n, 6), '1');
+assert.strictEqual(formatUnits(5n, 6), '0.000005');
+assert.strictEqual(feeToPips('0.003'), 3000n);
+assert.strictEqual(feeToPips(0.0005), 500n);
+assert.strictEqual(mulDivRoundingUp(10n, 3n, 4n), 8n);
+
+// Whole-unit split sums exactly, zero weights stay zero
+const shares = splitRawAmount(1000000000000000000001n, [0.3333, 0, 0.6667, 1e-7]);
+assert.strictEqual(shares.reduce((sum, s) => sum + s, 0n), 1000000000000000000001n);
+assert.strictEqual(shares[1], 0n);
+assert.ok(shares.every(s => typeof s === 'bigint'));
+assert.deepStrictEqual(splitRawAmount(10n, [1, 1, 1]), [4n, 3n, 3n]);
+assert.throws(() => splitRawAmount(10n, [0, 0]), /positive weight/);
+
+// Exact Q64.64 tick prices agree with the float formula
+for (const tick of [-443636, -50000, -1, 0, 1, 887, 50000, 443636]) {
+  close(Number(tickToSqrtPriceX64(tick)) / SQRT_PRICE_SCALE, tickToSqrtPrice(tick), 1e-9, `tick ${tick}`);
+}
+
+// 18-decimal pools: reserves beyond 2^53 stay exact
+const WETH = { addr: '0xweth', symbol: 'WETH', decimals: 18 };
+const DAI = { addr: '0xdai', symbol: 'DAI', decimals: 18 };
+const USDC = { addr: '0xusdc', symbol: 'USDC', decimals: 6 };
+
+function makePool(addr, poolType, pair, reserves, extra = {}) {
+  return new PoolWrapper({
+    pool_addr: addr,
+    pool_type: poolType,
+    fee_tier: '0.003',
+    liquidity: '0',
+    sqrt_price: null,
+    tokens: pair.map((t, i) => ({ ...t, reserve: reserves[i], token_idx: i })),
+    ...extra,
+  });
+}
+
+const amm = makePool('0xamm', 'AMM', [WETH, DAI], ['1000000000000000000001', '3000000000000000000000123']);
+assert.strictEqual(amm.tokens[0].reserveRaw, 1000000000000000000001n);
+assert.strictEqual(amm.feePips, 3000n);
+
+const stable = makePool('0xstable', 'STABLE', [DAI, USDC], ['5000000000000000000000000', '5000000000000'], { fee_tier: '0.0004', amp: 200 });
+const clmm = makePool('0xclmm', 'CLMM', [WETH, DAI], ['0', '0'], {
+  fee_tier: '0.0005',
+  liquidity: String(BigInt(Math.round(Math.sqrt(3000))) * 10n ** 21n),
+  sqrt_price: String(BigInt(Math.round(Math.sqrt(3000) * 1e6)) * (1n << 64n) / 1000000n),
+});
+
+const cases = [
+  [amm, WETH, DAI, 10n ** 18n],
+  [stable, DAI, USDC, 10n ** 21n],
+  [stable, USDC, DAI, 1n],
+  [clmm, WETH, DAI, 10n ** 18n],
+  [clmm, DAI, WETH, 3n * 10n ** 21n],
+];
+
+for (const [pool, from, to, amountIn] of cases) {
+  const label = `${pool.type} ${from.symbol}→${to.symbol}`;
+  const outInt = quoteOutInt(pool, from.addr, to.addr, amountIn);
+  assert.strictEqual(typeof outInt, 'bigint');
+  assert.ok(outInt > 0n, `${label}: positive output`);
+  if (amountIn > 1000n) {
+    close(Number(outInt), quoteOut(pool, from.addr, to.addr, Number(amountIn)), 1e-6, `${label}: matches float estimator`);
+  }
+
+  // Required input is the smallest amount that pays: one unit less falls short
+  const inInt = quoteInInt(pool, from.addr, to.addr, outInt);
+  assert.ok(inInt <= amountIn, `${label}: exact-out needs no more than the original input`);
+  assert.ok(quoteOutInt(pool, from.addr, to.addr, inInt) >= outInt, `${label}: required input pays`);
+  assert.ok(quoteOutInt(pool, from.addr, to.addr, inInt - 1n) < outInt, `${label}: required input is minimal`);
+}
+
+// Outputs round down: the exact quote never exceeds the float estimate by a unit
+const floatOut = quoteOut(amm, WETH.addr, DAI.addr, 1e18);
+assert.ok(Number(quoteOutInt(amm, WETH.addr, DAI.addr, 10n ** 18n)) <= Math.ceil(floatOut));
+assert.strictEqual(quoteInInt(amm, WETH.addr, DAI.addr, 3000000000000000000000123n), null);
+
+// Multi-hop integer routes
+const route = [
+  { pool: amm, poolId: 'amm', fromAddr: WETH.addr, toAddr: DAI.addr },
+  { pool: stable, poolId: 'stable', fromAddr: DAI.addr, toAddr: USDC.addr },
+];
+const routeOut = simulateRouteInt(route, 10n ** 18n);
+const routeIn = simulateRouteExactOutInt(route, routeOut);
+assert.ok(routeIn <= 10n ** 18n && simulateRouteInt(route, routeIn) >= routeOut);
+
+// Water-fill splits are whole raw units that sum exactly to the input
+const amm2 = makePool('0xamm2', 'AMM', [WETH, DAI], ['2000000000000000000000', '6000000000000000000000000']);
+const routes = [
+  [{ pool: amm, poolId: 'amm', fromAddr: WETH.addr, toAddr: DAI.addr }],
+  [{ pool: amm2, poolId: 'amm2', fromAddr: WETH.addr, toAddr: DAI.addr }],
+];
+const totalHuman = '123.456789012345678901';
+const result = optimizeRouteSplittingWaterfill(routes, totalHuman, WETH, DAI, {
+  legacyWaterfill: true,
+  gasPerHopUSD: 0,
+});
+assert.strictEqual(result.routes.length, 2, 'both pools should be used');
+assert.strictEqual(result.totalInputRawInt, parseUnits(totalHuman, 18));
+assert.strictEqual(result.routes.reduce((sum, r) => sum + r.inputRawInt, 0n), parseUnits(totalHuman, 18));
+for (const leg of result.routes) {
+  assert.strictEqual(leg.outputRawInt, simulateRouteInt(leg.route, leg.inputRawInt));
+}
+
+console.log('✅ Raw integer math test passed');
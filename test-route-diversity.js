@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const { routePools, routeOverlap, selectDiverseRoutes, getDiversityOptions } = require('./route-diversity.js');
+const { findTopKRoutesAStar, computeReverseHeuristic } = require('./phase1-astar-mike.js');
+const { token, row } = require('./test-fixtures.js');
+
+const route = (...pools) => pools.map(addr => ({ pool: { addr } }));
+const pick = (candidates, limit, options) => selectDiverseRoutes(candidates, limit, options).map(c => c.route.map(h => h.pool.addr).join('-'));
+
+// Overlap is relative to the shorter route
+assert.strictEqual(routeOverlap(routePools(route('a', 'b')), routePools(route('a', 'c', 'd'))), 0.5);
+assert.strictEqual(routeOverlap(routePools(route('a')), routePools(route('a', 'c'))), 1);
+assert.strictEqual(routeOverlap(routePools(route('a')), routePools(route('b'))), 0);
+
+// Four near-copies through pool 'a', then two independent routes
+const candidates = [
+  { route: route('a', 'b'), value: 100 },
+  { route: route('a', 'c'), value: 99 },
+  { route: route('a', 'd'), value: 98 },
+  { route: route('a', 'e'), value: 97 },
+  { route: route('x', 'y'), value: 90 },
+  { route: route('z'), value: 80 },
+];
+
+assert.deepStrictEqual(pick(candidates, 4), ['a-b', 'a-c', 'a-d', 'a-e'], 'no constraints: plain ranking');
+assert.deepStrictEqual(pick(candidates, 4, { maxRoutesPerPool: 2 }), ['a-b', 'a-c', 'x-y', 'z']);
+assert.deepStrictEqual(pick(candidates, 4, { poolDisjoint: true }), ['a-b', 'x-y', 'z'], 'fewer than limit, no backfill');
+assert.deepStrictEqual(pick(candidates, 3, { maxOverlap: 0.4 }), ['a-b', 'x-y', 'z']);
+
+// Soft trade-off: 99 × (1 − 0.5 × 0.5) < 90, so the disjoint route moves up
+assert.deepStrictEqual(pick(candidates, 3, { overlapPenalty: 0.5 }), ['a-b', 'x-y', 'z']);
+assert.deepStrictEqual(pick(candidates, 3, { overlapPenalty: 0.05 }), ['a-b', 'a-c', 'a-d']);
+const [first, second] = selectDiverseRoutes(candidates, 2, { overlapPenalty: 0.5 });
+assert.strictEqual(first.overlap, 0);
+assert.strictEqual(second.adjustedValue, 90);
+
+const cli = getDiversityOptions(['--max-routes-per-pool=2', '--pool-disjoint'], { overlapPenalty: 0.25 });
+assert.deepStrictEqual(cli, { maxRoutesPerPool: 2, maxOverlap: 1, poolDisjoint: true, overlapPenalty: 0.25 });
+
+// A*: every top route shares the deep first pool S→X unless diversity is asked for
+const S = token('S', '0xs');
+const X = token('X', '0xx');
+const D = token('D', '0xd');
+const rows = [row('0xsx', [S, X], [1e12, 1.2e12]), row('0xxd', [X, D], [1e12, 1e12])];
+for (let i = 0; i < 4; i++) {
+  const M = token(`M${i}`, `0xm${i}`);
+  rows.push(row(`0xxm${i}`, [X, M], [1e12, 1e12]), row(`0xm${i}d`, [M, D], [1e12, 1e12 - i * 1e9]));
+}
+for (let i = 0; i < 3; i++) {
+  const Y = token(`Y${i}`, `0xy${i}`);
+  rows.push(row(`0xsy${i}`, [S, Y], [1e12, 1e12]), row(`0xy${i}d`, [Y, D], [1e12, 1e12]));
+}
+const graph = new RoutingGraph(normalizePools(rows));
+const { dist, heuristicArr } = computeReverseHeuristic(graph.adj, D.addr, 0, S.addr, graph.tokenToId, { graph });
+const heuristicId = new Map([...dist].map(([addr, v]) => [graph.tokenToId.get(addr), v]));
+const search = options => findTopKRoutesAStar(graph.adjId, heuristicId, graph.tokenToId, graph.idToAddr, S.addr, D.addr, 3, 4, 32, 0, heuristicArr, options);
+const viaFirstPool = routes => routes.filter(r => r[0].pool.addr === '0xsx').length;
+
+const plain = search();
+assert.strictEqual(viaFirstPool(plain), 4);
+assert.ok(plain.every(r => Number.isFinite(r.score)));
+
+const diverse = search({ diversity: { maxRoutesPerPool: 2 } });
+assert.strictEqual(diverse.length, 4);
+assert.strictEqual(viaFirstPool(diverse), 2);
+assert.ok(diverse.search.candidates > diverse.length, 'over-fetched candidates');
+assert.strictEqual(diverse[0], diverse.find(r => r.score === Math.max(...diverse.map(d => d.score))), 'best route kept first');
+
+const disjoint = search({ diversity: { poolDisjoint: true } });
+const seen = new Set();
+for (const r of disjoint) {
+  for (const hop of r) {
+    assert.ok(!seen.has(hop.pool.addr), 'pool-disjoint routes');
+    seen.add(hop.pool.addr);
+  }
+}
+
+console.log('✅ Route diversity test passed');
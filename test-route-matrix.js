@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const { simulateRouteInt } = require('./astar-search.js');
+const { createRouter, silentLogger } = require('./router.js');
+const {
+  ROUTE_MATRIX_ERRORS,
+  RouteMatrixError,
+  encodeRouteMatrix,
+  decodeRouteMatrix,
+  validateRouteMatrix,
+  writeRouteMatrix,
+  readRouteMatrix,
+  getRouteMatrixOptions,
+} = require('./route-matrix.js');
+const { estRouteSplit, handleEstRouteSplitMessage, ERROR_CODES } = require('./est-route-split.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+const rows = [
+  row('0xapt-usdc', [APT, USDC], [2e13, 1e12]),   // 200k APT / 1M USDC
+  row('0xapt-usdt', [APT, USDT], [1e13, 5e11]),
+  row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+];
+const pools = normalizePools(rows);
+const found = createRouter(pools, { logger: silentLogger }).findRoutes('APT', 'USDC', 10000);
+assert.ok(found.routes.length >= 2);
+
+// Encode: tables of addresses, hops as [poolId, fromIdx, toIdx], integer cap hints
+const matrix = encodeRouteMatrix(found.routes);
+assert.deepStrictEqual([matrix.format, matrix.version], ['tapp-route-matrix', 1]);
+assert.deepStrictEqual(new Set(matrix.pools), new Set(rows.map(r => r.pool_addr)));
+const twoHop = matrix.routes.find(route => route.hops.length === 2);
+assert.deepStrictEqual(twoHop.path.map(id => matrix.tokens[id]), [APT.addr, USDT.addr, USDC.addr]);
+assert.deepStrictEqual(twoHop.hops.map(([poolId, fromIdx, toIdx]) => [matrix.pools[poolId], fromIdx, toIdx]), [['0xapt-usdt', 0, 1], ['0xusdt-usdc', 0, 1]]);
+assert.ok(matrix.routes.every(route => /^\d+$/.test(route.capRaw)));
+
+// Round trip through JSON and a file, decoded against a fresh pool snapshot
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-matrix-'));
+const file = writeRouteMatrix(path.join(dir, 'routes.json'), matrix);
+const read = readRouteMatrix(file);
+assert.deepStrictEqual(read, JSON.parse(JSON.stringify(matrix)));
+const decoded = decodeRouteMatrix(read, normalizePools(rows));
+assert.deepStrictEqual([decoded.sourceToken.addr, decoded.targetToken.addr], [APT.addr, USDC.addr]);
+decoded.routes.forEach((route, r) => {
+  const original = found.routes[r];
+  assert.deepStrictEqual(route.map(h => [h.poolId, h.fromAddr, h.toAddr]), original.map(h => [h.pool.addr, h.fromAddr, h.toAddr]));
+  assert.strictEqual(simulateRouteInt(route, 10n ** 12n), simulateRouteInt(original, 10n ** 12n));
+  assert.strictEqual(route.capHintRaw, Number(matrix.routes[r].capRaw));
+});
+
+// Capacities come from the receiver's state, not the hint
+const drained = decodeRouteMatrix(matrix, new RoutingGraph(normalizePools([
+  row('0xapt-usdc', [APT, USDC], [2e11, 1e10]),
+  rows[1],
+  rows[2],
+])));
+const direct = matrix.routes.findIndex(route => route.hops.length === 1);
+assert.ok(drained.routes[direct].capRaw < drained.routes[direct].capHintRaw);
+
+// Strict decoding: vanished pools, changed token order, pools that lost a token or their reserves
+const errorCode = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof RouteMatrixError, err.message);
+    return err.code;
+  }
+  assert.fail('expected a RouteMatrixError');
+};
+const replace = (addr, replacement) => normalizePools(rows.map(r => (r.pool_addr === addr ? replacement : r)).filter(Boolean));
+assert.strictEqual(errorCode(() => decodeRouteMatrix(matrix, replace('0xusdt-usdc', null))), ROUTE_MATRIX_ERRORS.POOL_MISSING);
+assert.strictEqual(errorCode(() => decodeRouteMatrix(matrix, replace('0xusdt-usdc', row('0xusdt-usdc', [USDC, USDT], [1e12, 1e12])))), ROUTE_MATRIX_ERRORS.DIRECTION_CHANGED);
+assert.strictEqual(errorCode(() => decodeRouteMatrix(matrix, replace('0xusdt-usdc', row('0xusdt-usdc', [USDT, APT], [1e12, 1e12])))), ROUTE_MATRIX_ERRORS.TOKEN_MISSING);
+assert.strictEqual(errorCode(() => decodeRouteMatrix(matrix, replace('0xusdt-usdc', row('0xusdt-usdc', [USDT, USDC], [1e12, 0])))), ROUTE_MATRIX_ERRORS.NOT_ROUTABLE);
+assert.throws(() => decodeRouteMatrix(matrix, replace('0xapt-usdt', null)), err => {
+  assert.deepStrictEqual([err.details.routeIdx, err.details.hopIdx, err.details.poolAddr], [matrix.routes.indexOf(twoHop), 0, '0xapt-usdt']);
+  return true;
+});
+
+// Shape validation
+const copy = () => JSON.parse(JSON.stringify(matrix));
+assert.strictEqual(errorCode(() => validateRouteMatrix({ ...copy(), version: 2 })), ROUTE_MATRIX_ERRORS.UNSUPPORTED_VERSION);
+assert.strictEqual(errorCode(() => validateRouteMatrix({ ...copy(), format: 'other' })), ROUTE_MATRIX_ERRORS.MALFORMED);
+const badHop = copy();
+badHop.routes[0].hops[0] = [99, 0, 1];
+assert.strictEqual(errorCode(() => validateRouteMatrix(badHop)), ROUTE_MATRIX_ERRORS.MALFORMED);
+const badPath = copy();
+badPath.routes[0].path.push(0);
+assert.strictEqual(errorCode(() => validateRouteMatrix(badPath)), ROUTE_MATRIX_ERRORS.MALFORMED);
+const badCap = copy();
+badCap.routes[0].capRaw = 1.5;
+assert.strictEqual(errorCode(() => validateRouteMatrix(badCap)), ROUTE_MATRIX_ERRORS.MALFORMED);
+const loop = copy();
+loop.routes[0] = { path: [0, 1, 0, 2], hops: [[1, 0, 1], [1, 1, 0], [0, 0, 1]] };
+assert.strictEqual(errorCode(() => decodeRouteMatrix(loop, pools)), ROUTE_MATRIX_ERRORS.POOL_REUSED);
+const aliased = copy();
+aliased.pools.push(aliased.pools[twoHop.hops[0][0]]);
+aliased.routes[matrix.routes.indexOf(twoHop)].hops[1][0] = aliased.pools.length - 1;
+assert.throws(() => validateRouteMatrix(aliased), err => err.code === ROUTE_MATRIX_ERRORS.POOL_REUSED && err.details.hopIdx === 1);
+fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+assert.strictEqual(errorCode(() => readRouteMatrix(path.join(dir, 'broken.json'))), ROUTE_MATRIX_ERRORS.MALFORMED);
+assert.strictEqual(errorCode(() => encodeRouteMatrix([found.routes[0], found.routes[0].slice(0, 1).map(h => ({ ...h, toAddr: USDT.addr }))])), ROUTE_MATRIX_ERRORS.MALFORMED);
+fs.rmSync(dir, { recursive: true, force: true });
+
+// The split request takes the versioned matrix as its routeMatrix
+const split = estRouteSplit({ routeMatrix: matrix, amountIn: '10000' }, { pools, logger: silentLogger });
+assert.strictEqual(split.splits.reduce((sum, s) => sum + BigInt(s.amountInRaw), 0n), 10n ** 12n);
+const reply = value => handleEstRouteSplitMessage({ key: 'get.request', headers: { correlationId: 'm-1' }, value }, { pools, logger: silentLogger }).value;
+assert.strictEqual(reply({ routeMatrix: matrix, amountIn: '1' }).status, 'ok');
+assert.strictEqual(reply({ routeMatrix: { ...copy(), version: 2 }, amountIn: '1' }).error.code, ERROR_CODES.INVALID_REQUEST);
+const gone = handleEstRouteSplitMessage({ headers: { correlationId: 'm-2' }, value: { routeMatrix: matrix, amountIn: '1' } }, { pools: replace('0xapt-usdc', null), logger: silentLogger }).value.error;
+assert.deepStrictEqual([gone.code, gone.details.reason], [ERROR_CODES.UNKNOWN_POOL, ROUTE_MATRIX_ERRORS.POOL_MISSING]);
+const flipped = handleEstRouteSplitMessage({ headers: { correlationId: 'm-3' }, value: { routeMatrix: matrix, amountIn: '1' } }, { pools: replace('0xapt-usdc', row('0xapt-usdc', [USDC, APT], [1e12, 2e13])), logger: silentLogger }).value.error;
+assert.deepStrictEqual([flipped.code, flipped.details.reason], [ERROR_CODES.INVALID_ROUTE, ROUTE_MATRIX_ERRORS.DIRECTION_CHANGED]);
+
+// Every decoder code has its own mapping onto the contract's codes
+const splitError = (value, state = pools) => handleEstRouteSplitMessage({ headers: { correlationId: 'm-4' }, value }, { pools: state, logger: silentLogger }).value.error;
+const replyCodes = [
+  [splitError({ routeMatrix: loop, amountIn: '1' }), ERROR_CODES.INVALID_ROUTE, ROUTE_MATRIX_ERRORS.POOL_REUSED],
+  [splitError({ routeMatrix: matrix, amountIn: '1' }, replace('0xusdt-usdc', row('0xusdt-usdc', [USDT, APT], [1e12, 1e12]))), ERROR_CODES.INVALID_ROUTE, ROUTE_MATRIX_ERRORS.TOKEN_MISSING],
+  [splitError({ routeMatrix: matrix, amountIn: '1' }, replace('0xusdt-usdc', row('0xusdt-usdc', [USDT, USDC], [1e12, 0]))), ERROR_CODES.INVALID_ROUTE, ROUTE_MATRIX_ERRORS.NOT_ROUTABLE],
+];
+replyCodes.forEach(([error, code, reason]) => assert.deepStrictEqual([error.code, error.details.reason], [code, reason], error.message));
+
+// Options
+assert.deepStrictEqual(getRouteMatrixOptions(['--dump-route-matrix=out/routes.json']), { dumpRouteMatrixPath: 'out/routes.json' });
+assert.deepStrictEqual(getRouteMatrixOptions([]), { dumpRouteMatrixPath: null });
+
+console.log('✅ Route matrix test passed');
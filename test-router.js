@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+// The library must not read the caller's flags (kept on argv through the calls below) or environment
+const envBefore = Object.keys(process.env).sort();
+process.argv.push('--verbose', '--max-hops=1', '--top-k=1', '--pi-max=0.0001');
+const { createRouter, silentLogger, RouterError, ROUTER_ERRORS } = require('./router.js');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph } = require('./routing-graph.js');
+const { parseUnits } = require('./raw-math.js');
+const { buildQuote } = require('./quote.js');
+const { ImpactCapError } = require('./price-impact.js');
+const { APT, USDC, USDT, token, row } = require('./test-fixtures.js');
+require('./phase1-astar-mike.js');
+assert.deepStrictEqual(Object.keys(process.env).sort(), envBefore, 'no .env loaded at import');
+
+const rows = [
+  row('0xapt-usdc', [APT, USDC], [2e13, 1e12]),   // 200k APT / 1M USDC
+  row('0xapt-usdt', [APT, USDT], [1e13, 5e11]),
+  row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+];
+const pools = normalizePools(rows);
+
+// Every line of output goes to the injected logger
+const lines = [];
+const logger = { log: (...a) => lines.push(a.join(' ')), error: (...a) => lines.push(a.join(' ')), table: () => lines.push('<table>') };
+const originalLog = console.log;
+console.log = () => { throw new Error('router wrote to console'); };
+let router, found, best, split, quote, exactOut, directOnly, convexOnly;
+try {
+  router = createRouter(pools, { logger, gasPerHopUSD: 0.01 });
+  found = router.findRoutes('APT', 'USDC', 10000);
+  best = router.bestRoute(found.routes, found.sourceToken, found.targetToken, 10000, { gas: found.gas });
+  split = router.split(found.routes, APT, USDC, 10000, { gas: found.gas });
+  quote = router.quote(APT, USDC, 10000, { now: 0 });
+  exactOut = router.quote(APT, USDC, 1000, { mode: 'exactOut', split: false });
+  directOnly = router.findRoutes(APT, USDC, 10000, { maxHops: 1 });
+  convexOnly = createRouter(new RoutingGraph(pools), { logger: silentLogger, splitters: ['convex'] }).split(found.routes, APT, USDC, 10000);
+} finally {
+  console.log = originalLog;
+  process.argv.splice(-4);
+}
+assert.ok(lines.some(l => l.includes('PHASE 2: WATER-FILLING')), 'splitters log through the router logger');
+assert.ok(!lines.some(l => l.includes('Building adjacency') || l.includes('A* search starting')), 'verbose is off unless configured');
+
+// Search: symbols resolve through the registry, flags from argv are ignored
+assert.strictEqual(found.sourceToken.addr, APT.addr);
+assert.strictEqual(found.routes.length, 2, 'direct and via USDT with the default 3 hops');
+assert.ok(found.search.complete);
+assert.ok(found.gas.priced && Math.abs(found.gas.targetTokenUSDPrice - 1) < 1e-9);
+assert.deepStrictEqual(directOnly.routes.map(r => r.length), [1], 'per-call options override');
+
+// Phase 1: best route within the caps, quoted on the integer path
+assert.strictEqual(best.route.length, 1);
+assert.strictEqual(best.rejectedRoutes, 1, '10k APT moves the USDT pool past the 5% cap');
+const expected = buildQuote([{ route: best.route, inputRawInt: parseUnits(10000, 8) }], { sourceToken: APT, targetToken: USDC, now: best.quote.quotedAt * 1000 });
+assert.strictEqual(best.quote.amountOutRawInt, expected.amountOutRawInt);
+assert.strictEqual(best.quote.amountOutRawInt, best.outputRawInt);
+assert.deepStrictEqual(
+  [best.quote.priceImpact.withinLimits, best.quote.priceImpact.maxRouteImpact, best.quote.priceImpact.limits.maxRouteImpact],
+  [true, best.priceImpact.impact, 0.05]
+);
+assert.ok(exactOut.priceImpact.maxRouteImpact > 0 && exactOut.priceImpact.limits === null, 'exact output is reported, not capped');
+
+// Over the cap: Phase 1 quotes nothing, quote() takes the capped split or refuses
+const capLines = [];
+const capRouter = createRouter(pools, { logger: { ...silentLogger, log: line => capLines.push(line) } });
+const large = capRouter.findRoutes(APT, USDC, 100000);
+const overCap = capRouter.bestRoute(large.routes, APT, USDC, 100000, { gas: large.gas });
+assert.deepStrictEqual([overCap.route, overCap.quote, overCap.exceedsImpactCap, overCap.rejectedRoutes], [null, null, true, large.routes.length]);
+assert.ok(overCap.priceImpact.impact > 0.05);
+assert.ok(capLines.some(l => l.includes('No route stays within the price-impact cap')) && !capLines.some(l => l.includes('--phase2')));
+const noRoutes = capRouter.bestRoute([], APT, USDC, 100000, { gas: large.gas });
+assert.deepStrictEqual([noRoutes.route, noRoutes.quote, noRoutes.priceImpact, noRoutes.exceedsImpactCap], [null, null, null, undefined]);
+const cappedQuote = capRouter.quote(APT, USDC, 100000);
+assert.ok(cappedQuote.priceImpact.withinLimits && cappedQuote.priceImpact.maxHopImpact <= 0.05);
+assert.ok(cappedQuote.priceImpact.unfilledRaw > 0 && cappedQuote.amountInRawInt < parseUnits(100000, 8));
+assert.throws(() => capRouter.quote(APT, USDC, 100000, { split: false }), err => {
+  assert.ok(err instanceof ImpactCapError);
+  assert.deepStrictEqual([err.code, err.limits.maxRouteImpact], ['EXCEEDS_IMPACT_CAP', 0.05]);
+  assert.ok(err.minRouteImpact > 0.05);
+  return true;
+});
+
+// Phase 2: every splitter ran; the best one is quoted
+assert.deepStrictEqual(Object.keys(split.results), ['Water-Fill', 'Hill Climb', 'Convex', 'DAG Flow']);
+const outputs = split.comparison.map(c => c.result.totalOutputHuman);
+assert.deepStrictEqual(outputs, [...outputs].sort((a, b) => b - a));
+assert.strictEqual(split.quote.algorithm, split.best.name);
+assert.deepStrictEqual(Object.keys(convexOnly.results), ['Convex']);
+
+// quote(): the split wins when it nets more than the single route
+assert.ok(split.best.result.totalOutputRawInt > best.quote.netAmountOutRawInt);
+assert.strictEqual(quote.algorithm, split.best.name);
+assert.strictEqual(quote.quotedAt, 0);
+assert.strictEqual(exactOut.mode, 'exactOut');
+assert.strictEqual(exactOut.minAmountOutRawInt, parseUnits(1000, 6));
+assert.ok(exactOut.maxAmountInRawInt > exactOut.amountInRawInt);
+
+// Each router keeps its own heuristic cache
+assert.ok(router.heuristicCache.stats().hits > 0);
+assert.strictEqual(createRouter(pools, { logger: silentLogger }).heuristicCache.stats().lookups, 0);
+
+// No route, unknown token
+const FOO = token('FOO', '0xf');
+const BAR = token('BAR', '0xb');
+const island = createRouter(normalizePools([...rows, row('0xfoo-bar', [FOO, BAR], [1e12, 1e12])]), { logger: silentLogger });
+assert.strictEqual(island.quote(APT, FOO, 1), null);
+assert.throws(() => router.findRoutes('DOGE', 'USDC', 1), /not found/);
+
+// Amounts below one raw unit, non-positive or non-finite, and same-token trades are refused
+const routerError = code => err => err instanceof RouterError && err.code === code;
+const quiet = createRouter(pools, { logger: silentLogger });
+for (const amount of [1e-9, 0, -1, NaN, Infinity, '10']) {
+  assert.throws(() => quiet.quote(APT, USDC, amount), routerError(ROUTER_ERRORS.INVALID_AMOUNT), String(amount));
+}
+assert.throws(() => quiet.quote(APT, USDC, 1e-7, { mode: 'exactOut' }), routerError(ROUTER_ERRORS.INVALID_AMOUNT), 'exact output is in USDC raw units');
+assert.throws(() => quiet.bestRoute(found.routes, APT, USDC, 0, { gas: found.gas }), routerError(ROUTER_ERRORS.INVALID_AMOUNT));
+assert.throws(() => quiet.split(found.routes, APT, USDC, 1e-9, { gas: found.gas }), routerError(ROUTER_ERRORS.INVALID_AMOUNT));
+assert.throws(() => quiet.quote(USDC, USDC, 1), routerError(ROUTER_ERRORS.SAME_TOKEN));
+assert.ok(quiet.quote(APT, USDC, 1e-8, { gasPerHopUSD: 0, split: false }), 'one raw unit is quotable');
+
+// No route nets output after gas, or can deliver the exact output: no route, typed error from quote()
+const dust = quiet.bestRoute(found.routes, APT, USDC, 1e-8, { gasPerHopUSD: 1 });
+assert.deepStrictEqual([dust.route, dust.quote, dust.output, dust.priceImpact], [null, null, 0, null]);
+assert.throws(() => quiet.quote(APT, USDC, 1e-8, { gasPerHopUSD: 1, split: false }), routerError(ROUTER_ERRORS.NO_NET_OUTPUT));
+const tooMuch = quiet.bestRoute(found.routes, APT, USDC, 2e6, { mode: 'exactOut', gas: found.gas });
+assert.deepStrictEqual([tooMuch.route, tooMuch.quote, tooMuch.input], [null, null, Infinity]);
+
+console.log('✅ Router test passed');
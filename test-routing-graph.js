@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createSnapshot } = require('./pool-snapshot.js');
+const { normalizePools } = require('./pool-source.js');
+const { RoutingGraph, readEventsFile } = require('./routing-graph.js');
+const { APT, USDC, USDT, token, row } = require('./test-fixtures.js');
+
+const XYZ = token('XYZ', '0xx');
+const FOO = token('FOO', '0xf');
+const BAR = token('BAR', '0xb');
+const NEW = token('NEW', '0xn');
+
+const rows = [
+  row('0xp1', [APT, USDC], [1e12, 5e10]),
+  row('0xp2', [APT, USDT], [4e11, 2e10]),
+  row('0xp3', [USDT, USDC], [5e11, 5e11], { poolType: 'STABLE', feeTier: '0.0004', amp: 200 }),
+  row('0xp4', [XYZ, APT], [1e12, 1e11]),
+  row('0xp5', [FOO, BAR], [1e12, 1e12]),
+  row('0xp6', [APT, USDC], [2e11, 1.0001e10]),
+];
+
+// Comparable view of the compressed and numeric adjacency
+function describe(graph) {
+  const view = {};
+  for (const [addr, edges] of graph.adj) {
+    view[addr] = edges.map(e => ({
+      to: e.to,
+      pool: e.pool.addr,
+      poolId: e.poolId,
+      spotPrice: e.spotPrice,
+      score: e.score,
+      dxCapRaw: e.dxCapRaw,
+      reserveIn: e.reserveIn,
+    }));
+    const numeric = graph.adjId.get(graph.tokenToId.get(addr));
+    assert.deepStrictEqual(numeric.map(e => [e.toAddr, e.toId, e.poolId, e.score]), edges.map(e => [e.to, graph.tokenToId.get(e.to), e.poolId, e.score]));
+  }
+  return view;
+}
+
+const graph = new RoutingGraph(normalizePools(rows));
+assert.strictEqual(graph.tokenToId.size, 6);
+assert.strictEqual(graph.adj.get(APT.addr).filter(e => e.to === USDC.addr).length, 2, 'parallel APT→USDC pools within 50 bps both kept');
+
+// Proportional liquidity add: reserves and scores move, the price does not
+const added = graph.applyEvent({ type: 'LiquidityAdded', pool_addr: '0xp1', amounts: { [APT.addr]: '10000000000', [USDC.addr]: '500000000' } });
+assert.strictEqual(added.applied, true);
+assert.strictEqual(added.spotPriceChanged, false);
+assert.deepStrictEqual(added.staleHeuristicTokens, []);
+assert.strictEqual(graph.getPool('0xp1').getToken(APT.addr).reserveRaw, 1010000000000n);
+
+// A swap moves the price; every token that can reach the pool is stale, the FOO/BAR island is not
+const swapped = graph.applyEvent({
+  type: 'Swapped',
+  pool_addr: '0xp1',
+  token_in: APT.addr,
+  amount_in: '50000000000',
+  token_out: USDC.addr,
+  amount_out: '2380000000',
+});
+assert.strictEqual(swapped.spotPriceChanged, true);
+assert.deepStrictEqual(swapped.affectedTokens.sort(), [APT.addr, USDC.addr].sort());
+assert.deepStrictEqual(swapped.staleHeuristicTokens.sort(), [APT.addr, USDC.addr, USDT.addr, XYZ.addr].sort());
+assert.strictEqual(graph.adj.get(APT.addr).filter(e => e.to === USDC.addr).length, 1, 'runner-up dropped once prices diverge');
+
+graph.applyEvent({ type: 'LiquidityRemoved', pool_addr: '0xp3', amounts: { [USDT.addr]: '100000000000' } });
+graph.applyEvent({ type: 'Swapped', pool_addr: '0xp5', reserves: { [FOO.addr]: '1100000000000', [BAR.addr]: '909090909091' } });
+
+// New pool with a new token gets the next ids
+const created = graph.applyEvent({ type: 'PoolCreated', pool: row('0xp7', [NEW, USDC], [1e12, 3e10]) });
+assert.strictEqual(graph.tokenToId.get(NEW.addr), 6);
+assert.strictEqual(graph.poolToId.get('0xp7'), 6);
+assert.ok(created.staleHeuristicTokens.includes(NEW.addr));
+assert.strictEqual(graph.tokenMap.get(NEW.addr).symbol, 'NEW');
+
+// Unknown pools, unsupported and invalid events are reported, not applied
+assert.strictEqual(graph.applyEvent({ type: 'Swapped', pool_addr: '0xnope', reserves: {} }).reason, 'unknown pool');
+assert.strictEqual(graph.applyEvent({ type: 'CollectFeeEvent', pool_addr: '0xp1' }).reason, 'unsupported event type');
+assert.strictEqual(graph.applyEvent({ type: 'Swapped', reserves: {} }).reason, 'missing pool address');
+assert.match(graph.applyEvent({ type: 'LiquidityRemoved', pool_addr: '0xp5', amounts: { [FOO.addr]: '1e13' } }).reason, /negative/);
+assert.strictEqual(graph.version, 5);
+
+// A batch with bad events applies the good ones and skips the rest untouched
+const batchGraph = new RoutingGraph(normalizePools(rows));
+const batchBefore = describe(batchGraph);
+const batch = batchGraph.applyEvents([
+  { type: 'Swapped', pool_addr: '0xp1', token_in: APT.addr, amount_in: '50000000000', token_out: XYZ.addr, amount_out: '1' },
+  { type: 'LiquidityAdded', pool_addr: '0xp2', amounts: { [APT.addr]: '1000', [USDT.addr]: 'lots' } },
+  { type: 'Swapped', pool_addr: '0xp5', reserves: { [FOO.addr]: '-1', [BAR.addr]: '909090909091' } },
+  { type: 'Swapped', pool_addr: '0xp6', reserves: { [APT.addr]: '1', [XYZ.addr]: '1' } },
+]);
+assert.deepStrictEqual([batch.applied, batch.skipped, batch.staleHeuristicTokens.size, batchGraph.version], [0, 4, 0, 0]);
+assert.deepStrictEqual(batch.results.map(r => /unknown token|invalid amount|negative/.exec(r.reason)[0]), ['unknown token', 'invalid amount', 'negative', 'unknown token']);
+assert.deepStrictEqual(describe(batchGraph), batchBefore);
+const mixed = batchGraph.applyEvents([
+  { type: 'Swapped', pool_addr: '0xp5', reserves: { [FOO.addr]: '1100000000000', [BAR.addr]: '909090909091' } },
+  { type: 'LiquidityRemoved', pool_addr: '0xp5', amounts: { [FOO.addr]: '1e13' } },
+  { type: 'LiquidityRemoved', pool_addr: '0xp3', amounts: { [USDT.addr]: '100000000000' } },
+]);
+assert.deepStrictEqual([mixed.applied, mixed.skipped, batchGraph.version], [2, 1, 2]);
+assert.deepStrictEqual([mixed.results[1].applied, mixed.results[1].version, batchGraph.changeLog.length], [false, 1, 2]);
+assert.ok(batchGraph.changedTokensSince(0).has(FOO.addr));
+assert.strictEqual(batchGraph.getPool('0xp5').getToken(FOO.addr).reserveRaw, 1100000000000n);
+
+// Malformed PoolCreated rows are skipped like any bad event; a valid one in the same batch is applied
+const created2 = row('0xp8', [NEW, USDC], [1e12, 3e10]);
+const creations = batchGraph.applyEvents([
+  { type: 'PoolCreated', pool: { ...created2, tokens: created2.tokens.slice(0, 1) } },
+  { type: 'PoolCreated', pool: { ...created2, tokens: [created2.tokens[0], created2.tokens[0]] } },
+  { type: 'PoolCreated', pool: row('0xp8', [NEW, USDC], ['-1', 3e10]) },
+  { type: 'PoolCreated', pool: row('0xp8', [NEW, USDC], ['lots', 3e10]) },
+  { type: 'PoolCreated', pool: row('0xp8', [{ ...NEW, decimals: 'eight' }, USDC], [1e12, 3e10]) },
+  { type: 'PoolCreated', pool: row('0xp8', [NEW, USDC], [1e12, 3e10], { feeTier: 'abc' }) },
+  { type: 'PoolCreated', pool: row('0xp8', [NEW, USDC], [1e12, 3e10], { feeTier: '1.5' }) },
+  { type: 'PoolCreated', pool: row('0xp1', [APT, NEW], [1e12, 3e10]) },
+  { type: 'PoolCreated', pool: created2 },
+]);
+assert.deepStrictEqual(
+  creations.results.map(r => (r.applied ? 'applied' : /two tokens|twice|negative|invalid reserve|invalid decimals|invalid fee|unknown token/.exec(r.reason)[0])),
+  ['two tokens', 'twice', 'negative', 'invalid reserve', 'invalid decimals', 'invalid fee', 'invalid fee', 'unknown token', 'applied']
+);
+assert.deepStrictEqual([creations.applied, batchGraph.version, batchGraph.changeLog.length], [1, 3, 3]);
+assert.strictEqual(batchGraph.getPool('0xp1').getToken(APT.addr).reserveRaw, BigInt(rows[0].tokens[0].reserve), 'a rejected re-creation leaves the pool as it was');
+assert.ok(batchGraph.getPool('0xp8') && batchGraph.tokenMap.has(NEW.addr));
+
+// Incremental state equals a full rebuild from the final pool state
+const finalRows = [
+  row('0xp1', [APT, USDC], ['1060000000000', '48120000000']),
+  row('0xp2', [APT, USDT], [4e11, 2e10]),
+  row('0xp3', [USDT, USDC], [4e11, 5e11], { poolType: 'STABLE', feeTier: '0.0004', amp: 200 }),
+  row('0xp4', [XYZ, APT], [1e12, 1e11]),
+  row('0xp5', [FOO, BAR], ['1100000000000', '909090909091']),
+  row('0xp6', [APT, USDC], [2e11, 1.0001e10]),
+  row('0xp7', [NEW, USDC], [1e12, 3e10]),
+];
+assert.deepStrictEqual(describe(graph), describe(new RoutingGraph(normalizePools(finalRows))));
+
+// JSON-lines event file drives the router end to end
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sor-events-'));
+const snapshotPath = path.join(tmpDir, 'pools.json');
+const eventsPath = path.join(tmpDir, 'events.jsonl');
+fs.writeFileSync(snapshotPath, JSON.stringify(createSnapshot(rows, [APT, USDC, USDT, XYZ, FOO, BAR])));
+fs.writeFileSync(eventsPath, [
+  '# drain most of the direct APT/USDC pool',
+  JSON.stringify({ type: 'Swapped', pool_addr: '0xp1', token_in: USDC.addr, amount_in: '45000000000', token_out: APT.addr, amount_out: '473000000000' }),
+  '',
+  JSON.stringify({ type: 'CollectFeeEvent', pool_addr: '0xp1' }),
+].join('\n'));
+assert.strictEqual(readEventsFile(eventsPath).length, 2);
+
+const router = path.join(__dirname, 'phase1-astar-mike.js');
+const run = extra => execFileSync('node', [router, 'APT', 'USDC', '100', `--snapshot=${snapshotPath}`, ...extra], { encoding: 'utf8', timeout: 60000 });
+const bestOutput = output => parseFloat(output.match(/Best output: ([\d.]+)/)[1]);
+
+const before = run([]);
+const after = run([`--events=${eventsPath}`]);
+assert.match(after, /Applied 1 pool events .*\(1 skipped/);
+assert.ok(bestOutput(after) > bestOutput(before), 'APT is worth more USDC after the pool was bought up');
+
+fs.writeFileSync(eventsPath, '{"type": "Swapped",\n');
+assert.throws(() => readEventsFile(eventsPath), /events\.jsonl:1/);
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log('✅ Routing graph test passed');
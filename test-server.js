@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { FixturePoolSource } = require('./pool-source.js');
+const { createQuoteServer, getServerOptions } = require('./server.js');
+const { silentLogger } = require('./router.js');
+const { APT, USDC, USDT, row } = require('./test-fixtures.js');
+
+// Counts loads so reloads can be checked; the second load adds a pool
+class CountingSource extends FixturePoolSource {
+  constructor(rows) {
+    super({ pools: rows });
+    this.loads = 0;
+    this.fail = false;
+  }
+
+  async fetchRows() {
+    this.loads++;
+    if (this.fail) throw new Error('database unavailable');
+    if (this.loads > 1) this.rows = [...this.rows, row('0xapt-usdc-2', [APT, USDC], [1e13, 5e11])];
+    return super.fetchRows();
+  }
+}
+
+async function main() {
+  const source = new CountingSource([
+    row('0xapt-usdc', [APT, USDC], [2e13, 1e12]),
+    row('0xapt-usdt', [APT, USDT], [1e13, 5e11]),
+    row('0xusdt-usdc', [USDT, USDC], [1e12, 1e12]),
+  ]);
+  const service = createQuoteServer({ source, logger: silentLogger, router: { logger: silentLogger } });
+  const { port } = await service.listen(0);
+  const call = async (method, path, body) => {
+    const res = await fetch(`http://127.0.0.1:${port}${path}`, { method, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    // Health: the graph is loaded once at listen()
+    const health = await call('GET', '/health');
+    assert.strictEqual(health.status, 200);
+    assert.deepStrictEqual([health.body.status, health.body.pools, health.body.tokens, health.body.reloads], ['ok', 3, 3, 1]);
+
+    // Quote: JSON with string amounts; repeated quotes reuse the graph and heuristic cache
+    const quote = await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC', amount: 10000 });
+    assert.strictEqual(quote.status, 200);
+    assert.strictEqual(typeof quote.body.quote.amountOutRawInt, 'string');
+    assert.strictEqual(quote.body.quote.tokenIn.symbol, 'APT');
+    assert.ok(BigInt(quote.body.quote.minAmountOutRawInt) < BigInt(quote.body.quote.amountOutRawInt));
+    const again = await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC', amount: 10000, split: false, slippageBps: 10 });
+    assert.strictEqual(again.body.quote.algorithm, 'A*');
+    assert.strictEqual(again.body.quote.slippageBps, 10);
+    assert.strictEqual(source.loads, 1, 'no reload per request');
+    assert.ok((await call('GET', '/health')).body.heuristicCache.hits > 0);
+
+    const exactOut = await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC', amount: '1000', mode: 'exactOut', split: false });
+    assert.strictEqual(exactOut.body.quote.minAmountOutRawInt, '1000000000');
+
+    // Split: every splitter, best first, with the quote of the best
+    const split = await call('POST', '/split', { tokenIn: 'APT', tokenOut: 'USDC', amount: 10000 });
+    assert.strictEqual(split.status, 200);
+    assert.deepStrictEqual(split.body.splitters.map(s => s.algorithm).sort(), ['Convex', 'DAG Flow', 'Hill Climb', 'Water-Fill']);
+    assert.strictEqual(split.body.best, split.body.splitters[0].algorithm);
+    assert.strictEqual(split.body.quote.algorithm, split.body.best);
+    const convexOnly = await call('POST', '/split', { tokenIn: 'APT', tokenOut: 'USDC', amount: 10000, splitters: ['convex'] });
+    assert.deepStrictEqual(convexOnly.body.splitters.map(s => s.algorithm), ['Convex']);
+
+    // Client errors
+    assert.strictEqual((await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC' })).status, 400);
+    assert.strictEqual((await call('POST', '/quote', { tokenIn: 'DOGE', tokenOut: 'USDC', amount: 1 })).status, 400);
+    assert.strictEqual((await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC', amount: 1, mode: 'both' })).status, 400);
+    assert.strictEqual((await call('GET', '/quote')).status, 405);
+    assert.strictEqual((await call('GET', '/nope')).status, 404);
+    const bad = await fetch(`http://127.0.0.1:${port}/quote`, { method: 'POST', body: '{oops' });
+    assert.strictEqual(bad.status, 400);
+
+    // Every request option is checked before it reaches the router, and named in the 400
+    const swap = { tokenIn: 'APT', tokenOut: 'USDC', amount: 100 };
+    const rejected = [
+      { slippageBps: -5 }, { slippageBps: 'abc' }, { slippageBps: 12.5 }, { slippageBps: 20000 },
+      { deadlineSec: 0 }, { maxHops: 'two' }, { maxHops: 9 }, { topK: '3' }, { topK: 0 },
+      { timeBudgetMs: -1 }, { timeBudgetMs: 'fast' }, { split: 'yes' },
+      { splitters: 'convex' }, { splitters: [] }, { splitters: ['convex', 'magic'] }, { splitters: ['dag', 'dag'] },
+    ];
+    for (const opts of rejected) {
+      const res = await call('POST', '/split', { ...swap, ...opts });
+      assert.deepStrictEqual([res.status, res.body.field], [400, Object.keys(opts)[0]], JSON.stringify(opts));
+    }
+    const maxSlippage = await call('POST', '/quote', { ...swap, split: false, slippageBps: 10000 });
+    assert.deepStrictEqual([maxSlippage.status, maxSlippage.body.quote.minAmountOutRawInt], [200, '0']);
+
+    // Malformed trades: the same token twice (by symbol or by address), amounts below one raw unit
+    for (const [path, body, field] of [
+      ['/quote', { tokenIn: 'USDC', tokenOut: 'USDC', amount: 1 }, 'tokenOut'],
+      ['/split', { tokenIn: 'APT', tokenOut: APT.addr, amount: 1 }, 'tokenOut'],
+      ['/quote', { ...swap, amount: 1e-9 }, 'amount'],
+      ['/split', { ...swap, amount: 1e-9 }, 'amount'],
+      ['/quote', { ...swap, amount: 1e-7, mode: 'exactOut' }, 'amount'],
+    ]) {
+      const res = await call('POST', path, body);
+      assert.deepStrictEqual([res.status, res.body.field], [400, field], `${path} ${JSON.stringify(body)}`);
+    }
+
+    // Exact output past what the routes hold is not "no route"
+    for (const path of ['/quote', '/split']) {
+      const res = await call('POST', path, { ...swap, amount: 2e6, mode: 'exactOut' });
+      assert.ok(res.status === 422 && /cannot deliver the requested amountOut/.test(res.body.error), `${path}: ${res.status} ${res.body.error}`);
+    }
+
+    // A trade no route takes within the impact cap, unsplit
+    const overCap = await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC', amount: 100000, split: false });
+    assert.ok(overCap.status === 422 && /price-impact cap/.test(overCap.body.error));
+
+    // An oversized body gets its 413 instead of a reset connection
+    const huge = await fetch(`http://127.0.0.1:${port}/quote`, { method: 'POST', body: JSON.stringify({ ...swap, pad: 'x'.repeat(100 * 1024) }) });
+    assert.deepStrictEqual([huge.status, huge.headers.get('connection'), (await huge.json()).error], [413, 'close', 'Request body over 65536 bytes']);
+    assert.strictEqual((await call('GET', '/health')).status, 200);
+
+    // Reload on demand picks up new pools; a failed reload keeps serving the last graph
+    const reloaded = await call('POST', '/reload');
+    assert.deepStrictEqual([reloaded.body.pools, reloaded.body.reloads, source.loads], [4, 2, 2]);
+    source.fail = true;
+    const failed = await call('POST', '/reload');
+    assert.strictEqual(failed.status, 502);
+    const afterFailure = await call('GET', '/health');
+    assert.deepStrictEqual([afterFailure.body.pools, afterFailure.body.lastReloadError], [4, 'database unavailable']);
+    assert.strictEqual((await call('POST', '/quote', { tokenIn: 'APT', tokenOut: 'USDC', amount: 100 })).status, 200);
+  } finally {
+    await service.close();
+  }
+
+  // Not loaded yet: 503 rather than a crash
+  const idle = createQuoteServer({ source: new FixturePoolSource({ pools: [] }), logger: silentLogger });
+  await new Promise(resolve => idle.server.listen(0, '127.0.0.1', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${idle.server.address().port}/quote`, { method: 'POST', body: JSON.stringify({ tokenIn: 'APT', tokenOut: 'USDC', amount: 1 }) });
+    assert.strictEqual(res.status, 503);
+  } finally {
+    await idle.close();
+  }
+
+  // Exact output is a client error when the server runs amount-aware search
+  const amountAware = createQuoteServer({ source: new FixturePoolSource({ pools: source.rows }), logger: silentLogger, router: { logger: silentLogger, searchMode: 'amount' } });
+  const { port: amountPort } = await amountAware.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${amountPort}/quote`, { method: 'POST', body: JSON.stringify({ tokenIn: 'APT', tokenOut: 'USDC', amount: 1, mode: 'exactOut' }) });
+    assert.deepStrictEqual([res.status, (await res.json()).field], [400, 'mode']);
+  } finally {
+    await amountAware.close();
+  }
+
+  // Options
+  const options = getServerOptions(['--port=9000', '--reload-sec=30', '--max-hops=2', '--snapshot=pools.json']);
+  assert.deepStrictEqual([options.port, options.host, options.reloadSec, options.router.maxHops], [9000, '127.0.0.1', 30, 2]);
+  assert.strictEqual(options.snapshotOptions.snapshotPath, 'pools.json');
+  assert.strictEqual(options.router.logger, silentLogger);
+
+  console.log('✅ Server test passed');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
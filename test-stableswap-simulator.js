@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { PoolWrapper } = require('./pool-source.js');
+const { simulateRoute, buildAdjacencyMap } = require('./phase1-astar-mike.js');
+const { getD, getY, simulateStableSwap } = require('./stableswap-simulator.js');
+
+function makeStablePool(reserves, { amp = 100, fee = '0.0004', decimals = null } = {}) {
+  const symbols = ['USDC', 'USDT', 'DAI'];
+  return new PoolWrapper({
+    pool_addr: '0xstable',
+    pool_type: 'STABLE',
+    fee_tier: fee,
+    liquidity: '0',
+    sqrt_price: null,
+    amp,
+    tokens: reserves.map((reserve, i) => ({
+      addr: `0x${symbols[i].toLowerCase()}`,
+      symbol: symbols[i],
+      decimals: decimals ? decimals[i] : 6,
+      reserve: String(reserve),
+      token_idx: i,
+    })),
+  });
+}
+
+function close(actual, expected, relTol, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relTol, `${message}: ${actual} vs ${expected}`);
+}
+
+// D equals the sum of balances at balance, and getY preserves D
+close(getD([1e12, 1e12], 100), 2e12, 1e-12, 'balanced D');
+const xp = [1.2e12, 0.8e12];
+const D = getD(xp, 50);
+const y = getY(0, 1, xp[0] + 1e11, xp, 50, D);
+close(getD([xp[0] + 1e11, y], 50), D, 1e-9, 'getY keeps the invariant');
+
+// $1M USDT → USDC in a $5M/$5M pool: far less slippage than x*y=k
+const pool = makeStablePool([5e12, 5e12]);
+const dx = 1e12;
+const stableOut = simulateStableSwap(pool, '0xusdc', '0xusdt', dx).amountOut;
+const cpOut = (5e12 * dx * (1 - 0.0004)) / (5e12 + dx * (1 - 0.0004));
+assert.ok(stableOut > dx * 0.99, `stable swap should stay near 1:1, got ${stableOut / dx}`);
+assert.ok(stableOut > cpOut * 1.15, 'stable swap should beat constant-product by a wide margin');
+close(simulateRoute([{ pool, fromAddr: '0xusdc', toAddr: '0xusdt' }], dx), stableOut, 1e-12, 'simulateRoute dispatches stable pools');
+
+// Low amplification degenerates to constant-product
+const flat = makeStablePool([5e12, 5e12], { amp: 1e-6 });
+close(simulateStableSwap(flat, '0xusdc', '0xusdt', dx).amountOut, (5e12 * dx / (5e12 + dx)) * (1 - 0.0004), 1e-4, 'A→0 matches x*y=k');
+
+// Dust amounts and spot price
+close(simulateStableSwap(pool, '0xusdc', '0xusdt', 1e-6).amountOut, 1e-6 * (1 - 0.0004), 1e-9, 'dust trades at the marginal price');
+close(pool.getSpotPrice('0xusdc', '0xusdt'), 1 - 0.0004, 1e-9, 'balanced spot price is 1 minus fee');
+
+// Three-token pool with mixed decimals (DAI has 18)
+const tri = makeStablePool([3e12, 3e12, 3e24], { decimals: [6, 6, 18] });
+const daiOut = simulateStableSwap(tri, '0xusdc', '0xdai', 1e9).amountOut;
+close(daiOut, 1e21 * (1 - 0.0004), 1e-4, '1000 USDC → ~1000 DAI');
+const usdtOut = simulateStableSwap(tri, '0xdai', '0xusdt', 1e21).amountOut;
+close(usdtOut, 1e9 * (1 - 0.0004), 1e-4, '1000 DAI → ~1000 USDT');
+assert.strictEqual(simulateStableSwap(tri, '0xusdc', '0xusdc', 1), null);
+
+// A* graph gets an edge for every token pair of a multi-token pool
+const tokenMap = new Map(tri.tokens.map(t => [t.addr, t]));
+const { adj } = buildAdjacencyMap([tri], tokenMap);
+for (const token of tri.tokens) {
+  assert.strictEqual(adj.get(token.addr).length, 2, `${token.symbol} should reach both other tokens`);
+}
+
+console.log('✅ StableSwap simulator test passed');
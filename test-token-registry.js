@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createSnapshot } = require('./pool-snapshot.js');
+const { normalizePools } = require('./pool-source.js');
+const {
+  TokenRegistry,
+  TokenResolutionError,
+  buildTokenRegistry,
+  getTokenRegistryOptions,
+} = require('./token-registry.js');
+
+const APT = { addr: '0x000a', symbol: 'APT', decimals: 8 };
+const USDC_NATIVE = { addr: '0xbae207659db88bea0cbead6da0ed00aac12edcdda169e591cd41c94180b46f3b', symbol: 'USDC', decimals: 6 };
+const USDC_BRIDGED = { addr: '0xbaf1c0ffee000000000000000000000000000000000000000000000000000001', symbol: 'USDC', decimals: 6 };
+const FAKE_APT = { addr: '0xdeadbeef', symbol: 'apt', decimals: 6 };
+
+function pool(addr, a, b, reserves) {
+  return {
+    pool_addr: addr,
+    pool_type: 'AMM',
+    fee_tier: '0.003',
+    liquidity: '0',
+    sqrt_price: null,
+    tokens: [
+      { ...a, reserve: String(reserves[0]), token_idx: 0 },
+      { ...b, reserve: String(reserves[1]), token_idx: 1 },
+    ],
+  };
+}
+
+const rows = [
+  pool('0xp1', APT, USDC_NATIVE, [1e13, 5e11]),
+  pool('0xp2', APT, USDC_BRIDGED, [1e12, 4e10]),
+  pool('0xp3', FAKE_APT, USDC_NATIVE, [1e9, 1e9]),
+];
+const pools = normalizePools(rows);
+
+function expectResolutionError(fn, code, pattern) {
+  assert.throws(fn, err => {
+    assert.ok(err instanceof TokenResolutionError, `expected TokenResolutionError, got ${err}`);
+    assert.strictEqual(err.code, code);
+    if (pattern) assert.match(err.message, pattern);
+    return true;
+  });
+}
+
+// Symbols collide (case-insensitively for APT); addresses never do
+const registry = buildTokenRegistry({ pools });
+assert.strictEqual(registry.size, 4);
+expectResolutionError(() => registry.resolve('USDC'), 'AMBIGUOUS', /USDC@0xbae2.*\n.*USDC@0xbaf1/);
+expectResolutionError(() => registry.resolve('APT'), 'AMBIGUOUS');
+expectResolutionError(() => registry.resolve('WETH'), 'NOT_FOUND');
+
+assert.strictEqual(registry.resolve(USDC_BRIDGED.addr).addr, USDC_BRIDGED.addr);
+assert.strictEqual(registry.resolve(USDC_NATIVE.addr.toUpperCase().replace('0X', '0x')).addr, USDC_NATIVE.addr);
+assert.strictEqual(registry.resolve('USDC@0xbae2').addr, USDC_NATIVE.addr);
+assert.strictEqual(registry.resolve('usdc@baf1').addr, USDC_BRIDGED.addr);
+assert.strictEqual(registry.resolve('0xdead').addr, FAKE_APT.addr, 'unique address prefix');
+expectResolutionError(() => registry.resolve('USDC@0xba'), 'AMBIGUOUS');
+expectResolutionError(() => registry.resolve('USDC@0x1234'), 'NOT_FOUND', /USDC@0xbae2/);
+
+// The error carries the candidates for callers that want to render them
+try {
+  registry.resolve('USDC');
+} catch (err) {
+  assert.deepStrictEqual(err.candidates.map(t => t.addr).sort(), [USDC_NATIVE.addr, USDC_BRIDGED.addr].sort());
+}
+
+// Canonical flag and aliases from an overlay (file or inline)
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sor-tokens-'));
+const registryPath = path.join(tmpDir, 'tokens.json');
+fs.writeFileSync(registryPath, JSON.stringify({
+  tokens: [
+    { addr: USDC_NATIVE.addr, canonical: true, verified: true },
+    { addr: USDC_BRIDGED.addr, verified: true, aliases: ['USDC.wh', 'whUSDC'] },
+    { addr: APT.addr, canonical: true, verified: true },
+  ],
+}));
+
+const curated = buildTokenRegistry({ pools, ...getTokenRegistryOptions([`--token-registry=${registryPath}`]) });
+assert.strictEqual(curated.resolve('USDC').addr, USDC_NATIVE.addr, 'canonical wins a symbol collision');
+assert.strictEqual(curated.resolve('APT').addr, APT.addr);
+assert.strictEqual(curated.resolve('USDC.wh').addr, USDC_BRIDGED.addr);
+assert.strictEqual(curated.resolve('whusdc').addr, USDC_BRIDGED.addr);
+assert.strictEqual(curated.getByAddr(USDC_BRIDGED.addr).verified, true);
+assert.strictEqual(curated.getByAddr(FAKE_APT.addr).verified, false);
+
+// Two canonical candidates is a configuration error, not a coin flip
+const conflicting = new TokenRegistry([{ ...USDC_NATIVE, canonical: true }, { ...USDC_BRIDGED, canonical: true }]);
+expectResolutionError(() => conflicting.resolve('USDC'), 'AMBIGUOUS');
+
+// Registry metadata survives a snapshot round trip
+const snapshot = createSnapshot(rows, [{ ...USDC_BRIDGED, verified: true, aliases: ['USDC.wh'] }, APT]);
+assert.deepStrictEqual(snapshot.tokens[0], { ...USDC_BRIDGED, verified: true, aliases: ['USDC.wh'] });
+assert.deepStrictEqual(snapshot.tokens[1], APT);
+
+// The router refuses an ambiguous symbol and routes the address-qualified one
+const snapshotPath = path.join(tmpDir, 'pools.json');
+fs.writeFileSync(snapshotPath, JSON.stringify(createSnapshot(rows, [APT, USDC_NATIVE, USDC_BRIDGED, FAKE_APT])));
+const router = path.join(__dirname, 'phase1-astar-mike.js');
+const run = routerArgs => {
+  try {
+    return { code: 0, output: execFileSync('node', [router, ...routerArgs, `--snapshot=${snapshotPath}`], { encoding: 'utf8', stdio: 'pipe', timeout: 60000 }) };
+  } catch (err) {
+    return { code: err.status, output: `${err.stdout}${err.stderr}` };
+  }
+};
+
+const ambiguous = run(['APT@0x000a', 'USDC', '100']);
+assert.notStrictEqual(ambiguous.code, 0);
+assert.match(ambiguous.output, /Token "USDC" is ambiguous/);
+
+const qualified = run(['APT@0x000a', 'USDC@0xbae2', '100']);
+assert.strictEqual(qualified.code, 0, qualified.output);
+assert.match(qualified.output, /Routes found: 1/);
+assert.match(qualified.output, /Best output: 498\.00/, 'routes into native USDC, not the bridged pool');
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log('✅ Token registry test passed');
@@ -96,8 +96,9 @@ async function main() {
   const expectedOutputRaw = Math.max(0, rawOutputWithoutGas - gasRaw);
   const expectedOutputHuman = expectedOutputRaw / Math.pow(10, targetDecimals);
   
+  // The final split is simulated in whole raw units with outputs rounded down
   assert(
-    almostEqual(result.totalOutputHuman, expectedOutputHuman, 1e-9),
+    almostEqual(result.totalOutputHuman, expectedOutputHuman, 1 / Math.pow(10, targetDecimals)),
     `Output mismatch: expected ${expectedOutputHuman}, got ${result.totalOutputHuman}`
   );
   
@@ -0,0 +1,231 @@
+/**
+ * Token Registry - Resolve user token arguments to exact token addresses
+ *
+ * Symbols are not unique on-chain (several APTs, native and bridged USDC, ...),
+ * so routing must never pick "the first token whose symbol matches". Every
+ * entry point resolves `tokenFrom` / `tokenTo` through this registry:
+ *
+ *   0xa1b2...            exact address (case-insensitive)
+ *   USDC                 symbol or alias, must be unambiguous
+ *   USDC@0xbae2          symbol/alias plus address prefix to pick one variant
+ *
+ * An ambiguous symbol resolves only when exactly one candidate is flagged
+ * `canonical`; otherwise resolution fails with a TokenResolutionError listing
+ * every candidate and the `symbol@prefix` form that selects it.
+ *
+ * Metadata comes from the token rows (database or snapshot) and the pool
+ * tokens, optionally overlaid by a registry file (`--token-registry=FILE`):
+ *
+ *   { "tokens": [
+ *       { "addr": "0x...", "canonical": true, "verified": true, "aliases": ["USDC.native"] },
+ *       { "addr": "0x...", "verified": true, "aliases": ["USDC.wh", "whUSDC"] }
+ *   ] }
+ */
+
+const fs = require('fs');
+
+// Shortest address prefix suggested in candidate lists
+const MIN_SUGGESTED_PREFIX = 6;
+
+class TokenResolutionError extends Error {
+  constructor(message, { query, code, candidates = [] }) {
+    super(message);
+    this.name = 'TokenResolutionError';
+    this.query = query;
+    this.code = code;
+    this.candidates = candidates;
+  }
+}
+
+function normalizeAddr(addr) {
+  return String(addr).trim().toLowerCase();
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol).trim().toUpperCase();
+}
+
+function stripHexPrefix(addr) {
+  return addr.startsWith('0x') ? addr.slice(2) : addr;
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+class TokenRegistry {
+  constructor(tokens = []) {
+    this.byAddr = new Map();
+    this.bySymbol = new Map();
+    for (const token of tokens) this.add(token);
+  }
+
+  /**
+   * Add a token or merge metadata into an existing entry (same address).
+   * Returns the stored entry.
+   */
+  add(token) {
+    if (!token || !token.addr) throw new Error('Token registry entries need an addr');
+
+    const key = normalizeAddr(token.addr);
+    const existing = this.byAddr.get(key);
+    const entry = existing || {
+      addr: token.addr,
+      symbol: null,
+      decimals: null,
+      verified: false,
+      canonical: false,
+      aliases: [],
+    };
+
+    if (token.symbol && !entry.symbol) entry.symbol = token.symbol;
+    if (entry.decimals === null && token.decimals !== undefined && token.decimals !== null) {
+      entry.decimals = typeof token.decimals === 'number' ? token.decimals : parseInt(token.decimals, 10);
+    }
+    if (token.verified !== undefined) entry.verified = Boolean(token.verified);
+    if (token.canonical !== undefined) entry.canonical = Boolean(token.canonical);
+
+    const names = [token.symbol, ...(token.aliases || [])].filter(Boolean);
+    for (const name of names) {
+      if (name !== entry.symbol && !entry.aliases.includes(name)) entry.aliases.push(name);
+      const symbolKey = normalizeSymbol(name);
+      const list = this.bySymbol.get(symbolKey) || [];
+      if (!list.includes(entry)) list.push(entry);
+      this.bySymbol.set(symbolKey, list);
+    }
+
+    this.byAddr.set(key, entry);
+    return entry;
+  }
+
+  get size() {
+    return this.byAddr.size;
+  }
+
+  getByAddr(addr) {
+    return this.byAddr.get(normalizeAddr(addr)) || null;
+  }
+
+  // Every token answering to a symbol or alias, canonical first
+  findBySymbol(symbol) {
+    const list = this.bySymbol.get(normalizeSymbol(symbol)) || [];
+    return [...list].sort((a, b) => Number(b.canonical) - Number(a.canonical) || a.addr.localeCompare(b.addr));
+  }
+
+  /**
+   * Resolve an address, symbol, alias or `symbol@address-prefix`.
+   * Throws TokenResolutionError (code NOT_FOUND or AMBIGUOUS) instead of guessing.
+   */
+  resolve(query) {
+    const raw = String(query ?? '').trim();
+    if (!raw) {
+      throw new TokenResolutionError('Empty token argument', { query, code: 'NOT_FOUND' });
+    }
+
+    const byAddr = this.getByAddr(raw);
+    if (byAddr) return byAddr;
+
+    const at = raw.indexOf('@');
+    if (at !== -1) {
+      const symbol = raw.slice(0, at);
+      const prefix = stripHexPrefix(normalizeAddr(raw.slice(at + 1)));
+      const candidates = this.findBySymbol(symbol);
+      const matches = candidates.filter(t => stripHexPrefix(normalizeAddr(t.addr)).startsWith(prefix));
+      return this.pickOne(raw, matches, candidates);
+    }
+
+    if (raw.startsWith('0x')) {
+      const prefix = stripHexPrefix(normalizeAddr(raw));
+      const matches = [...this.byAddr.values()].filter(t => stripHexPrefix(normalizeAddr(t.addr)).startsWith(prefix));
+      return this.pickOne(raw, matches, matches);
+    }
+
+    const candidates = this.findBySymbol(raw);
+    if (candidates.length > 1) {
+      const canonical = candidates.filter(t => t.canonical);
+      if (canonical.length === 1) return canonical[0];
+    }
+    return this.pickOne(raw, candidates, candidates);
+  }
+
+  pickOne(query, matches, candidates) {
+    if (matches.length === 1) return matches[0];
+
+    if (matches.length === 0) {
+      const hint = candidates.length > 0 ? `\n${this.describeCandidates(candidates)}` : '';
+      throw new TokenResolutionError(`Token "${query}" not found${hint}`, { query, code: 'NOT_FOUND', candidates });
+    }
+
+    throw new TokenResolutionError(
+      `Token "${query}" is ambiguous (${matches.length} candidates); pick one with symbol@address-prefix or an address:\n${this.describeCandidates(matches)}`,
+      { query, code: 'AMBIGUOUS', candidates: matches }
+    );
+  }
+
+  describeCandidates(candidates) {
+    return candidates
+      .map(t => {
+        const flags = [t.canonical && 'canonical', t.verified && 'verified'].filter(Boolean).join(', ');
+        const aliases = t.aliases.length > 0 ? ` aka ${t.aliases.join(', ')}` : '';
+        return `  - ${this.suggestQuery(t, candidates)}  (${t.addr}, decimals=${t.decimals}${flags ? `, ${flags}` : ''})${aliases}`;
+      })
+      .join('\n');
+  }
+
+  // `symbol@prefix` with the shortest prefix that singles the token out among `candidates`
+  suggestQuery(token, candidates) {
+    const addr = stripHexPrefix(normalizeAddr(token.addr));
+    const others = candidates.filter(t => t !== token).map(t => stripHexPrefix(normalizeAddr(t.addr)));
+    let length = Math.min(MIN_SUGGESTED_PREFIX, addr.length);
+    while (length < addr.length && others.some(o => o.startsWith(addr.slice(0, length)))) length++;
+    return `${token.symbol}@0x${addr.slice(0, length)}`;
+  }
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+function getTokenRegistryOptions(args) {
+  const registryPath = args.find(a => a.startsWith('--token-registry='))?.split('=')[1] || null;
+  return { registryPath };
+}
+
+function readTokenRegistryFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const tokens = Array.isArray(parsed) ? parsed : parsed.tokens;
+  if (!Array.isArray(tokens)) {
+    throw new Error(`Invalid token registry ${filePath}: expected { "tokens": [...] }`);
+  }
+  tokens.forEach((token, i) => {
+    if (!token || !token.addr) throw new Error(`Invalid token registry ${filePath}: tokens[${i}] is missing addr`);
+  });
+  return tokens;
+}
+
+/**
+ * Build a registry from token rows and pool tokens, overlaid by an optional
+ * registry file. Token rows may already carry `verified` / `canonical` /
+ * `aliases` (e.g. from a snapshot).
+ */
+function buildTokenRegistry({ tokens = [], pools = [], registryPath = null, overrides = [] } = {}) {
+  const registry = new TokenRegistry();
+
+  for (const row of tokens) registry.add(row);
+  for (const pool of pools) {
+    for (const token of pool.tokens) registry.add(token);
+  }
+
+  const fileOverrides = registryPath ? readTokenRegistryFile(registryPath) : [];
+  for (const override of [...fileOverrides, ...overrides]) registry.add(override);
+
+  return registry;
+}
+
+module.exports = {
+  TokenRegistry,
+  TokenResolutionError,
+  getTokenRegistryOptions,
+  readTokenRegistryFile,
+  buildTokenRegistry,
+};
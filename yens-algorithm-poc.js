@@ -22,23 +22,19 @@
  *   --k: Number of routes to find (default: 5)
  *   --max-hops: Maximum hops per route (default: 5)
  *   --verbose: Show detailed logs
+ *   --snapshot=<file>: Load pools from a snapshot file instead of the database
+ *   --dump-snapshot=<file>: Write the fetched pools to a snapshot file
  */
 
-require('dotenv').config();
-const { Client } = require('pg');
+const { getSnapshotOptions } = require('./pool-snapshot.js');
+const { loadPools } = require('./pool-source.js');
+const { getTokenRegistryOptions, buildTokenRegistry } = require('./token-registry.js');
+const { quoteOut } = require('./pool-models.js');
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5433,
-  database: process.env.DB_NAME || 'tapp',
-  user: process.env.DB_USER || 'tapp',
-  password: process.env.DB_PASSWORD || 'tapp',
-};
-
 // Command-line arguments
 const args = process.argv.slice(2);
 const tokenFrom = args[0] || 'APT';
@@ -47,6 +43,8 @@ const swapAmount = parseFloat(args[2] || '10000');
 const K = parseInt(args.find(a => a.startsWith('--k='))?.split('=')[1] || '5');
 const maxHops = parseInt(args.find(a => a.startsWith('--max-hops='))?.split('=')[1] || '5');
 const verbose = args.includes('--verbose');
+const snapshotOptions = getSnapshotOptions(args);
+const tokenRegistryOptions = getTokenRegistryOptions(args);
 
 // ============================================================================
 // Data Structures
@@ -117,44 +115,6 @@ class PriorityQueue {
   }
 }
 
-// ============================================================================
-// Database Queries
-// ============================================================================
-
-async function fetchPoolsFromDB(client) {
-  console.log('📊 Fetching pools from database...');
-  
-  const query = `
-    SELECT 
-      p.addr as pool_addr,
-      p.pool_type,
-      p.fee_tier,
-      p.liquidity,
-      p.sqrt_price,
-      json_agg(
-        json_build_object(
-          'addr', t.addr,
-          'symbol', t.ticker,
-          'decimals', t.decimals,
-          'reserve', ptm.reserve,
-          'token_idx', ptm.token_idx
-        ) ORDER BY ptm.token_idx
-      ) as tokens
-    FROM pools p
-    JOIN pool_token_mps ptm ON p.addr = ptm.pool_id
-    JOIN tokens t ON ptm.token_addr = t.addr
-    WHERE p.status = 'ACTIVE'
-      AND p.liquidity > 0
-    GROUP BY p.addr, p.pool_type, p.fee_tier, p.liquidity, p.sqrt_price
-    ORDER BY p.liquidity DESC
-  `;
-  
-  const result = await client.query(query);
-  console.log(`✅ Fetched ${result.rows.length} active pools\n`);
-  
-  return result.rows;
-}
-
 // ============================================================================
 // Graph Builder
 // ============================================================================
@@ -182,12 +142,13 @@ function buildLiquidityGraph(pools) {
       tokenA,
       tokenB,
       {
-        addr: pool.pool_addr,
-        type: pool.pool_type,
-        fee: parseFloat(pool.fee_tier),
+        addr: pool.addr,
+        type: pool.type,
+        fee: pool.fee,
         liquidity: pool.liquidity,
         tokenA,
         tokenB,
+        source: pool, // normalized pool, simulated through pool-models.js
       },
       weight
     );
@@ -209,21 +170,9 @@ function calculateEdgeWeight(pool, tokenA, tokenB) {
   // 2. Liquidity (higher liquidity = better)
   // 3. Pool type efficiency
   
-  const fee = parseFloat(pool.fee_tier);
-  const liquidity = parseFloat(pool.liquidity);
-  
-  // Simulate small swap to estimate exchange rate
+  // Simulate small swap to estimate exchange rate (pool math by pool_type)
   const testAmount = 1000 * Math.pow(10, tokenA.decimals);
-  const reserveA = parseFloat(tokenA.reserve);
-  const reserveB = parseFloat(tokenB.reserve);
-  
-  if (reserveA === 0 || reserveB === 0) {
-    return Infinity; // No liquidity
-  }
-  
-  // Simple AMM formula: output = reserveB * testAmount / (reserveA + testAmount)
-  const outputBeforeFee = (reserveB * testAmount) / (reserveA + testAmount);
-  const outputAfterFee = outputBeforeFee * (1 - fee);
+  const outputAfterFee = quoteOut(pool, tokenA.addr, tokenB.addr, testAmount);
   const ratio = outputAfterFee / testAmount;
   
   if (ratio <= 0) {
@@ -445,28 +394,8 @@ function formatPath(graph, pathObj) {
 // ============================================================================
 
 function simulateSwap(edge, amountIn) {
-  const { pool } = edge;
-  const { tokenA, tokenB, fee } = pool;
-  
-  const reserveA = parseFloat(tokenA.reserve);
-  const reserveB = parseFloat(tokenB.reserve);
-  
-  if (reserveA === 0 || reserveB === 0) {
-    return 0;
-  }
-  
-  // Determine direction
-  const isReversed = pool.reversed;
-  const [reserveIn, reserveOut] = isReversed
-    ? [reserveB, reserveA]
-    : [reserveA, reserveB];
-  
-  // AMM constant product formula
-  // output = reserveOut * amountIn / (reserveIn + amountIn)
-  const amountInAfterFee = amountIn * (1 - fee);
-  const amountOut = (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
-  
-  return amountOut;
+  // Edge direction (from → to) picks the swap side; pool math by pool_type
+  return quoteOut(edge.pool.source, edge.from, edge.to, amountIn);
 }
 
 function simulateRoute(graph, route, amount) {
@@ -711,16 +640,9 @@ async function main() {
   console.log('='.repeat(80));
   console.log();
   
-  const client = new Client(dbConfig);
-  
   try {
-    // Connect to database
-    console.log('📡 Connecting to database...');
-    await client.connect();
-    console.log('✅ Connected\n');
-    
-    // Fetch pools
-    const pools = await fetchPoolsFromDB(client);
+    // Fetch normalized pools (live database or --snapshot file)
+    const { pools, tokens } = await loadPools({ ...snapshotOptions, verbose: true });
     
     if (pools.length === 0) {
       console.log('❌ No pools found in database!');
@@ -731,12 +653,10 @@ async function main() {
     // Build graph
     const graph = buildLiquidityGraph(pools);
     
-    // Find token addresses
-    const sourceToken = Array.from(graph.nodes.values()).find(t => t.symbol === tokenFrom);
-    const targetToken = Array.from(graph.nodes.values()).find(t => t.symbol === tokenTo);
-    
-    console.log(sourceToken.addr);
-    console.log(targetToken.addr);
+    // Resolve token arguments by address, symbol@address-prefix or unambiguous symbol
+    const tokenRegistry = buildTokenRegistry({ tokens, pools, ...tokenRegistryOptions });
+    const sourceToken = graph.nodes.get(tokenRegistry.resolve(tokenFrom).addr);
+    const targetToken = graph.nodes.get(tokenRegistry.resolve(tokenTo).addr);
 
     if (!sourceToken) {
       console.log(`❌ Token ${tokenFrom} not found in pools!\n`);
@@ -779,8 +699,6 @@ async function main() {
       console.error(error);
     }
     process.exit(1);
-  } finally {
-    await client.end();
   }
 }
 
@@ -794,6 +712,7 @@ module.exports = {
   buildLiquidityGraph,
   dijkstra,
   findKShortestPaths,
+  simulateRoute,
   optimizeRouteSplitting,
 };
 